@@ -69,10 +69,44 @@ const BASE_UNIT_SUBUNITS = Object.freeze({
     y: 'mo'
 });
 const THRESHOLD_BASE_UNIT_ORDER = Object.freeze(['ms', 's', 'min', 'h', 'd', 'w', 'mo', 'y']);
+// Box dependency link types: which predecessor edge drives which successor edge
+const DEPENDENCY_TYPES = Object.freeze({
+    FS: 'Finish → Start',
+    SS: 'Start → Start',
+    FF: 'Finish → Finish'
+});
+const DEPENDENCY_ARROW_COLOR = '#c4cad6';
+const CRITICAL_PATH_COLOR = '#ff5252';
+// Slack at or below this (ms) counts as zero; absorbs float noise from unit conversions
+const CRITICAL_SLACK_EPSILON_MS = 0.000001;
+// Marks JSON on the system clipboard as copied timeline content
+const CLIPBOARD_PAYLOAD_TYPE = 'timeline-diagram/clipboard';
+const CLIPBOARD_PAYLOAD_VERSION = 1;
+// Share link payload versions in the URL fragment ("#d=v1.<data>")
+const SHARE_LINK_DEFLATE_PREFIX = 'v1.';
+const SHARE_LINK_PLAIN_PREFIX = 'v0.';
+// Links longer than this still work in browsers but get cut off by some chat and mail apps
+const SHARE_URL_WARN_LENGTH = 32000;
+// postMessage envelope for the embedding API (see "Embedding API" section)
+const EMBED_API_PROTOCOL = 'timeline-diagram';
+const EMBED_API_VERSION = 1;
+// Trace imports keep the longest slices beyond this many to keep the canvas responsive
+const TRACE_IMPORT_MAX_BOXES = 5000;
+// HAR timing phases in request order, colored like a browser network waterfall
+const HAR_PHASE_COLORS = Object.freeze({
+    blocked: '#9E9E9E',
+    dns: '#26A69A',
+    connect: '#FFA726',
+    ssl: '#AB47BC',
+    send: '#42A5F5',
+    wait: '#66BB6A',
+    receive: '#1E88E5'
+});
 const DEFAULT_TIMELINE_SETTINGS = {
     timeFormatThreshold: 1000,
     showAlignmentLines: true,
     showBoxLabels: false,
+    showCriticalPath: false,
     autoOpenBoxProperties: false,
     trailingSpace: 0,
     compressionThreshold: 500,
@@ -96,6 +130,7 @@ function normalizeTimelineSettings(settings = {}) {
             : defaultThreshold,
         showAlignmentLines: !!merged.showAlignmentLines,
         showBoxLabels: !!merged.showBoxLabels,
+        showCriticalPath: !!merged.showCriticalPath,
         autoOpenBoxProperties: !!merged.autoOpenBoxProperties,
         trailingSpace: Math.max(0, parseInt(merged.trailingSpace, 10) || 0),
         compressionThreshold: Math.max(10, parseInt(merged.compressionThreshold, 10) || 500),
@@ -349,7 +384,10 @@ function bindLaneNameInputOnce() {
 
     const syncLaneName = () => {
         if (app.selectedLaneId) {
-            app.diagram.renameLane(parseInt(app.selectedLaneId, 10), newInput.value);
+            const laneId = parseInt(app.selectedLaneId, 10);
+            recordHistoryStep('Rename lane', () => app.diagram.renameLane(laneId, newInput.value), {
+                coalesceKey: `lane-name-${laneId}`
+            });
             renderLaneList();
             renderLanesCanvas();
             autoSave();
@@ -386,6 +424,8 @@ class TimelineDiagram {
         this.boxes = [];
         this.nextLaneId = 1;
         this.nextBoxId = 1;
+        this.dependencies = [];
+        this.nextDependencyId = 1;
         this.locked = false;
     }
 
@@ -406,6 +446,7 @@ class TimelineDiagram {
     removeLane(laneId) {
         this.lanes = this.lanes.filter(l => l.id !== laneId);
         this.boxes = this.boxes.filter(b => b.laneId !== laneId);
+        this.pruneDependencies();
         // Reorder remaining lanes
         this.lanes.forEach((lane, index) => {
             lane.order = index;
@@ -469,6 +510,7 @@ class TimelineDiagram {
 
     removeBox(boxId) {
         this.boxes = this.boxes.filter(b => b.id !== boxId);
+        this.pruneDependencies();
     }
 
     updateBox(boxId, updates) {
@@ -489,6 +531,200 @@ class TimelineDiagram {
         return Math.max(...this.boxes.map(b => b.startOffset + b.duration));
     }
 
+    addDependency(fromBoxId, toBoxId, type = 'FS', lag = 0) {
+        if (!this.canAddDependency(fromBoxId, toBoxId)) return null;
+        const dependency = {
+            id: this.nextDependencyId++,
+            fromBoxId: fromBoxId,
+            toBoxId: toBoxId,
+            type: DEPENDENCY_TYPES[type] ? type : 'FS',
+            lag: lag // in ms, may be negative
+        };
+        this.dependencies.push(dependency);
+        return dependency;
+    }
+
+    removeDependency(dependencyId) {
+        this.dependencies = this.dependencies.filter(d => d.id !== dependencyId);
+    }
+
+    updateDependency(dependencyId, updates) {
+        const dependency = this.dependencies.find(d => d.id === dependencyId);
+        if (dependency) {
+            Object.assign(dependency, updates);
+        }
+        return dependency;
+    }
+
+    getDependenciesForBox(boxId) {
+        return this.dependencies.filter(d => d.fromBoxId === boxId || d.toBoxId === boxId);
+    }
+
+    // Drop links whose boxes no longer exist
+    pruneDependencies() {
+        const boxIds = new Set(this.boxes.map(b => b.id));
+        this.dependencies = this.dependencies.filter(d => boxIds.has(d.fromBoxId) && boxIds.has(d.toBoxId));
+    }
+
+    canAddDependency(fromBoxId, toBoxId) {
+        if (fromBoxId === toBoxId) return false;
+        if (!this.boxes.some(b => b.id === fromBoxId) || !this.boxes.some(b => b.id === toBoxId)) return false;
+        if (this.dependencies.some(d => d.fromBoxId === fromBoxId && d.toBoxId === toBoxId)) return false;
+        // Reject links that would close a cycle (toBox already leads back to fromBox)
+        const visited = new Set();
+        const stack = [toBoxId];
+        while (stack.length > 0) {
+            const current = stack.pop();
+            if (current === fromBoxId) return false;
+            if (visited.has(current)) continue;
+            visited.add(current);
+            this.dependencies.forEach(d => {
+                if (d.fromBoxId === current) stack.push(d.toBoxId);
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Start offset a successor must have to satisfy one dependency (lag excluded)
+     * @param {Object} dependency - Dependency link
+     * @returns {number|null} - Anchor time in ms, or null if a box is missing
+     */
+    getDependencyAnchor(dependency) {
+        const from = this.boxes.find(b => b.id === dependency.fromBoxId);
+        const to = this.boxes.find(b => b.id === dependency.toBoxId);
+        if (!from || !to) return null;
+        if (dependency.type === 'SS') return from.startOffset;
+        if (dependency.type === 'FF') return from.startOffset + from.duration - to.duration;
+        return from.startOffset + from.duration;
+    }
+
+    // Re-derive lags of links into a box the user placed by hand, so the links keep its new position
+    anchorIncomingDependencies(boxId) {
+        const box = this.boxes.find(b => b.id === boxId);
+        if (!box) return;
+        this.dependencies.forEach(d => {
+            if (d.toBoxId !== boxId) return;
+            const anchor = this.getDependencyAnchor(d);
+            if (anchor !== null) d.lag = box.startOffset - anchor;
+        });
+    }
+
+    /**
+     * Move every box downstream of sourceBoxId so all dependency constraints hold again.
+     * A successor starts at the latest time required by its incoming links.
+     * @param {number} sourceBoxId - Box that was moved or resized
+     * @returns {number[]} - Ids of boxes whose start offset changed
+     */
+    rescheduleDependents(sourceBoxId) {
+        // Collect boxes reachable from the source
+        const reachable = new Set();
+        const stack = [sourceBoxId];
+        while (stack.length > 0) {
+            const current = stack.pop();
+            this.dependencies.forEach(d => {
+                if (d.fromBoxId === current && !reachable.has(d.toBoxId)) {
+                    reachable.add(d.toBoxId);
+                    stack.push(d.toBoxId);
+                }
+            });
+        }
+
+        // Topological order within the reachable subgraph
+        const pending = new Map();
+        reachable.forEach(boxId => {
+            pending.set(boxId, this.dependencies.filter(d => d.toBoxId === boxId && reachable.has(d.fromBoxId)).length);
+        });
+        const queue = Array.from(reachable).filter(boxId => pending.get(boxId) === 0);
+        const changed = [];
+
+        while (queue.length > 0) {
+            const boxId = queue.shift();
+            const box = this.boxes.find(b => b.id === boxId);
+            const starts = this.dependencies
+                .filter(d => d.toBoxId === boxId)
+                .map(d => {
+                    const anchor = this.getDependencyAnchor(d);
+                    return anchor === null ? null : anchor + (d.lag || 0);
+                })
+                .filter(start => start !== null);
+
+            if (box && starts.length > 0) {
+                const nextStart = Math.max(0, ...starts);
+                if (nextStart !== box.startOffset) {
+                    box.startOffset = nextStart;
+                    changed.push(boxId);
+                }
+            }
+
+            this.dependencies.forEach(d => {
+                if (d.fromBoxId !== boxId || !reachable.has(d.toBoxId)) return;
+                pending.set(d.toBoxId, pending.get(d.toBoxId) - 1);
+                if (pending.get(d.toBoxId) === 0) queue.push(d.toBoxId);
+            });
+        }
+
+        return changed;
+    }
+
+    /**
+     * Backward pass over the dependency graph: how far each box could slip
+     * before it pushes out the diagram end (getTotalDuration).
+     * Boxes with zero slack form the critical path.
+     * @returns {Map<number, {slack: number, critical: boolean}>} - Keyed by box id
+     */
+    getCriticalPathAnalysis() {
+        const analysis = new Map();
+        if (this.boxes.length === 0) return analysis;
+
+        const projectEnd = this.getTotalDuration();
+        const boxesById = new Map(this.boxes.map(b => [b.id, b]));
+        const remainingSuccessors = new Map(this.boxes.map(b => [b.id, 0]));
+        this.dependencies.forEach(d => {
+            if (boxesById.has(d.fromBoxId) && boxesById.has(d.toBoxId)) {
+                remainingSuccessors.set(d.fromBoxId, remainingSuccessors.get(d.fromBoxId) + 1);
+            }
+        });
+
+        // Successors first, so each box sees its successors' latest finish
+        const latestFinish = new Map();
+        const queue = this.boxes.filter(b => remainingSuccessors.get(b.id) === 0).map(b => b.id);
+        while (queue.length > 0) {
+            const boxId = queue.shift();
+            const box = boxesById.get(boxId);
+            let finish = projectEnd;
+
+            this.dependencies.forEach(d => {
+                if (d.fromBoxId !== boxId || !latestFinish.has(d.toBoxId)) return;
+                const successor = boxesById.get(d.toBoxId);
+                const successorFinish = latestFinish.get(d.toBoxId);
+                const successorStart = successorFinish - successor.duration;
+                const lag = d.lag || 0;
+                if (d.type === 'SS') {
+                    finish = Math.min(finish, successorStart - lag + box.duration);
+                } else if (d.type === 'FF') {
+                    finish = Math.min(finish, successorFinish - lag);
+                } else {
+                    finish = Math.min(finish, successorStart - lag);
+                }
+            });
+            latestFinish.set(boxId, finish);
+
+            this.dependencies.forEach(d => {
+                if (d.toBoxId !== boxId || !remainingSuccessors.has(d.fromBoxId)) return;
+                remainingSuccessors.set(d.fromBoxId, remainingSuccessors.get(d.fromBoxId) - 1);
+                if (remainingSuccessors.get(d.fromBoxId) === 0) queue.push(d.fromBoxId);
+            });
+        }
+
+        this.boxes.forEach(box => {
+            const finish = latestFinish.has(box.id) ? latestFinish.get(box.id) : projectEnd;
+            const slack = Math.max(0, finish - (box.startOffset + box.duration));
+            analysis.set(box.id, { slack, critical: slack <= CRITICAL_SLACK_EPSILON_MS });
+        });
+        return analysis;
+    }
+
     toJSON() {
         // Build measurement data if pinned
         let measurement = null;
@@ -506,6 +742,8 @@ class TimelineDiagram {
             boxes: this.boxes,
             nextLaneId: this.nextLaneId,
             nextBoxId: this.nextBoxId,
+            dependencies: this.dependencies,
+            nextDependencyId: this.nextDependencyId,
             locked: this.locked,
             compressionEnabled: Compression.enabled, // Save compression state per diagram
             settings: app.settings, // Include diagram-specific settings
@@ -525,6 +763,7 @@ class TimelineDiagram {
         const maxBoxId = this.boxes.length > 0 ? Math.max(...this.boxes.map(b => b.id)) + 1 : 1;
         this.nextLaneId = Math.max(data.nextLaneId || 1, maxLaneId);
         this.nextBoxId = Math.max(data.nextBoxId || 1, maxBoxId);
+        this.dependencies = Array.isArray(data.dependencies) ? data.dependencies.map(d => ({ ...d })) : [];
         this.locked = data.locked || false;
 
         // Migration: Ensure all lanes have required fields (for old saved diagrams)
@@ -555,6 +794,10 @@ class TimelineDiagram {
             if (typeof box.laneId !== 'number') {
                 box.laneId = parseInt(box.laneId, 10) || (this.lanes[0]?.id || 1);
             }
+            // Optional key/value details (e.g. span attributes from trace imports)
+            if (box.metadata !== undefined && (!box.metadata || typeof box.metadata !== 'object' || Array.isArray(box.metadata))) {
+                delete box.metadata;
+            }
 
             if (!(typeof box.color === 'string' && box.color.trim())) {
                 const lane = this.lanes.find(l => l.id === box.laneId);
@@ -565,6 +808,23 @@ class TimelineDiagram {
             }
         });
 
+        // Migration: Normalize dependency links and drop ones pointing at missing boxes
+        this.dependencies.forEach(dep => {
+            dep.fromBoxId = parseInt(dep.fromBoxId, 10);
+            dep.toBoxId = parseInt(dep.toBoxId, 10);
+            if (!DEPENDENCY_TYPES[dep.type]) dep.type = 'FS';
+            if (typeof dep.lag !== 'number' || !Number.isFinite(dep.lag)) {
+                dep.lag = parseFloat(dep.lag) || 0;
+            }
+        });
+        this.pruneDependencies();
+        this.dependencies = this.dependencies.filter(d => d.fromBoxId !== d.toBoxId);
+        this.dependencies.forEach((dep, idx) => {
+            if (typeof dep.id !== 'number') dep.id = idx + 1;
+        });
+        const maxDependencyId = this.dependencies.length > 0 ? Math.max(...this.dependencies.map(d => d.id)) + 1 : 1;
+        this.nextDependencyId = Math.max(data.nextDependencyId || 1, maxDependencyId);
+
         // Restore compression state (default to false for new/old diagrams)
         Compression.setEnabled(data.compressionEnabled || false);
         // Restore settings with code defaults when absent.
@@ -582,7 +842,10 @@ class TimelineDiagram {
 const app = {
     diagram: new TimelineDiagram(),
     selectedBoxId: null,
+    selectedBoxIds: [], // Multi-selection; only populated when more than one box is selected
     selectedLaneId: null,
+    clipboard: null, // Last copied payload; fallback when the system clipboard is unavailable
+    pointerPosition: null, // { laneId, ms } under the cursor, used as the paste target
     pixelsPerMs: DEFAULT_PIXELS_PER_MS, // Default scale: 0.15px per ms
     minPixelsPerMs: 0.001, // Allow extreme zoom out (0.67% - see entire timeline)
     maxPixelsPerMs: 1000,  // Allow extreme zoom in (666,666% - sub-microsecond detail)
@@ -590,6 +853,11 @@ const app = {
     zoomBeforeFitScrollLeft: null,
     fitModeActive: false,
     hasDiagramViewState: false,
+    embedView: false, // Read-only iframe viewer (?view=embed); never writes to storage
+    embedEditable: false, // Embed with editing enabled (?view=embed&edit=1)
+    embedHighlightIds: [], // Boxes emphasized by the host page through the embedding API
+    versionPreview: null, // { diagramId, snapshot } while a stored version is shown read-only
+    syncConflict: null, // { diagramId } while another tab's change to the open diagram awaits a decision
     isDragging: false,
     dragData: null,
     isActivelyDraggingOrResizing: false, // Prevents properties panel updates during drag/resize
@@ -1324,6 +1592,21 @@ const Compression = {
         return compressedTime + compressionBefore;
     },
 
+    /**
+     * Convert an actual time to its compressed (visual) position; inverse of compressedToActual
+     */
+    actualToCompressed(actualTime) {
+        let compressionBefore = 0;
+        for (const gap of this.getCompressedGaps()) {
+            if (actualTime <= gap.originalStart) break;
+            if (actualTime < gap.originalEnd) {
+                return gap.compressedStart + ((actualTime - gap.originalStart) / gap.originalSize) * gap.compressedSize;
+            }
+            compressionBefore += gap.originalSize - gap.compressedSize;
+        }
+        return actualTime - compressionBefore;
+    },
+
     /**
      * Get break marker positions (compressed) for the ruler
      * Returns array of { compressedPos, actualStart, actualEnd, compression }
@@ -1474,14 +1757,17 @@ function getAutoBoxColor(laneId) {
 function setLaneColor(laneId, color) {
     const lane = app.diagram.lanes.find(l => l.id === parseInt(laneId));
     if (lane) {
-        lane.baseColor = color;
-        // Update all boxes in this lane to use new color scheme
-        const laneBoxes = app.diagram.getBoxesForLane(laneId);
-        const hueShifts = [0, 15, -12, 25, -20, 35, -30, 10];
-        laneBoxes.forEach((box, index) => {
-            box.color = adjustHue(color, hueShifts[index % hueShifts.length]);
+        recordHistoryStep('Change lane color', () => {
+            lane.baseColor = color;
+            // Update all boxes in this lane to use new color scheme
+            const laneBoxes = app.diagram.getBoxesForLane(lane.id);
+            const hueShifts = [0, 15, -12, 25, -20, 35, -30, 10];
+            laneBoxes.forEach((box, index) => {
+                box.color = adjustHue(color, hueShifts[index % hueShifts.length]);
+            });
         });
         renderLanesCanvas();
+        autoSave();
     }
 }
 
@@ -1784,39 +2070,36 @@ function showConfirmToast(options) {
 }
 
 // =====================================================
-// Diagram Storage (localStorage)
+// Diagram Storage (IndexedDB via DiagramStore, see diagram-store.js)
 // =====================================================
-const STORAGE_KEY = 'timeline_diagrams';
 const ACTIVE_DIAGRAM_KEY = 'timeline_active_diagram';
 const SESSION_STATE_KEY = 'timeline_session_state';
-const MAX_DIAGRAMS = 10;
 let currentDiagramId = null;
 let autoSaveTimeout = null;
+// Content of the open diagram as last loaded or saved by this tab; a mismatch means unsaved edits
+let syncedDiagramKey = null;
 let pendingDiagramDeleteId = null;
 let pendingLaneDeleteId = null;
 let pendingPurgeRequest = null;
-const laneHistory = {
-    undoStack: [],
-    redoStack: [],
-    maxEntries: 50
-};
+const HISTORY_MAX_ENTRIES = 50;
+const HISTORY_COALESCE_MS = 1500;
+// Undo/redo stacks keyed by diagram id so switching diagrams keeps each history for the session.
+const diagramHistories = new Map();
 
 function generateDiagramId() {
     return 'diag_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
 function getAllDiagrams() {
-    try {
-        const data = localStorage.getItem(STORAGE_KEY);
-        return data ? JSON.parse(data) : [];
-    } catch (e) {
-        console.error('Failed to load diagrams from storage:', e);
-        return [];
-    }
+    return DiagramStore.getAll();
 }
 
 function setCurrentDiagramId(diagramId) {
+    if (app.syncConflict && app.syncConflict.diagramId !== diagramId) {
+        settleDiagramSyncConflict();
+    }
     currentDiagramId = diagramId || null;
+    updateUndoRedoButtons();
     try {
         if (currentDiagramId) {
             localStorage.setItem(ACTIVE_DIAGRAM_KEY, currentDiagramId);
@@ -1853,6 +2136,7 @@ function loadActiveDiagramFromStorage() {
 }
 
 function saveSessionState() {
+    if (app.embedView) return;
     try {
         const payload = {
             activeDiagramId: currentDiagramId || null,
@@ -1880,7 +2164,7 @@ function loadSessionState() {
 }
 
 function persistCurrentDiagramViewState() {
-    if (!currentDiagramId) return;
+    if (!currentDiagramId || app.versionPreview) return;
 
     const diagrams = getAllDiagrams();
     const index = diagrams.findIndex(d => d.id === currentDiagramId);
@@ -1917,43 +2201,47 @@ function applySessionState(state) {
 }
 
 function saveDiagramsList(diagrams) {
-    try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(diagrams));
-    } catch (e) {
-        console.error('Failed to save diagrams to storage:', e);
+    // The list updates in memory right away; the IndexedDB write finishes in the background
+    DiagramStore.saveAll(diagrams).then(saved => {
+        if (saved) return;
         showToast({
             type: 'error',
             title: 'Storage Error',
             message: 'Could not save to browser storage.'
         });
-    }
+    });
 }
 
 function saveCurrentDiagram() {
+    // Embeds never touch storage; a version preview must not overwrite the live copy,
+    // and an unresolved cross-tab conflict must not overwrite the other tab's edits
+    if (app.embedView || app.versionPreview || app.syncConflict) return;
     if (!currentDiagramId) {
         setCurrentDiagramId(generateDiagramId());
     }
 
     const diagrams = getAllDiagrams();
+    // Find existing or add new (keep original order, don't sort)
+    const existingIndex = diagrams.findIndex(d => d.id === currentDiagramId);
     const diagramData = {
+        // Keep library metadata (folder, tags) that lives on the record, not in the diagram
+        ...(existingIndex >= 0 ? diagrams[existingIndex] : {}),
         id: currentDiagramId,
         title: app.diagram.title,
         updatedAt: Date.now(),
         data: app.diagram.toJSON()
     };
 
-    // Find existing or add new (keep original order, don't sort)
-    const existingIndex = diagrams.findIndex(d => d.id === currentDiagramId);
+    syncedDiagramKey = getSnapshotContentKey(diagramData.data);
+
     if (existingIndex >= 0) {
+        maybeSnapshotBeforeSave(diagrams[existingIndex]);
         diagrams[existingIndex] = diagramData;
     } else {
         diagrams.unshift(diagramData);
     }
 
-    // Limit to MAX_DIAGRAMS (remove oldest if needed)
-    const trimmedDiagrams = diagrams.slice(0, MAX_DIAGRAMS);
-
-    saveDiagramsList(trimmedDiagrams);
+    saveDiagramsList(diagrams);
     saveSessionState();
     // Use V2 badge update
     if (typeof updateDiagramsBadge === 'function') {
@@ -1982,11 +2270,12 @@ function flushPendingAutoSave() {
     }
 }
 
-function loadDiagram(diagramId) {
+function loadDiagram(diagramId, { silent = false } = {}) {
     if (currentDiagramId && currentDiagramId !== diagramId) {
         flushPendingAutoSave();
         persistCurrentDiagramViewState();
     }
+    endVersionPreviewState();
 
     const diagrams = getAllDiagrams();
     const diagram = diagrams.find(d => d.id === diagramId);
@@ -1998,10 +2287,10 @@ function loadDiagram(diagramId) {
     pendingDiagramDeleteId = null;
     pendingLaneDeleteId = null;
     clearPendingPurgeRequest();
-    clearLaneHistory();
 
     setCurrentDiagramId(diagramId);
     app.diagram.fromJSON(diagram.data);
+    markDiagramSynced();
     app.elements.diagramTitle.value = app.diagram.title;
     app.elements.startTime.value = app.diagram.startTime;
     syncToolbarSettingsControls();
@@ -2023,14 +2312,17 @@ function loadDiagram(diagramId) {
     restorePinnedMeasurement();
 
     saveSessionState();
-    showToast({ type: 'success', title: 'Loaded', message: `"${diagram.title}" restored.`, duration: 2000 });
+    if (!silent) {
+        showToast({ type: 'success', title: 'Loaded', message: `"${diagram.title}" restored.`, duration: 2000 });
+    }
     return true;
 }
 
 function clearPendingDiagramDelete(options = {}) {
     const { rerender = true } = options;
-    if (!pendingDiagramDeleteId) return;
+    if (!pendingDiagramDeleteId && !diagramLibraryState.bulkDeletePending) return;
     pendingDiagramDeleteId = null;
+    diagramLibraryState.bulkDeletePending = false;
     if (rerender) renderDiagramsList();
 }
 
@@ -2080,6 +2372,7 @@ function confirmDiagramDelete(diagramId) {
 
     const filtered = diagrams.filter(d => d.id !== diagramId);
     saveDiagramsList(filtered);
+    diagramHistories.delete(diagramId);
 
     if (filtered.length === 0) {
         enterNoDiagramState();
@@ -2238,7 +2531,8 @@ function executePurgeOperation(mode) {
         }
 
         clearSelectedLaneSelection();
-        clearLaneHistory();
+        unlockedDiagrams.forEach(d => diagramHistories.delete(d.id));
+        updateUndoRedoButtons();
         if (app.elements.propertiesPanel) {
             app.elements.propertiesPanel.classList.add('hidden');
         }
@@ -2247,7 +2541,7 @@ function executePurgeOperation(mode) {
     }
 
     // mode: 'all'
-    localStorage.removeItem(STORAGE_KEY);
+    DiagramStore.clear();
     localStorage.removeItem(ACTIVE_DIAGRAM_KEY);
     localStorage.removeItem(SESSION_STATE_KEY);
 
@@ -2285,30 +2579,20 @@ function generateDiagramTitle() {
 }
 
 function createNewDiagram() {
-    // Check if we've reached the maximum number of diagrams
-    const diagrams = getAllDiagrams();
-    if (diagrams.length >= MAX_DIAGRAMS) {
-        showToast({
-            type: 'warning',
-            title: 'Maximum Diagrams Reached',
-            message: `You can only have ${MAX_DIAGRAMS} diagrams. Delete one to create a new diagram.`,
-            duration: 4000
-        });
-        return;
-    }
-
     pendingDiagramDeleteId = null;
     pendingLaneDeleteId = null;
     clearPendingPurgeRequest();
-    clearLaneHistory();
     flushPendingAutoSave();
+    endVersionPreviewState();
 
     setCurrentDiagramId(generateDiagramId());
+    clearDiagramHistory();
     app.diagram = new TimelineDiagram();
     app.diagram.title = generateDiagramTitle();
     app.diagram.addLane('Lane 1');
     applyDiagramViewState(null);
     app.selectedBoxId = null;
+    app.selectedBoxIds = [];
     app.selectedLaneId = null;
 
     // Clear any pinned measurement
@@ -2345,16 +2629,18 @@ function enterNoDiagramState(options = {}) {
     pendingDiagramDeleteId = null;
     pendingLaneDeleteId = null;
     clearPendingPurgeRequest();
-    clearLaneHistory();
     flushPendingAutoSave();
+    endVersionPreviewState();
 
     setCurrentDiagramId(null);
+    clearDiagramHistory();
     app.diagram = new TimelineDiagram();
     if (resetSettings) {
         app.settings = getDefaultTimelineSettings();
     }
     applyDiagramViewState(null);
     app.selectedBoxId = null;
+    app.selectedBoxIds = [];
     app.selectedLaneId = null;
     Compression.setEnabled(false);
     Compression.invalidate();
@@ -2462,6 +2748,408 @@ function createInlineDeleteOverlay(options) {
     return overlay;
 }
 
+// =====================================================
+// Diagram Library - folders, tags, search, sorting and bulk actions
+// =====================================================
+const DIAGRAM_FOLDER_ALL = '__all__';
+const DIAGRAM_FOLDER_UNFILED = '__unfiled__';
+const DIAGRAM_BUNDLE_FORMAT = 'timeline-diagrams';
+const DIAGRAM_BUNDLE_VERSION = 1;
+// Folder and tags are stored on the saved record next to title/updatedAt, not inside the diagram data.
+const diagramLibraryState = {
+    query: '',
+    folder: DIAGRAM_FOLDER_ALL,
+    sort: 'default',
+    selectedIds: new Set(),
+    bulkDeletePending: false
+};
+
+function normalizeDiagramFolder(value) {
+    return String(value || '').trim().replace(/\s+/g, ' ').slice(0, 60);
+}
+
+function normalizeDiagramTag(value) {
+    return String(value || '').trim().replace(/^#+/, '').replace(/\s+/g, '-').toLowerCase().slice(0, 40);
+}
+
+function getDiagramTags(record) {
+    return Array.isArray(record?.tags) ? record.tags.filter(tag => typeof tag === 'string' && tag) : [];
+}
+
+function getDiagramFolders(diagrams) {
+    const folders = new Set(diagrams.map(d => normalizeDiagramFolder(d.folder)).filter(Boolean));
+    return [...folders].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true }));
+}
+
+function getDiagramTagNames(diagrams) {
+    const tags = new Set();
+    diagrams.forEach(d => getDiagramTags(d).forEach(tag => tags.add(tag)));
+    return [...tags].sort();
+}
+
+/**
+ * Splits the search box into plain words and #tag filters.
+ * @param {string} query
+ * @returns {{terms: string[], tags: string[]}}
+ */
+function parseDiagramSearchQuery(query) {
+    const terms = [];
+    const tags = [];
+    String(query || '').toLowerCase().split(/\s+/).filter(Boolean).forEach(token => {
+        if (token.startsWith('#')) {
+            const tag = normalizeDiagramTag(token);
+            if (tag) tags.push(tag);
+        } else {
+            terms.push(token);
+        }
+    });
+    return { terms, tags };
+}
+
+/**
+ * Every word must appear in the title, a lane name or a box label; #tag filters
+ * must prefix one of the diagram's tags.
+ * @returns {?{hint: string}} Null when the diagram does not match; hint names the lane or box that matched
+ */
+function matchDiagramSearch(record, search) {
+    const tags = getDiagramTags(record);
+    if (!search.tags.every(filter => tags.some(tag => tag.startsWith(filter)))) return null;
+    if (!search.terms.length) return { hint: '' };
+
+    const title = String(record.title || '').toLowerCase();
+    const data = record.data || {};
+    const laneNames = (Array.isArray(data.lanes) ? data.lanes : []).map(lane => String(lane?.name || ''));
+    const boxLabels = (Array.isArray(data.boxes) ? data.boxes : []).map(box => String(box?.label || ''));
+    let hint = '';
+    for (const term of search.terms) {
+        if (title.includes(term)) continue;
+        const laneName = laneNames.find(name => name.toLowerCase().includes(term));
+        if (laneName) {
+            hint = hint || `Lane: ${laneName}`;
+            continue;
+        }
+        const boxLabel = boxLabels.find(label => label.toLowerCase().includes(term));
+        if (boxLabel) {
+            hint = hint || `Box: ${boxLabel}`;
+            continue;
+        }
+        return null;
+    }
+    return { hint };
+}
+
+function sortDiagramRecords(entries, sort) {
+    const byTitle = (a, b) => String(a.record.title || '').localeCompare(String(b.record.title || ''), undefined, { sensitivity: 'base', numeric: true });
+    const boxCount = entry => (Array.isArray(entry.record.data?.boxes) ? entry.record.data.boxes.length : 0);
+    const sorted = entries.slice();
+    if (sort === 'updated') {
+        sorted.sort((a, b) => (Number(b.record.updatedAt) || 0) - (Number(a.record.updatedAt) || 0));
+    } else if (sort === 'title') {
+        sorted.sort(byTitle);
+    } else if (sort === 'boxes') {
+        sorted.sort((a, b) => (boxCount(b) - boxCount(a)) || byTitle(a, b));
+    }
+    return sorted;
+}
+
+/**
+ * Applies the folder filter, search and sort from the Diagrams modal.
+ * @param {Array<Object>} diagrams - Saved diagram records
+ * @returns {Array<{record: Object, hint: string}>}
+ */
+function getVisibleDiagramEntries(diagrams) {
+    const { folder, sort } = diagramLibraryState;
+    const search = parseDiagramSearchQuery(diagramLibraryState.query);
+    const entries = [];
+    diagrams.forEach(record => {
+        const recordFolder = normalizeDiagramFolder(record.folder);
+        if (folder === DIAGRAM_FOLDER_UNFILED && recordFolder) return;
+        if (folder !== DIAGRAM_FOLDER_ALL && folder !== DIAGRAM_FOLDER_UNFILED && recordFolder !== folder) return;
+        const match = matchDiagramSearch(record, search);
+        if (match) entries.push({ record, hint: match.hint });
+    });
+    return sortDiagramRecords(entries, sort);
+}
+
+function fillDatalist(datalist, values) {
+    if (!datalist) return;
+    datalist.innerHTML = '';
+    values.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        datalist.appendChild(option);
+    });
+}
+
+/**
+ * Syncs the search/filter row and bulk action bar with the current list and selection.
+ * @param {Array<Object>} diagrams - All saved records
+ * @param {Array<{record: Object}>} visibleEntries - Records currently shown
+ */
+function renderDiagramLibraryControls(diagrams, visibleEntries) {
+    const folders = getDiagramFolders(diagrams);
+    if (![DIAGRAM_FOLDER_ALL, DIAGRAM_FOLDER_UNFILED].includes(diagramLibraryState.folder) && !folders.includes(diagramLibraryState.folder)) {
+        diagramLibraryState.folder = DIAGRAM_FOLDER_ALL;
+    }
+
+    const folderFilter = document.getElementById('diagrams-folder-filter');
+    if (folderFilter) {
+        folderFilter.innerHTML = '';
+        const options = [
+            [DIAGRAM_FOLDER_ALL, 'All folders'],
+            [DIAGRAM_FOLDER_UNFILED, 'No folder'],
+            ...folders.map(folder => [folder, `📁 ${folder}`])
+        ];
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            folderFilter.appendChild(option);
+        });
+        folderFilter.value = diagramLibraryState.folder;
+    }
+    fillDatalist(document.getElementById('diagrams-folder-options'), folders);
+    fillDatalist(document.getElementById('diagrams-tag-options'), getDiagramTagNames(diagrams));
+
+    const sortSelect = document.getElementById('diagrams-sort');
+    if (sortSelect) sortSelect.value = diagramLibraryState.sort;
+    const searchInput = document.getElementById('diagrams-search');
+    if (searchInput && searchInput.value !== diagramLibraryState.query) searchInput.value = diagramLibraryState.query;
+
+    updateDiagramSelectionControls(visibleEntries);
+}
+
+function updateDiagramSelectionControls(visibleEntries) {
+    const selected = diagramLibraryState.selectedIds;
+    const selectAll = document.getElementById('diagrams-select-all');
+    if (selectAll) {
+        const shownSelected = visibleEntries.filter(entry => selected.has(entry.record.id)).length;
+        selectAll.disabled = visibleEntries.length === 0;
+        selectAll.checked = visibleEntries.length > 0 && shownSelected === visibleEntries.length;
+        selectAll.indeterminate = shownSelected > 0 && shownSelected < visibleEntries.length;
+    }
+
+    const bulkBar = document.getElementById('diagrams-bulk-bar');
+    if (!bulkBar) return;
+    if (selected.size === 0) diagramLibraryState.bulkDeletePending = false;
+    bulkBar.classList.toggle('hidden', selected.size === 0);
+    const count = document.getElementById('diagrams-selected-count');
+    if (count) count.textContent = `${selected.size} selected`;
+
+    bulkBar.querySelectorAll('.inline-delete-overlay').forEach(node => node.remove());
+    const deleteBtn = document.getElementById('diagrams-bulk-delete');
+    if (deleteBtn) deleteBtn.classList.toggle('is-delete-pending', diagramLibraryState.bulkDeletePending);
+    if (!diagramLibraryState.bulkDeletePending) return;
+
+    const lockedCount = getAllDiagrams().filter(d => selected.has(d.id) && d.data && d.data.locked).length;
+    const overlay = createInlineDeleteOverlay({
+        title: `Delete ${selected.size - lockedCount} Diagram(s)?`,
+        message: lockedCount
+            ? `${lockedCount} locked diagram(s) in the selection will be kept.`
+            : 'The selected diagrams will be permanently removed.',
+        confirmLabel: 'Delete',
+        cancelLabel: 'Cancel',
+        onConfirm: () => confirmBulkDiagramDelete(),
+        onCancel: () => clearPendingDiagramDelete()
+    });
+    overlay.classList.add('inline-delete-inline');
+    bulkBar.appendChild(overlay);
+}
+
+function setDiagramSelected(diagramId, selected) {
+    if (selected) {
+        diagramLibraryState.selectedIds.add(diagramId);
+    } else {
+        diagramLibraryState.selectedIds.delete(diagramId);
+    }
+    diagramLibraryState.bulkDeletePending = false;
+    renderDiagramsList();
+}
+
+function getSelectedDiagramRecords(diagrams = getAllDiagrams()) {
+    return diagrams.filter(d => diagramLibraryState.selectedIds.has(d.id));
+}
+
+/**
+ * Moves the selected diagrams into a folder; an empty name removes them from their folder.
+ * @param {string} folderName
+ */
+function moveSelectedDiagrams(folderName) {
+    const folder = normalizeDiagramFolder(folderName);
+    const diagrams = getAllDiagrams();
+    const selected = getSelectedDiagramRecords(diagrams);
+    if (!selected.length) return;
+
+    selected.forEach(record => {
+        if (folder) {
+            record.folder = folder;
+        } else {
+            delete record.folder;
+        }
+    });
+    saveDiagramsList(diagrams);
+    renderDiagramsList();
+    showToast({
+        type: 'success',
+        title: 'Moved',
+        message: folder ? `${selected.length} diagram(s) moved to "${escapeHtml(folder)}".` : `${selected.length} diagram(s) removed from their folder.`,
+        duration: 2000
+    });
+}
+
+/**
+ * Adds or removes a tag on the selected diagrams.
+ * @param {string} tagName
+ * @param {boolean} [remove=false]
+ */
+function tagSelectedDiagrams(tagName, remove = false) {
+    const tag = normalizeDiagramTag(tagName);
+    if (!tag) {
+        showToast({ type: 'warning', title: 'No Tag', message: 'Type a tag name first.', duration: 2000 });
+        return;
+    }
+    const diagrams = getAllDiagrams();
+    const selected = getSelectedDiagramRecords(diagrams);
+    if (!selected.length) return;
+
+    selected.forEach(record => {
+        const tags = getDiagramTags(record).filter(existing => existing !== tag);
+        if (!remove) tags.push(tag);
+        if (tags.length) {
+            record.tags = tags.sort();
+        } else {
+            delete record.tags;
+        }
+    });
+    saveDiagramsList(diagrams);
+    renderDiagramsList();
+    showToast({
+        type: 'success',
+        title: remove ? 'Tag Removed' : 'Tagged',
+        message: `#${escapeHtml(tag)} ${remove ? 'removed from' : 'added to'} ${selected.length} diagram(s).`,
+        duration: 2000
+    });
+}
+
+/**
+ * Downloads the selected saved diagrams, with their folders and tags, as one JSON bundle.
+ */
+function exportSelectedDiagrams() {
+    flushPendingAutoSave();
+    const selected = getSelectedDiagramRecords();
+    if (!selected.length) return;
+
+    const bundle = {
+        format: DIAGRAM_BUNDLE_FORMAT,
+        version: DIAGRAM_BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        diagrams: selected
+    };
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadTextFile(JSON.stringify(bundle, null, 2), 'json', 'application/json', `timeline-diagrams-${stamp}`);
+    showToast({ type: 'success', title: 'Exported', message: `${selected.length} diagram(s) downloaded.`, duration: 2000 });
+}
+
+function requestBulkDiagramDelete() {
+    const selected = getSelectedDiagramRecords();
+    if (!selected.length) return;
+    if (selected.every(d => d.data && d.data.locked)) {
+        showToast({ type: 'warning', title: 'Diagrams Locked', message: 'Unlock the selected diagrams before deleting.', duration: 2500 });
+        return;
+    }
+    pendingDiagramDeleteId = null;
+    diagramLibraryState.bulkDeletePending = true;
+    renderDiagramsList();
+}
+
+function confirmBulkDiagramDelete() {
+    diagramLibraryState.bulkDeletePending = false;
+    const diagrams = getAllDiagrams();
+    // Locked diagrams stay, same as single delete and purge
+    const removedIds = new Set(getSelectedDiagramRecords(diagrams).filter(d => !d.data || !d.data.locked).map(d => d.id));
+    if (!removedIds.size) {
+        renderDiagramsList();
+        return;
+    }
+
+    const remaining = diagrams.filter(d => !removedIds.has(d.id));
+    saveDiagramsList(remaining);
+    removedIds.forEach(id => {
+        diagramHistories.delete(id);
+        diagramLibraryState.selectedIds.delete(id);
+    });
+
+    if (remaining.length === 0) {
+        enterNoDiagramState();
+    } else if (removedIds.has(currentDiagramId)) {
+        loadDiagram(remaining[0].id);
+    } else {
+        renderDiagramsList();
+    }
+
+    // Deleting any diagram should reset compression view to avoid stale gap markers.
+    resetCompressionView({ rerender: true, persist: true });
+
+    showToast({ type: 'success', title: 'Deleted', message: `${removedIds.size} diagram(s) removed.`, duration: 1600 });
+}
+
+function createDiagramChip(className, text, title, onClick) {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = `diagram-chip ${className}`;
+    chip.textContent = text;
+    chip.title = title;
+    chip.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick();
+    });
+    return chip;
+}
+
+function initDiagramLibraryControls() {
+    const searchInput = document.getElementById('diagrams-search');
+    if (!searchInput) return;
+
+    searchInput.addEventListener('input', () => {
+        diagramLibraryState.query = searchInput.value;
+        renderDiagramsList();
+    });
+    document.getElementById('diagrams-folder-filter').addEventListener('change', (e) => {
+        diagramLibraryState.folder = e.target.value;
+        renderDiagramsList();
+    });
+    document.getElementById('diagrams-sort').addEventListener('change', (e) => {
+        diagramLibraryState.sort = e.target.value;
+        renderDiagramsList();
+    });
+    document.getElementById('diagrams-select-all').addEventListener('change', (e) => {
+        const visible = getVisibleDiagramEntries(getAllDiagrams());
+        visible.forEach(entry => {
+            if (e.target.checked) {
+                diagramLibraryState.selectedIds.add(entry.record.id);
+            } else {
+                diagramLibraryState.selectedIds.delete(entry.record.id);
+            }
+        });
+        diagramLibraryState.bulkDeletePending = false;
+        renderDiagramsList();
+    });
+
+    const folderInput = document.getElementById('diagrams-bulk-folder');
+    const tagInput = document.getElementById('diagrams-bulk-tag');
+    document.getElementById('diagrams-bulk-move').addEventListener('click', () => moveSelectedDiagrams(folderInput.value));
+    folderInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') moveSelectedDiagrams(folderInput.value);
+    });
+    document.getElementById('diagrams-bulk-tag-add').addEventListener('click', () => tagSelectedDiagrams(tagInput.value));
+    document.getElementById('diagrams-bulk-tag-remove').addEventListener('click', () => tagSelectedDiagrams(tagInput.value, true));
+    tagInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') tagSelectedDiagrams(tagInput.value);
+    });
+    document.getElementById('diagrams-bulk-export').addEventListener('click', exportSelectedDiagrams);
+    document.getElementById('diagrams-bulk-delete').addEventListener('click', requestBulkDiagramDelete);
+}
+
 function renderDiagramsList() {
     const container = document.getElementById('diagrams-list');
     if (!container) return;
@@ -2471,22 +3159,41 @@ function renderDiagramsList() {
     if (pendingDiagramDeleteId && !diagrams.some(d => d.id === pendingDiagramDeleteId)) {
         pendingDiagramDeleteId = null;
     }
+    const savedIds = new Set(diagrams.map(d => d.id));
+    diagramLibraryState.selectedIds.forEach(id => {
+        if (!savedIds.has(id)) diagramLibraryState.selectedIds.delete(id);
+    });
+    const entries = getVisibleDiagramEntries(diagrams);
+    renderDiagramLibraryControls(diagrams, entries);
 
     if (diagrams.length === 0) {
         pendingDiagramDeleteId = null;
         container.innerHTML = '<div class="empty-state">No saved diagrams found.</div>';
-        updateNewDiagramButton();
-        updateLoadButton();
+        updateStorageUsageMeter();
         updateDiagramsBadge();
         return;
     }
 
-    diagrams.forEach(d => {
+    if (entries.length === 0) {
+        container.innerHTML = '<div class="empty-state">No diagrams match the search or folder filter.</div>';
+    }
+
+    entries.forEach(({ record: d, hint }) => {
         const item = document.createElement('div');
         item.className = 'diagram-item';
         if (d.id === currentDiagramId) {
             item.classList.add('active');
         }
+        const isSelected = diagramLibraryState.selectedIds.has(d.id);
+        item.classList.toggle('is-selected', isSelected);
+
+        const selectBox = document.createElement('input');
+        selectBox.type = 'checkbox';
+        selectBox.className = 'diagram-select';
+        selectBox.checked = isSelected;
+        selectBox.setAttribute('aria-label', `Select ${d.title || 'Untitled'}`);
+        selectBox.addEventListener('click', (e) => e.stopPropagation());
+        selectBox.addEventListener('change', () => setDiagramSelected(d.id, selectBox.checked));
 
         const date = new Date(d.updatedAt).toLocaleString();
 
@@ -2514,8 +3221,32 @@ function renderDiagramsList() {
         dateDiv.className = 'diagram-date';
         dateDiv.textContent = date;
 
+        const folder = normalizeDiagramFolder(d.folder);
+        const tags = getDiagramTags(d);
+        const meta = document.createElement('div');
+        meta.className = 'diagram-meta';
+        if (folder) {
+            meta.appendChild(createDiagramChip('diagram-folder-chip', `📁 ${folder}`, 'Show this folder', () => {
+                diagramLibraryState.folder = folder;
+                renderDiagramsList();
+            }));
+        }
+        tags.forEach(tag => {
+            meta.appendChild(createDiagramChip('diagram-tag-chip', `#${tag}`, 'Show diagrams with this tag', () => {
+                diagramLibraryState.query = `#${tag}`;
+                renderDiagramsList();
+            }));
+        });
+
         info.appendChild(titleDiv);
         info.appendChild(dateDiv);
+        if (meta.childNodes.length) info.appendChild(meta);
+        if (hint) {
+            const hintDiv = document.createElement('div');
+            hintDiv.className = 'diagram-match';
+            hintDiv.textContent = hint;
+            info.appendChild(hintDiv);
+        }
 
         const actions = document.createElement('div');
         actions.className = 'diagram-actions';
@@ -2546,6 +3277,7 @@ function renderDiagramsList() {
         actions.appendChild(lockBtn);
         actions.appendChild(deleteBtn);
 
+        item.appendChild(selectBox);
         item.appendChild(info);
         item.appendChild(actions);
 
@@ -2586,49 +3318,48 @@ function renderDiagramsList() {
         container.appendChild(item);
     });
 
-    // Update new diagram button state
-    updateNewDiagramButton();
-    updateLoadButton();
+    updateStorageUsageMeter();
 
     // Update badge
     updateDiagramsBadge();
 }
 
-function updateNewDiagramButton() {
-    const btn = document.getElementById('new-diagram-btn');
-    const btnText = document.getElementById('new-diagram-btn-text');
-    if (!btn || !btnText) return;
+function formatStorageSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
 
-    const diagrams = getAllDiagrams();
-    const isAtMax = diagrams.length >= MAX_DIAGRAMS;
-
-    if (isAtMax) {
-        btn.disabled = true;
-        btnText.textContent = `Max ${MAX_DIAGRAMS} Diagrams`;
-        btn.title = `You've reached the maximum of ${MAX_DIAGRAMS} diagrams. Delete a diagram to create a new one.`;
-    } else {
-        btn.disabled = false;
-        btnText.textContent = '+ New Diagram';
-        btn.title = 'Create a new timeline diagram';
-    }
-}
-
-function updateLoadButton() {
-    const btn = document.getElementById('load-json');
-    if (!btn) return;
-
-    const diagrams = getAllDiagrams();
-    const isAtMax = diagrams.length >= MAX_DIAGRAMS;
-
-    if (isAtMax) {
-        btn.disabled = true;
-        btn.classList.add('btn-disabled-warn');
-        btn.title = `You've reached the maximum of ${MAX_DIAGRAMS} diagrams. Delete a diagram to load a new one.`;
-    } else {
-        btn.disabled = false;
-        btn.classList.remove('btn-disabled-warn');
-        btn.title = 'Load diagram from JSON file';
-    }
+/**
+ * Shows how much space saved diagrams take in the Diagrams modal footer.
+ * The bar tracks the origin's usage against the browser quota when it reports one.
+ */
+function updateStorageUsageMeter() {
+    const meter = document.getElementById('storage-usage');
+    if (!meter) return;
+
+    DiagramStore.getUsage().then(usage => {
+        const fill = document.getElementById('storage-usage-fill');
+        const text = document.getElementById('storage-usage-text');
+        const countLabel = `${usage.count} diagram${usage.count === 1 ? '' : 's'}`;
+        const hasQuota = Number.isFinite(usage.quota) && usage.quota > 0;
+        const used = Number.isFinite(usage.usage) ? Math.max(usage.usage, usage.bytes) : usage.bytes;
+        const ratio = hasQuota ? Math.min(1, used / usage.quota) : 0;
+
+        if (text) {
+            text.textContent = `${countLabel} · ${formatStorageSize(usage.bytes)}`;
+        }
+        if (fill) {
+            // Keep a sliver visible so the bar still reads as a meter at tiny ratios
+            fill.style.width = hasQuota ? `${Math.max(ratio * 100, usage.count ? 1 : 0).toFixed(1)}%` : '0%';
+        }
+        meter.classList.toggle('is-unknown', !hasQuota);
+        meter.classList.toggle('is-high', ratio >= 0.8);
+        meter.title = hasQuota
+            ? `Browser storage: ${formatStorageSize(used)} of ${formatStorageSize(usage.quota)} used (${(ratio * 100).toFixed(1)}%)`
+            : `Saved in ${usage.backend === 'indexeddb' ? 'IndexedDB' : 'localStorage'}; the browser did not report a quota`;
+    });
 }
 
 function toggleDiagramsPanel() {
@@ -2640,3233 +3371,6847 @@ function toggleDiagramsPanel() {
 }
 
 // =====================================================
-// Utility Functions
+// Workspace Backup - every diagram, version, setting and SIP log in one archive
 // =====================================================
-function parseTime(timeStr) {
-    // Parse "HH:MM:SS sss" format
-    const match = timeStr.match(/(\d{2}):(\d{2}):(\d{2})\s*(\d{3})?/);
-    if (!match) return 0;
-    const hours = parseInt(match[1], 10);
-    const minutes = parseInt(match[2], 10);
-    const seconds = parseInt(match[3], 10);
-    const ms = parseInt(match[4] || '0', 10);
-    return ((hours * 3600) + (minutes * 60) + seconds) * 1000 + ms;
+const WORKSPACE_FORMAT = 'timeline-workspace';
+const WORKSPACE_VERSION = 1;
+const SIP_SAVED_LOGS_KEY = 'sip_saved_logs';
+// Matches MAX_SAVED_LOGS in sip-parser.js
+const SIP_SAVED_LOGS_LIMIT = 20;
+// Preferences that live outside the diagrams themselves
+const WORKSPACE_SETTING_KEYS = ['tld-theme', 'sip_parser_theme'];
+const WORKSPACE_REPORT_PREVIEW = 8;
+let pendingWorkspaceImport = null;
+
+function readStoredJSON(key, fallback) {
+    try {
+        const raw = localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch (e) {
+        console.warn(`Failed to read ${key}:`, e);
+        return fallback;
+    }
 }
 
-function formatTime(ms) {
-    const totalSeconds = Math.floor(ms / 1000);
-    const hours = Math.floor(totalSeconds / 3600);
-    const minutes = Math.floor((totalSeconds % 3600) / 60);
-    const seconds = totalSeconds % 60;
-    const milliseconds = Math.round(ms % 1000);
+/**
+ * Downloads the whole workspace: saved diagrams with their versions, the
+ * session (open diagram, zoom), preferences and SIP parser saved logs.
+ */
+async function exportWorkspace() {
+    flushPendingAutoSave();
+    persistCurrentDiagramViewState();
+    saveSessionState();
 
-    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')} ${String(milliseconds).padStart(3, '0')}`;
+    const settings = {};
+    WORKSPACE_SETTING_KEYS.forEach(key => {
+        const value = localStorage.getItem(key);
+        if (value !== null) settings[key] = value;
+    });
+    const diagrams = getAllDiagrams();
+    let snapshots;
+    try {
+        snapshots = await DiagramStore.getAllSnapshots();
+    } catch (e) {
+        console.error('Failed to read diagram versions:', e);
+        showToast({
+            type: 'error',
+            title: 'Storage Error',
+            message: 'Could not read versions from browser storage.'
+        });
+        return;
+    }
+    const logs = readStoredJSON(SIP_SAVED_LOGS_KEY, []);
+    const archive = {
+        format: WORKSPACE_FORMAT,
+        version: WORKSPACE_VERSION,
+        exportedAt: new Date().toISOString(),
+        diagrams,
+        snapshots,
+        session: {
+            activeDiagramId: getStoredActiveDiagramId(),
+            state: loadSessionState()
+        },
+        settings,
+        sipSavedLogs: Array.isArray(logs) ? logs : []
+    };
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadTextFile(JSON.stringify(archive, null, 2), 'json', 'application/json', `timeline-workspace-${stamp}`);
+    showToast({
+        type: 'success',
+        title: 'Workspace Exported',
+        message: `${diagrams.length} diagram(s), ${snapshots.length} version(s) and ${archive.sipSavedLogs.length} SIP log(s) downloaded.`,
+        duration: 2500
+    });
 }
 
-function formatDuration(ms, forceUnit = null) {
-    const numericMs = Number(ms);
-    const baseUnit = normalizeBaseTimeUnit(forceUnit || getBaseTimeUnit());
-    const unitLabel = getBaseUnitLabel(baseUnit);
-
-    if (!Number.isFinite(numericMs)) {
-        return `0${unitLabel}`;
-    }
+function isWorkspaceArchive(data) {
+    return !!data && typeof data === 'object' && (data.format === WORKSPACE_FORMAT || data.format === DIAGRAM_BUNDLE_FORMAT);
+}
 
-    // For non-ms base units, show sub-unit values below threshold and base-unit values above threshold.
-    if (baseUnit !== 'ms') {
-        const thresholdMs = Math.max(0, Number(app?.settings?.timeFormatThreshold || 0));
-        const subUnit = getBaseUnitSubunit(baseUnit);
-        const showSubUnit = !!subUnit && thresholdMs > 0 && Math.abs(numericMs) < thresholdMs;
-        const activeUnit = showSubUnit ? subUnit : baseUnit;
-        const unitValue = msToUnitValue(numericMs, activeUnit);
-        const activeLabel = getBaseUnitLabel(activeUnit);
-        return `${formatUnitValue(unitValue, 2)}${activeLabel}`;
+/**
+ * Validates a workspace archive or a diagrams bundle from the bulk export.
+ * Records without an id or diagram data are dropped and counted.
+ * @param {Object} data - Parsed JSON
+ * @returns {{isWorkspace: boolean, diagrams: Array, snapshots: Array, session: ?Object, settings: Object, sipSavedLogs: Array, invalid: number}}
+ */
+function parseWorkspaceArchive(data) {
+    if (!isWorkspaceArchive(data)) {
+        throw new Error('Not a workspace archive.');
+    }
+    if (Number(data.version) > WORKSPACE_VERSION) {
+        throw new Error(`Archive version ${data.version} is newer than this app supports.`);
+    }
+    const rawDiagrams = Array.isArray(data.diagrams) ? data.diagrams : [];
+    const seen = new Set();
+    const diagrams = rawDiagrams.filter(record => {
+        const valid = record && typeof record.id === 'string' && record.id && record.data && typeof record.data === 'object' && !seen.has(record.id);
+        if (valid) seen.add(record.id);
+        return valid;
+    });
+    const isWorkspace = data.format === WORKSPACE_FORMAT;
+    const settings = {};
+    if (isWorkspace && data.settings && typeof data.settings === 'object') {
+        WORKSPACE_SETTING_KEYS.forEach(key => {
+            if (typeof data.settings[key] === 'string') settings[key] = data.settings[key];
+        });
     }
+    return {
+        isWorkspace,
+        diagrams,
+        snapshots: isWorkspace && Array.isArray(data.snapshots)
+            ? data.snapshots.filter(snap => snap && snap.id && seen.has(snap.diagramId) && snap.data)
+            : [],
+        session: isWorkspace && data.session && typeof data.session === 'object' ? data.session : null,
+        settings,
+        sipSavedLogs: isWorkspace && Array.isArray(data.sipSavedLogs)
+            ? data.sipSavedLogs.filter(log => log && log.id && typeof log.content === 'string')
+            : [],
+        invalid: rawDiagrams.length - diagrams.length
+    };
+}
 
-    const threshold = app.settings.timeFormatThreshold;
+/**
+ * Incoming diagrams that clash with saved ones: the same id, or a different id
+ * with the same title (case-insensitive).
+ */
+function findWorkspaceDuplicates(incoming, existing) {
+    const existingById = new Map(existing.map(record => [record.id, record]));
+    const existingTitles = new Set(existing.map(record => normalizeDiffKey(record.title)));
+    const byId = [];
+    const byTitle = [];
+    incoming.forEach(record => {
+        const match = existingById.get(record.id);
+        if (match) {
+            byId.push({ id: record.id, title: record.title || 'Untitled', existingTitle: match.title || 'Untitled' });
+        } else if (existingTitles.has(normalizeDiffKey(record.title))) {
+            byTitle.push({ id: record.id, title: record.title || 'Untitled' });
+        }
+    });
+    return { byId, byTitle };
+}
+
+function mergeSipSavedLogs(existing, incoming) {
+    const ids = new Set(existing.map(log => log.id));
+    const contents = new Set(existing.map(log => log.content));
+    const logs = existing.slice();
+    let added = 0;
+    let skipped = 0;
+    incoming.forEach(log => {
+        if (ids.has(log.id) || contents.has(log.content)) return;
+        if (logs.length >= SIP_SAVED_LOGS_LIMIT) {
+            skipped++;
+            return;
+        }
+        logs.push(log);
+        ids.add(log.id);
+        contents.add(log.content);
+        added++;
+    });
+    return { logs, added, skipped };
+}
 
-    // Handle sub-millisecond values (for extreme zoom)
-    if (numericMs < 1 && numericMs > 0) {
-        const us = numericMs * 1000; // Convert to microseconds
-        if (us < 1) {
-            const ns = us * 1000; // Convert to nanoseconds
-            return `${ns.toFixed(ns < 10 ? 1 : 0)}ns`;
+/**
+ * Writes an archive into storage.
+ * Merge keeps this browser's diagrams, settings and session; duplicate ids are
+ * skipped, overwritten or imported as copies. Replace swaps everything saved
+ * here for the archive and also restores its settings and session; nothing is
+ * removed unless the archive's diagrams were written.
+ * @param {Object} archive - Result of parseWorkspaceArchive()
+ * @param {{mode: 'merge'|'replace', duplicates: 'skip'|'overwrite'|'copy'}} options
+ * @returns {Promise<Object>} Counts for the import report
+ */
+async function importWorkspace(archive, { mode, duplicates }) {
+    const report = { added: 0, overwritten: 0, copied: 0, skipped: 0, versions: 0, versionsFailed: 0, staleVersionsKept: false, logsAdded: 0, logsSkipped: 0 };
+    const existing = mode === 'replace' ? [] : getAllDiagrams();
+    const existingIds = new Set(existing.map(record => record.id));
+    // Archive id -> id it is stored under, for diagrams actually written
+    const writtenIds = new Map();
+    const incoming = [];
+    const list = existing.slice();
+
+    archive.diagrams.forEach(record => {
+        if (!existingIds.has(record.id)) {
+            incoming.push(record);
+            writtenIds.set(record.id, record.id);
+            report.added++;
+        } else if (duplicates === 'overwrite') {
+            list[list.findIndex(d => d.id === record.id)] = record;
+            writtenIds.set(record.id, record.id);
+            diagramHistories.delete(record.id);
+            report.overwritten++;
+        } else if (duplicates === 'copy') {
+            const id = generateDiagramId();
+            incoming.push({ ...record, id, title: `${record.title || 'Untitled'} (imported)`, data: { ...record.data, title: `${record.title || 'Untitled'} (imported)` } });
+            writtenIds.set(record.id, id);
+            report.copied++;
+        } else {
+            report.skipped++;
         }
-        return `${us.toFixed(us < 10 ? 1 : 0)}μs`;
-    }
+    });
 
-    // If threshold is 0, always show ms
-    if (threshold === 0) {
-        return `${Math.round(numericMs)}ms`;
+    // saveAll() drops records missing from the new list, with their versions, in the same write
+    const previous = getAllDiagrams();
+    const staleSnapshotIds = mode === 'replace'
+        ? (await DiagramStore.getAllSnapshots()).map(snap => snap.id)
+        : [];
+    const saved = await DiagramStore.saveAll(incoming.concat(list));
+    if (!saved) {
+        // Storage still holds the old list; put the in-memory copy back to match
+        await DiagramStore.saveAll(previous);
+        throw new Error('Could not save to browser storage.');
+    }
+    if (mode === 'replace') {
+        // Edits still waiting to autosave belong to the replaced workspace
+        cancelPendingAutoSave();
+        enterNoDiagramState();
+        diagramHistories.clear();
+        if (staleSnapshotIds.length && !(await DiagramStore.deleteSnapshots(staleSnapshotIds))) {
+            report.staleVersionsKept = true;
+        }
     }
 
-    // If duration exceeds threshold, show in appropriate unit
-    if (numericMs >= threshold) {
-        if (numericMs >= 60000) {
-            // Show minutes and seconds
-            const minutes = Math.floor(numericMs / 60000);
-            const seconds = ((numericMs % 60000) / 1000).toFixed(1);
-            return seconds === '0.0' ? `${minutes}m` : `${minutes}m ${seconds}s`;
+    const snapshots = archive.snapshots
+        .filter(snap => writtenIds.has(snap.diagramId))
+        .map(snap => {
+            const diagramId = writtenIds.get(snap.diagramId);
+            return diagramId === snap.diagramId ? snap : { ...snap, id: generateSnapshotId(), diagramId };
+        });
+    const stored = await Promise.all(snapshots.map(snap => DiagramStore.addSnapshot(snap)));
+    report.versions = stored.filter(Boolean).length;
+    report.versionsFailed = stored.length - report.versions;
+
+    const currentLogs = mode === 'replace' ? [] : readStoredJSON(SIP_SAVED_LOGS_KEY, []);
+    const logs = mergeSipSavedLogs(Array.isArray(currentLogs) ? currentLogs : [], archive.sipSavedLogs);
+    report.logsAdded = logs.added;
+    report.logsSkipped = logs.skipped;
+    try {
+        if (mode === 'replace' || logs.added) {
+            localStorage.setItem(SIP_SAVED_LOGS_KEY, JSON.stringify(logs.logs));
         }
-        // Show seconds
-        const seconds = (numericMs / 1000).toFixed(numericMs % 1000 === 0 ? 0 : 1);
-        return `${seconds}s`;
+        if (mode === 'replace') {
+            Object.entries(archive.settings).forEach(([key, value]) => localStorage.setItem(key, value));
+        }
+    } catch (e) {
+        console.error('Failed to restore workspace settings:', e);
     }
-    return `${Math.round(numericMs)}ms`;
+    return report;
 }
 
-function syncBaseTimeUnitUI() {
-    const baseUnit = getBaseTimeUnit();
-    const unitLabel = getBaseUnitLabel(baseUnit);
-
-    const baseUnitSelect = document.getElementById('config-base-time-unit');
-    if (baseUnitSelect && baseUnitSelect.value !== baseUnit) {
-        baseUnitSelect.value = baseUnit;
+/**
+ * Opens the restored session after a replace, or refreshes the open diagram
+ * when a merge overwrote it.
+ */
+function refreshAfterWorkspaceImport(archive, mode) {
+    const diagrams = getAllDiagrams();
+    if (mode === 'replace') {
+        const theme = archive.settings['tld-theme'];
+        if (theme && typeof V2 !== 'undefined' && V2.isV2) V2.applyTheme(theme);
+        const state = archive.session && archive.session.state;
+        if (state) applySessionState(state);
+        const activeId = archive.session && archive.session.activeDiagramId;
+        const target = diagrams.find(d => d.id === activeId) || diagrams[0];
+        if (target) loadDiagram(target.id, { silent: true });
+        saveSessionState();
+    } else if (currentDiagramId && diagrams.some(d => d.id === currentDiagramId)) {
+        loadDiagram(currentDiagramId, { silent: true });
+    } else if (!currentDiagramId && diagrams.length) {
+        loadDiagram(diagrams[0].id, { silent: true });
     }
+    renderDiagramsList();
+}
 
-    [
-        'config-timeline-duration-unit',
-        'config-trailing-space-unit',
-        'config-compression-threshold-unit',
-        'box-start-unit-label',
-        'box-duration-unit-label',
-        'box-end-unit-label',
-        'props-box-start-unit-label',
-        'props-box-duration-unit-label'
-    ].forEach(id => {
-        const el = document.getElementById(id);
-        if (el) el.textContent = unitLabel;
+function appendWorkspaceReportList(container, heading, items) {
+    if (!items.length) return;
+    const title = document.createElement('div');
+    title.className = 'workspace-report-heading';
+    title.textContent = heading;
+    container.appendChild(title);
+    const list = document.createElement('ul');
+    list.className = 'workspace-report-list';
+    items.slice(0, WORKSPACE_REPORT_PREVIEW).forEach(text => {
+        const li = document.createElement('li');
+        li.textContent = text;
+        list.appendChild(li);
     });
+    if (items.length > WORKSPACE_REPORT_PREVIEW) {
+        const li = document.createElement('li');
+        li.className = 'text-muted';
+        li.textContent = `+${items.length - WORKSPACE_REPORT_PREVIEW} more`;
+        list.appendChild(li);
+    }
+    container.appendChild(list);
+}
 
-    const durationInput = document.getElementById('config-timeline-duration');
-    if (durationInput) {
-        durationInput.step = 'any';
-        durationInput.min = formatMsForInput(1000, baseUnit, 6);
-        durationInput.value = formatMsForInput(app.settings.timelineDuration, baseUnit);
+function getWorkspaceImportOptions() {
+    const replace = !!document.getElementById('workspace-import-replace')?.checked;
+    return {
+        mode: replace ? 'replace' : 'merge',
+        duplicates: document.getElementById('workspace-import-duplicates')?.value || 'skip'
+    };
+}
+
+function renderWorkspaceImportPreview() {
+    if (!pendingWorkspaceImport) return;
+    const { archive, fileName } = pendingWorkspaceImport;
+    const { mode } = getWorkspaceImportOptions();
+    const existing = getAllDiagrams();
+    const found = findWorkspaceDuplicates(archive.diagrams, existing);
+
+    const parts = [`${archive.diagrams.length} diagram(s)`];
+    if (archive.isWorkspace) {
+        parts.push(`${archive.snapshots.length} version(s)`, `${archive.sipSavedLogs.length} SIP log(s)`);
     }
+    const summary = document.getElementById('workspace-import-summary');
+    if (summary) {
+        summary.textContent = `${fileName}: ${parts.join(', ')}.` + (archive.invalid ? ` ${archive.invalid} invalid record(s) will be ignored.` : '');
+    }
+    document.getElementById('workspace-import-merge-options')?.classList.toggle('hidden', mode !== 'merge');
 
-    const trailingInput = document.getElementById('config-trailing-space');
-    if (trailingInput) {
-        trailingInput.step = 'any';
-        trailingInput.min = '0';
-        trailingInput.value = formatMsForInput(app.settings.trailingSpace, baseUnit);
+    const report = document.getElementById('workspace-import-report');
+    if (report) {
+        report.innerHTML = '';
+        if (mode === 'replace') {
+            const warning = document.createElement('p');
+            warning.className = 'workspace-import-warning';
+            warning.textContent = `All ${existing.length} saved diagram(s), their versions and SIP saved logs in this browser will be replaced.`;
+            report.appendChild(warning);
+        } else {
+            appendWorkspaceReportList(report, `Same ID as a saved diagram (${found.byId.length})`,
+                found.byId.map(d => d.title === d.existingTitle ? `${d.title} · ${d.id}` : `${d.title} · ${d.id} (saved as "${d.existingTitle}")`));
+            appendWorkspaceReportList(report, `Same title as a saved diagram (${found.byTitle.length}), imported alongside`,
+                found.byTitle.map(d => `${d.title} · ${d.id}`));
+            if (!found.byId.length && !found.byTitle.length) {
+                const none = document.createElement('p');
+                none.className = 'text-muted';
+                none.textContent = 'No duplicates; every diagram will be added.';
+                report.appendChild(none);
+            }
+        }
     }
 
-    const compressionInput = document.getElementById('config-compression-threshold');
-    if (compressionInput) {
-        compressionInput.step = 'any';
-        compressionInput.min = formatMsForInput(10, baseUnit, 6);
-        compressionInput.value = formatMsForInput(app.settings.compressionThreshold, baseUnit);
+    const confirmBtn = document.getElementById('confirm-workspace-import');
+    if (confirmBtn) {
+        confirmBtn.textContent = mode === 'replace' ? 'Replace workspace' : 'Merge';
+        confirmBtn.classList.toggle('danger', mode === 'replace');
+        confirmBtn.classList.toggle('primary', mode !== 'replace');
     }
+}
 
-    const boxStep = '1';
-    if (app.elements?.boxStart) app.elements.boxStart.step = boxStep;
-    if (app.elements?.boxDuration) app.elements.boxDuration.step = boxStep;
-    const propsStartInput = document.getElementById('props-box-start');
-    const propsDurationInput = document.getElementById('props-box-duration');
-    if (propsStartInput) propsStartInput.step = boxStep;
-    if (propsDurationInput) propsDurationInput.step = boxStep;
+/**
+ * Shows the merge/replace dialog for a workspace archive or diagrams bundle.
+ * @param {Object} data - Parsed JSON
+ * @param {string} fileName
+ */
+function openWorkspaceImportModal(data, fileName) {
+    const archive = parseWorkspaceArchive(data);
+    if (!archive.diagrams.length && !archive.sipSavedLogs.length) {
+        throw new Error('The archive contains no diagrams.');
+    }
+    pendingWorkspaceImport = { archive, fileName };
+    const merge = document.getElementById('workspace-import-merge');
+    if (merge) merge.checked = true;
+    const modal = document.getElementById('workspace-import-modal');
+    if (modal) modal.classList.remove('hidden');
+    renderWorkspaceImportPreview();
+}
+
+function closeWorkspaceImportModal() {
+    pendingWorkspaceImport = null;
+    const modal = document.getElementById('workspace-import-modal');
+    if (modal) modal.classList.add('hidden');
+}
+
+function confirmWorkspaceImport() {
+    if (!pendingWorkspaceImport) return;
+    const { archive } = pendingWorkspaceImport;
+    const options = getWorkspaceImportOptions();
+    const found = findWorkspaceDuplicates(archive.diagrams, getAllDiagrams());
+    closeWorkspaceImportModal();
+    flushPendingAutoSave();
 
-    if (app.selectedBoxId && app.elements) {
-        const box = app.diagram.boxes.find(b => b.id === app.selectedBoxId);
-        if (box) {
-            if (app.elements.boxStart) app.elements.boxStart.value = formatMsForInput(box.startOffset, baseUnit);
-            if (app.elements.boxDuration) app.elements.boxDuration.value = formatMsForInput(box.duration, baseUnit);
-            if (app.elements.boxEnd) app.elements.boxEnd.value = formatMsForInput(box.startOffset + box.duration, baseUnit);
+    return importWorkspace(archive, options).then(report => {
+        refreshAfterWorkspaceImport(archive, options.mode);
+        const lines = [`${report.added} diagram(s) added`];
+        if (report.overwritten) lines.push(`${report.overwritten} overwritten`);
+        if (report.copied) lines.push(`${report.copied} imported as copies`);
+        if (report.skipped) lines.push(`${report.skipped} skipped (same ID)`);
+        if (options.mode === 'merge' && found.byTitle.length) lines.push(`${found.byTitle.length} share a title with a saved diagram`);
+        if (report.versions) lines.push(`${report.versions} version(s)`);
+        if (report.versionsFailed) lines.push(`${report.versionsFailed} version(s) could not be saved`);
+        if (report.staleVersionsKept) lines.push('old versions could not be removed');
+        if (report.logsAdded || report.logsSkipped) {
+            lines.push(`${report.logsAdded} SIP log(s) added` + (report.logsSkipped ? `, ${report.logsSkipped} over the ${SIP_SAVED_LOGS_LIMIT}-log limit skipped` : ''));
+        }
+        showToast({
+            type: 'success',
+            title: options.mode === 'replace' ? 'Workspace Replaced' : 'Workspace Merged',
+            message: lines.join(', ') + '.',
+            duration: 5000
+        });
+    }).catch(err => {
+        showToast({ type: 'error', title: 'Import Failed', message: err.message });
+    });
+}
 
-            const propsStart = document.getElementById('props-box-start');
-            const propsDuration = document.getElementById('props-box-duration');
-            if (propsStart) propsStart.value = formatMsForInput(box.startOffset, baseUnit);
-            if (propsDuration) propsDuration.value = formatMsForInput(box.duration, baseUnit);
+function loadWorkspaceFile(file) {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            openWorkspaceImportModal(JSON.parse(e.target.result), file.name);
+        } catch (err) {
+            showToast({ type: 'error', title: 'Import Failed', message: err.message });
         }
-    }
+        const input = document.getElementById('workspace-import-file');
+        if (input) input.value = '';
+    };
+    reader.readAsText(file);
+}
 
-    syncTimeThresholdControl();
+// =====================================================
+// Cross-tab Sync - live diagram list and conflict detection
+// =====================================================
+const SYNC_CONFLICT_TOAST_KEY = 'sync-conflict';
+
+function cancelPendingAutoSave() {
+    if (!autoSaveTimeout) return;
+    clearTimeout(autoSaveTimeout);
+    autoSaveTimeout = null;
 }
 
-/**
- * Format zoom level as a readable percentage string
- * Handles very large/small zoom levels gracefully
- */
-function formatZoomLevel(pixelsPerMs) {
-    const baseline = Math.max(1e-9, getDefaultZoomScaleForBaseUnit());
-    const percent = (pixelsPerMs / baseline) * 100;
-    if (percent >= 10000) {
-        return `${(percent / 1000).toFixed(0)}k%`;
-    }
-    if (percent < 1) {
-        return `${percent.toFixed(1)}%`;
+function hideSyncConflictToast() {
+    const toast = activeToastByKey.get(SYNC_CONFLICT_TOAST_KEY);
+    if (toast && toast.isConnected) {
+        hideToast(toast, { reason: 'dismiss' });
     }
-    return `${Math.round(percent)}%`;
 }
 
-function msToPixels(ms) {
-    const granularityMs = getRenderGranularityMs();
-    return (ms / granularityMs) * app.pixelsPerMs;
+function markDiagramSynced() {
+    syncedDiagramKey = getSnapshotContentKey(app.diagram.toJSON());
 }
 
-function pixelsToMs(px) {
-    const granularityMs = getRenderGranularityMs();
-    return (px / app.pixelsPerMs) * granularityMs;
+function hasUnsyncedDiagramEdits() {
+    return getSnapshotContentKey(app.diagram.toJSON()) !== syncedDiagramKey;
 }
 
-/**
- * Calculate the visual width of a box, applying duration scaling if enabled
- * @param {number} duration - The actual duration in ms
- * @returns {number} - The width in pixels
- */
-function getBoxVisualWidth(duration) {
-    const visualDuration = DurationScaling.getVisualDuration(duration);
-    const minWidth = DurationScaling.getMinBoxWidth();
-    return Math.max(msToPixels(visualDuration), minWidth);
+function getOpenDiagramAsRecord() {
+    return { id: currentDiagramId, title: app.diagram.title, data: app.diagram.toJSON() };
 }
 
-function isBoxVisuallyExpanded(duration) {
-    const visualDuration = DurationScaling.getVisualDuration(duration);
-    const unclampedWidth = msToPixels(visualDuration);
-    const minWidth = DurationScaling.getMinBoxWidth();
-    return minWidth > 0 && (unclampedWidth + 0.01) < minWidth;
+/**
+ * Shows another tab's copy of the open diagram without writing it back.
+ * It is recorded as an undo step so the incoming change can be reverted here.
+ * @param {Object} record - Stored diagram record
+ */
+function applyRemoteDiagramRecord(record) {
+    const before = captureHistoryState();
+    // Keep this tab's zoom and scroll
+    app.diagram.fromJSON({ ...record.data, viewState: getCurrentViewStateForPersistence() });
+    markDiagramSynced();
+    commitHistoryStep('Changed in another tab', before);
+    refreshDiagramAfterVersionChange();
+    renderDiagramsList();
 }
 
-function getRenderedBoxEdges(box) {
-    const visualOffset = Compression.getVisualOffset(box);
-    const leftPx = msToPixels(visualOffset);
-    const widthPx = getBoxVisualWidth(box.duration);
-    return {
-        leftPx,
-        rightPx: leftPx + widthPx,
-        widthPx,
-        isVisuallyExpanded: isBoxVisuallyExpanded(box.duration)
-    };
+/**
+ * Asks how to reconcile unsaved edits with a change another tab saved.
+ * Auto-save is paused until a choice is made.
+ * @param {{id: string, current: ?Object}} change - From DiagramStore.subscribe()
+ */
+function showDiagramSyncConflict(change) {
+    app.syncConflict = { diagramId: change.id };
+    const title = escapeHtml(app.diagram.title || 'Untitled');
+    const deleted = !change.current;
+    showToast({
+        type: 'warning',
+        title: deleted ? 'Deleted in Another Tab' : 'Changed in Another Tab',
+        message: deleted
+            ? `"${title}" was deleted in another tab while you had unsaved edits.`
+            : `"${title}" was saved in another tab while you had unsaved edits.`,
+        toastKey: SYNC_CONFLICT_TOAST_KEY,
+        replaceExisting: true,
+        showClose: false,
+        actions: deleted
+            ? [
+                { label: 'Keep mine', type: 'confirm', onClick: () => resolveDiagramSyncConflict('mine') },
+                { label: 'Close diagram', type: 'cancel', onClick: () => resolveDiagramSyncConflict('close') }
+            ]
+            : [
+                { label: 'Keep mine', type: 'confirm', onClick: () => resolveDiagramSyncConflict('mine') },
+                { label: 'Load theirs', type: 'cancel', onClick: () => resolveDiagramSyncConflict('theirs') },
+                { label: 'Save mine as copy', type: 'cancel', onClick: () => resolveDiagramSyncConflict('copy') }
+            ]
+    });
 }
 
-function getContrastColor(hexColor) {
-    // Convert hex to RGB
-    const r = parseInt(hexColor.slice(1, 3), 16);
-    const g = parseInt(hexColor.slice(3, 5), 16);
-    const b = parseInt(hexColor.slice(5, 7), 16);
-
-    // Calculate luminance
-    const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
-
-    return luminance > 0.5 ? '#000000' : '#ffffff';
+/**
+ * Settles a pending conflict. Whichever side is replaced is kept as a version
+ * snapshot, so neither tab's edits are lost.
+ * @param {'mine'|'theirs'|'copy'|'close'} choice
+ */
+function resolveDiagramSyncConflict(choice) {
+    const conflict = app.syncConflict;
+    if (!conflict) return;
+    app.syncConflict = null;
+    hideSyncConflictToast();
+    if (conflict.diagramId !== currentDiagramId) return;
+
+    const theirs = getAllDiagrams().find(d => d.id === conflict.diagramId);
+    const mine = getOpenDiagramAsRecord();
+    cancelPendingAutoSave();
+
+    if (choice === 'mine') {
+        if (theirs) DiagramStore.addSnapshot(buildDiagramSnapshot(theirs, 'auto', 'From another tab'));
+        saveCurrentDiagram();
+        showToast({ type: 'success', title: 'Kept Your Edits', message: 'The other tab\'s version is saved under Versions.', duration: 3000 });
+    } else if (choice === 'theirs' && theirs) {
+        DiagramStore.addSnapshot(buildDiagramSnapshot(mine, 'auto', 'Replaced by another tab'));
+        applyRemoteDiagramRecord(theirs);
+        showToast({ type: 'info', title: 'Loaded Other Tab', message: 'Your replaced edits are saved under Versions.', duration: 3000 });
+    } else if (choice === 'copy') {
+        openImportedDiagram({ ...mine.data, title: `${mine.title || 'Untitled'} (my copy)` }, 'The original keeps the other tab\'s version.');
+    } else {
+        enterNoDiagramState();
+    }
 }
 
-function updateUndoRedoButtons() {
-    const undoBtn = document.getElementById('undo-btn');
-    const redoBtn = document.getElementById('redo-btn');
-    const canUndo = laneHistory.undoStack.length > 0;
-    const canRedo = laneHistory.redoStack.length > 0;
-
-    if (undoBtn) {
-        undoBtn.disabled = !canUndo;
-        undoBtn.title = canUndo ? 'Undo lane deletion (Ctrl/Cmd+Z)' : 'Undo lane deletion';
-    }
-    if (redoBtn) {
-        redoBtn.disabled = !canRedo;
-        redoBtn.title = canRedo ? 'Redo lane deletion (Ctrl/Cmd+Shift+Z)' : 'Redo lane deletion';
+/**
+ * Leaving the diagram with a conflict still open keeps the unsaved edits as a
+ * version instead of dropping them.
+ */
+function settleDiagramSyncConflict() {
+    const { diagramId } = app.syncConflict;
+    app.syncConflict = null;
+    hideSyncConflictToast();
+    cancelPendingAutoSave();
+    if (diagramId === currentDiagramId && getAllDiagrams().some(d => d.id === diagramId)) {
+        DiagramStore.addSnapshot(buildDiagramSnapshot(getOpenDiagramAsRecord(), 'auto', 'Unresolved edits'));
     }
 }
 
-function flashUndoButton() {
-    const undoBtn = document.getElementById('undo-btn');
-    if (!undoBtn) return;
+/**
+ * Reacts to diagrams saved by other tabs or by the SIP parser and sector
+ * samples pages: refreshes the lists and updates or protects the open diagram.
+ * @param {Array<{id: string, previous: ?Object, current: ?Object}>} changes
+ */
+function handleRemoteDiagramChanges(changes) {
+    if (app.embedView) return;
+    renderDiagramsList();
+    renderVersionsList();
 
-    if (flashUndoButton.timer) {
-        clearTimeout(flashUndoButton.timer);
+    const change = changes.find(c => c.id === currentDiagramId);
+    if (!change) return;
+    // Zoom, scroll, folder and tag changes leave the open canvas alone
+    if (change.previous && change.current && getSnapshotContentKey(change.previous.data) === getSnapshotContentKey(change.current.data)) {
+        return;
     }
 
-    undoBtn.classList.remove('undo-flash');
-    // Force reflow so repeated deletions retrigger the animation.
-    void undoBtn.offsetWidth;
-    undoBtn.classList.add('undo-flash');
-
-    flashUndoButton.timer = setTimeout(() => {
-        undoBtn.classList.remove('undo-flash');
-        flashUndoButton.timer = null;
-    }, 850);
-}
-
-function clearLaneHistory() {
-    laneHistory.undoStack = [];
-    laneHistory.redoStack = [];
-    updateUndoRedoButtons();
-}
+    if (app.versionPreview) {
+        // Exiting the preview loads whatever is stored by then
+        if (!change.current) {
+            enterNoDiagramState();
+            showToast({ type: 'info', title: 'Diagram Deleted', message: 'The previewed diagram was deleted in another tab.', duration: 3000 });
+        }
+        return;
+    }
 
-function pushLaneHistoryEntry(entry) {
-    if (!entry) return;
-    laneHistory.undoStack.push(entry);
-    if (laneHistory.undoStack.length > laneHistory.maxEntries) {
-        laneHistory.undoStack.shift();
+    if (app.syncConflict || hasUnsyncedDiagramEdits()) {
+        showDiagramSyncConflict(change);
+    } else if (!change.current) {
+        enterNoDiagramState();
+        showToast({ type: 'info', title: 'Diagram Deleted', message: 'The open diagram was deleted in another tab.', duration: 3000 });
+    } else {
+        applyRemoteDiagramRecord(change.current);
+        showToast({
+            type: 'info',
+            title: 'Updated',
+            message: 'Loaded changes saved in another tab.',
+            duration: 2000,
+            toastKey: 'sync-updated',
+            replaceExisting: true
+        });
     }
-    laneHistory.redoStack = [];
-    updateUndoRedoButtons();
 }
 
-function captureLaneDeleteEntry(laneId) {
-    const laneIndex = app.diagram.lanes.findIndex(l => l.id === laneId);
-    if (laneIndex === -1) return null;
-
-    const laneSnapshot = { ...app.diagram.lanes[laneIndex] };
-    const removedBoxes = app.diagram.boxes
-        .filter(b => b.laneId === laneId)
-        .map(b => ({ ...b }));
-    const removedBoxIds = new Set(removedBoxes.map(b => b.id));
+// =====================================================
+// Version Snapshots - automatic and named checkpoints per diagram
+// =====================================================
+const VERSION_AUTO_INTERVAL_MS = 10 * 60 * 1000;
+const VERSION_AUTO_KEEP = 50;
+// Time of the last automatic snapshot per diagram id; null while a store lookup is in flight
+const lastAutoSnapshotAt = new Map();
+let pendingVersionDeleteId = null;
 
-    app.diagram.lanes.splice(laneIndex, 1);
-    app.diagram.boxes = app.diagram.boxes.filter(b => b.laneId !== laneId);
-    app.diagram.lanes.forEach((lane, index) => { lane.order = index; });
+function generateSnapshotId() {
+    return 'snap_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
 
-    if (parseInt(app.selectedLaneId, 10) === laneId) {
-        app.selectedLaneId = null;
-        const laneNameInput = document.getElementById('lane-name');
-        if (laneNameInput) laneNameInput.value = '';
-        if (typeof V2 !== 'undefined' && V2.isV2 && V2.currentMode === 'lane' && typeof V2.hideRightSidebar === 'function') {
-            V2.hideRightSidebar();
-        }
-        syncSelectedLaneUI();
-    }
-    if (app.selectedBoxId && removedBoxIds.has(app.selectedBoxId)) {
-        app.selectedBoxId = null;
-        document.querySelectorAll('.timeline-box.selected').forEach(el => el.classList.remove('selected'));
-    }
+function getSnapshotContentKey(data) {
+    // Zoom and scroll changes alone are not a new version
+    const content = { ...data };
+    delete content.viewState;
+    return JSON.stringify(content);
+}
 
+function buildDiagramSnapshot(record, kind, name = '') {
     return {
-        type: 'lane-delete',
-        laneSnapshot,
-        removedBoxes,
-        laneIndex,
-        currentLaneId: laneId
+        id: generateSnapshotId(),
+        diagramId: record.id,
+        createdAt: Date.now(),
+        kind,
+        name,
+        title: record.title,
+        data: record.data
     };
 }
 
-function restoreLaneDeleteEntry(entry) {
-    if (!entry || entry.type !== 'lane-delete' || !entry.laneSnapshot) return false;
-
-    let restoredLaneId = Number.isInteger(entry.currentLaneId) ? entry.currentLaneId : entry.laneSnapshot.id;
-    if (app.diagram.lanes.some(l => l.id === restoredLaneId)) {
-        restoredLaneId = app.diagram.nextLaneId++;
-    }
-
-    const insertionIndex = Math.min(Math.max(entry.laneIndex, 0), app.diagram.lanes.length);
-    app.diagram.lanes.splice(insertionIndex, 0, { ...entry.laneSnapshot, id: restoredLaneId });
-    app.diagram.lanes.forEach((lane, index) => { lane.order = index; });
-    app.diagram.nextLaneId = Math.max(app.diagram.nextLaneId || 1, restoredLaneId + 1);
-
-    const usedBoxIds = new Set(app.diagram.boxes.map(b => b.id));
-    let nextBoxId = app.diagram.nextBoxId || 1;
-    (entry.removedBoxes || []).forEach(box => {
-        let restoredBoxId = box.id;
-        if (usedBoxIds.has(restoredBoxId)) {
-            while (usedBoxIds.has(nextBoxId)) nextBoxId++;
-            restoredBoxId = nextBoxId++;
-        }
-        usedBoxIds.add(restoredBoxId);
-        app.diagram.boxes.push({ ...box, id: restoredBoxId, laneId: restoredLaneId });
+/**
+ * Runs before autosave overwrites a stored diagram. The outgoing copy becomes an
+ * automatic snapshot when the last one is at least VERSION_AUTO_INTERVAL_MS old
+ * and the content has changed since the newest snapshot.
+ * @param {Object} previousRecord - Stored record about to be replaced
+ */
+function maybeSnapshotBeforeSave(previousRecord) {
+    const diagramId = previousRecord.id;
+    const last = lastAutoSnapshotAt.get(diagramId);
+    if (last === null || (last && Date.now() - last < VERSION_AUTO_INTERVAL_MS)) return;
+    lastAutoSnapshotAt.set(diagramId, null);
+
+    DiagramStore.listSnapshots(diagramId).then(snapshots => {
+        const autoSnapshots = snapshots.filter(snap => snap.kind === 'auto');
+        if (autoSnapshots.length && Date.now() - autoSnapshots[0].createdAt < VERSION_AUTO_INTERVAL_MS) {
+            lastAutoSnapshotAt.set(diagramId, autoSnapshots[0].createdAt);
+            return null;
+        }
+        if (snapshots.length && getSnapshotContentKey(snapshots[0].data) === getSnapshotContentKey(previousRecord.data)) {
+            lastAutoSnapshotAt.set(diagramId, Date.now());
+            return null;
+        }
+        return DiagramStore.addSnapshot(buildDiagramSnapshot(previousRecord, 'auto')).then(saved => {
+            lastAutoSnapshotAt.set(diagramId, Date.now());
+            const expired = autoSnapshots.slice(VERSION_AUTO_KEEP - 1).map(snap => snap.id);
+            if (saved && expired.length) return DiagramStore.deleteSnapshots(expired);
+            return null;
+        });
+    }).catch(e => {
+        console.warn('Failed to take automatic snapshot:', e);
+        lastAutoSnapshotAt.delete(diagramId);
     });
-    app.diagram.nextBoxId = Math.max(app.diagram.nextBoxId || 1, nextBoxId);
-    entry.currentLaneId = restoredLaneId;
-    return true;
 }
 
-function reapplyLaneDeleteEntry(entry) {
-    if (!entry || entry.type !== 'lane-delete') return false;
-    const laneId = parseInt(entry.currentLaneId, 10);
-    if (!Number.isInteger(laneId)) return false;
-    const freshEntry = captureLaneDeleteEntry(laneId);
-    if (!freshEntry) return false;
-
-    entry.laneSnapshot = freshEntry.laneSnapshot;
-    entry.removedBoxes = freshEntry.removedBoxes;
-    entry.laneIndex = freshEntry.laneIndex;
-    entry.currentLaneId = freshEntry.currentLaneId;
-    return true;
+function formatVersionLabel(snapshot) {
+    if (snapshot.name) return snapshot.name;
+    return snapshot.kind === 'manual' ? 'Checkpoint' : 'Automatic snapshot';
 }
 
-function undoLaneDeletion() {
-    const entry = laneHistory.undoStack.pop();
-    if (!entry) {
-        updateUndoRedoButtons();
-        return;
-    }
+/**
+ * Stores the current diagram as a named checkpoint. Checkpoints are never pruned.
+ * @param {string} name - Optional checkpoint name
+ */
+function saveVersionCheckpoint(name) {
+    if (!currentDiagramId || app.versionPreview) return;
+    flushPendingAutoSave();
+    const record = getAllDiagrams().find(d => d.id === currentDiagramId);
+    if (!record) return;
 
-    if (!restoreLaneDeleteEntry(entry)) {
-        laneHistory.undoStack.push(entry);
-        updateUndoRedoButtons();
-        return;
-    }
+    const snapshot = buildDiagramSnapshot(record, 'manual', String(name || '').trim().slice(0, 80));
+    DiagramStore.addSnapshot(snapshot).then(saved => {
+        if (!saved) {
+            showToast({ type: 'error', title: 'Storage Error', message: 'Could not save the checkpoint.' });
+            return;
+        }
+        const nameInput = document.getElementById('version-checkpoint-name');
+        if (nameInput) nameInput.value = '';
+        renderVersionsList();
+        showToast({ type: 'success', title: 'Checkpoint Saved', message: `"${escapeHtml(formatVersionLabel(snapshot))}" added to versions.`, duration: 2000 });
+    });
+}
 
-    pendingLaneDeleteId = null;
-    Compression.invalidate();
+function refreshDiagramAfterVersionChange() {
+    app.elements.diagramTitle.value = app.diagram.title;
+    app.elements.startTime.value = app.diagram.startTime;
+    syncToolbarSettingsControls();
+    deselectBox();
     renderLaneList();
     renderLanesCanvas();
-    renderTimelineRuler();
-    renderTimeMarkers();
-    renderAlignmentCanvasOverlay();
-    Minimap.render();
     updateTotalDuration();
-    autoSave();
-
-    laneHistory.redoStack.push(entry);
-    updateUndoRedoButtons();
+    updateLockState();
+    updateBoxLabelsState();
+    restorePinnedMeasurement();
 }
 
-function redoLaneDeletion() {
-    const entry = laneHistory.redoStack.pop();
-    if (!entry) {
-        updateUndoRedoButtons();
-        return;
-    }
-
-    if (!reapplyLaneDeleteEntry(entry)) {
-        laneHistory.redoStack.push(entry);
-        updateUndoRedoButtons();
-        return;
+/**
+ * Shows a stored version read-only in the canvas. The live copy stays untouched
+ * until the version is restored; storage writes are skipped while previewing.
+ * @param {Object} snapshot
+ */
+function previewDiagramVersion(snapshot) {
+    if (!app.versionPreview) {
+        flushPendingAutoSave();
+        persistCurrentDiagramViewState();
     }
+    app.versionPreview = { diagramId: currentDiagramId, snapshot };
+    app.diagram.fromJSON(snapshot.data);
+    app.diagram.locked = true;
+    refreshDiagramAfterVersionChange();
 
-    pendingLaneDeleteId = null;
-    Compression.invalidate();
-    renderLaneList();
-    renderLanesCanvas();
-    renderTimelineRuler();
-    renderTimeMarkers();
-    renderAlignmentCanvasOverlay();
-    Minimap.render();
-    if (app.diagram.lanes.length === 0) {
-        resetCompressionView({ rerender: true, persist: false });
+    document.body.classList.add('version-preview');
+    const label = document.getElementById('version-preview-label');
+    if (label) {
+        label.textContent = `Previewing "${formatVersionLabel(snapshot)}" · ${new Date(snapshot.createdAt).toLocaleString()}`;
     }
-    updateTotalDuration();
-    autoSave();
-
-    laneHistory.undoStack.push(entry);
-    updateUndoRedoButtons();
+    closeVersionsModal();
 }
 
-function clearPendingLaneDelete(options = {}) {
-    const { rerender = true } = options;
-    if (!pendingLaneDeleteId) return;
-    pendingLaneDeleteId = null;
-    if (rerender) renderLaneList();
+/**
+ * Drops the preview flag without reloading; callers that replace the diagram use this.
+ */
+function endVersionPreviewState() {
+    if (!app.versionPreview) return;
+    app.versionPreview = null;
+    document.body.classList.remove('version-preview');
 }
 
-function getLaneDeleteMessage(laneId) {
-    const lane = app.diagram.lanes.find(l => l.id === parseInt(laneId, 10));
-    if (!lane) return '"Lane" will be removed.';
-    const boxCount = app.diagram.getBoxesForLane(lane.id).length;
-    return `"${lane.name || 'Lane'}"${boxCount > 0 ? ` and its ${boxCount} box${boxCount > 1 ? 'es' : ''}` : ''} will be removed.`;
+function exitVersionPreview() {
+    if (!app.versionPreview) return;
+    const { diagramId } = app.versionPreview;
+    endVersionPreviewState();
+    loadDiagram(diagramId, { silent: true });
 }
 
-function requestLaneDelete(laneId) {
-    const resolvedLaneId = parseInt(laneId, 10);
-    if (!Number.isInteger(resolvedLaneId)) return;
-    if (!app.diagram.lanes.some(l => l.id === resolvedLaneId)) return;
-    pendingLaneDeleteId = null;
-    deleteLaneWithUndo(resolvedLaneId);
-}
+/**
+ * Replaces the live diagram with a stored version. The replaced state is kept as
+ * a "Before restore" snapshot and the restore is a regular undo step.
+ * @param {Object} snapshot
+ */
+function restoreDiagramVersion(snapshot) {
+    const diagramId = app.versionPreview ? app.versionPreview.diagramId : currentDiagramId;
+    const record = getAllDiagrams().find(d => d.id === diagramId);
+    if (!record) return;
+    if (record.data && record.data.locked) {
+        showToast({ type: 'warning', title: 'Diagram Locked', message: 'Unlock the diagram before restoring a version.', duration: 2500 });
+        return;
+    }
 
-function confirmLaneDelete(laneId) {
-    requestLaneDelete(laneId);
-}
+    endVersionPreviewState();
+    loadDiagram(diagramId, { silent: true });
+    DiagramStore.addSnapshot(buildDiagramSnapshot(record, 'auto', 'Before restore'));
 
-function deleteLaneWithUndo(laneId) {
-    const entry = captureLaneDeleteEntry(laneId);
-    if (!entry) return;
+    const before = captureHistoryState();
+    app.diagram.fromJSON({ ...snapshot.data, locked: false });
+    commitHistoryStep('Restore version', before);
+    refreshAfterHistoryChange();
+    flushPendingAutoSave();
+    closeVersionsModal();
+    showToast({ type: 'success', title: 'Version Restored', message: `"${escapeHtml(formatVersionLabel(snapshot))}" is now the current version.`, duration: 2500 });
+}
+
+function forkDiagramVersion(snapshot) {
+    const stamp = new Date(snapshot.createdAt).toLocaleString();
+    closeVersionsModal();
+    openImportedDiagram({ ...snapshot.data, title: `${snapshot.title || 'Untitled'} (${stamp})`, locked: false }, 'Forked from a saved version.');
+}
+
+function confirmVersionDelete(snapshotId) {
+    pendingVersionDeleteId = null;
+    DiagramStore.deleteSnapshots([snapshotId]).then(() => renderVersionsList());
+}
+
+function createVersionItem(snapshot, isCurrent = false) {
+    const item = document.createElement('div');
+    item.className = 'version-item';
+    if (isCurrent) item.classList.add('is-current');
+    if (app.versionPreview && app.versionPreview.snapshot.id === snapshot.id) item.classList.add('is-previewing');
+
+    const info = document.createElement('div');
+    info.className = 'version-info';
+    const title = document.createElement('div');
+    title.className = 'version-title';
+    title.textContent = isCurrent ? 'Current version' : formatVersionLabel(snapshot);
+    if (!isCurrent) {
+        const badge = document.createElement('span');
+        badge.className = `version-kind version-kind-${snapshot.kind}`;
+        badge.textContent = snapshot.kind === 'manual' ? 'Checkpoint' : 'Auto';
+        title.appendChild(badge);
+    }
+    const data = snapshot.data || {};
+    const laneCount = Array.isArray(data.lanes) ? data.lanes.length : 0;
+    const boxCount = Array.isArray(data.boxes) ? data.boxes.length : 0;
+    const meta = document.createElement('div');
+    meta.className = 'version-meta';
+    meta.textContent = `${new Date(snapshot.createdAt).toLocaleString()} · ${formatTimeAgo(snapshot.createdAt)} · ${laneCount} lane(s), ${boxCount} box(es)`;
+    info.appendChild(title);
+    info.appendChild(meta);
+    item.appendChild(info);
+    if (isCurrent) return item;
 
-    pushLaneHistoryEntry(entry);
-    Compression.invalidate();
-    renderLaneList();
-    renderLanesCanvas();
-    renderTimelineRuler();
-    renderTimeMarkers();
-    renderAlignmentCanvasOverlay();
-    Minimap.render();
-    if (app.diagram.lanes.length === 0) {
-        resetCompressionView({ rerender: true, persist: false });
+    const actions = document.createElement('div');
+    actions.className = 'version-actions';
+    [
+        ['Preview', 'Show this version read-only', () => previewDiagramVersion(snapshot)],
+        ['Restore', 'Make this the current version', () => restoreDiagramVersion(snapshot)],
+        ['Fork', 'Open this version as a new diagram', () => forkDiagramVersion(snapshot)],
+        ['Compare', 'Compare this version with the current diagram', () => {
+            closeVersionsModal();
+            openCompareModal({ base: `snapshot:${snapshot.id}`, target: 'current' });
+        }]
+    ].forEach(([label, hint, onClick]) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'toolbar-btn';
+        btn.textContent = label;
+        btn.title = hint;
+        btn.addEventListener('click', onClick);
+        actions.appendChild(btn);
+    });
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'icon-btn delete-btn';
+    deleteBtn.title = 'Delete version';
+    deleteBtn.textContent = '×';
+    deleteBtn.addEventListener('click', () => {
+        pendingVersionDeleteId = snapshot.id;
+        renderVersionsList();
+    });
+    actions.appendChild(deleteBtn);
+    item.appendChild(actions);
+
+    if (pendingVersionDeleteId === snapshot.id) {
+        item.classList.add('is-delete-pending');
+        const overlay = createInlineDeleteOverlay({
+            title: 'Delete Version?',
+            message: `"${formatVersionLabel(snapshot)}" will be permanently removed.`,
+            confirmLabel: 'Delete',
+            cancelLabel: 'Cancel',
+            onConfirm: () => confirmVersionDelete(snapshot.id),
+            onCancel: () => {
+                pendingVersionDeleteId = null;
+                renderVersionsList();
+            }
+        });
+        item.appendChild(overlay);
     }
-    updateTotalDuration();
-    autoSave();
-    flashUndoButton();
+    return item;
 }
 
-function syncSelectedLaneUI() {
-    const selectedLaneId = parseInt(app.selectedLaneId, 10);
-    const hasSelectedLane = Number.isInteger(selectedLaneId);
+function renderVersionsList() {
+    const container = document.getElementById('versions-list');
+    const modal = document.getElementById('versions-modal');
+    if (!container || !modal || modal.classList.contains('hidden')) return;
 
-    document.querySelectorAll('.lane-item').forEach(item => {
-        const laneId = parseInt(item.dataset.laneId, 10);
-        item.classList.toggle('is-selected', hasSelectedLane && laneId === selectedLaneId);
-    });
+    const diagramId = app.versionPreview ? app.versionPreview.diagramId : currentDiagramId;
+    const record = getAllDiagrams().find(d => d.id === diagramId);
+    const heading = document.getElementById('versions-modal-title');
+    if (heading) heading.textContent = `🕘 Versions${record ? ` · ${record.title || 'Untitled'}` : ''}`;
+    if (!record) {
+        container.innerHTML = '<div class="empty-state">No diagram is open.</div>';
+        return;
+    }
 
-    document.querySelectorAll('.lane-row').forEach(row => {
-        const laneId = parseInt(row.dataset.laneId, 10);
-        const isSelected = hasSelectedLane && laneId === selectedLaneId;
-        row.classList.toggle('is-selected', isSelected);
-        const label = row.querySelector('.lane-label');
-        if (label) label.classList.toggle('is-selected', isSelected);
+    DiagramStore.listSnapshots(diagramId).then(snapshots => {
+        container.innerHTML = '';
+        container.appendChild(createVersionItem({ id: 'current', createdAt: record.updatedAt, data: record.data }, true));
+        if (!snapshots.length) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = 'No versions yet. Automatic snapshots are taken every 10 minutes while you edit.';
+            container.appendChild(empty);
+            return;
+        }
+        snapshots.forEach(snapshot => container.appendChild(createVersionItem(snapshot)));
     });
 }
 
-function clearSelectedLaneSelection() {
-    if (app.selectedLaneId === null || typeof app.selectedLaneId === 'undefined') return;
-    app.selectedLaneId = null;
-    syncSelectedLaneUI();
+function openVersionsModal() {
+    if (!currentDiagramId) {
+        showToast({ type: 'info', title: 'No Diagram', message: 'Open or create a diagram to see its versions.', duration: 2000 });
+        return;
+    }
+    flushPendingAutoSave();
+    pendingVersionDeleteId = null;
+    const modal = document.getElementById('versions-modal');
+    if (!modal) return;
+    modal.classList.remove('hidden');
+    renderVersionsList();
+}
+
+function closeVersionsModal() {
+    const modal = document.getElementById('versions-modal');
+    if (!modal || modal.classList.contains('hidden')) return;
+    pendingVersionDeleteId = null;
+    if (modal.contains(document.activeElement)) document.activeElement.blur();
+    modal.classList.add('hidden');
 }
 
 // =====================================================
-// Rendering Functions
+// Utility Functions
 // =====================================================
-function renderLaneList() {
-    const container = app.elements.laneList;
-    container.innerHTML = '';
+function parseTime(timeStr) {
+    // Parse "HH:MM:SS sss" format
+    const match = timeStr.match(/(\d{2}):(\d{2}):(\d{2})\s*(\d{3})?/);
+    if (!match) return 0;
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    const seconds = parseInt(match[3], 10);
+    const ms = parseInt(match[4] || '0', 10);
+    return ((hours * 3600) + (minutes * 60) + seconds) * 1000 + ms;
+}
 
-    app.diagram.lanes.forEach((lane, index) => {
-        const item = document.createElement('div');
-        item.className = 'lane-item';
-        if (parseInt(app.selectedLaneId, 10) === lane.id) item.classList.add('is-selected');
-        item.dataset.laneId = lane.id;
-        item.draggable = true;
+function formatTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const milliseconds = Math.round(ms % 1000);
 
-        const laneColorStyle = lane.baseColor ? `background-color: ${lane.baseColor}` : `background-color: ${PALETTE[index % PALETTE.length]}`;
-
-        // V2: Use div.lane-name-div instead of input
-        item.innerHTML = `
-            <span class="lane-drag-handle" title="Drag to reorder">⋮⋮</span>
-            <button class="lane-color-btn" data-lane-id="${lane.id}" title="Change lane color" style="${laneColorStyle}"></button>
-            <div class="lane-name-div" data-lane-id="${lane.id}">${escapeHtml(lane.name).replace(/\n/g, '<br>')}</div>
-        `;
-
-        // Add click listener to open properties on the item (excluding controls)
-        item.addEventListener('click', (e) => {
-            if (e.target.closest('.inline-delete-overlay')) return;
-            if (e.target.closest('.lane-color-btn')) return;
-            showLanePropertiesPanel(lane.id);
-        });
-
-        // Add double-click inline editing for lane name
-        const laneNameDiv = item.querySelector('.lane-name-div');
-        laneNameDiv.addEventListener('dblclick', (e) => {
-            e.stopPropagation();
-            if (!isEditingAllowed()) return;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')} ${String(milliseconds).padStart(3, '0')}`;
+}
 
-            // Create textarea for editing
-            const textarea = document.createElement('textarea');
-            textarea.className = 'lane-name-edit-textarea';
-            textarea.value = lane.name;
-            textarea.rows = 3;
+function formatDuration(ms, forceUnit = null) {
+    const numericMs = Number(ms);
+    const baseUnit = normalizeBaseTimeUnit(forceUnit || getBaseTimeUnit());
+    const unitLabel = getBaseUnitLabel(baseUnit);
 
-            // Replace div with textarea
-            laneNameDiv.replaceWith(textarea);
-            textarea.focus();
-            textarea.select();
+    if (!Number.isFinite(numericMs)) {
+        return `0${unitLabel}`;
+    }
 
-            const saveEdit = () => {
-                const newName = textarea.value.trim() || 'Unnamed Lane';
-                app.diagram.renameLane(lane.id, newName);
-                renderLaneList();
-                renderLanesCanvas();
-                autoSave();
-            };
+    // For non-ms base units, show sub-unit values below threshold and base-unit values above threshold.
+    if (baseUnit !== 'ms') {
+        const thresholdMs = Math.max(0, Number(app?.settings?.timeFormatThreshold || 0));
+        const subUnit = getBaseUnitSubunit(baseUnit);
+        const showSubUnit = !!subUnit && thresholdMs > 0 && Math.abs(numericMs) < thresholdMs;
+        const activeUnit = showSubUnit ? subUnit : baseUnit;
+        const unitValue = msToUnitValue(numericMs, activeUnit);
+        const activeLabel = getBaseUnitLabel(activeUnit);
+        return `${formatUnitValue(unitValue, 2)}${activeLabel}`;
+    }
 
-            textarea.addEventListener('blur', saveEdit);
-            textarea.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape') {
-                    renderLaneList(); // Cancel edit
-                }
-                if (e.key === 'Enter' && !e.shiftKey) {
-                    e.preventDefault();
-                    saveEdit();
-                }
-            });
-        });
+    const threshold = app.settings.timeFormatThreshold;
 
-        container.appendChild(item);
-    });
+    // Handle sub-millisecond values (for extreme zoom)
+    if (numericMs < 1 && numericMs > 0) {
+        const us = numericMs * 1000; // Convert to microseconds
+        if (us < 1) {
+            const ns = us * 1000; // Convert to nanoseconds
+            return `${ns.toFixed(ns < 10 ? 1 : 0)}ns`;
+        }
+        return `${us.toFixed(us < 10 ? 1 : 0)}μs`;
+    }
 
-    // Invoke global drag init if available (it attaches to container #lane-list)
-    if (typeof initDragAndDrop === 'function') initDragAndDrop();
-    container.querySelectorAll('.lane-color-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            if (!isEditingAllowed()) return;
-            const laneId = parseInt(e.target.dataset.laneId, 10);
-            showLanePropertiesPanel(laneId);
-        });
-    });
+    // If threshold is 0, always show ms
+    if (threshold === 0) {
+        return `${Math.round(numericMs)}ms`;
+    }
 
-    // Drag and drop for reordering
-    setupLaneDragAndDrop();
-    syncSelectedLaneUI();
+    // If duration exceeds threshold, show in appropriate unit
+    if (numericMs >= threshold) {
+        if (numericMs >= 60000) {
+            // Show minutes and seconds
+            const minutes = Math.floor(numericMs / 60000);
+            const seconds = ((numericMs % 60000) / 1000).toFixed(1);
+            return seconds === '0.0' ? `${minutes}m` : `${minutes}m ${seconds}s`;
+        }
+        // Show seconds
+        const seconds = (numericMs / 1000).toFixed(numericMs % 1000 === 0 ? 0 : 1);
+        return `${seconds}s`;
+    }
+    return `${Math.round(numericMs)}ms`;
 }
 
-function setupLaneDragAndDrop() {
-    const container = app.elements.laneList;
-    let draggedItem = null;
+function syncBaseTimeUnitUI() {
+    const baseUnit = getBaseTimeUnit();
+    const unitLabel = getBaseUnitLabel(baseUnit);
 
-    container.querySelectorAll('.lane-item').forEach(item => {
-        item.addEventListener('dragstart', (e) => {
-            if (app.diagram.locked) {
-                e.preventDefault();
-                return;
-            }
-            draggedItem = item;
-            item.classList.add('dragging');
-            e.dataTransfer.effectAllowed = 'move';
-        });
+    const baseUnitSelect = document.getElementById('config-base-time-unit');
+    if (baseUnitSelect && baseUnitSelect.value !== baseUnit) {
+        baseUnitSelect.value = baseUnit;
+    }
 
-        item.addEventListener('dragend', () => {
-            item.classList.remove('dragging');
-            draggedItem = null;
-        });
+    [
+        'config-timeline-duration-unit',
+        'config-trailing-space-unit',
+        'config-compression-threshold-unit',
+        'box-start-unit-label',
+        'box-duration-unit-label',
+        'box-end-unit-label',
+        'props-box-start-unit-label',
+        'props-box-duration-unit-label'
+    ].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = unitLabel;
+    });
 
-        item.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            if (!draggedItem || draggedItem === item) return;
+    const durationInput = document.getElementById('config-timeline-duration');
+    if (durationInput) {
+        durationInput.step = 'any';
+        durationInput.min = formatMsForInput(1000, baseUnit, 6);
+        durationInput.value = formatMsForInput(app.settings.timelineDuration, baseUnit);
+    }
 
-            const rect = item.getBoundingClientRect();
-            const midY = rect.top + rect.height / 2;
+    const trailingInput = document.getElementById('config-trailing-space');
+    if (trailingInput) {
+        trailingInput.step = 'any';
+        trailingInput.min = '0';
+        trailingInput.value = formatMsForInput(app.settings.trailingSpace, baseUnit);
+    }
 
-            if (e.clientY < midY) {
-                item.classList.add('drag-over-top');
-                item.classList.remove('drag-over-bottom');
-            } else {
-                item.classList.add('drag-over-bottom');
-                item.classList.remove('drag-over-top');
-            }
-        });
+    const compressionInput = document.getElementById('config-compression-threshold');
+    if (compressionInput) {
+        compressionInput.step = 'any';
+        compressionInput.min = formatMsForInput(10, baseUnit, 6);
+        compressionInput.value = formatMsForInput(app.settings.compressionThreshold, baseUnit);
+    }
 
-        item.addEventListener('dragleave', () => {
-            item.classList.remove('drag-over-top', 'drag-over-bottom');
-        });
+    const boxStep = '1';
+    if (app.elements?.boxStart) app.elements.boxStart.step = boxStep;
+    if (app.elements?.boxDuration) app.elements.boxDuration.step = boxStep;
+    const propsStartInput = document.getElementById('props-box-start');
+    const propsDurationInput = document.getElementById('props-box-duration');
+    if (propsStartInput) propsStartInput.step = boxStep;
+    if (propsDurationInput) propsDurationInput.step = boxStep;
 
-        item.addEventListener('drop', (e) => {
-            e.preventDefault();
-            item.classList.remove('drag-over-top', 'drag-over-bottom');
+    if (app.selectedBoxId && app.elements) {
+        const box = app.diagram.boxes.find(b => b.id === app.selectedBoxId);
+        if (box) {
+            if (app.elements.boxStart) app.elements.boxStart.value = formatMsForInput(box.startOffset, baseUnit);
+            if (app.elements.boxDuration) app.elements.boxDuration.value = formatMsForInput(box.duration, baseUnit);
+            if (app.elements.boxEnd) app.elements.boxEnd.value = formatMsForInput(box.startOffset + box.duration, baseUnit);
 
-            if (!draggedItem || draggedItem === item) return;
+            const propsStart = document.getElementById('props-box-start');
+            const propsDuration = document.getElementById('props-box-duration');
+            if (propsStart) propsStart.value = formatMsForInput(box.startOffset, baseUnit);
+            if (propsDuration) propsDuration.value = formatMsForInput(box.duration, baseUnit);
+        }
+    }
 
-            const draggedLaneId = parseInt(draggedItem.dataset.laneId, 10);
-            const targetLaneId = parseInt(item.dataset.laneId, 10);
+    syncTimeThresholdControl();
+}
 
-            const draggedIndex = app.diagram.lanes.findIndex(l => l.id === draggedLaneId);
-            const targetIndex = app.diagram.lanes.findIndex(l => l.id === targetLaneId);
+/**
+ * Format zoom level as a readable percentage string
+ * Handles very large/small zoom levels gracefully
+ */
+function formatZoomLevel(pixelsPerMs) {
+    const baseline = Math.max(1e-9, getDefaultZoomScaleForBaseUnit());
+    const percent = (pixelsPerMs / baseline) * 100;
+    if (percent >= 10000) {
+        return `${(percent / 1000).toFixed(0)}k%`;
+    }
+    if (percent < 1) {
+        return `${percent.toFixed(1)}%`;
+    }
+    return `${Math.round(percent)}%`;
+}
 
-            if (draggedIndex === -1 || targetIndex === -1) return;
+function msToPixels(ms) {
+    const granularityMs = getRenderGranularityMs();
+    return (ms / granularityMs) * app.pixelsPerMs;
+}
 
-            const rect = item.getBoundingClientRect();
-            const insertAfter = e.clientY > rect.top + rect.height / 2;
-            let insertionIndex = insertAfter ? targetIndex + 1 : targetIndex;
+function pixelsToMs(px) {
+    const granularityMs = getRenderGranularityMs();
+    return (px / app.pixelsPerMs) * granularityMs;
+}
 
-            // Removing the dragged lane shifts insertion index when moving downward.
-            if (draggedIndex < insertionIndex) {
-                insertionIndex--;
-            }
+/**
+ * Calculate the visual width of a box, applying duration scaling if enabled
+ * @param {number} duration - The actual duration in ms
+ * @returns {number} - The width in pixels
+ */
+function getBoxVisualWidth(duration) {
+    const visualDuration = DurationScaling.getVisualDuration(duration);
+    const minWidth = DurationScaling.getMinBoxWidth();
+    return Math.max(msToPixels(visualDuration), minWidth);
+}
 
-            // No-op drops should not trigger re-render/save.
-            if (insertionIndex === draggedIndex) return;
+function isBoxVisuallyExpanded(duration) {
+    const visualDuration = DurationScaling.getVisualDuration(duration);
+    const unclampedWidth = msToPixels(visualDuration);
+    const minWidth = DurationScaling.getMinBoxWidth();
+    return minWidth > 0 && (unclampedWidth + 0.01) < minWidth;
+}
 
-            const [draggedLane] = app.diagram.lanes.splice(draggedIndex, 1);
-            app.diagram.lanes.splice(insertionIndex, 0, draggedLane);
-
-            // Update order
-            app.diagram.lanes.forEach((l, i) => {
-                l.order = i;
-            });
-
-            renderLaneList();
-            renderLanesCanvas();
-            autoSave();
-        });
-    });
+function getRenderedBoxEdges(box) {
+    const visualOffset = Compression.getVisualOffset(box);
+    const leftPx = msToPixels(visualOffset);
+    const widthPx = getBoxVisualWidth(box.duration);
+    return {
+        leftPx,
+        rightPx: leftPx + widthPx,
+        widthPx,
+        isVisuallyExpanded: isBoxVisuallyExpanded(box.duration)
+    };
 }
 
-function renderTimelineRuler() {
-    const ruler = app.elements.timelineRuler;
-
-    ruler.innerHTML = '';
-
-    const endTime = getDisplayTimelineEndTimeMs();
-    const interval = getAdaptiveRulerInterval(endTime);
-
-    // Create an inner wrapper div to define scrollable width
-    // (absolutely positioned children don't contribute to scroll width)
-    const rulerWidth = msToPixels(endTime);
-    const innerWrapper = document.createElement('div');
-    innerWrapper.className = 'timeline-ruler-inner';
-    innerWrapper.style.position = 'relative';
-    innerWrapper.style.width = `${rulerWidth}px`;
-    innerWrapper.style.height = '100%';
-    ruler.appendChild(innerWrapper);
-
-    if (Compression.enabled) {
-        // HYBRID APPROACH: Show actual times at compressed positions with break markers
-        const breakMarkers = Compression.getBreakMarkers();
+function getContrastColor(hexColor) {
+    // Convert hex to RGB
+    const r = parseInt(hexColor.slice(1, 3), 16);
+    const g = parseInt(hexColor.slice(3, 5), 16);
+    const b = parseInt(hexColor.slice(5, 7), 16);
 
-        // Generate ruler marks at compressed positions but show actual times
-        for (let tickIndex = 0, compressedTime = 0; compressedTime <= endTime + (interval * 0.0001); tickIndex++, compressedTime = tickIndex * interval) {
-            // Convert compressed position to actual time for the label
-            const actualTime = Compression.compressedToActual(compressedTime);
+    // Calculate luminance
+    const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
 
-            const mark = document.createElement('div');
-            mark.className = 'ruler-mark' + (isMajorRulerTickMs(actualTime, interval) ? ' major' : '');
-            mark.style.left = `${msToPixels(compressedTime)}px`;
-            mark.innerHTML = `<span>${formatDuration(actualTime)}</span>`;
-            innerWrapper.appendChild(mark);
-        }
+    return luminance > 0.5 ? '#000000' : '#ffffff';
+}
 
-        // Add break markers at gap boundaries - single line with gap size label
-        breakMarkers.forEach(marker => {
-            const breakMark = document.createElement('div');
-            breakMark.className = 'ruler-break-marker';
-            breakMark.style.left = `${msToPixels(marker.compressedStart)}px`;
-            const actualGapSize = marker.actualEnd - marker.actualStart;
-            breakMark.title = `Gap: ${formatDuration(actualGapSize)} (${formatDuration(marker.actualStart)} → ${formatDuration(marker.actualEnd)})`;
-            breakMark.innerHTML = `<span class="break-label">${formatDuration(actualGapSize)}</span>`;
-            innerWrapper.appendChild(breakMark);
-        });
-    } else {
-        // Normal mode: show time at corresponding position
-        for (let tickIndex = 0, time = 0; time <= endTime + (interval * 0.0001); tickIndex++, time = tickIndex * interval) {
-            const mark = document.createElement('div');
-            mark.className = 'ruler-mark' + (isMajorRulerTickMs(time, interval) ? ' major' : '');
-            mark.style.left = `${msToPixels(time)}px`;
-            mark.innerHTML = `<span>${formatDuration(time)}</span>`;
-            innerWrapper.appendChild(mark);
-        }
+function getDiagramHistory(diagramId = currentDiagramId) {
+    const key = diagramId || '';
+    if (!diagramHistories.has(key)) {
+        diagramHistories.set(key, { undoStack: [], redoStack: [] });
     }
+    return diagramHistories.get(key);
 }
 
-function renderLanesCanvas() {
-    const canvas = app.elements.lanesCanvas;
+function updateUndoRedoButtons() {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    const history = getDiagramHistory();
+    const nextUndo = history.undoStack[history.undoStack.length - 1];
+    const nextRedo = history.redoStack[history.redoStack.length - 1];
 
-    // Remove lane-row children but preserve the SVG overlay element
-    Array.from(canvas.children).forEach(child => {
-        if (child.id !== 'alignment-canvas-overlay') {
-            canvas.removeChild(child);
-        }
-    });
+    if (undoBtn) {
+        undoBtn.disabled = !nextUndo;
+        undoBtn.title = nextUndo ? `Undo ${nextUndo.label.toLowerCase()} (Ctrl/Cmd+Z)` : 'Undo';
+    }
+    if (redoBtn) {
+        redoBtn.disabled = !nextRedo;
+        redoBtn.title = nextRedo ? `Redo ${nextRedo.label.toLowerCase()} (Ctrl/Cmd+Shift+Z)` : 'Redo';
+    }
+    if (isHistoryPanelOpen()) {
+        renderHistoryPanel();
+    }
+}
 
-    // STRICT DURATION LOGIC
-    // User wants: Duration value MUST affect design area first.
-    // But also "Prevent design area from being decreased below end-time of last box"
+function flashUndoButton() {
+    const undoBtn = document.getElementById('undo-btn');
+    if (!undoBtn) return;
 
-    const minTrackWidth = msToPixels(getDisplayTimelineEndTimeMs());
+    if (flashUndoButton.timer) {
+        clearTimeout(flashUndoButton.timer);
+    }
 
-    app.diagram.lanes.forEach(lane => {
-        const row = document.createElement('div');
-        row.className = 'lane-row';
-        if (parseInt(app.selectedLaneId, 10) === lane.id) row.classList.add('is-selected');
-        row.dataset.laneId = lane.id;
-        // Min-width for scrolling - considering sticky label
-        // Note: If labels are hidden, --lane-label-width is 0px
-        row.style.minWidth = `calc(var(--lane-label-width) + ${minTrackWidth}px)`;
+    undoBtn.classList.remove('undo-flash');
+    // Force reflow so repeated deletions retrigger the animation.
+    void undoBtn.offsetWidth;
+    undoBtn.classList.add('undo-flash');
 
-        const label = document.createElement('div');
-        label.className = 'lane-label';
-        if (parseInt(app.selectedLaneId, 10) === lane.id) label.classList.add('is-selected');
-        label.innerHTML = escapeHtml(lane.name).replace(/\n/g, '<br>');
-        label.title = lane.name;
+    flashUndoButton.timer = setTimeout(() => {
+        undoBtn.classList.remove('undo-flash');
+        flashUndoButton.timer = null;
+    }, 850);
+}
 
-        const track = document.createElement('div');
-        track.className = 'lane-track';
-        track.dataset.laneId = lane.id;
+function clearDiagramHistory(diagramId = currentDiagramId) {
+    diagramHistories.delete(diagramId || '');
+    updateUndoRedoButtons();
+}
 
-        // Force explicit width to enable scrolling
-        track.style.minWidth = `${minTrackWidth}px`;
-        track.style.width = `${minTrackWidth}px`;
+function captureHistoryState() {
+    return JSON.parse(JSON.stringify({
+        title: app.diagram.title,
+        startTime: app.diagram.startTime,
+        lanes: app.diagram.lanes,
+        boxes: app.diagram.boxes,
+        nextLaneId: app.diagram.nextLaneId,
+        nextBoxId: app.diagram.nextBoxId,
+        dependencies: app.diagram.dependencies,
+        nextDependencyId: app.diagram.nextDependencyId,
+        settings: app.settings
+    }));
+}
+
+function applyHistoryState(state) {
+    app.diagram.title = state.title;
+    app.diagram.startTime = state.startTime;
+    app.diagram.lanes = state.lanes.map(l => ({ ...l }));
+    app.diagram.boxes = state.boxes.map(b => ({ ...b }));
+    app.diagram.nextLaneId = state.nextLaneId;
+    app.diagram.nextBoxId = state.nextBoxId;
+    app.diagram.dependencies = (state.dependencies || []).map(d => ({ ...d }));
+    app.diagram.nextDependencyId = state.nextDependencyId || 1;
+    app.settings = normalizeTimelineSettings(state.settings);
+}
 
-        // Compression indicators
-        if (Compression.enabled) {
-            const gaps = Compression.getCompressedGaps();
-            gaps.forEach(gap => {
-                const indicator = document.createElement('div');
-                indicator.className = 'compression-indicator';
-                indicator.style.left = `${msToPixels(gap.compressedStart)}px`;
-                indicator.title = `Gap: ${formatDuration(gap.originalSize)}`;
-                track.appendChild(indicator);
-            });
+/**
+ * Push an undoable step for the current diagram.
+ * Steps sharing a coalesceKey within HISTORY_COALESCE_MS are merged so that
+ * continuous inputs (typing, color picker, sliders) produce a single entry.
+ * @param {string} label - Human readable action name shown in the history list
+ * @param {Object} before - State captured with captureHistoryState() before the edit
+ * @returns {boolean} - True if the edit changed the diagram and was recorded
+ */
+function commitHistoryStep(label, before, { coalesceKey = null } = {}) {
+    if (!before) return false;
+    const after = captureHistoryState();
+    if (JSON.stringify(before) === JSON.stringify(after)) return false;
+
+    const history = getDiagramHistory();
+    const now = Date.now();
+    const last = history.undoStack[history.undoStack.length - 1];
+    if (coalesceKey && last && last.coalesceKey === coalesceKey && now - last.timestamp < HISTORY_COALESCE_MS) {
+        last.after = after;
+        last.timestamp = now;
+    } else {
+        history.undoStack.push({ label, before, after, coalesceKey, timestamp: now });
+        if (history.undoStack.length > HISTORY_MAX_ENTRIES) {
+            history.undoStack.shift();
         }
+    }
+    history.redoStack = [];
+    updateUndoRedoButtons();
+    notifyEmbedHostDiagramChange('edit');
+    return true;
+}
 
-        // Render boxes
-        const boxes = app.diagram.getBoxesForLane(lane.id);
-        boxes.forEach(box => {
-            const boxEl = createBoxElement(box);
-            track.appendChild(boxEl);
-        });
+function recordHistoryStep(label, mutate, options = {}) {
+    const before = captureHistoryState();
+    const result = mutate();
+    commitHistoryStep(label, before, options);
+    return result;
+}
 
-        row.appendChild(label);
-        row.appendChild(track);
-        canvas.appendChild(row);
-    });
+function refreshAfterHistoryChange() {
+    pendingLaneDeleteId = null;
 
-    // Event listeners handling
-    canvas.querySelectorAll('.lane-track').forEach(track => {
-        track.addEventListener('mousedown', handleTrackMouseDown);
-    });
+    if (app.selectedBoxId && !app.diagram.boxes.some(b => b.id === app.selectedBoxId)) {
+        deselectBox();
+    }
+    if (isMultiSelectionActive()) {
+        const remainingIds = getSelectedBoxIds();
+        if (remainingIds.length < 2) {
+            deselectBox();
+        } else {
+            app.selectedBoxIds = remainingIds;
+            updateMultiBoxPropertiesPanel();
+        }
+    }
+    if (app.selectedLaneId && !app.diagram.lanes.some(l => l.id === parseInt(app.selectedLaneId, 10))) {
+        app.selectedLaneId = null;
+        if (typeof V2 !== 'undefined' && V2.isV2 && V2.currentMode === 'lane') {
+            V2.hideRightSidebar();
+        }
+    }
 
+    app.elements.diagramTitle.value = app.diagram.title;
+    app.elements.startTime.value = app.diagram.startTime;
+    syncToolbarSettingsControls();
+    updateBoxLabelsState();
+    document.body.classList.toggle('hide-lane-labels', !!app.settings.compactView);
+    notifyEmbedHostDiagramChange('history');
+
+    Compression.invalidate();
+    renderLaneList();
+    renderLanesCanvas();
     renderTimelineRuler();
-    renderAlignmentCanvasOverlay();
     renderTimeMarkers();
+    renderAlignmentCanvasOverlay();
     Minimap.render();
-    syncSelectedLaneUI();
+    if (app.diagram.lanes.length === 0) {
+        resetCompressionView({ rerender: true, persist: false });
+    }
+    if (app.selectedBoxId) {
+        updatePropertiesPanel();
+    }
+    updateTotalDuration();
+    renderDiagramsList();
+    autoSave();
+}
 
-    if (app.isMeasuring || app.measurements.length > 0 || app.measurePinned) {
-        updateMeasurementDisplay();
+function undoDiagramChange() {
+    if (!isEditingAllowed()) return;
+    const history = getDiagramHistory();
+    const entry = history.undoStack.pop();
+    if (!entry) {
+        updateUndoRedoButtons();
+        return;
     }
 
-    syncZoomFitIndicator();
+    applyHistoryState(entry.before);
+    history.redoStack.push(entry);
+    refreshAfterHistoryChange();
+    updateUndoRedoButtons();
 }
 
-function createBoxElement(box) {
-    const el = document.createElement('div');
-    el.className = 'timeline-box' + (box.id === app.selectedBoxId ? ' selected' : '');
-    el.dataset.boxId = box.id;
+function redoDiagramChange() {
+    if (!isEditingAllowed()) return;
+    const history = getDiagramHistory();
+    const entry = history.redoStack.pop();
+    if (!entry) {
+        updateUndoRedoButtons();
+        return;
+    }
 
-    const rendered = getRenderedBoxEdges(box);
-    const left = rendered.leftPx;
-    const width = rendered.widthPx;
+    applyHistoryState(entry.after);
+    history.undoStack.push(entry);
+    refreshAfterHistoryChange();
+    updateUndoRedoButtons();
+}
 
-    el.style.left = `${left}px`;
-    el.style.width = `${width}px`;
-    el.style.backgroundColor = box.color;
-    el.style.color = getContrastColor(box.color);
-    if (rendered.isVisuallyExpanded) {
-        el.classList.add('is-min-width-expanded');
-    } else {
-        el.classList.remove('is-min-width-expanded');
+/**
+ * Jump to a history position: index counts applied steps (0 = before the first entry).
+ */
+function jumpToHistoryIndex(targetIndex) {
+    if (!isEditingAllowed()) return;
+    const history = getDiagramHistory();
+    const total = history.undoStack.length + history.redoStack.length;
+    const target = Math.max(0, Math.min(total, targetIndex));
+    if (target === history.undoStack.length) return;
+
+    while (history.undoStack.length > target) {
+        history.redoStack.push(history.undoStack.pop());
+    }
+    while (history.undoStack.length < target) {
+        history.undoStack.push(history.redoStack.pop());
     }
 
-    const labelText = box.label ? `${box.label} (${formatDuration(box.duration)})` : formatDuration(box.duration);
-    const floatingLabelText = box.label ? `${box.label}: ${formatDuration(box.duration)}` : formatDuration(box.duration);
+    const lastApplied = history.undoStack[history.undoStack.length - 1];
+    applyHistoryState(lastApplied ? lastApplied.after : history.redoStack[history.redoStack.length - 1].before);
+    refreshAfterHistoryChange();
+    updateUndoRedoButtons();
+}
 
-    el.innerHTML = `
-        <div class="box-floating-label">${escapeHtml(floatingLabelText)}</div>
-        <div class="box-resize-handle left"></div>
-        <span class="box-label">${escapeHtml(labelText)}</span>
-        <div class="box-resize-handle right"></div>
-    `;
+function isHistoryPanelOpen() {
+    const panel = document.getElementById('history-panel');
+    return !!panel && !panel.classList.contains('hidden');
+}
 
-    // Floating tooltip on hover
-    el.addEventListener('mouseenter', (e) => {
-        showBoxTooltip(box, e);
-    });
+function setHistoryPanelOpen(open) {
+    const panel = document.getElementById('history-panel');
+    const toggleBtn = document.getElementById('history-toggle-btn');
+    if (!panel || !toggleBtn) return;
+    const shouldOpen = !!open;
+    panel.classList.toggle('hidden', !shouldOpen);
+    toggleBtn.classList.toggle('active', shouldOpen);
+    toggleBtn.setAttribute('aria-expanded', shouldOpen ? 'true' : 'false');
+    if (shouldOpen) renderHistoryPanel();
+    scheduleDesignerHintsRender();
+}
 
-    el.addEventListener('mousemove', (e) => {
-        moveBoxTooltip(e);
-    });
+function renderHistoryPanel() {
+    const list = document.getElementById('history-list');
+    if (!list) return;
+    list.innerHTML = '';
 
-    el.addEventListener('mouseleave', () => {
-        hideBoxTooltip();
-    });
+    const history = getDiagramHistory();
+    // Oldest first: applied steps, then undone (redo) steps in the order they would be replayed.
+    const entries = [...history.undoStack, ...history.redoStack.slice().reverse()];
+    const appliedCount = history.undoStack.length;
 
-    // Box click/selection
-    el.addEventListener('click', (e) => {
-        e.stopPropagation();
-        // Only select on true clicks, not after drag/resize
-        // Check if last drag involved actual movement
-        if (!app.lastDragDidMove) {
-            selectBox(box.id);
-        }
-        // Reset flag
-        app.lastDragDidMove = false;
-    });
+    const addRow = (label, timestamp, index) => {
+        const row = document.createElement('button');
+        row.type = 'button';
+        row.className = 'history-item';
+        if (index === appliedCount) row.classList.add('is-current');
+        if (index > appliedCount) row.classList.add('is-undone');
 
-    // Box dragging (move)
-    el.addEventListener('mousedown', (e) => {
-        if (app.isPicking) {
-            e.stopPropagation();
-            e.preventDefault();
-            completePickStart(box.id);
-            return;
-        }
+        const name = document.createElement('span');
+        name.className = 'history-item-label';
+        name.textContent = label;
+        row.appendChild(name);
 
-        // Allow measurement to start from box - don't intercept if Cmd/Ctrl held or measure mode active
-        if (e.ctrlKey || e.metaKey || app.measureToolActive) {
-            // Don't stop propagation - let canvas handler start measurement
-            return;
+        if (timestamp) {
+            const time = document.createElement('span');
+            time.className = 'history-item-time';
+            time.textContent = formatTimeAgo(timestamp);
+            row.appendChild(time);
         }
 
-        if (e.target.classList.contains('box-resize-handle')) {
-            handleResizeStart(e, box.id);
-        } else {
-            handleBoxDragStart(e, box.id);
-        }
-        hideBoxTooltip(); // Hide tooltip while dragging
-    });
+        row.addEventListener('click', (e) => {
+            e.stopPropagation();
+            jumpToHistoryIndex(index);
+        });
+        list.appendChild(row);
+    };
 
-    return el;
+    addRow('Opened diagram', null, 0);
+    entries.forEach((entry, i) => addRow(entry.label, entry.timestamp, i + 1));
+    const current = list.querySelector('.history-item.is-current');
+    if (current) current.scrollIntoView({ block: 'nearest' });
 }
 
-function showBoxTooltip(box, e) {
-    const tooltip = app.elements.tooltip;
-    if (!tooltip) return;
-
-    const baseTime = parseTime(app.diagram.startTime);
-    const endOffset = box.startOffset + box.duration;
-    const expandedHint = isBoxVisuallyExpanded(box.duration)
-        ? `
-        <div class="tooltip-row">
-            <span class="label">Display:</span>
-            <span class="value">Expanded to minimum width</span>
-        </div>
-    `
-        : '';
+function removeLaneFromDiagram(laneId) {
+    const laneIndex = app.diagram.lanes.findIndex(l => l.id === laneId);
+    if (laneIndex === -1) return false;
 
-    tooltip.innerHTML = `
-        <div class="tooltip-label">${escapeHtml(box.label || 'Untitled Box')}</div>
-        <div class="tooltip-row">
-            <span class="label">Duration:</span>
-            <span class="value">${formatDuration(box.duration)}</span>
-        </div>
-        <div class="tooltip-row">
-            <span class="label">Start:</span>
-            <span class="value">+${formatDuration(box.startOffset)} (${formatTime(baseTime + box.startOffset)})</span>
-        </div>
-        <div class="tooltip-row">
-            <span class="label">End:</span>
-            <span class="value">+${formatDuration(endOffset)} (${formatTime(baseTime + endOffset)})</span>
-        </div>
-        ${expandedHint}
-    `;
+    const removedBoxIds = new Set(app.diagram.boxes.filter(b => b.laneId === laneId).map(b => b.id));
+    app.diagram.removeLane(laneId);
 
-    tooltip.style.left = `${e.clientX + 15}px`;
-    tooltip.style.top = `${e.clientY + 15}px`;
-    tooltip.classList.add('visible');
+    if (parseInt(app.selectedLaneId, 10) === laneId) {
+        app.selectedLaneId = null;
+        const laneNameInput = document.getElementById('lane-name');
+        if (laneNameInput) laneNameInput.value = '';
+        if (typeof V2 !== 'undefined' && V2.isV2 && V2.currentMode === 'lane' && typeof V2.hideRightSidebar === 'function') {
+            V2.hideRightSidebar();
+        }
+        syncSelectedLaneUI();
+    }
+    if (app.selectedBoxId && removedBoxIds.has(app.selectedBoxId)) {
+        app.selectedBoxId = null;
+        app.selectedBoxIds = [];
+        document.querySelectorAll('.timeline-box.selected').forEach(el => el.classList.remove('selected'));
+    }
+    return true;
 }
 
-function moveBoxTooltip(e) {
-    const tooltip = app.elements.tooltip;
-    if (!tooltip) return;
-
-    tooltip.style.left = `${e.clientX + 15}px`;
-    tooltip.style.top = `${e.clientY + 15}px`;
+function clearPendingLaneDelete(options = {}) {
+    const { rerender = true } = options;
+    if (!pendingLaneDeleteId) return;
+    pendingLaneDeleteId = null;
+    if (rerender) renderLaneList();
 }
 
-function hideBoxTooltip() {
-    const tooltip = app.elements.tooltip;
-    if (!tooltip) return;
+function getLaneDeleteMessage(laneId) {
+    const lane = app.diagram.lanes.find(l => l.id === parseInt(laneId, 10));
+    if (!lane) return '"Lane" will be removed.';
+    const boxCount = app.diagram.getBoxesForLane(lane.id).length;
+    return `"${lane.name || 'Lane'}"${boxCount > 0 ? ` and its ${boxCount} box${boxCount > 1 ? 'es' : ''}` : ''} will be removed.`;
+}
 
-    tooltip.classList.remove('visible');
+function requestLaneDelete(laneId) {
+    const resolvedLaneId = parseInt(laneId, 10);
+    if (!Number.isInteger(resolvedLaneId)) return;
+    if (!app.diagram.lanes.some(l => l.id === resolvedLaneId)) return;
+    pendingLaneDeleteId = null;
+    deleteLaneWithUndo(resolvedLaneId);
 }
 
-function getUiTooltipText(target) {
-    if (!target) return '';
-    const raw = target.getAttribute('data-tooltip')
-        || target.getAttribute('title')
-        || '';
-    return raw.replace(/\s+/g, ' ').trim();
+function confirmLaneDelete(laneId) {
+    requestLaneDelete(laneId);
 }
 
-function primeUiTooltipTarget(target) {
-    if (!target || typeof target.getAttribute !== 'function') return '';
-    const nativeTitle = target.getAttribute('title');
-    if (nativeTitle && !target.getAttribute('data-tooltip')) {
-        target.setAttribute('data-tooltip', nativeTitle);
-    }
-    if (nativeTitle) {
-        target.removeAttribute('title');
+function deleteLaneWithUndo(laneId) {
+    const removed = recordHistoryStep('Delete lane', () => removeLaneFromDiagram(laneId));
+    if (!removed) return;
+
+    Compression.invalidate();
+    renderLaneList();
+    renderLanesCanvas();
+    renderTimelineRuler();
+    renderTimeMarkers();
+    renderAlignmentCanvasOverlay();
+    Minimap.render();
+    if (app.diagram.lanes.length === 0) {
+        resetCompressionView({ rerender: true, persist: false });
     }
-    return getUiTooltipText(target);
+    updateTotalDuration();
+    autoSave();
+    flashUndoButton();
 }
 
-function normalizeNativeTitleTooltips(root = document) {
-    if (!root || typeof root.querySelectorAll !== 'function') return;
-    root.querySelectorAll('[title]').forEach((node) => {
-        if (node.closest('#box-tooltip') || node.closest('#app-tooltip')) return;
-        primeUiTooltipTarget(node);
+function syncSelectedLaneUI() {
+    const selectedLaneId = parseInt(app.selectedLaneId, 10);
+    const hasSelectedLane = Number.isInteger(selectedLaneId);
+
+    document.querySelectorAll('.lane-item').forEach(item => {
+        const laneId = parseInt(item.dataset.laneId, 10);
+        item.classList.toggle('is-selected', hasSelectedLane && laneId === selectedLaneId);
     });
-}
 
-function getUiTooltipTargetFromNode(node) {
-    if (!(node instanceof Element)) return null;
-    const target = node.closest('[data-tooltip], [title]');
-    if (!target) return null;
-    if (target.closest('#box-tooltip') || target.closest('#app-tooltip')) return null;
-    const text = primeUiTooltipTarget(target);
-    return text ? target : null;
+    document.querySelectorAll('.lane-row').forEach(row => {
+        const laneId = parseInt(row.dataset.laneId, 10);
+        const isSelected = hasSelectedLane && laneId === selectedLaneId;
+        row.classList.toggle('is-selected', isSelected);
+        const label = row.querySelector('.lane-label');
+        if (label) label.classList.toggle('is-selected', isSelected);
+    });
 }
 
-function clearUiTooltipShowTimer() {
-    if (app.uiTooltipShowTimer) {
-        clearTimeout(app.uiTooltipShowTimer);
-        app.uiTooltipShowTimer = null;
-    }
-    app.pendingUiTooltipTarget = null;
+function clearSelectedLaneSelection() {
+    if (app.selectedLaneId === null || typeof app.selectedLaneId === 'undefined') return;
+    app.selectedLaneId = null;
+    syncSelectedLaneUI();
 }
 
-function positionUiTooltip(target, tooltipEl) {
-    if (!target || !tooltipEl) return;
-    const offsetX = 8;
-    const offsetY = 7;
-    const edgePadding = 6;
-    const rect = target.getBoundingClientRect();
-    const tipRect = tooltipEl.getBoundingClientRect();
-
-    let x = rect.right + offsetX;
-    let y = rect.bottom + offsetY;
+// =====================================================
+// Rendering Functions
+// =====================================================
+function renderLaneList() {
+    const container = app.elements.laneList;
+    container.innerHTML = '';
 
-    if ((x + tipRect.width) > (window.innerWidth - edgePadding)) {
-        x = rect.left - tipRect.width - offsetX;
-    }
-    if ((y + tipRect.height) > (window.innerHeight - edgePadding)) {
-        y = rect.top - tipRect.height - offsetY;
-    }
+    app.diagram.lanes.forEach((lane, index) => {
+        const item = document.createElement('div');
+        item.className = 'lane-item';
+        if (parseInt(app.selectedLaneId, 10) === lane.id) item.classList.add('is-selected');
+        item.dataset.laneId = lane.id;
+        item.draggable = true;
 
-    x = Math.max(edgePadding, Math.min(window.innerWidth - tipRect.width - edgePadding, x));
-    y = Math.max(edgePadding, Math.min(window.innerHeight - tipRect.height - edgePadding, y));
+        const laneColorStyle = lane.baseColor ? `background-color: ${lane.baseColor}` : `background-color: ${PALETTE[index % PALETTE.length]}`;
 
-    tooltipEl.classList.remove('below');
-    tooltipEl.style.left = `${Math.round(x)}px`;
-    tooltipEl.style.top = `${Math.round(y)}px`;
-}
+        // V2: Use div.lane-name-div instead of input
+        item.innerHTML = `
+            <span class="lane-drag-handle" title="Drag to reorder">⋮⋮</span>
+            <button class="lane-color-btn" data-lane-id="${lane.id}" title="Change lane color" style="${laneColorStyle}"></button>
+            <div class="lane-name-div" data-lane-id="${lane.id}">${escapeHtml(lane.name).replace(/\n/g, '<br>')}</div>
+        `;
 
-function showUiTooltip(target) {
-    const tooltipEl = app.elements.uiTooltip;
-    if (!tooltipEl) return;
-    if (app.designerHintsVisible) {
-        hideUiTooltip();
-        return;
-    }
+        // Add click listener to open properties on the item (excluding controls)
+        item.addEventListener('click', (e) => {
+            if (e.target.closest('.inline-delete-overlay')) return;
+            if (e.target.closest('.lane-color-btn')) return;
+            showLanePropertiesPanel(lane.id);
+        });
 
-    clearUiTooltipShowTimer();
-    const text = primeUiTooltipTarget(target);
-    if (!text) {
-        hideUiTooltip();
-        return;
-    }
+        // Add double-click inline editing for lane name
+        const laneNameDiv = item.querySelector('.lane-name-div');
+        laneNameDiv.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            if (!isEditingAllowed()) return;
 
-    tooltipEl.textContent = text;
-    tooltipEl.classList.add('visible');
-    positionUiTooltip(target, tooltipEl);
-    app.activeUiTooltipTarget = target;
-}
+            // Create textarea for editing
+            const textarea = document.createElement('textarea');
+            textarea.className = 'lane-name-edit-textarea';
+            textarea.value = lane.name;
+            textarea.rows = 3;
 
-function scheduleUiTooltip(target, { immediate = false } = {}) {
-    if (!target) return;
-    clearUiTooltipShowTimer();
-    if (immediate) {
-        showUiTooltip(target);
-        return;
-    }
-    app.pendingUiTooltipTarget = target;
-    app.uiTooltipShowTimer = setTimeout(() => {
-        const pendingTarget = app.pendingUiTooltipTarget;
-        clearUiTooltipShowTimer();
-        if (pendingTarget && pendingTarget.isConnected) {
-            showUiTooltip(pendingTarget);
-        }
-    }, REGULAR_TOOLTIP_DELAY_MS);
-}
-
-function hideUiTooltip() {
-    clearUiTooltipShowTimer();
-    const tooltipEl = app.elements.uiTooltip;
-    if (!tooltipEl) return;
-    tooltipEl.classList.remove('visible', 'below');
-    app.activeUiTooltipTarget = null;
-}
+            // Replace div with textarea
+            laneNameDiv.replaceWith(textarea);
+            textarea.focus();
+            textarea.select();
 
-function initRegularTooltips() {
-    document.addEventListener('mouseover', (e) => {
-        const target = getUiTooltipTargetFromNode(e.target);
-        if (!target) return;
-        if (target !== app.activeUiTooltipTarget) {
-            scheduleUiTooltip(target);
-        } else {
-            positionUiTooltip(target, app.elements.uiTooltip);
-        }
-    }, true);
+            const saveEdit = () => {
+                const newName = textarea.value.trim() || 'Unnamed Lane';
+                recordHistoryStep('Rename lane', () => app.diagram.renameLane(lane.id, newName));
+                renderLaneList();
+                renderLanesCanvas();
+                autoSave();
+            };
 
-    document.addEventListener('mouseout', (e) => {
-        const tooltipTarget = getUiTooltipTargetFromNode(e.target);
-        if (!tooltipTarget) return;
-        const related = e.relatedTarget;
-        if (related instanceof Element && tooltipTarget.contains(related)) return;
-        if (app.pendingUiTooltipTarget === tooltipTarget || app.activeUiTooltipTarget === tooltipTarget) {
-            hideUiTooltip();
-        }
-    }, true);
+            textarea.addEventListener('blur', saveEdit);
+            textarea.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    renderLaneList(); // Cancel edit
+                }
+                if (e.key === 'Enter' && !e.shiftKey) {
+                    e.preventDefault();
+                    saveEdit();
+                }
+            });
+        });
 
-    document.addEventListener('focusin', (e) => {
-        const target = getUiTooltipTargetFromNode(e.target);
-        if (target) scheduleUiTooltip(target, { immediate: true });
+        container.appendChild(item);
     });
 
-    document.addEventListener('focusout', (e) => {
-        if (!app.activeUiTooltipTarget) return;
-        const activeTarget = app.activeUiTooltipTarget;
-        if (e.target === activeTarget || (e.target instanceof Element && activeTarget.contains(e.target))) {
-            hideUiTooltip();
-        }
+    // Invoke global drag init if available (it attaches to container #lane-list)
+    if (typeof initDragAndDrop === 'function') initDragAndDrop();
+    container.querySelectorAll('.lane-color-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (!isEditingAllowed()) return;
+            const laneId = parseInt(e.target.dataset.laneId, 10);
+            showLanePropertiesPanel(laneId);
+        });
     });
 
-    document.addEventListener('scroll', () => {
-        if (app.activeUiTooltipTarget && app.elements.uiTooltip?.classList.contains('visible')) {
-            positionUiTooltip(app.activeUiTooltipTarget, app.elements.uiTooltip);
-        }
-    }, true);
+    // Drag and drop for reordering
+    setupLaneDragAndDrop();
+    syncSelectedLaneUI();
 }
 
-function getToolbarHintText(element) {
-    if (!element) return '';
-    const raw = element.getAttribute('data-hint')
-        || element.getAttribute('title')
-        || element.getAttribute('aria-label')
-        || element.textContent
-        || '';
-    return raw.replace(/\s+/g, ' ').trim();
-}
+function setupLaneDragAndDrop() {
+    const container = app.elements.laneList;
+    let draggedItem = null;
 
-function collectToolbarHintTargets() {
-    const toolbar = document.querySelector('.toolbar');
-    if (!toolbar) return [];
+    container.querySelectorAll('.lane-item').forEach(item => {
+        item.addEventListener('dragstart', (e) => {
+            if (app.diagram.locked) {
+                e.preventDefault();
+                return;
+            }
+            draggedItem = item;
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+        });
 
-    const hintNodes = Array.from(toolbar.querySelectorAll('.toolbar-btn, .toolbar-toggle-btn'));
-    return hintNodes
-        .filter((node) => {
-            if (!node.isConnected) return false;
-            if (node.closest('.toolbar-threshold-panel')) return false;
-            if (node.closest('.hidden')) return false;
-            const style = window.getComputedStyle(node);
-            if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') return false;
-            const rect = node.getBoundingClientRect();
-            if (rect.width < 8 || rect.height < 8) return false;
-            return !!getToolbarHintText(node);
-        })
-        .map((node) => {
-            return {
-                node,
-                text: getToolbarHintText(node)
-            };
+        item.addEventListener('dragend', () => {
+            item.classList.remove('dragging');
+            draggedItem = null;
         });
-}
 
-function ensureDesignerHintsLayer() {
-    if (app.elements.designerHintsLayer && app.elements.designerHintsLayer.isConnected) {
-        return app.elements.designerHintsLayer;
-    }
-    const layer = document.createElement('div');
-    layer.id = 'designer-hints-layer';
-    layer.className = 'designer-hints-layer';
-    document.body.appendChild(layer);
-    app.elements.designerHintsLayer = layer;
-    return layer;
-}
+        item.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            if (!draggedItem || draggedItem === item) return;
 
-function clearDesignerHintTargetHighlight() {
-    document.querySelectorAll('.designer-hint-target-active').forEach((node) => {
-        node.classList.remove('designer-hint-target-active');
-    });
-}
+            const rect = item.getBoundingClientRect();
+            const midY = rect.top + rect.height / 2;
 
-function handleDesignerHintTargetPointer(event) {
-    if (!app.designerHintsVisible) return;
-    const targetNode = event.currentTarget;
-    const nextIndex = app.designerHintTargets.findIndex((target) => target.node === targetNode);
-    if (nextIndex >= 0) {
-        app.designerHintIndex = nextIndex;
-        renderDesignerHints();
-    }
-}
+            if (e.clientY < midY) {
+                item.classList.add('drag-over-top');
+                item.classList.remove('drag-over-bottom');
+            } else {
+                item.classList.add('drag-over-bottom');
+                item.classList.remove('drag-over-top');
+            }
+        });
 
-function refreshDesignerHintTargets({ preserveCurrent = true } = {}) {
-    normalizeNativeTitleTooltips(document.body);
+        item.addEventListener('dragleave', () => {
+            item.classList.remove('drag-over-top', 'drag-over-bottom');
+        });
 
-    const previousNode = preserveCurrent && app.designerHintIndex >= 0
-        ? app.designerHintTargets[app.designerHintIndex]?.node
-        : null;
+        item.addEventListener('drop', (e) => {
+            e.preventDefault();
+            item.classList.remove('drag-over-top', 'drag-over-bottom');
 
-    (app.designerHintTargets || []).forEach((target) => {
-        if (!target?.node) return;
-        target.node.removeEventListener('mouseenter', handleDesignerHintTargetPointer);
-        target.node.removeEventListener('focus', handleDesignerHintTargetPointer);
-    });
-    clearDesignerHintTargetHighlight();
+            if (!draggedItem || draggedItem === item) return;
 
-    app.designerHintTargets = collectToolbarHintTargets();
-    app.designerHintTargets.forEach((target) => {
-        target.node.addEventListener('mouseenter', handleDesignerHintTargetPointer);
-        target.node.addEventListener('focus', handleDesignerHintTargetPointer);
-    });
+            const draggedLaneId = parseInt(draggedItem.dataset.laneId, 10);
+            const targetLaneId = parseInt(item.dataset.laneId, 10);
 
-    if (!app.designerHintTargets.length) {
-        app.designerHintIndex = -1;
-        return;
-    }
+            const draggedIndex = app.diagram.lanes.findIndex(l => l.id === draggedLaneId);
+            const targetIndex = app.diagram.lanes.findIndex(l => l.id === targetLaneId);
 
-    const preservedIndex = previousNode
-        ? app.designerHintTargets.findIndex((target) => target.node === previousNode)
-        : -1;
-    if (preservedIndex >= 0) {
-        app.designerHintIndex = preservedIndex;
-        return;
-    }
+            if (draggedIndex === -1 || targetIndex === -1) return;
 
-    const clampedPrevious = Number.isFinite(app.designerHintIndex)
-        ? Math.max(0, Math.min(app.designerHintTargets.length - 1, app.designerHintIndex))
-        : 0;
-    app.designerHintIndex = clampedPrevious;
-}
+            const rect = item.getBoundingClientRect();
+            const insertAfter = e.clientY > rect.top + rect.height / 2;
+            let insertionIndex = insertAfter ? targetIndex + 1 : targetIndex;
 
-function setActiveDesignerHintIndex(nextIndex) {
-    const total = app.designerHintTargets.length;
-    if (!total) {
-        app.designerHintIndex = -1;
-        renderDesignerHints();
-        return;
-    }
-    const numericIndex = Number(nextIndex);
-    if (!Number.isFinite(numericIndex)) return;
-    const wrappedIndex = ((Math.round(numericIndex) % total) + total) % total;
-    app.designerHintIndex = wrappedIndex;
-    renderDesignerHints();
-}
+            // Removing the dragged lane shifts insertion index when moving downward.
+            if (draggedIndex < insertionIndex) {
+                insertionIndex--;
+            }
 
-function cycleDesignerHints(direction = 1) {
-    const total = app.designerHintTargets.length;
-    if (!total) return;
-    const current = Number.isFinite(app.designerHintIndex) ? app.designerHintIndex : 0;
-    setActiveDesignerHintIndex(current + (direction >= 0 ? 1 : -1));
-}
+            // No-op drops should not trigger re-render/save.
+            if (insertionIndex === draggedIndex) return;
 
-function showHelpShortcutHintIfNeeded() {
-    if (app.designerHintsVisible) return;
+            recordHistoryStep('Reorder lanes', () => {
+                const [draggedLane] = app.diagram.lanes.splice(draggedIndex, 1);
+                app.diagram.lanes.splice(insertionIndex, 0, draggedLane);
 
-    let alreadyShown = false;
-    try {
-        alreadyShown = sessionStorage.getItem(HELP_SHORTCUT_HINT_SESSION_KEY) === '1';
-    } catch (_) {}
-    if (alreadyShown) return;
+                // Update order
+                app.diagram.lanes.forEach((l, i) => {
+                    l.order = i;
+                });
+            });
 
-    try {
-        sessionStorage.setItem(HELP_SHORTCUT_HINT_SESSION_KEY, '1');
-    } catch (_) {}
-
-    showToast({
-        type: 'info',
-        title: 'Help Shortcuts',
-        message: 'H = Help mode, Esc = Exit help mode.',
-        duration: 4200,
-        className: 'toast-help-shortcuts',
-        toastKey: 'help-shortcut-tip',
-        replaceExisting: true
+            renderLaneList();
+            renderLanesCanvas();
+            autoSave();
+        });
     });
 }
 
-function showDesignerHintsGuidanceToast() {
-    showToast({
-        type: 'info',
-        title: 'Help Mode Active',
-        message: 'H = Help mode, Esc = Exit. Click toolbar buttons for contextual help.',
-        duration: 0,
-        showClose: false,
-        className: 'toast-help-shortcuts',
-        toastKey: DESIGNER_HINT_TOAST_KEY,
-        replaceExisting: true
-    });
-}
+function renderTimelineRuler() {
+    const ruler = app.elements.timelineRuler;
 
-function hideDesignerHintsGuidanceToast() {
-    const toast = activeToastByKey.get(DESIGNER_HINT_TOAST_KEY);
-    if (toast && toast.isConnected) {
-        hideToast(toast, { reason: 'dismiss' });
-    }
-}
+    ruler.innerHTML = '';
 
-function renderDesignerHints() {
-    if (!app.designerHintsVisible) return;
+    const endTime = getDisplayTimelineEndTimeMs();
+    const interval = getAdaptiveRulerInterval(endTime);
 
-    const layer = ensureDesignerHintsLayer();
-    layer.innerHTML = '';
-    clearDesignerHintTargetHighlight();
+    // Create an inner wrapper div to define scrollable width
+    // (absolutely positioned children don't contribute to scroll width)
+    const rulerWidth = msToPixels(endTime);
+    const innerWrapper = document.createElement('div');
+    innerWrapper.className = 'timeline-ruler-inner';
+    innerWrapper.style.position = 'relative';
+    innerWrapper.style.width = `${rulerWidth}px`;
+    innerWrapper.style.height = '100%';
+    ruler.appendChild(innerWrapper);
 
-    const total = app.designerHintTargets.length;
-    if (!total || app.designerHintIndex < 0 || app.designerHintIndex >= total) {
-        layer.classList.remove('active');
-        return;
-    }
+    if (Compression.enabled) {
+        // HYBRID APPROACH: Show actual times at compressed positions with break markers
+        const breakMarkers = Compression.getBreakMarkers();
 
-    const target = app.designerHintTargets[app.designerHintIndex];
-    if (!target || !target.node || !target.node.isConnected) {
-        layer.classList.remove('active');
-        return;
+        // Generate ruler marks at compressed positions but show actual times
+        for (let tickIndex = 0, compressedTime = 0; compressedTime <= endTime + (interval * 0.0001); tickIndex++, compressedTime = tickIndex * interval) {
+            // Convert compressed position to actual time for the label
+            const actualTime = Compression.compressedToActual(compressedTime);
+
+            const mark = document.createElement('div');
+            mark.className = 'ruler-mark' + (isMajorRulerTickMs(actualTime, interval) ? ' major' : '');
+            mark.style.left = `${msToPixels(compressedTime)}px`;
+            mark.innerHTML = `<span>${formatDuration(actualTime)}</span>`;
+            innerWrapper.appendChild(mark);
+        }
+
+        // Add break markers at gap boundaries - single line with gap size label
+        breakMarkers.forEach(marker => {
+            const breakMark = document.createElement('div');
+            breakMark.className = 'ruler-break-marker';
+            breakMark.style.left = `${msToPixels(marker.compressedStart)}px`;
+            const actualGapSize = marker.actualEnd - marker.actualStart;
+            breakMark.title = `Gap: ${formatDuration(actualGapSize)} (${formatDuration(marker.actualStart)} → ${formatDuration(marker.actualEnd)})`;
+            breakMark.innerHTML = `<span class="break-label">${formatDuration(actualGapSize)}</span>`;
+            innerWrapper.appendChild(breakMark);
+        });
+    } else {
+        // Normal mode: show time at corresponding position
+        for (let tickIndex = 0, time = 0; time <= endTime + (interval * 0.0001); tickIndex++, time = tickIndex * interval) {
+            const mark = document.createElement('div');
+            mark.className = 'ruler-mark' + (isMajorRulerTickMs(time, interval) ? ' major' : '');
+            mark.style.left = `${msToPixels(time)}px`;
+            mark.innerHTML = `<span>${formatDuration(time)}</span>`;
+            innerWrapper.appendChild(mark);
+        }
     }
-    target.node.classList.add('designer-hint-target-active');
+}
 
-    const hint = document.createElement('div');
-    hint.className = 'designer-hint-chip';
+function renderLanesCanvas() {
+    const canvas = app.elements.lanesCanvas;
 
-    const indexChip = document.createElement('span');
-    indexChip.className = 'designer-hint-step';
-    indexChip.textContent = `${app.designerHintIndex + 1}/${total}`;
-    hint.appendChild(indexChip);
+    // Remove lane-row children but preserve the SVG overlay elements
+    Array.from(canvas.children).forEach(child => {
+        if (child.id !== 'alignment-canvas-overlay' && child.id !== 'dependency-canvas-overlay') {
+            canvas.removeChild(child);
+        }
+    });
 
-    const textChip = document.createElement('span');
-    textChip.className = 'designer-hint-text';
-    textChip.textContent = target.text;
-    hint.appendChild(textChip);
+    // STRICT DURATION LOGIC
+    // User wants: Duration value MUST affect design area first.
+    // But also "Prevent design area from being decreased below end-time of last box"
 
-    layer.appendChild(hint);
-    layer.classList.add('active');
+    const minTrackWidth = msToPixels(getDisplayTimelineEndTimeMs());
 
-    const rect = target.node.getBoundingClientRect();
-    const hintRect = hint.getBoundingClientRect();
-    const edgePadding = 6;
-    const offsetX = 10;
-    const offsetY = 7;
-    let x = rect.right + offsetX;
-    let y = rect.bottom + offsetY;
+    app.diagram.lanes.forEach(lane => {
+        const row = document.createElement('div');
+        row.className = 'lane-row';
+        if (parseInt(app.selectedLaneId, 10) === lane.id) row.classList.add('is-selected');
+        row.dataset.laneId = lane.id;
+        // Min-width for scrolling - considering sticky label
+        // Note: If labels are hidden, --lane-label-width is 0px
+        row.style.minWidth = `calc(var(--lane-label-width) + ${minTrackWidth}px)`;
 
-    if ((x + hintRect.width) > (window.innerWidth - edgePadding)) {
-        x = rect.left - hintRect.width - offsetX;
-    }
-    if ((y + hintRect.height) > (window.innerHeight - edgePadding)) {
-        y = rect.top - hintRect.height - offsetY;
-    }
+        const label = document.createElement('div');
+        label.className = 'lane-label';
+        if (parseInt(app.selectedLaneId, 10) === lane.id) label.classList.add('is-selected');
+        label.innerHTML = escapeHtml(lane.name).replace(/\n/g, '<br>');
+        label.title = lane.name;
 
-    x = Math.max(edgePadding, Math.min(window.innerWidth - hintRect.width - edgePadding, x));
-    y = Math.max(edgePadding, Math.min(window.innerHeight - hintRect.height - edgePadding, y));
+        const track = document.createElement('div');
+        track.className = 'lane-track';
+        track.dataset.laneId = lane.id;
 
-    hint.style.left = `${Math.round(x)}px`;
-    hint.style.top = `${Math.round(y)}px`;
-}
+        // Force explicit width to enable scrolling
+        track.style.minWidth = `${minTrackWidth}px`;
+        track.style.width = `${minTrackWidth}px`;
 
-function scheduleDesignerHintsRender({ refreshTargets = true } = {}) {
-    if (!app.designerHintsVisible) return;
-    if (app.designerHintsRaf) {
-        cancelAnimationFrame(app.designerHintsRaf);
-        app.designerHintsRaf = null;
-    }
-    app.designerHintsRaf = requestAnimationFrame(() => {
-        app.designerHintsRaf = null;
-        if (refreshTargets) {
-            refreshDesignerHintTargets({ preserveCurrent: true });
+        // Compression indicators
+        if (Compression.enabled) {
+            const gaps = Compression.getCompressedGaps();
+            gaps.forEach(gap => {
+                const indicator = document.createElement('div');
+                indicator.className = 'compression-indicator';
+                indicator.style.left = `${msToPixels(gap.compressedStart)}px`;
+                indicator.title = `Gap: ${formatDuration(gap.originalSize)}`;
+                track.appendChild(indicator);
+            });
         }
-        renderDesignerHints();
+
+        // Render boxes
+        const boxes = app.diagram.getBoxesForLane(lane.id);
+        boxes.forEach(box => {
+            const boxEl = createBoxElement(box);
+            track.appendChild(boxEl);
+        });
+
+        row.appendChild(label);
+        row.appendChild(track);
+        canvas.appendChild(row);
     });
-}
 
-function toggleDesignerHints(forceVisible = null) {
-    const shouldShow = typeof forceVisible === 'boolean'
-        ? forceVisible
-        : !app.designerHintsVisible;
-    if (shouldShow === app.designerHintsVisible) return;
-    app.designerHintsVisible = shouldShow;
-    document.body.classList.toggle('designer-hints-active', shouldShow);
-    if (shouldShow) {
-        normalizeNativeTitleTooltips(document.body);
-        hideUiTooltip();
-        refreshDesignerHintTargets({ preserveCurrent: false });
-        showDesignerHintsGuidanceToast();
-        scheduleDesignerHintsRender({ refreshTargets: false });
-        return;
-    }
-    if (app.designerHintsRaf) {
-        cancelAnimationFrame(app.designerHintsRaf);
-        app.designerHintsRaf = null;
-    }
-    hideDesignerHintsGuidanceToast();
-    (app.designerHintTargets || []).forEach((target) => {
-        if (!target?.node) return;
-        target.node.removeEventListener('mouseenter', handleDesignerHintTargetPointer);
-        target.node.removeEventListener('focus', handleDesignerHintTargetPointer);
+    // Event listeners handling
+    canvas.querySelectorAll('.lane-track').forEach(track => {
+        track.addEventListener('mousedown', handleTrackMouseDown);
     });
-    clearDesignerHintTargetHighlight();
-    app.designerHintTargets = [];
-    app.designerHintIndex = -1;
-    const layer = app.elements.designerHintsLayer || document.getElementById('designer-hints-layer');
-    if (layer) {
-        layer.classList.remove('active');
-        layer.innerHTML = '';
+
+    renderTimelineRuler();
+    renderAlignmentCanvasOverlay();
+    renderTimeMarkers();
+    Minimap.render();
+    syncSelectedLaneUI();
+
+    if (app.isMeasuring || app.measurements.length > 0 || app.measurePinned) {
+        updateMeasurementDisplay();
     }
-}
 
-function updateTotalDuration() {
-    const duration = app.diagram.getTotalDuration();
-    app.elements.totalDuration.textContent = formatDuration(duration);
-    // Auto-save on any change that updates duration
-    autoSave();
+    syncZoomFitIndicator();
 }
 
-function updatePropertiesPanel(isNewBox = false) {
-    const panel = app.elements.propertiesPanel;
-    const boxProps = document.getElementById('box-props');
-    const laneProps = document.getElementById('lane-props');
-    const settingsProps = document.getElementById('settings-props');
-    const propsTitle = document.getElementById('props-title');
+function createBoxElement(box) {
+    const el = document.createElement('div');
+    el.className = 'timeline-box' + (isBoxSelected(box.id) ? ' selected' : '');
+    if (app.embedHighlightIds.includes(box.id)) el.classList.add('is-embed-highlighted');
+    el.dataset.boxId = box.id;
 
-    if (!app.selectedBoxId) {
-        panel.classList.add('hidden');
-        return;
-    }
+    const rendered = getRenderedBoxEdges(box);
+    const left = rendered.leftPx;
+    const width = rendered.widthPx;
 
-    const box = app.diagram.boxes.find(b => b.id === app.selectedBoxId);
-    if (!box) {
-        panel.classList.add('hidden');
-        return;
-    }
-
-    // Show box properties, hide others
-    if (boxProps) boxProps.classList.remove('hidden');
-    if (laneProps) laneProps.classList.add('hidden');
-    if (settingsProps) settingsProps.classList.add('hidden');
-    if (propsTitle) propsTitle.textContent = 'Box Properties';
-
-    // Determine if panel should be visible:
-    // - If this is a NEW box: only open if autoOpenBoxProperties is enabled
-    // - If clicking existing box: always open
-    // - If updating (drag/resize): keep current visibility
-    const panelWasVisible = !panel.classList.contains('hidden');
-    if (isNewBox) {
-        // New box created - respect setting
-        if (app.settings.autoOpenBoxProperties) {
-            panel.classList.remove('hidden');
-        }
-    } else if (!panelWasVisible) {
-        // Not a new box and panel was closed - this is a click on existing box, open it
-        panel.classList.remove('hidden');
-    }
-    // If panel was already visible, keep it visible (already the case)
-
-    app.elements.boxLabel.value = box.label;
-    app.elements.boxColor.value = box.color;
-    app.elements.boxStart.value = formatMsForInput(box.startOffset);
-    app.elements.boxDuration.value = formatMsForInput(box.duration);
-
-    // Show end time (start + duration)
-    if (app.elements.boxEnd) {
-        app.elements.boxEnd.value = formatMsForInput(box.startOffset + box.duration);
+    el.style.left = `${left}px`;
+    el.style.width = `${width}px`;
+    el.style.backgroundColor = box.color;
+    el.style.color = getContrastColor(box.color);
+    if (rendered.isVisuallyExpanded) {
+        el.classList.add('is-min-width-expanded');
+    } else {
+        el.classList.remove('is-min-width-expanded');
     }
 
-    // Calculate absolute times
-    const baseTime = parseTime(app.diagram.startTime);
-    app.elements.boxTimeStart.textContent = formatTime(baseTime + box.startOffset);
-    app.elements.boxTimeEnd.textContent = formatTime(baseTime + box.startOffset + box.duration);
-}
-
-function renderTimeMarkers() {
-    const container = app.elements.timeMarkers;
-    if (!container) return;
-
-    container.innerHTML = '';
-
-    const endTime = getDisplayTimelineEndTimeMs();
-    const markerWidth = msToPixels(endTime);
-
-    // Create an inner wrapper div to define scrollable width
-    // (absolutely positioned children don't contribute to scroll width)
-    const innerWrapper = document.createElement('div');
-    innerWrapper.className = 'time-markers-inner';
-    innerWrapper.style.position = 'relative';
-    innerWrapper.style.width = `${markerWidth}px`;
-    innerWrapper.style.height = '100%';
-    container.appendChild(innerWrapper);
+    const labelText = box.label ? `${box.label} (${formatDuration(box.duration)})` : formatDuration(box.duration);
+    const floatingLabelText = box.label ? `${box.label}: ${formatDuration(box.duration)}` : formatDuration(box.duration);
 
-    if (app.diagram.boxes.length === 0) return;
+    el.innerHTML = `
+        <div class="box-floating-label">${escapeHtml(floatingLabelText)}</div>
+        <div class="box-resize-handle left"></div>
+        <span class="box-label">${escapeHtml(labelText)}</span>
+        <div class="box-resize-handle right"></div>
+    `;
 
-    // Collect all time points
-    const markers = [];
+    // Floating tooltip on hover
+    el.addEventListener('mouseenter', (e) => {
+        showBoxTooltip(box, e);
+    });
 
-    app.diagram.boxes.forEach(box => {
-        const edges = getRenderedBoxEdges(box);
-        // Actual times for labels
-        const actualStart = box.startOffset;
-        const actualEnd = box.startOffset + box.duration;
+    el.addEventListener('mousemove', (e) => {
+        moveBoxTooltip(e);
+    });
 
-        markers.push({
-            visualX: edges.leftPx,         // For positioning
-            actualTime: actualStart,       // For label
-            type: 'start',
-            boxId: box.id,
-            color: box.color,
-            label: formatDuration(actualStart)
-        });
-        markers.push({
-            visualX: edges.rightPx,        // For positioning
-            actualTime: actualEnd,         // For label
-            type: 'end',
-            boxId: box.id,
-            color: box.color,
-            label: formatDuration(actualEnd)
-        });
+    el.addEventListener('mouseleave', () => {
+        hideBoxTooltip();
     });
 
-    // Sort by visual position for proper layout
-    markers.sort((a, b) => a.visualX - b.visualX);
+    // Box click/selection
+    el.addEventListener('click', (e) => {
+        e.stopPropagation();
+        // Shift/Ctrl/Cmd+click toggles the box in the multi-selection.
+        // Ctrl/Cmd+drag measures instead, so only a click that stayed in place counts.
+        if (e.shiftKey || e.ctrlKey || e.metaKey) {
+            const start = app.modifierClickStart;
+            app.modifierClickStart = null;
+            if (start && Math.abs(e.clientX - start.x) < 3 && Math.abs(e.clientY - start.y) < 3) {
+                toggleBoxSelection(box.id);
+            }
+            app.lastDragDidMove = false;
+            return;
+        }
+        // Only select on true clicks, not after drag/resize
+        // Check if last drag involved actual movement
+        if (!app.lastDragDidMove) {
+            selectBox(box.id);
+        }
+        // Reset flag
+        app.lastDragDidMove = false;
+    });
 
-    // Layout Logic: Horizontal text with vertical stacking for collisions
-    const levels = [];
-    const charWidth = 7;
-    const padding = 10;
+    // Box dragging (move)
+    el.addEventListener('mousedown', (e) => {
+        if (app.isPicking) {
+            e.stopPropagation();
+            e.preventDefault();
+            completePickStart(box.id);
+            return;
+        }
 
-    markers.forEach(m => {
-        const x = m.visualX;
-        const text = `${m.type === 'start' ? 'S' : 'E'}: ${m.label}`;
-        const width = text.length * charWidth + padding;
-        const startX = x - (width / 2);
-        const endX = startX + width;
+        if (e.shiftKey || e.ctrlKey || e.metaKey) {
+            app.modifierClickStart = { x: e.clientX, y: e.clientY };
+        }
+        // Shift+click is reserved for multi-selection
+        if (e.shiftKey && !e.ctrlKey && !e.metaKey && !app.measureToolActive) {
+            e.stopPropagation();
+            e.preventDefault();
+            return;
+        }
 
-        let level = 0;
-        let placed = false;
+        // Allow measurement to start from box - don't intercept if Cmd/Ctrl held or measure mode active
+        if (e.ctrlKey || e.metaKey || app.measureToolActive) {
+            // Don't stop propagation - let canvas handler start measurement
+            return;
+        }
 
-        while (!placed) {
-            if (!levels[level] || levels[level] < startX) {
-                levels[level] = endX;
-                m.level = level;
-                m.text = text;
-                placed = true;
-            } else {
-                level++;
-            }
-            if (level > 20) { m.level = level; m.text = text; placed = true; }
+        if (e.target.classList.contains('box-resize-handle')) {
+            handleResizeStart(e, box.id);
+        } else {
+            handleBoxDragStart(e, box.id);
         }
+        hideBoxTooltip(); // Hide tooltip while dragging
     });
 
-    // Get the height of the lanes canvas to calculate line height
-    const lanesCanvas = app.elements.lanesCanvas;
-    const lanesCanvasHeight = lanesCanvas ? lanesCanvas.offsetHeight : 200;
+    return el;
+}
 
-    markers.forEach(m => {
-        const x = m.visualX;
+function showBoxTooltip(box, e) {
+    const tooltip = app.elements.tooltip;
+    if (!tooltip) return;
 
-        const el = document.createElement('div');
-        el.className = 'time-marker-h';
-        el.style.left = `${x}px`;
-        el.style.bottom = `${4 + (m.level * 16)}px`;
-        el.style.color = m.color;
+    const baseTime = parseTime(app.diagram.startTime);
+    const endOffset = box.startOffset + box.duration;
+    const expandedHint = isBoxVisuallyExpanded(box.duration)
+        ? `
+        <div class="tooltip-row">
+            <span class="label">Display:</span>
+            <span class="value">Expanded to minimum width</span>
+        </div>
+    `
+        : '';
 
-        // Vertical colored line extending upward to the lanes canvas
-        const line = document.createElement('div');
-        line.className = 'time-marker-line';
-        line.style.backgroundColor = m.color;
-        // Height extends from current position up through lanes canvas
-        line.style.height = `${lanesCanvasHeight + 80}px`;
+    tooltip.innerHTML = `
+        <div class="tooltip-label">${escapeHtml(box.label || 'Untitled Box')}</div>
+        <div class="tooltip-row">
+            <span class="label">Duration:</span>
+            <span class="value">${formatDuration(box.duration)}</span>
+        </div>
+        <div class="tooltip-row">
+            <span class="label">Start:</span>
+            <span class="value">+${formatDuration(box.startOffset)} (${formatTime(baseTime + box.startOffset)})</span>
+        </div>
+        <div class="tooltip-row">
+            <span class="label">End:</span>
+            <span class="value">+${formatDuration(endOffset)} (${formatTime(baseTime + endOffset)})</span>
+        </div>
+        ${expandedHint}
+    `;
 
-        const tick = document.createElement('div');
-        tick.className = 'time-marker-tick';
-        tick.style.backgroundColor = m.color;
+    tooltip.style.left = `${e.clientX + 15}px`;
+    tooltip.style.top = `${e.clientY + 15}px`;
+    tooltip.classList.add('visible');
+}
 
-        const label = document.createElement('span');
-        label.className = 'time-marker-text';
-        label.textContent = m.text;
+function moveBoxTooltip(e) {
+    const tooltip = app.elements.tooltip;
+    if (!tooltip) return;
 
-        el.appendChild(line);
-        el.appendChild(tick);
-        el.appendChild(label);
-        innerWrapper.appendChild(el);
-    });
+    tooltip.style.left = `${e.clientX + 15}px`;
+    tooltip.style.top = `${e.clientY + 15}px`;
 }
 
-// =====================================================
-// Interaction Handlers
-// =====================================================
-function selectBox(boxId, isNewBox = false) {
-    // Deselect previous
-    document.querySelectorAll('.timeline-box.selected').forEach(el => {
-        el.classList.remove('selected');
-    });
+function hideBoxTooltip() {
+    const tooltip = app.elements.tooltip;
+    if (!tooltip) return;
 
-    app.selectedBoxId = boxId;
-    if (app.selectedLaneId !== null) {
-        app.selectedLaneId = null;
-        syncSelectedLaneUI();
-    }
+    tooltip.classList.remove('visible');
+}
 
-    // Select new
-    const boxEl = document.querySelector(`.timeline-box[data-box-id="${boxId}"]`);
-    if (boxEl) {
-        boxEl.classList.add('selected');
-    }
-
-    updatePropertiesPanel(isNewBox);
-
-    // Glimpse the pick-start button to draw attention
-    setTimeout(() => {
-        glimpsePickStartButton();
-    }, 100);
+function getUiTooltipText(target) {
+    if (!target) return '';
+    const raw = target.getAttribute('data-tooltip')
+        || target.getAttribute('title')
+        || '';
+    return raw.replace(/\s+/g, ' ').trim();
 }
 
-function deselectBox() {
-    app.selectedBoxId = null;
-    document.querySelectorAll('.timeline-box.selected').forEach(el => {
-        el.classList.remove('selected');
-    });
-    if (app.elements.propertiesPanel) {
-        app.elements.propertiesPanel.classList.add('hidden');
+function primeUiTooltipTarget(target) {
+    if (!target || typeof target.getAttribute !== 'function') return '';
+    const nativeTitle = target.getAttribute('title');
+    if (nativeTitle && !target.getAttribute('data-tooltip')) {
+        target.setAttribute('data-tooltip', nativeTitle);
+    }
+    if (nativeTitle) {
+        target.removeAttribute('title');
     }
+    return getUiTooltipText(target);
+}
 
-    // Remove active state from settings button
-    const settingsBtn = document.getElementById('settings-btn');
-    if (settingsBtn) settingsBtn.classList.remove('active');
+function normalizeNativeTitleTooltips(root = document) {
+    if (!root || typeof root.querySelectorAll !== 'function') return;
+    root.querySelectorAll('[title]').forEach((node) => {
+        if (node.closest('#box-tooltip') || node.closest('#app-tooltip')) return;
+        primeUiTooltipTarget(node);
+    });
+}
 
-    // Remove glimpsed state from pick-start button
-    const pickBtn = document.getElementById('pick-start-btn');
-    if (pickBtn) pickBtn.classList.remove('glimpsed');
-    syncSelectedLaneUI();
+function getUiTooltipTargetFromNode(node) {
+    if (!(node instanceof Element)) return null;
+    const target = node.closest('[data-tooltip], [title]');
+    if (!target) return null;
+    if (target.closest('#box-tooltip') || target.closest('#app-tooltip')) return null;
+    const text = primeUiTooltipTarget(target);
+    return text ? target : null;
 }
 
-function handleTrackMouseDown(e) {
-    // Only handle left-click (button 0), allow right-click for context menu
-    if (e.button !== 0) {
-        return;
+function clearUiTooltipShowTimer() {
+    if (app.uiTooltipShowTimer) {
+        clearTimeout(app.uiTooltipShowTimer);
+        app.uiTooltipShowTimer = null;
     }
+    app.pendingUiTooltipTarget = null;
+}
 
-    // Don't create boxes while measuring or in measurement mode
-    if (app.isMeasuring || app.measureToolActive || e.ctrlKey || e.metaKey) {
-        return;
-    }
+function positionUiTooltip(target, tooltipEl) {
+    if (!target || !tooltipEl) return;
+    const offsetX = 8;
+    const offsetY = 7;
+    const edgePadding = 6;
+    const rect = target.getBoundingClientRect();
+    const tipRect = tooltipEl.getBoundingClientRect();
 
-    // Don't allow editing if diagram is locked
-    if (app.diagram.locked) {
-        return;
-    }
+    let x = rect.right + offsetX;
+    let y = rect.bottom + offsetY;
 
-    if (e.target.classList.contains('timeline-box') ||
-        e.target.closest('.timeline-box')) {
-        return; // Let box handle its own events
+    if ((x + tipRect.width) > (window.innerWidth - edgePadding)) {
+        x = rect.left - tipRect.width - offsetX;
+    }
+    if ((y + tipRect.height) > (window.innerHeight - edgePadding)) {
+        y = rect.top - tipRect.height - offsetY;
     }
 
-    // If in picking mode, clicking empty space cancels it
-    if (app.isPicking) {
-        app.isPicking = false;
-        document.body.style.cursor = '';
-        document.body.classList.remove('picking-mode');
-        const btn = document.getElementById('pick-start-btn');
-        if (btn) btn.classList.remove('active');
+    x = Math.max(edgePadding, Math.min(window.innerWidth - tipRect.width - edgePadding, x));
+    y = Math.max(edgePadding, Math.min(window.innerHeight - tipRect.height - edgePadding, y));
 
-        // Remove toast and visual feedback
-        hidePickModeToast();
-        clearPickableColors();
-        document.querySelectorAll('.timeline-box').forEach(box => {
-            box.classList.remove('pickable');
-        });
+    tooltipEl.classList.remove('below');
+    tooltipEl.style.left = `${Math.round(x)}px`;
+    tooltipEl.style.top = `${Math.round(y)}px`;
+}
 
-        showToast({
-            type: 'info',
-            title: 'Pick Mode Cancelled',
-            duration: 2000
-        });
+function showUiTooltip(target) {
+    const tooltipEl = app.elements.uiTooltip;
+    if (!tooltipEl) return;
+    if (app.designerHintsVisible) {
+        hideUiTooltip();
         return;
     }
 
-    const track = e.currentTarget;
-    const laneId = parseInt(track.dataset.laneId, 10);
-    const rect = track.getBoundingClientRect();
-    const startX = e.clientX - rect.left;
-    const startOffset = pixelsToMs(startX);
-
-    // Create temporary box for preview
-    const tempBox = document.createElement('div');
-    tempBox.className = 'timeline-box creating';
-    tempBox.style.left = `${startX}px`;
-    tempBox.style.width = '0px';
-    tempBox.style.backgroundColor = '#4CAF50';
-    track.appendChild(tempBox);
-
-    app.isDragging = true;
-    app.dragData = {
-        type: 'create',
-        laneId: laneId,
-        startX: startX,
-        startOffset: startOffset,
-        track: track,
-        tempBox: tempBox
-    };
+    clearUiTooltipShowTimer();
+    const text = primeUiTooltipTarget(target);
+    if (!text) {
+        hideUiTooltip();
+        return;
+    }
 
-    e.preventDefault();
+    tooltipEl.textContent = text;
+    tooltipEl.classList.add('visible');
+    positionUiTooltip(target, tooltipEl);
+    app.activeUiTooltipTarget = target;
 }
 
-function handleBoxDragStart(e, boxId) {
-    e.stopPropagation();
-
-    // Don't allow dragging if locked
-    if (app.diagram.locked) return;
-
-    const box = app.diagram.boxes.find(b => b.id === boxId);
-    if (!box) return;
-
-    const boxEl = e.currentTarget;
-    const rect = boxEl.getBoundingClientRect();
-    const offsetX = e.clientX - rect.left;
-
-    app.isDragging = true;
-    app.isActivelyDraggingOrResizing = true;
-    app.dragData = {
-        type: 'move',
-        boxId: boxId,
-        offsetX: offsetX,
-        originalStart: box.startOffset
-    };
+function scheduleUiTooltip(target, { immediate = false } = {}) {
+    if (!target) return;
+    clearUiTooltipShowTimer();
+    if (immediate) {
+        showUiTooltip(target);
+        return;
+    }
+    app.pendingUiTooltipTarget = target;
+    app.uiTooltipShowTimer = setTimeout(() => {
+        const pendingTarget = app.pendingUiTooltipTarget;
+        clearUiTooltipShowTimer();
+        if (pendingTarget && pendingTarget.isConnected) {
+            showUiTooltip(pendingTarget);
+        }
+    }, REGULAR_TOOLTIP_DELAY_MS);
+}
 
-    selectBox(boxId);
-    e.preventDefault();
+function hideUiTooltip() {
+    clearUiTooltipShowTimer();
+    const tooltipEl = app.elements.uiTooltip;
+    if (!tooltipEl) return;
+    tooltipEl.classList.remove('visible', 'below');
+    app.activeUiTooltipTarget = null;
 }
 
-function handleResizeStart(e, boxId) {
-    e.stopPropagation();
+function initRegularTooltips() {
+    document.addEventListener('mouseover', (e) => {
+        const target = getUiTooltipTargetFromNode(e.target);
+        if (!target) return;
+        if (target !== app.activeUiTooltipTarget) {
+            scheduleUiTooltip(target);
+        } else {
+            positionUiTooltip(target, app.elements.uiTooltip);
+        }
+    }, true);
 
-    // Don't allow resizing if locked
-    if (app.diagram.locked) return;
+    document.addEventListener('mouseout', (e) => {
+        const tooltipTarget = getUiTooltipTargetFromNode(e.target);
+        if (!tooltipTarget) return;
+        const related = e.relatedTarget;
+        if (related instanceof Element && tooltipTarget.contains(related)) return;
+        if (app.pendingUiTooltipTarget === tooltipTarget || app.activeUiTooltipTarget === tooltipTarget) {
+            hideUiTooltip();
+        }
+    }, true);
 
-    const box = app.diagram.boxes.find(b => b.id === boxId);
-    if (!box) return;
+    document.addEventListener('focusin', (e) => {
+        const target = getUiTooltipTargetFromNode(e.target);
+        if (target) scheduleUiTooltip(target, { immediate: true });
+    });
 
-    const isLeft = e.target.classList.contains('left');
+    document.addEventListener('focusout', (e) => {
+        if (!app.activeUiTooltipTarget) return;
+        const activeTarget = app.activeUiTooltipTarget;
+        if (e.target === activeTarget || (e.target instanceof Element && activeTarget.contains(e.target))) {
+            hideUiTooltip();
+        }
+    });
 
-    app.isDragging = true;
-    app.isActivelyDraggingOrResizing = true;
-    app.dragData = {
-        type: 'resize',
-        boxId: boxId,
-        side: isLeft ? 'left' : 'right',
-        originalStart: box.startOffset,
-        originalDuration: box.duration
-    };
+    document.addEventListener('scroll', () => {
+        if (app.activeUiTooltipTarget && app.elements.uiTooltip?.classList.contains('visible')) {
+            positionUiTooltip(app.activeUiTooltipTarget, app.elements.uiTooltip);
+        }
+    }, true);
+}
 
-    selectBox(boxId);
-    e.preventDefault();
+function getToolbarHintText(element) {
+    if (!element) return '';
+    const raw = element.getAttribute('data-hint')
+        || element.getAttribute('title')
+        || element.getAttribute('aria-label')
+        || element.textContent
+        || '';
+    return raw.replace(/\s+/g, ' ').trim();
 }
 
-function handleMouseMove(e) {
-    if (!app.isDragging || !app.dragData) return;
+function collectToolbarHintTargets() {
+    const toolbar = document.querySelector('.toolbar');
+    if (!toolbar) return [];
 
-    // Track that actual movement occurred during drag
-    if (!app.dragData.didMove) {
-        app.dragData.didMove = true;
+    const hintNodes = Array.from(toolbar.querySelectorAll('.toolbar-btn, .toolbar-toggle-btn'));
+    return hintNodes
+        .filter((node) => {
+            if (!node.isConnected) return false;
+            if (node.closest('.toolbar-threshold-panel')) return false;
+            if (node.closest('.hidden')) return false;
+            const style = window.getComputedStyle(node);
+            if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') return false;
+            const rect = node.getBoundingClientRect();
+            if (rect.width < 8 || rect.height < 8) return false;
+            return !!getToolbarHintText(node);
+        })
+        .map((node) => {
+            return {
+                node,
+                text: getToolbarHintText(node)
+            };
+        });
+}
+
+function ensureDesignerHintsLayer() {
+    if (app.elements.designerHintsLayer && app.elements.designerHintsLayer.isConnected) {
+        return app.elements.designerHintsLayer;
     }
+    const layer = document.createElement('div');
+    layer.id = 'designer-hints-layer';
+    layer.className = 'designer-hints-layer';
+    document.body.appendChild(layer);
+    app.elements.designerHintsLayer = layer;
+    return layer;
+}
 
-    if (app.dragData.type === 'create') {
-        const rect = app.dragData.track.getBoundingClientRect();
-        const currentX = e.clientX - rect.left;
-        // Support dragging in both directions
-        const left = Math.min(currentX, app.dragData.startX);
-        const width = Math.max(Math.abs(currentX - app.dragData.startX), 10);
-        app.dragData.tempBox.style.left = `${left}px`;
-        app.dragData.tempBox.style.width = `${width}px`;
-    } else if (app.dragData.type === 'move') {
-        const box = app.diagram.boxes.find(b => b.id === app.dragData.boxId);
-        if (!box) return;
+function clearDesignerHintTargetHighlight() {
+    document.querySelectorAll('.designer-hint-target-active').forEach((node) => {
+        node.classList.remove('designer-hint-target-active');
+    });
+}
 
-        const track = document.querySelector(`.lane-track[data-lane-id="${box.laneId}"]`);
-        if (!track) return;
+function handleDesignerHintTargetPointer(event) {
+    if (!app.designerHintsVisible) return;
+    const targetNode = event.currentTarget;
+    const nextIndex = app.designerHintTargets.findIndex((target) => target.node === targetNode);
+    if (nextIndex >= 0) {
+        app.designerHintIndex = nextIndex;
+        renderDesignerHints();
+    }
+}
 
-        const rect = track.getBoundingClientRect();
-        const newX = e.clientX - rect.left - app.dragData.offsetX;
-        let newStart = Math.max(0, pixelsToMs(newX));
+function refreshDesignerHintTargets({ preserveCurrent = true } = {}) {
+    normalizeNativeTitleTooltips(document.body);
 
-        // In compression mode, convert visual position to actual time
-        if (Compression.enabled) {
-            newStart = Compression.compressedToActual(newStart);
-        }
+    const previousNode = preserveCurrent && app.designerHintIndex >= 0
+        ? app.designerHintTargets[app.designerHintIndex]?.node
+        : null;
 
-        const subUnitPrecision = isSubUnitPrecisionActive(e);
-        box.startOffset = Math.max(0, snapMsToUnitStep(newStart, { subUnitPrecision }));
+    (app.designerHintTargets || []).forEach((target) => {
+        if (!target?.node) return;
+        target.node.removeEventListener('mouseenter', handleDesignerHintTargetPointer);
+        target.node.removeEventListener('focus', handleDesignerHintTargetPointer);
+    });
+    clearDesignerHintTargetHighlight();
 
-        // Invalidate compression cache after changing position, then get visual offset
-        if (Compression.enabled) {
-            Compression.invalidate();
-        }
+    app.designerHintTargets = collectToolbarHintTargets();
+    app.designerHintTargets.forEach((target) => {
+        target.node.addEventListener('mouseenter', handleDesignerHintTargetPointer);
+        target.node.addEventListener('focus', handleDesignerHintTargetPointer);
+    });
 
-        // In compression mode, use visual offset for display; otherwise use actual
-        const boxEl = document.querySelector(`.timeline-box[data-box-id="${box.id}"]`);
-        if (boxEl) {
-            const visualOffset = Compression.enabled ? Compression.getVisualOffset(box) : box.startOffset;
-            boxEl.style.left = `${msToPixels(visualOffset)}px`;
-        }
-        renderTimeMarkers();
-        renderAlignmentCanvasOverlay();
-        updatePropertiesPanel();
-    } else if (app.dragData.type === 'resize') {
-        const box = app.diagram.boxes.find(b => b.id === app.dragData.boxId);
-        if (!box) return;
+    if (!app.designerHintTargets.length) {
+        app.designerHintIndex = -1;
+        return;
+    }
 
-        const track = document.querySelector(`.lane-track[data-lane-id="${box.laneId}"]`);
-        if (!track) return;
+    const preservedIndex = previousNode
+        ? app.designerHintTargets.findIndex((target) => target.node === previousNode)
+        : -1;
+    if (preservedIndex >= 0) {
+        app.designerHintIndex = preservedIndex;
+        return;
+    }
 
-        const rect = track.getBoundingClientRect();
-        const mouseX = e.clientX - rect.left;
-        let mouseMs = pixelsToMs(mouseX);
+    const clampedPrevious = Number.isFinite(app.designerHintIndex)
+        ? Math.max(0, Math.min(app.designerHintTargets.length - 1, app.designerHintIndex))
+        : 0;
+    app.designerHintIndex = clampedPrevious;
+}
 
-        // In compression mode, convert visual position to actual time
-        if (Compression.enabled) {
-            mouseMs = Compression.compressedToActual(mouseMs);
-        }
+function setActiveDesignerHintIndex(nextIndex) {
+    const total = app.designerHintTargets.length;
+    if (!total) {
+        app.designerHintIndex = -1;
+        renderDesignerHints();
+        return;
+    }
+    const numericIndex = Number(nextIndex);
+    if (!Number.isFinite(numericIndex)) return;
+    const wrappedIndex = ((Math.round(numericIndex) % total) + total) % total;
+    app.designerHintIndex = wrappedIndex;
+    renderDesignerHints();
+}
 
-        const subUnitPrecision = isSubUnitPrecisionActive(e);
-        const boxStepMs = Math.max(MIN_BOX_DURATION_MS, getSnapStepMs({ subUnitPrecision }));
-        if (app.dragData.side === 'right') {
-            const snappedEnd = snapMsToUnitStep(mouseMs, { subUnitPrecision });
-            const minEnd = box.startOffset + boxStepMs;
-            const finalEnd = Math.max(minEnd, snappedEnd);
-            box.duration = Math.max(boxStepMs, finalEnd - box.startOffset);
-        } else {
-            const endOffset = app.dragData.originalStart + app.dragData.originalDuration;
-            const minDurationForThisBox = Math.min(boxStepMs, Math.max(MIN_BOX_DURATION_MS, endOffset));
-            const snappedStart = snapMsToUnitStep(mouseMs, { subUnitPrecision });
-            const maxStart = endOffset - minDurationForThisBox;
-            const newStart = Math.max(0, Math.min(snappedStart, maxStart));
-            box.startOffset = newStart;
-            box.duration = Math.max(minDurationForThisBox, endOffset - box.startOffset);
-        }
+function cycleDesignerHints(direction = 1) {
+    const total = app.designerHintTargets.length;
+    if (!total) return;
+    const current = Number.isFinite(app.designerHintIndex) ? app.designerHintIndex : 0;
+    setActiveDesignerHintIndex(current + (direction >= 0 ? 1 : -1));
+}
 
-        // Invalidate compression cache after changing size/position, then get visual offset
-        if (Compression.enabled) {
-            Compression.invalidate();
-        }
+function showHelpShortcutHintIfNeeded() {
+    if (app.designerHintsVisible) return;
 
-        const boxEl = document.querySelector(`.timeline-box[data-box-id="${box.id}"]`);
-        if (boxEl) {
-            // In compression mode, use visual offset for display; otherwise use actual
-            const visualOffset = Compression.enabled ? Compression.getVisualOffset(box) : box.startOffset;
-            boxEl.style.left = `${msToPixels(visualOffset)}px`;
-            boxEl.style.width = `${getBoxVisualWidth(box.duration)}px`;
+    let alreadyShown = false;
+    try {
+        alreadyShown = sessionStorage.getItem(HELP_SHORTCUT_HINT_SESSION_KEY) === '1';
+    } catch (_) {}
+    if (alreadyShown) return;
 
-            const labelText = box.label ? `${box.label} (${formatDuration(box.duration)})` : formatDuration(box.duration);
-            const labelEl = boxEl.querySelector('.box-label');
-            if (labelEl) labelEl.textContent = labelText;
-        }
-        renderTimeMarkers();
-        renderAlignmentCanvasOverlay();
+    try {
+        sessionStorage.setItem(HELP_SHORTCUT_HINT_SESSION_KEY, '1');
+    } catch (_) {}
 
-        updatePropertiesPanel();
+    showToast({
+        type: 'info',
+        title: 'Help Shortcuts',
+        message: 'H = Help mode, Esc = Exit help mode.',
+        duration: 4200,
+        className: 'toast-help-shortcuts',
+        toastKey: 'help-shortcut-tip',
+        replaceExisting: true
+    });
+}
+
+function showDesignerHintsGuidanceToast() {
+    showToast({
+        type: 'info',
+        title: 'Help Mode Active',
+        message: 'H = Help mode, Esc = Exit. Click toolbar buttons for contextual help.',
+        duration: 0,
+        showClose: false,
+        className: 'toast-help-shortcuts',
+        toastKey: DESIGNER_HINT_TOAST_KEY,
+        replaceExisting: true
+    });
+}
+
+function hideDesignerHintsGuidanceToast() {
+    const toast = activeToastByKey.get(DESIGNER_HINT_TOAST_KEY);
+    if (toast && toast.isConnected) {
+        hideToast(toast, { reason: 'dismiss' });
     }
 }
 
-function handleMouseUp(e) {
-    if (!app.isDragging || !app.dragData) return;
-    const dragType = app.dragData.type;
-    const didMove = !!app.dragData.didMove;
+function renderDesignerHints() {
+    if (!app.designerHintsVisible) return;
 
-    if (dragType === 'create') {
-        const rect = app.dragData.track.getBoundingClientRect();
-        const endX = e.clientX - rect.left;
-        const dist = Math.abs(endX - app.dragData.startX);
+    const layer = ensureDesignerHintsLayer();
+    layer.innerHTML = '';
+    clearDesignerHintTargetHighlight();
 
-        // Remove temp box
-        app.dragData.tempBox.remove();
+    const total = app.designerHintTargets.length;
+    if (!total || app.designerHintIndex < 0 || app.designerHintIndex >= total) {
+        layer.classList.remove('active');
+        return;
+    }
 
-        // Create real box only if dragged enough (avoid single click creation)
-        if (dist > 5) {
-            // Use the leftmost point as start (support right-to-left drag)
-            const leftX = Math.min(endX, app.dragData.startX);
-            const rightX = Math.max(endX, app.dragData.startX);
+    const target = app.designerHintTargets[app.designerHintIndex];
+    if (!target || !target.node || !target.node.isConnected) {
+        layer.classList.remove('active');
+        return;
+    }
+    target.node.classList.add('designer-hint-target-active');
 
-            // Convert visual positions to actual times (handles compression mode)
-            let actualStartMs = pixelsToMs(Math.max(0, leftX));
-            let actualEndMs = pixelsToMs(Math.max(0, rightX));
+    const hint = document.createElement('div');
+    hint.className = 'designer-hint-chip';
 
-            // In compression mode, convert visual positions to actual times
-            if (Compression.enabled) {
-                actualStartMs = Compression.compressedToActual(actualStartMs);
-                actualEndMs = Compression.compressedToActual(actualEndMs);
-            }
+    const indexChip = document.createElement('span');
+    indexChip.className = 'designer-hint-step';
+    indexChip.textContent = `${app.designerHintIndex + 1}/${total}`;
+    hint.appendChild(indexChip);
 
-            const subUnitPrecision = isSubUnitPrecisionActive(e);
-            const boxStepMs = Math.max(MIN_BOX_DURATION_MS, getSnapStepMs({ subUnitPrecision }));
-            let startOffset = Math.max(0, snapMsToUnitStep(actualStartMs, { subUnitPrecision }));
-            let endOffset = Math.max(startOffset + boxStepMs, snapMsToUnitStep(actualEndMs, { subUnitPrecision }));
-            if (endOffset <= startOffset) {
-                endOffset = startOffset + boxStepMs;
+    const textChip = document.createElement('span');
+    textChip.className = 'designer-hint-text';
+    textChip.textContent = target.text;
+    hint.appendChild(textChip);
+
+    layer.appendChild(hint);
+    layer.classList.add('active');
+
+    const rect = target.node.getBoundingClientRect();
+    const hintRect = hint.getBoundingClientRect();
+    const edgePadding = 6;
+    const offsetX = 10;
+    const offsetY = 7;
+    let x = rect.right + offsetX;
+    let y = rect.bottom + offsetY;
+
+    if ((x + hintRect.width) > (window.innerWidth - edgePadding)) {
+        x = rect.left - hintRect.width - offsetX;
+    }
+    if ((y + hintRect.height) > (window.innerHeight - edgePadding)) {
+        y = rect.top - hintRect.height - offsetY;
+    }
+
+    x = Math.max(edgePadding, Math.min(window.innerWidth - hintRect.width - edgePadding, x));
+    y = Math.max(edgePadding, Math.min(window.innerHeight - hintRect.height - edgePadding, y));
+
+    hint.style.left = `${Math.round(x)}px`;
+    hint.style.top = `${Math.round(y)}px`;
+}
+
+function scheduleDesignerHintsRender({ refreshTargets = true } = {}) {
+    if (!app.designerHintsVisible) return;
+    if (app.designerHintsRaf) {
+        cancelAnimationFrame(app.designerHintsRaf);
+        app.designerHintsRaf = null;
+    }
+    app.designerHintsRaf = requestAnimationFrame(() => {
+        app.designerHintsRaf = null;
+        if (refreshTargets) {
+            refreshDesignerHintTargets({ preserveCurrent: true });
+        }
+        renderDesignerHints();
+    });
+}
+
+function toggleDesignerHints(forceVisible = null) {
+    const shouldShow = typeof forceVisible === 'boolean'
+        ? forceVisible
+        : !app.designerHintsVisible;
+    if (shouldShow === app.designerHintsVisible) return;
+    app.designerHintsVisible = shouldShow;
+    document.body.classList.toggle('designer-hints-active', shouldShow);
+    if (shouldShow) {
+        normalizeNativeTitleTooltips(document.body);
+        hideUiTooltip();
+        refreshDesignerHintTargets({ preserveCurrent: false });
+        showDesignerHintsGuidanceToast();
+        scheduleDesignerHintsRender({ refreshTargets: false });
+        return;
+    }
+    if (app.designerHintsRaf) {
+        cancelAnimationFrame(app.designerHintsRaf);
+        app.designerHintsRaf = null;
+    }
+    hideDesignerHintsGuidanceToast();
+    (app.designerHintTargets || []).forEach((target) => {
+        if (!target?.node) return;
+        target.node.removeEventListener('mouseenter', handleDesignerHintTargetPointer);
+        target.node.removeEventListener('focus', handleDesignerHintTargetPointer);
+    });
+    clearDesignerHintTargetHighlight();
+    app.designerHintTargets = [];
+    app.designerHintIndex = -1;
+    const layer = app.elements.designerHintsLayer || document.getElementById('designer-hints-layer');
+    if (layer) {
+        layer.classList.remove('active');
+        layer.innerHTML = '';
+    }
+}
+
+function updateTotalDuration() {
+    const duration = app.diagram.getTotalDuration();
+    app.elements.totalDuration.textContent = formatDuration(duration);
+    // Auto-save on any change that updates duration
+    autoSave();
+}
+
+function updatePropertiesPanel(isNewBox = false) {
+    const panel = app.elements.propertiesPanel;
+    const boxProps = document.getElementById('box-props');
+    const laneProps = document.getElementById('lane-props');
+    const settingsProps = document.getElementById('settings-props');
+    const propsTitle = document.getElementById('props-title');
+
+    if (!app.selectedBoxId) {
+        panel.classList.add('hidden');
+        return;
+    }
+
+    const box = app.diagram.boxes.find(b => b.id === app.selectedBoxId);
+    if (!box) {
+        panel.classList.add('hidden');
+        return;
+    }
+
+    // Show box properties, hide others
+    if (boxProps) boxProps.classList.remove('hidden');
+    if (laneProps) laneProps.classList.add('hidden');
+    if (settingsProps) settingsProps.classList.add('hidden');
+    if (propsTitle) propsTitle.textContent = 'Box Properties';
+
+    // Determine if panel should be visible:
+    // - If this is a NEW box: only open if autoOpenBoxProperties is enabled
+    // - If clicking existing box: always open
+    // - If updating (drag/resize): keep current visibility
+    const panelWasVisible = !panel.classList.contains('hidden');
+    if (isNewBox) {
+        // New box created - respect setting
+        if (app.settings.autoOpenBoxProperties) {
+            panel.classList.remove('hidden');
+        }
+    } else if (!panelWasVisible) {
+        // Not a new box and panel was closed - this is a click on existing box, open it
+        panel.classList.remove('hidden');
+    }
+    // If panel was already visible, keep it visible (already the case)
+
+    app.elements.boxLabel.value = box.label;
+    app.elements.boxColor.value = box.color;
+    app.elements.boxStart.value = formatMsForInput(box.startOffset);
+    app.elements.boxDuration.value = formatMsForInput(box.duration);
+
+    // Show end time (start + duration)
+    if (app.elements.boxEnd) {
+        app.elements.boxEnd.value = formatMsForInput(box.startOffset + box.duration);
+    }
+
+    // Calculate absolute times
+    const baseTime = parseTime(app.diagram.startTime);
+    app.elements.boxTimeStart.textContent = formatTime(baseTime + box.startOffset);
+    app.elements.boxTimeEnd.textContent = formatTime(baseTime + box.startOffset + box.duration);
+    renderBoxDependencyList(box);
+    renderBoxMetadataList(box);
+    updateBoxSlackDisplay(box);
+}
+
+function renderTimeMarkers() {
+    const container = app.elements.timeMarkers;
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    const endTime = getDisplayTimelineEndTimeMs();
+    const markerWidth = msToPixels(endTime);
+
+    // Create an inner wrapper div to define scrollable width
+    // (absolutely positioned children don't contribute to scroll width)
+    const innerWrapper = document.createElement('div');
+    innerWrapper.className = 'time-markers-inner';
+    innerWrapper.style.position = 'relative';
+    innerWrapper.style.width = `${markerWidth}px`;
+    innerWrapper.style.height = '100%';
+    container.appendChild(innerWrapper);
+
+    if (app.diagram.boxes.length === 0) return;
+
+    // Collect all time points
+    const markers = [];
+
+    app.diagram.boxes.forEach(box => {
+        const edges = getRenderedBoxEdges(box);
+        // Actual times for labels
+        const actualStart = box.startOffset;
+        const actualEnd = box.startOffset + box.duration;
+
+        markers.push({
+            visualX: edges.leftPx,         // For positioning
+            actualTime: actualStart,       // For label
+            type: 'start',
+            boxId: box.id,
+            color: box.color,
+            label: formatDuration(actualStart)
+        });
+        markers.push({
+            visualX: edges.rightPx,        // For positioning
+            actualTime: actualEnd,         // For label
+            type: 'end',
+            boxId: box.id,
+            color: box.color,
+            label: formatDuration(actualEnd)
+        });
+    });
+
+    // Sort by visual position for proper layout
+    markers.sort((a, b) => a.visualX - b.visualX);
+
+    // Layout Logic: Horizontal text with vertical stacking for collisions
+    const levels = [];
+    const charWidth = 7;
+    const padding = 10;
+
+    markers.forEach(m => {
+        const x = m.visualX;
+        const text = `${m.type === 'start' ? 'S' : 'E'}: ${m.label}`;
+        const width = text.length * charWidth + padding;
+        const startX = x - (width / 2);
+        const endX = startX + width;
+
+        let level = 0;
+        let placed = false;
+
+        while (!placed) {
+            if (!levels[level] || levels[level] < startX) {
+                levels[level] = endX;
+                m.level = level;
+                m.text = text;
+                placed = true;
+            } else {
+                level++;
             }
-            const duration = Math.max(endOffset - startOffset, boxStepMs);
+            if (level > 20) { m.level = level; m.text = text; placed = true; }
+        }
+    });
+
+    // Get the height of the lanes canvas to calculate line height
+    const lanesCanvas = app.elements.lanesCanvas;
+    const lanesCanvasHeight = lanesCanvas ? lanesCanvas.offsetHeight : 200;
+
+    markers.forEach(m => {
+        const x = m.visualX;
+
+        const el = document.createElement('div');
+        el.className = 'time-marker-h';
+        el.style.left = `${x}px`;
+        el.style.bottom = `${4 + (m.level * 16)}px`;
+        el.style.color = m.color;
+
+        // Vertical colored line extending upward to the lanes canvas
+        const line = document.createElement('div');
+        line.className = 'time-marker-line';
+        line.style.backgroundColor = m.color;
+        // Height extends from current position up through lanes canvas
+        line.style.height = `${lanesCanvasHeight + 80}px`;
+
+        const tick = document.createElement('div');
+        tick.className = 'time-marker-tick';
+        tick.style.backgroundColor = m.color;
+
+        const label = document.createElement('span');
+        label.className = 'time-marker-text';
+        label.textContent = m.text;
+
+        el.appendChild(line);
+        el.appendChild(tick);
+        el.appendChild(label);
+        innerWrapper.appendChild(el);
+    });
+}
+
+// =====================================================
+// Interaction Handlers
+// =====================================================
+function selectBox(boxId, isNewBox = false) {
+    // Deselect previous
+    document.querySelectorAll('.timeline-box.selected').forEach(el => {
+        el.classList.remove('selected');
+    });
+
+    app.selectedBoxId = boxId;
+    app.selectedBoxIds = [];
+    if (app.selectedLaneId !== null) {
+        app.selectedLaneId = null;
+        syncSelectedLaneUI();
+    }
+
+    // Select new
+    const boxEl = document.querySelector(`.timeline-box[data-box-id="${boxId}"]`);
+    if (boxEl) {
+        boxEl.classList.add('selected');
+    }
+    renderDependencyOverlay();
+
+    updatePropertiesPanel(isNewBox);
+
+    // Glimpse the pick-start button to draw attention
+    setTimeout(() => {
+        glimpsePickStartButton();
+    }, 100);
+}
+
+function deselectBox() {
+    app.selectedBoxId = null;
+    app.selectedBoxIds = [];
+    document.querySelectorAll('.timeline-box.selected').forEach(el => {
+        el.classList.remove('selected');
+    });
+    renderDependencyOverlay();
+    if (app.elements.propertiesPanel) {
+        app.elements.propertiesPanel.classList.add('hidden');
+    }
+
+    // Remove active state from settings button
+    const settingsBtn = document.getElementById('settings-btn');
+    if (settingsBtn) settingsBtn.classList.remove('active');
+
+    // Remove glimpsed state from pick-start button
+    const pickBtn = document.getElementById('pick-start-btn');
+    if (pickBtn) pickBtn.classList.remove('glimpsed');
+    syncSelectedLaneUI();
+}
+
+// =====================================================
+// Multi-Selection
+// =====================================================
+function isMultiSelectionActive() {
+    return app.selectedBoxIds.length > 1;
+}
+
+function getSelectedBoxIds() {
+    if (isMultiSelectionActive()) {
+        return app.selectedBoxIds.filter(id => app.diagram.boxes.some(b => b.id === id));
+    }
+    return app.selectedBoxId ? [app.selectedBoxId] : [];
+}
+
+function isBoxSelected(boxId) {
+    return boxId === app.selectedBoxId || app.selectedBoxIds.includes(boxId);
+}
+
+function syncBoxSelectionClasses() {
+    document.querySelectorAll('.timeline-box[data-box-id]').forEach(el => {
+        el.classList.toggle('selected', isBoxSelected(parseInt(el.dataset.boxId, 10)));
+    });
+}
+
+/**
+ * Replace the box selection. One id falls back to the regular single-box
+ * selection; two or more switch the sidebar to multi-edit.
+ * @param {number[]} boxIds - Boxes to select
+ */
+function setBoxSelection(boxIds) {
+    const ids = Array.from(new Set(boxIds)).filter(id => app.diagram.boxes.some(b => b.id === id));
+    if (ids.length === 0) {
+        deselectBox();
+        return;
+    }
+    if (ids.length === 1) {
+        selectBox(ids[0]);
+        return;
+    }
+
+    app.selectedBoxId = null;
+    app.selectedBoxIds = ids;
+    if (app.selectedLaneId !== null) {
+        app.selectedLaneId = null;
+        syncSelectedLaneUI();
+    }
+    syncBoxSelectionClasses();
+    renderDependencyOverlay();
+    showMultiBoxPropertiesPanel();
+}
+
+function toggleBoxSelection(boxId) {
+    const ids = getSelectedBoxIds();
+    const index = ids.indexOf(boxId);
+    if (index >= 0) {
+        ids.splice(index, 1);
+    } else {
+        ids.push(boxId);
+    }
+    setBoxSelection(ids);
+}
+
+function startMarqueeSelection(e) {
+    const canvas = app.elements.lanesCanvas;
+    const rect = canvas.getBoundingClientRect();
+    const startX = e.clientX - rect.left + canvas.scrollLeft;
+    const startY = e.clientY - rect.top + canvas.scrollTop;
+
+    const marquee = document.createElement('div');
+    marquee.className = 'selection-marquee';
+    marquee.style.left = `${startX}px`;
+    marquee.style.top = `${startY}px`;
+    canvas.appendChild(marquee);
+
+    app.isDragging = true;
+    app.dragData = {
+        type: 'marquee',
+        startClientX: e.clientX,
+        startClientY: e.clientY,
+        startX: startX,
+        startY: startY,
+        marquee: marquee,
+        baseSelection: getSelectedBoxIds()
+    };
+    e.preventDefault();
+}
+
+function updateMarqueeSelection(e) {
+    const canvas = app.elements.lanesCanvas;
+    const rect = canvas.getBoundingClientRect();
+    const currentX = e.clientX - rect.left + canvas.scrollLeft;
+    const currentY = e.clientY - rect.top + canvas.scrollTop;
+    const marquee = app.dragData.marquee;
+
+    marquee.style.left = `${Math.min(currentX, app.dragData.startX)}px`;
+    marquee.style.top = `${Math.min(currentY, app.dragData.startY)}px`;
+    marquee.style.width = `${Math.abs(currentX - app.dragData.startX)}px`;
+    marquee.style.height = `${Math.abs(currentY - app.dragData.startY)}px`;
+}
+
+function finishMarqueeSelection(e) {
+    const { marquee, startClientX, startClientY, baseSelection } = app.dragData;
+    marquee.remove();
+
+    const left = Math.min(e.clientX, startClientX);
+    const right = Math.max(e.clientX, startClientX);
+    const top = Math.min(e.clientY, startClientY);
+    const bottom = Math.max(e.clientY, startClientY);
+    if (right - left < 3 && bottom - top < 3) return;
+
+    // Shift+drag adds the boxes under the rubber band to the current selection
+    const hits = [];
+    document.querySelectorAll('#lanes-canvas .timeline-box[data-box-id]').forEach(el => {
+        const boxRect = el.getBoundingClientRect();
+        if (boxRect.right >= left && boxRect.left <= right && boxRect.bottom >= top && boxRect.top <= bottom) {
+            hits.push(parseInt(el.dataset.boxId, 10));
+        }
+    });
+    setBoxSelection([...baseSelection, ...hits]);
+}
+
+function showMultiBoxPropertiesPanel() {
+    if (typeof V2 !== 'undefined' && V2.isV2) {
+        V2.showRightSidebar('multi');
+    } else {
+        const panel = app.elements.propertiesPanel;
+        ['box-props', 'lane-props', 'settings-props'].forEach(id => {
+            const section = document.getElementById(id);
+            if (section) section.classList.add('hidden');
+        });
+        const multiProps = document.getElementById('multi-box-props');
+        if (multiProps) multiProps.classList.remove('hidden');
+        const propsTitle = document.getElementById('props-title');
+        if (propsTitle) propsTitle.textContent = 'Multiple Boxes';
+        if (panel) panel.classList.remove('hidden');
+    }
+    updateMultiBoxPropertiesPanel();
+}
+
+function updateMultiBoxPropertiesPanel() {
+    const boxes = getSelectedBoxIds().map(id => app.diagram.boxes.find(b => b.id === id)).filter(Boolean);
+    if (boxes.length < 2) return;
+
+    const countEl = document.getElementById('multi-box-count');
+    if (countEl) countEl.textContent = `${boxes.length} boxes selected`;
+
+    const colorInput = document.getElementById('multi-box-color');
+    if (colorInput) colorInput.value = boxes[0].color;
+
+    const durationInput = document.getElementById('multi-box-duration');
+    if (durationInput) {
+        const sameDuration = boxes.every(b => b.duration === boxes[0].duration);
+        durationInput.value = sameDuration ? formatMsForInput(boxes[0].duration) : '';
+        durationInput.placeholder = sameDuration ? '' : 'Mixed';
+    }
+
+    const unitLabel = document.getElementById('multi-box-duration-unit-label');
+    if (unitLabel) unitLabel.textContent = getBaseUnitLabel();
+}
+
+/**
+ * Apply one edit to every selected box as a single undo step.
+ * @param {string} label - History label
+ * @param {Function} mutate - Called with each selected box
+ * @param {Object} options - Passed to recordHistoryStep (e.g. coalesceKey)
+ */
+function applyToSelectedBoxes(label, mutate, options = {}) {
+    if (!isEditingAllowed()) return;
+    const boxIds = getSelectedBoxIds();
+    if (boxIds.length === 0) return;
+
+    recordHistoryStep(label, () => {
+        boxIds.forEach(id => {
+            const box = app.diagram.boxes.find(b => b.id === id);
+            if (box) mutate(box);
+        });
+    }, options);
+
+    if (Compression.enabled) Compression.invalidate();
+    renderLanesCanvas();
+    updateTotalDuration();
+    updateMultiBoxPropertiesPanel();
+    autoSave();
+}
+
+function handleMultiBoxColorChange() {
+    const colorInput = document.getElementById('multi-box-color');
+    if (!colorInput) return;
+    applyToSelectedBoxes('Recolor boxes', box => {
+        box.color = colorInput.value;
+    }, { coalesceKey: 'multi-box-color' });
+}
+
+function handleMultiBoxDurationChange() {
+    const durationInput = document.getElementById('multi-box-duration');
+    if (!durationInput || durationInput.value.trim() === '') return;
+    const minDurationMs = Math.max(MIN_BOX_DURATION_MS, getBoxStepMs());
+    const duration = parseBoxInputToMs(durationInput.value, {
+        fallbackMs: minDurationMs,
+        minMs: minDurationMs
+    });
+    applyToSelectedBoxes('Resize boxes', box => {
+        box.duration = duration;
+        app.diagram.anchorIncomingDependencies(box.id);
+        app.diagram.rescheduleDependents(box.id);
+    });
+}
+
+function handleMultiBoxLabelPrefix() {
+    const prefixInput = document.getElementById('multi-box-label-prefix');
+    if (!prefixInput || !prefixInput.value) return;
+    const prefix = prefixInput.value;
+    applyToSelectedBoxes('Prefix labels', box => {
+        if (!box.label.startsWith(prefix)) box.label = prefix + box.label;
+    });
+    prefixInput.value = '';
+}
+
+function handleTrackMouseDown(e) {
+    // Only handle left-click (button 0), allow right-click for context menu
+    if (e.button !== 0) {
+        return;
+    }
+
+    // Don't create boxes while measuring or in measurement mode
+    if (app.isMeasuring || app.measureToolActive || e.ctrlKey || e.metaKey) {
+        return;
+    }
+
+    // Shift+drag on empty track space draws a selection marquee (allowed while locked)
+    if (e.shiftKey && !e.target.closest('.timeline-box') && !app.isPicking) {
+        startMarqueeSelection(e);
+        return;
+    }
+
+    // Don't allow editing if diagram is locked
+    if (app.diagram.locked) {
+        return;
+    }
+
+    if (e.target.classList.contains('timeline-box') ||
+        e.target.closest('.timeline-box')) {
+        return; // Let box handle its own events
+    }
+
+    // If in picking mode, clicking empty space cancels it
+    if (app.isPicking) {
+        app.isPicking = false;
+        document.body.style.cursor = '';
+        document.body.classList.remove('picking-mode');
+        document.querySelectorAll('#pick-start-btn, #link-predecessor-btn').forEach(btn => btn.classList.remove('active'));
+
+        // Remove toast and visual feedback
+        hidePickModeToast();
+        clearPickableColors();
+        document.querySelectorAll('.timeline-box').forEach(box => {
+            box.classList.remove('pickable');
+        });
+
+        showToast({
+            type: 'info',
+            title: 'Pick Mode Cancelled',
+            duration: 2000
+        });
+        return;
+    }
+
+    const track = e.currentTarget;
+    const laneId = parseInt(track.dataset.laneId, 10);
+    const rect = track.getBoundingClientRect();
+    const startX = e.clientX - rect.left;
+    const startOffset = pixelsToMs(startX);
+
+    // Create temporary box for preview
+    const tempBox = document.createElement('div');
+    tempBox.className = 'timeline-box creating';
+    tempBox.style.left = `${startX}px`;
+    tempBox.style.width = '0px';
+    tempBox.style.backgroundColor = '#4CAF50';
+    track.appendChild(tempBox);
+
+    app.isDragging = true;
+    app.dragData = {
+        type: 'create',
+        laneId: laneId,
+        startX: startX,
+        startOffset: startOffset,
+        track: track,
+        tempBox: tempBox
+    };
+
+    e.preventDefault();
+}
+
+function handleBoxDragStart(e, boxId) {
+    e.stopPropagation();
+
+    // Don't allow dragging if locked
+    if (app.diagram.locked) return;
+
+    const box = app.diagram.boxes.find(b => b.id === boxId);
+    if (!box) return;
+
+    const boxEl = e.currentTarget;
+    const rect = boxEl.getBoundingClientRect();
+    const offsetX = e.clientX - rect.left;
+
+    // Dragging a member of the multi-selection moves the whole group
+    const groupIds = isMultiSelectionActive() && app.selectedBoxIds.includes(boxId) ? getSelectedBoxIds() : null;
+
+    app.isDragging = true;
+    app.isActivelyDraggingOrResizing = true;
+    app.dragData = {
+        type: 'move',
+        boxId: boxId,
+        offsetX: offsetX,
+        originalStart: box.startOffset,
+        groupStarts: groupIds
+            ? new Map(groupIds.map(id => [id, app.diagram.boxes.find(b => b.id === id).startOffset]))
+            : null
+    };
+
+    if (!groupIds) selectBox(boxId);
+    e.preventDefault();
+}
+
+function handleResizeStart(e, boxId) {
+    e.stopPropagation();
+
+    // Don't allow resizing if locked
+    if (app.diagram.locked) return;
+
+    const box = app.diagram.boxes.find(b => b.id === boxId);
+    if (!box) return;
+
+    const isLeft = e.target.classList.contains('left');
+
+    app.isDragging = true;
+    app.isActivelyDraggingOrResizing = true;
+    app.dragData = {
+        type: 'resize',
+        boxId: boxId,
+        side: isLeft ? 'left' : 'right',
+        originalStart: box.startOffset,
+        originalDuration: box.duration
+    };
+
+    selectBox(boxId);
+    e.preventDefault();
+}
+
+function handleMouseMove(e) {
+    if (!app.isDragging || !app.dragData) return;
+
+    // Track that actual movement occurred during drag
+    if (!app.dragData.didMove) {
+        app.dragData.didMove = true;
+        if (app.dragData.type === 'move' || app.dragData.type === 'resize') {
+            app.dragData.historyBefore = captureHistoryState();
+        }
+    }
+
+    if (app.dragData.type === 'marquee') {
+        updateMarqueeSelection(e);
+    } else if (app.dragData.type === 'create') {
+        const rect = app.dragData.track.getBoundingClientRect();
+        const currentX = e.clientX - rect.left;
+        // Support dragging in both directions
+        const left = Math.min(currentX, app.dragData.startX);
+        const width = Math.max(Math.abs(currentX - app.dragData.startX), 10);
+        app.dragData.tempBox.style.left = `${left}px`;
+        app.dragData.tempBox.style.width = `${width}px`;
+    } else if (app.dragData.type === 'move') {
+        const box = app.diagram.boxes.find(b => b.id === app.dragData.boxId);
+        if (!box) return;
+
+        const track = document.querySelector(`.lane-track[data-lane-id="${box.laneId}"]`);
+        if (!track) return;
+
+        const rect = track.getBoundingClientRect();
+        const newX = e.clientX - rect.left - app.dragData.offsetX;
+        let newStart = Math.max(0, pixelsToMs(newX));
+
+        // In compression mode, convert visual position to actual time
+        if (Compression.enabled) {
+            newStart = Compression.compressedToActual(newStart);
+        }
+
+        const subUnitPrecision = isSubUnitPrecisionActive(e);
+        box.startOffset = Math.max(0, snapMsToUnitStep(newStart, { subUnitPrecision }));
+
+        let movedBoxes = [box];
+        if (app.dragData.groupStarts) {
+            // Shift the whole selection by the dragged box's delta, never past time zero
+            const earliestStart = Math.min(...app.dragData.groupStarts.values());
+            const delta = Math.max(-earliestStart, box.startOffset - app.dragData.originalStart);
+            movedBoxes = [];
+            app.dragData.groupStarts.forEach((start, id) => {
+                const member = app.diagram.boxes.find(b => b.id === id);
+                if (!member) return;
+                member.startOffset = start + delta;
+                movedBoxes.push(member);
+            });
+        }
+
+        // Invalidate compression cache after changing position, then get visual offset
+        if (Compression.enabled) {
+            Compression.invalidate();
+        }
+
+        // In compression mode, use visual offset for display; otherwise use actual
+        movedBoxes.forEach(movedBox => {
+            const boxEl = document.querySelector(`.timeline-box[data-box-id="${movedBox.id}"]`);
+            if (boxEl) {
+                const visualOffset = Compression.enabled ? Compression.getVisualOffset(movedBox) : movedBox.startOffset;
+                boxEl.style.left = `${msToPixels(visualOffset)}px`;
+            }
+        });
+        renderTimeMarkers();
+        renderAlignmentCanvasOverlay();
+        updatePropertiesPanel();
+    } else if (app.dragData.type === 'resize') {
+        const box = app.diagram.boxes.find(b => b.id === app.dragData.boxId);
+        if (!box) return;
+
+        const track = document.querySelector(`.lane-track[data-lane-id="${box.laneId}"]`);
+        if (!track) return;
+
+        const rect = track.getBoundingClientRect();
+        const mouseX = e.clientX - rect.left;
+        let mouseMs = pixelsToMs(mouseX);
+
+        // In compression mode, convert visual position to actual time
+        if (Compression.enabled) {
+            mouseMs = Compression.compressedToActual(mouseMs);
+        }
+
+        const subUnitPrecision = isSubUnitPrecisionActive(e);
+        const boxStepMs = Math.max(MIN_BOX_DURATION_MS, getSnapStepMs({ subUnitPrecision }));
+        if (app.dragData.side === 'right') {
+            const snappedEnd = snapMsToUnitStep(mouseMs, { subUnitPrecision });
+            const minEnd = box.startOffset + boxStepMs;
+            const finalEnd = Math.max(minEnd, snappedEnd);
+            box.duration = Math.max(boxStepMs, finalEnd - box.startOffset);
+        } else {
+            const endOffset = app.dragData.originalStart + app.dragData.originalDuration;
+            const minDurationForThisBox = Math.min(boxStepMs, Math.max(MIN_BOX_DURATION_MS, endOffset));
+            const snappedStart = snapMsToUnitStep(mouseMs, { subUnitPrecision });
+            const maxStart = endOffset - minDurationForThisBox;
+            const newStart = Math.max(0, Math.min(snappedStart, maxStart));
+            box.startOffset = newStart;
+            box.duration = Math.max(minDurationForThisBox, endOffset - box.startOffset);
+        }
+
+        // Invalidate compression cache after changing size/position, then get visual offset
+        if (Compression.enabled) {
+            Compression.invalidate();
+        }
+
+        const boxEl = document.querySelector(`.timeline-box[data-box-id="${box.id}"]`);
+        if (boxEl) {
+            // In compression mode, use visual offset for display; otherwise use actual
+            const visualOffset = Compression.enabled ? Compression.getVisualOffset(box) : box.startOffset;
+            boxEl.style.left = `${msToPixels(visualOffset)}px`;
+            boxEl.style.width = `${getBoxVisualWidth(box.duration)}px`;
+
+            const labelText = box.label ? `${box.label} (${formatDuration(box.duration)})` : formatDuration(box.duration);
+            const labelEl = boxEl.querySelector('.box-label');
+            if (labelEl) labelEl.textContent = labelText;
+        }
+        renderTimeMarkers();
+        renderAlignmentCanvasOverlay();
+
+        updatePropertiesPanel();
+    }
+}
+
+function handleMouseUp(e) {
+    if (!app.isDragging || !app.dragData) return;
+    const dragType = app.dragData.type;
+    const didMove = !!app.dragData.didMove;
+
+    if (dragType === 'marquee') {
+        finishMarqueeSelection(e);
+    } else if (dragType === 'create') {
+        const rect = app.dragData.track.getBoundingClientRect();
+        const endX = e.clientX - rect.left;
+        const dist = Math.abs(endX - app.dragData.startX);
+
+        // Remove temp box
+        app.dragData.tempBox.remove();
+
+        // Create real box only if dragged enough (avoid single click creation)
+        if (dist > 5) {
+            // Use the leftmost point as start (support right-to-left drag)
+            const leftX = Math.min(endX, app.dragData.startX);
+            const rightX = Math.max(endX, app.dragData.startX);
+
+            // Convert visual positions to actual times (handles compression mode)
+            let actualStartMs = pixelsToMs(Math.max(0, leftX));
+            let actualEndMs = pixelsToMs(Math.max(0, rightX));
+
+            // In compression mode, convert visual positions to actual times
+            if (Compression.enabled) {
+                actualStartMs = Compression.compressedToActual(actualStartMs);
+                actualEndMs = Compression.compressedToActual(actualEndMs);
+            }
+
+            const subUnitPrecision = isSubUnitPrecisionActive(e);
+            const boxStepMs = Math.max(MIN_BOX_DURATION_MS, getSnapStepMs({ subUnitPrecision }));
+            let startOffset = Math.max(0, snapMsToUnitStep(actualStartMs, { subUnitPrecision }));
+            let endOffset = Math.max(startOffset + boxStepMs, snapMsToUnitStep(actualEndMs, { subUnitPrecision }));
+            if (endOffset <= startOffset) {
+                endOffset = startOffset + boxStepMs;
+            }
+            const duration = Math.max(endOffset - startOffset, boxStepMs);
+
+            const laneId = app.dragData.laneId;
+            const box = recordHistoryStep('Add box', () => app.diagram.addBox(
+                laneId,
+                startOffset,
+                duration,
+                '',
+                getAutoBoxColor(laneId)
+            ));
+
+            // Invalidate compression cache since gaps may have changed
+            if (Compression.enabled) {
+                Compression.invalidate();
+            }
+
+            renderTimelineRuler();
+            renderLanesCanvas();
+            renderTimeMarkers();
+            updateTotalDuration();
+            Minimap.render();
+
+            // Select the box (and open properties if auto-open is enabled)
+            selectBox(box.id, true);
+        }
+    } else if (dragType === 'move' || dragType === 'resize') {
+        // Only finalize drag visuals when there was real movement.
+        // This prevents compression-mode re-renders from swallowing a simple click.
+        if (didMove) {
+            // Keep links into the dragged box(es) at the new position, then re-flow everything downstream
+            const draggedBoxIds = app.dragData.groupStarts
+                ? Array.from(app.dragData.groupStarts.keys())
+                : [app.dragData.boxId];
+            draggedBoxIds.forEach(id => app.diagram.anchorIncomingDependencies(id));
+            const reflowedBoxIds = draggedBoxIds.flatMap(id => app.diagram.rescheduleDependents(id));
+
+            // Recalculate compression gaps after moving/resizing
+            if (Compression.enabled) {
+                Compression.invalidate();
+                renderTimelineRuler();
+                renderLanesCanvas();
+            } else {
+                renderTimelineRuler();
+                if (reflowedBoxIds.length > 0) renderLanesCanvas();
+            }
+            // Always finalize marker and minimap positions after drag/resize.
+            renderTimeMarkers();
+            Minimap.render();
+            renderAlignmentCanvasOverlay();
+            updateTotalDuration();
+            const moveLabel = app.dragData.groupStarts ? 'Move boxes' : 'Move box';
+            commitHistoryStep(dragType === 'move' ? moveLabel : 'Resize box', app.dragData.historyBefore);
+
+            // After drag/resize: only update properties values if sidebar already shows box props.
+            // Do NOT auto-open the sidebar — that should only happen on deliberate click.
+            if (V2 && V2.isV2) {
+                if (V2.currentMode === 'box' && app.selectedBoxId) {
+                    // Sidebar already open in box mode — just refresh values
+                    const box = app.diagram.boxes.find(b => b.id === app.selectedBoxId);
+                    if (box) {
+                        app.elements.boxLabel.value = box.label;
+                        app.elements.boxColor.value = box.color;
+                        app.elements.boxStart.value = formatMsForInput(box.startOffset);
+                        app.elements.boxDuration.value = formatMsForInput(box.duration);
+                        if (app.elements.boxEnd) app.elements.boxEnd.value = formatMsForInput(box.startOffset + box.duration);
+                        const baseTime = parseTime(app.diagram.startTime);
+                        app.elements.boxTimeStart.textContent = formatTime(baseTime + box.startOffset);
+                        app.elements.boxTimeEnd.textContent = formatTime(baseTime + box.startOffset + box.duration);
+                        renderBoxDependencyList(box);
+                        renderBoxMetadataList(box);
+                        updateBoxSlackDisplay(box);
+                    }
+                }
+            } else {
+                updatePropertiesPanel();
+            }
+        } else {
+            // No movement: keep DOM stable and let the click handler open properties.
+            if (typeof renderAlignmentCanvasOverlay === 'function') {
+                renderAlignmentCanvasOverlay();
+            }
+        }
+    }
+
+    // Preserve didMove flag for the click handler (fires after mouseup)
+    app.lastDragDidMove = didMove;
+    app.isDragging = false;
+    app.isActivelyDraggingOrResizing = false;
+    app.dragData = null;
+}
+
+// =====================================================
+// Measurement Tool
+// =====================================================
+const SNAP_THRESHOLD = 8; // pixels
+const MEASUREMENT_COLORS = ['#39FF14', '#FF2D55', '#00D2FF', '#FFB020', '#8B5CF6', '#00E676', '#FF6B00', '#FFD60A'];
+const MIN_MEASUREMENT_DISTANCE_PX = 2;
+
+function getLaneLabelWidthPx() {
+    const sourceEl = app?.elements?.lanesCanvas || document.body || document.documentElement;
+    const raw = getComputedStyle(sourceEl).getPropertyValue('--lane-label-width');
+    const parsed = parseFloat(raw);
+    return Number.isFinite(parsed) ? parsed : 160;
+}
+
+function getLaneLabelWidthForExportPx() {
+    const raw = getComputedStyle(document.documentElement).getPropertyValue('--lane-label-width');
+    const parsed = parseFloat(raw);
+    // Exports must keep lane headers visible even when UI labels are hidden.
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : 160;
+}
+
+function visualMsToActualMs(visualMs) {
+    const safeVisualMs = Math.max(0, visualMs);
+    return Compression.enabled ? Compression.compressedToActual(safeVisualMs) : safeVisualMs;
+}
+
+function cloneMeasurementPoint(point) {
+    if (!point) return null;
+    return {
+        x: point.x,
+        y: point.y,
+        clientX: point.clientX,
+        clientY: point.clientY,
+        snapped: !!point.snapped,
+        snapTimeMs: Number.isFinite(point.snapTimeMs) ? point.snapTimeMs : null
+    };
+}
+
+function getNextMeasurementColor() {
+    const color = MEASUREMENT_COLORS[app.measureSequence % MEASUREMENT_COLORS.length];
+    app.measureSequence += 1;
+    return color;
+}
+
+function sanitizeMeasurementColor(color, fallback = MEASUREMENT_COLORS[0]) {
+    const normalized = String(color || '').trim();
+    return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(normalized) ? normalized : fallback;
+}
+
+function hexToRgbTuple(hexColor) {
+    const hex = sanitizeMeasurementColor(hexColor).replace('#', '');
+    const full = hex.length === 3 ? hex.split('').map(ch => ch + ch).join('') : hex;
+    if (!/^[0-9a-f]{6}$/i.test(full)) return null;
+
+    return {
+        r: parseInt(full.slice(0, 2), 16),
+        g: parseInt(full.slice(2, 4), 16),
+        b: parseInt(full.slice(4, 6), 16)
+    };
+}
+
+function rgbTupleToHex({ r, g, b }) {
+    const clamp = (n) => Math.max(0, Math.min(255, Math.round(n)));
+    const toHex = (n) => clamp(n).toString(16).padStart(2, '0');
+    return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+}
+
+function srgbToLinear(channel) {
+    const s = channel / 255;
+    return s <= 0.03928 ? (s / 12.92) : Math.pow((s + 0.055) / 1.055, 2.4);
+}
+
+function relativeLuminance(hexColor) {
+    const rgb = hexToRgbTuple(hexColor);
+    if (!rgb) return 0;
+    const r = srgbToLinear(rgb.r);
+    const g = srgbToLinear(rgb.g);
+    const b = srgbToLinear(rgb.b);
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(l1, l2) {
+    const lighter = Math.max(l1, l2);
+    const darker = Math.min(l1, l2);
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+function darkenHexColor(hexColor, factor = 0.86) {
+    const rgb = hexToRgbTuple(hexColor);
+    if (!rgb) return sanitizeMeasurementColor(hexColor);
+    return rgbTupleToHex({
+        r: rgb.r * factor,
+        g: rgb.g * factor,
+        b: rgb.b * factor
+    });
+}
+
+function getReadableMeasureColor(hexColor, minContrast = 4.5) {
+    const base = sanitizeMeasurementColor(hexColor);
+    if (!document.body.classList.contains('light-theme')) return base;
+
+    let adjusted = base;
+    let steps = 0;
+    while (contrastRatio(relativeLuminance(adjusted), 1) < minContrast && steps < 10) {
+        adjusted = darkenHexColor(adjusted, 0.86);
+        steps += 1;
+    }
+    return adjusted;
+}
+
+function createMeasurementEntry(startPoint, endPoint, color) {
+    return {
+        id: `m-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        color: sanitizeMeasurementColor(color),
+        start: cloneMeasurementPoint(startPoint),
+        end: cloneMeasurementPoint(endPoint)
+    };
+}
+
+function normalizeMeasurementPoint(point) {
+    if (!point || typeof point !== 'object') return null;
+
+    const x = Number(point.x);
+    const y = Number(point.y);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+
+    return {
+        x,
+        y,
+        clientX: Number.isFinite(point.clientX) ? Number(point.clientX) : null,
+        clientY: Number.isFinite(point.clientY) ? Number(point.clientY) : null,
+        snapped: !!point.snapped,
+        snapTimeMs: Number.isFinite(point.snapTimeMs) ? Number(point.snapTimeMs) : null
+    };
+}
+
+function normalizeMeasurementEntry(entry, fallbackColor) {
+    if (!entry || typeof entry !== 'object') return null;
+    const start = normalizeMeasurementPoint(entry.start);
+    const end = normalizeMeasurementPoint(entry.end);
+    if (!start || !end) return null;
+
+    return {
+        id: (typeof entry.id === 'string' && entry.id.trim()) ? entry.id : `m-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        color: sanitizeMeasurementColor(entry.color, fallbackColor),
+        start,
+        end
+    };
+}
+
+function getMeasurementStateForPersistence() {
+    const persistedMeasurements = (app.measurements || [])
+        .map((entry, index) => normalizeMeasurementEntry(entry, MEASUREMENT_COLORS[index % MEASUREMENT_COLORS.length]))
+        .filter(Boolean);
+
+    return {
+        toolActive: !!app.measureToolActive,
+        pinned: !!app.measurePinned,
+        start: normalizeMeasurementPoint(app.measureStart),
+        end: normalizeMeasurementPoint(app.measureEnd),
+        measurements: persistedMeasurements,
+        sequence: Math.max(0, parseInt(app.measureSequence, 10) || 0),
+        currentColor: sanitizeMeasurementColor(app.measureCurrentColor, MEASUREMENT_COLORS[0]),
+        panelPosition: app.measurePanelPosition && Number.isFinite(app.measurePanelPosition.x) && Number.isFinite(app.measurePanelPosition.y)
+            ? { x: Number(app.measurePanelPosition.x), y: Number(app.measurePanelPosition.y) }
+            : null
+    };
+}
+
+function computeMeasurementMetrics(measurement) {
+    if (!measurement || !measurement.start || !measurement.end) return null;
+
+    const laneLabelWidth = getLaneLabelWidthPx();
+    const leftPoint = measurement.start.x <= measurement.end.x ? measurement.start : measurement.end;
+    const rightPoint = leftPoint === measurement.start ? measurement.end : measurement.start;
+
+    const leftVisualMs = pixelsToMs(leftPoint.x - laneLabelWidth);
+    const rightVisualMs = pixelsToMs(rightPoint.x - laneLabelWidth);
+
+    const actualStartMs = Number.isFinite(leftPoint.snapTimeMs)
+        ? leftPoint.snapTimeMs
+        : visualMsToActualMs(leftVisualMs);
+    const actualEndMs = Number.isFinite(rightPoint.snapTimeMs)
+        ? rightPoint.snapTimeMs
+        : visualMsToActualMs(rightVisualMs);
+    const actualDuration = Math.max(0, actualEndMs - actualStartMs);
+
+    return {
+        actualStartMs,
+        actualEndMs,
+        actualDuration,
+        durationText: formatDuration(Math.round(actualDuration)),
+        startText: formatDuration(Math.round(actualStartMs)),
+        endText: formatDuration(Math.round(actualEndMs))
+    };
+}
+
+function createSvgElement(tagName, attributes = {}) {
+    const el = document.createElementNS('http://www.w3.org/2000/svg', tagName);
+    Object.entries(attributes).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+            el.setAttribute(key, String(value));
+        }
+    });
+    return el;
+}
+
+function canvasPointToOverlay(point, overlayRect) {
+    const canvas = app.elements.lanesCanvas;
+    if (!canvas || !point) return null;
+
+    const canvasRect = canvas.getBoundingClientRect();
+    return {
+        x: canvasRect.left + point.x - canvas.scrollLeft - overlayRect.left,
+        y: canvasRect.top + point.y - canvas.scrollTop - overlayRect.top
+    };
+}
+
+function getMeasurementLineVector(startX, startY, endX, endY) {
+    const dx = endX - startX;
+    const dy = endY - startY;
+    const length = Math.hypot(dx, dy) || 1;
+    const ux = dx / length;
+    const uy = dy / length;
+    const px = -uy;
+    const py = ux;
+
+    return { dx, dy, length, ux, uy, px, py };
+}
+
+function getMeasurementArrowPoints(startX, startY, endX, endY, arrowLength = 8, arrowHalfWidth = 4) {
+    const vector = getMeasurementLineVector(startX, startY, endX, endY);
+    const baseX = endX - vector.ux * arrowLength;
+    const baseY = endY - vector.uy * arrowLength;
+
+    return {
+        vector,
+        leftX: baseX + vector.px * arrowHalfWidth,
+        leftY: baseY + vector.py * arrowHalfWidth,
+        rightX: baseX - vector.px * arrowHalfWidth,
+        rightY: baseY - vector.py * arrowHalfWidth
+    };
+}
+
+function renderMeasurementOverlay(activeMeasurement = null) {
+    const overlay = document.getElementById('measurement-overlay');
+    if (!overlay) return;
+
+    const entries = app.measurements.slice();
+    if (activeMeasurement) {
+        entries.push(activeMeasurement);
+    }
+
+    overlay.innerHTML = '';
+    if (entries.length === 0) return;
+
+    const overlayRect = overlay.getBoundingClientRect();
+    const isLightTheme = document.body.classList.contains('light-theme');
+    const baseOpacity = isLightTheme ? 0.96 : 0.88;
+    const draftOpacity = isLightTheme ? 1 : 0.95;
+    const lineStrokeWidth = app.measurePinned ? (isLightTheme ? 2.2 : 2) : (isLightTheme ? 1.8 : 1.5);
+    const labelBgFill = isLightTheme ? 'rgba(255, 255, 255, 0.95)' : 'rgba(5, 10, 14, 0.88)';
+    const labelBgStroke = isLightTheme ? 'rgba(15, 23, 42, 0.18)' : 'none';
+
+    entries.forEach((measurement, index) => {
+        const start = canvasPointToOverlay(measurement.start, overlayRect);
+        const end = canvasPointToOverlay(measurement.end, overlayRect);
+        const metrics = computeMeasurementMetrics(measurement);
+        if (!start || !end || !metrics) return;
+
+        const rawColor = sanitizeMeasurementColor(measurement.color, MEASUREMENT_COLORS[index % MEASUREMENT_COLORS.length]);
+        const color = getReadableMeasureColor(rawColor, 4.5);
+        const opacity = activeMeasurement && measurement.id === activeMeasurement.id ? draftOpacity : baseOpacity;
+        const arrow = getMeasurementArrowPoints(start.x, start.y, end.x, end.y, 8, 4);
+        const vector = arrow.vector;
+        const tickHalf = 5;
+        const group = createSvgElement('g', { class: 'measurement-item' });
+
+        group.appendChild(createSvgElement('line', {
+            x1: start.x,
+            y1: start.y,
+            x2: end.x,
+            y2: end.y,
+            class: 'measurement-line',
+            stroke: color,
+            'stroke-opacity': opacity,
+            'stroke-width': lineStrokeWidth
+        }));
+
+        group.appendChild(createSvgElement('line', {
+            x1: start.x,
+            y1: start.y - tickHalf,
+            x2: start.x,
+            y2: start.y + tickHalf,
+            stroke: color,
+            'stroke-opacity': opacity,
+            'stroke-width': 1.5
+        }));
+
+        group.appendChild(createSvgElement('line', {
+            x1: end.x + vector.px * tickHalf,
+            y1: end.y + vector.py * tickHalf,
+            x2: end.x - vector.px * tickHalf,
+            y2: end.y - vector.py * tickHalf,
+            stroke: color,
+            'stroke-opacity': opacity,
+            'stroke-width': 1.5
+        }));
+
+        group.appendChild(createSvgElement('path', {
+            d: `M${arrow.leftX},${arrow.leftY} L${end.x},${end.y} L${arrow.rightX},${arrow.rightY}`,
+            fill: 'none',
+            stroke: color,
+            'stroke-opacity': opacity,
+            'stroke-width': 1.5,
+            'stroke-linecap': 'round',
+            'stroke-linejoin': 'round'
+        }));
+
+        const midX = (start.x + end.x) / 2;
+        const midY = (start.y + end.y) / 2;
+        const labelText = metrics.durationText;
+        const textWidth = labelText.length * 8 + 10;
+
+        group.appendChild(createSvgElement('rect', {
+            x: midX - (textWidth / 2),
+            y: midY - 24,
+            width: textWidth,
+            height: 16,
+            rx: 3,
+            fill: labelBgFill,
+            stroke: labelBgStroke,
+            'stroke-width': isLightTheme ? 0.8 : 0
+        }));
+
+        const textEl = createSvgElement('text', {
+            x: midX,
+            y: midY - 12,
+            class: 'measurement-label',
+            fill: color
+        });
+        textEl.textContent = labelText;
+        group.appendChild(textEl);
+
+        overlay.appendChild(group);
+    });
+}
+
+function applyMeasurementPanelPosition() {
+    const panel = document.getElementById('measurement-info');
+    if (!panel || !panel.classList.contains('active')) return;
+
+    if (!app.measurePanelPosition) {
+        app.measurePanelPosition = {
+            x: Math.max(12, window.innerWidth - (panel.offsetWidth || 300) - 20),
+            y: 96
+        };
+    }
+
+    const min = 8;
+    const maxX = Math.max(min, window.innerWidth - panel.offsetWidth - min);
+    const maxY = Math.max(min, window.innerHeight - panel.offsetHeight - min);
+
+    app.measurePanelPosition.x = Math.min(maxX, Math.max(min, app.measurePanelPosition.x));
+    app.measurePanelPosition.y = Math.min(maxY, Math.max(min, app.measurePanelPosition.y));
+
+    panel.style.left = `${Math.round(app.measurePanelPosition.x)}px`;
+    panel.style.top = `${Math.round(app.measurePanelPosition.y)}px`;
+}
+
+function buildMeasurementInfoRowMarkup(metrics) {
+    const startText = escapeHtml(metrics.startText);
+    const durationText = escapeHtml(metrics.durationText);
+    const endText = escapeHtml(metrics.endText);
+    const ariaLabel = `Start ${metrics.startText}, Duration ${metrics.durationText}, End ${metrics.endText}`;
+
+    return `
+        <div class="measure-panel-values" role="img" aria-label="${escapeHtml(ariaLabel)}">
+            <svg class="measure-row-lines" width="100%" height="100%" aria-hidden="true">
+                <line class="measure-row-line measure-row-line-a" x1="0" y1="9" x2="0" y2="9"></line>
+                <line class="measure-row-line measure-row-line-b" x1="0" y1="9" x2="0" y2="9"></line>
+                <line class="measure-row-arrow measure-row-arrow-a" x1="0" y1="9" x2="0" y2="9"></line>
+                <line class="measure-row-arrow measure-row-arrow-b" x1="0" y1="9" x2="0" y2="9"></line>
+            </svg>
+            <span class="measure-value measure-value-start" title="Start">${startText}</span>
+            <span class="measure-value measure-value-duration" title="Duration">${durationText}</span>
+            <span class="measure-value measure-value-end" title="End">${endText}</span>
+        </div>
+    `;
+}
+
+function buildMeasurementInfoColumnsSvg() {
+    return `
+        <div class="measure-header-values" role="img" aria-label="Start to Duration to End guide">
+            <svg class="measure-header-lines" width="100%" height="100%" aria-hidden="true">
+                <line class="measure-header-line measure-header-line-a" x1="0" y1="0" x2="0" y2="0"></line>
+                <line class="measure-header-line measure-header-line-b" x1="0" y1="0" x2="0" y2="0"></line>
+                <line class="measure-header-arrow measure-header-arrow-a" x1="0" y1="0" x2="0" y2="0"></line>
+                <line class="measure-header-arrow measure-header-arrow-b" x1="0" y1="0" x2="0" y2="0"></line>
+            </svg>
+            <span class="measure-header-label measure-header-label-start">Start</span>
+            <span class="measure-header-label measure-header-label-duration">Duration</span>
+            <span class="measure-header-label measure-header-label-end">End</span>
+        </div>
+    `;
+}
+
+function setMeasurementSvgLine(lineEl, x1, y1, x2, y2) {
+    if (!lineEl) return;
+    const valid = Number.isFinite(x1) && Number.isFinite(y1) && Number.isFinite(x2) && Number.isFinite(y2)
+        && Math.hypot(x2 - x1, y2 - y1) >= 1;
+    if (!valid) {
+        lineEl.style.display = 'none';
+        return;
+    }
+
+    lineEl.style.display = '';
+    lineEl.setAttribute('x1', (Math.round(x1 * 10) / 10).toString());
+    lineEl.setAttribute('y1', (Math.round(y1 * 10) / 10).toString());
+    lineEl.setAttribute('x2', (Math.round(x2 * 10) / 10).toString());
+    lineEl.setAttribute('y2', (Math.round(y2 * 10) / 10).toString());
+}
+
+function layoutMeasurementInfoHeader() {
+    const panel = document.getElementById('measurement-info');
+    if (!panel) return;
+
+    const valuesEl = panel.querySelector('.measure-header-values');
+    const headerSvg = panel.querySelector('.measure-header-lines');
+    const startEl = panel.querySelector('.measure-header-label-start');
+    const durationEl = panel.querySelector('.measure-header-label-duration');
+    const endEl = panel.querySelector('.measure-header-label-end');
+    if (!valuesEl || !headerSvg || !startEl || !durationEl || !endEl) return;
+
+    const valuesRect = valuesEl.getBoundingClientRect();
+    const width = valuesRect.width;
+    const height = Math.max(20, valuesEl.clientHeight || 20);
+    if (width <= 0) return;
+
+    headerSvg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    headerSvg.setAttribute('preserveAspectRatio', 'none');
+
+    const toLocal = (rect) => ({
+        left: rect.left - valuesRect.left,
+        right: rect.right - valuesRect.left
+    });
+
+    const start = toLocal(startEl.getBoundingClientRect());
+    const duration = toLocal(durationEl.getBoundingClientRect());
+    const end = toLocal(endEl.getBoundingClientRect());
+    const startRect = startEl.getBoundingClientRect();
+    const durationRect = durationEl.getBoundingClientRect();
+    const endRect = endEl.getBoundingClientRect();
+
+    const y = (
+        (startRect.top + startRect.bottom) +
+        (durationRect.top + durationRect.bottom) +
+        (endRect.top + endRect.bottom)
+    ) / 6 - valuesRect.top;
+    const lineY = Math.max(4, Math.min(height - 2, y));
+    const gap = 8;
+    const arrowLen = 6;
+    const arrowHalf = 3;
+
+    const segment1Start = start.right + gap;
+    const segment1End = duration.left - gap;
+    const arrowTip = end.left - gap;
+    const segment2Start = duration.right + gap;
+    const segment2End = arrowTip - arrowLen;
+
+    setMeasurementSvgLine(headerSvg.querySelector('.measure-header-line-a'), segment1Start, lineY, segment1End, lineY);
+    setMeasurementSvgLine(headerSvg.querySelector('.measure-header-line-b'), segment2Start, lineY, segment2End, lineY);
+    setMeasurementSvgLine(headerSvg.querySelector('.measure-header-arrow-a'), arrowTip - arrowLen, lineY - arrowHalf, arrowTip, lineY);
+    setMeasurementSvgLine(headerSvg.querySelector('.measure-header-arrow-b'), arrowTip - arrowLen, lineY + arrowHalf, arrowTip, lineY);
+}
+
+function layoutMeasurementInfoRows() {
+    const panel = document.getElementById('measurement-info');
+    if (!panel || !panel.classList.contains('active')) return;
+
+    const rows = panel.querySelectorAll('.measure-panel-row');
+
+    rows.forEach(row => {
+        const valuesEl = row.querySelector('.measure-panel-values');
+        const svg = row.querySelector('.measure-row-lines');
+        const startEl = row.querySelector('.measure-value-start');
+        const durationEl = row.querySelector('.measure-value-duration');
+        const endEl = row.querySelector('.measure-value-end');
+        if (!valuesEl || !svg || !startEl || !durationEl || !endEl) return;
+
+        const valuesRect = valuesEl.getBoundingClientRect();
+        const width = valuesRect.width;
+        const height = Math.max(18, valuesEl.clientHeight || 18);
+        if (width <= 0) return;
+
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('preserveAspectRatio', 'none');
+
+        const toLocal = (rect) => ({
+            left: rect.left - valuesRect.left,
+            right: rect.right - valuesRect.left,
+            center: (rect.left + rect.right) / 2 - valuesRect.left
+        });
+
+        const start = toLocal(startEl.getBoundingClientRect());
+        const duration = toLocal(durationEl.getBoundingClientRect());
+        const end = toLocal(endEl.getBoundingClientRect());
+        const startRect = startEl.getBoundingClientRect();
+        const durationRect = durationEl.getBoundingClientRect();
+        const endRect = endEl.getBoundingClientRect();
+
+        const centerY = (
+            (startRect.top + startRect.bottom) +
+            (durationRect.top + durationRect.bottom) +
+            (endRect.top + endRect.bottom)
+        ) / 6 - valuesRect.top;
+        const lineY = Math.max(4, Math.min(height - 2, centerY));
+        const gap = 6;
+        const arrowLen = 6;
+        const arrowHalf = 3;
+
+        const segment1Start = start.right + gap;
+        const segment1End = duration.left - gap;
+        const arrowTip = end.left - gap;
+        const segment2Start = duration.right + gap;
+        const segment2End = arrowTip - arrowLen;
+
+        setMeasurementSvgLine(row.querySelector('.measure-row-line-a'), segment1Start, lineY, segment1End, lineY);
+        setMeasurementSvgLine(row.querySelector('.measure-row-line-b'), segment2Start, lineY, segment2End, lineY);
+        setMeasurementSvgLine(row.querySelector('.measure-row-arrow-a'), arrowTip - arrowLen, lineY - arrowHalf, arrowTip, lineY);
+        setMeasurementSvgLine(row.querySelector('.measure-row-arrow-b'), arrowTip - arrowLen, lineY + arrowHalf, arrowTip, lineY);
+    });
+
+    layoutMeasurementInfoHeader();
+}
+
+function renderMeasurementInfo(activeMeasurement = null) {
+    const panel = document.getElementById('measurement-info');
+    if (!panel) return;
+
+    const entries = app.measurements.slice();
+    if (activeMeasurement) {
+        entries.push(activeMeasurement);
+    }
+
+    const shouldShow = entries.length > 0 && (app.measureToolActive || app.measurePinned || app.isMeasuring || app.measurements.length > 0);
+    panel.classList.toggle('active', shouldShow);
+    panel.classList.toggle('pinned', app.measurePinned);
 
-            const box = app.diagram.addBox(
-                app.dragData.laneId,
-                startOffset,
-                duration,
-                '',
-                getAutoBoxColor(app.dragData.laneId)
-            );
+    if (!shouldShow) {
+        panel.innerHTML = '';
+        return;
+    }
 
-            // Invalidate compression cache since gaps may have changed
-            if (Compression.enabled) {
-                Compression.invalidate();
-            }
+    const recentEntries = entries.slice(-12).reverse();
+    const rowsHtml = recentEntries.map((measurement, index) => {
+        const metrics = computeMeasurementMetrics(measurement);
+        if (!metrics) return '';
 
-            renderTimelineRuler();
-            renderLanesCanvas();
-            renderTimeMarkers();
-            updateTotalDuration();
-            Minimap.render();
+        const rawColor = sanitizeMeasurementColor(measurement.color, MEASUREMENT_COLORS[index % MEASUREMENT_COLORS.length]);
+        const color = getReadableMeasureColor(rawColor, 4.8);
+        const draftClass = activeMeasurement && measurement.id === activeMeasurement.id ? ' is-draft' : '';
 
-            // Select the box (and open properties if auto-open is enabled)
-            selectBox(box.id, true);
-        }
-    } else if (dragType === 'move' || dragType === 'resize') {
-        // Only finalize drag visuals when there was real movement.
-        // This prevents compression-mode re-renders from swallowing a simple click.
-        if (didMove) {
-            // Recalculate compression gaps after moving/resizing
-            if (Compression.enabled) {
-                Compression.invalidate();
-                renderTimelineRuler();
-                renderLanesCanvas();
-            } else {
-                renderTimelineRuler();
-            }
-            // Always finalize marker and minimap positions after drag/resize.
-            renderTimeMarkers();
-            Minimap.render();
-            renderAlignmentCanvasOverlay();
-            updateTotalDuration();
+        return `
+            <div class="measure-panel-row${draftClass}" style="--measure-color:${color}">
+                ${buildMeasurementInfoRowMarkup(metrics)}
+            </div>
+        `;
+    }).join('');
 
-            // After drag/resize: only update properties values if sidebar already shows box props.
-            // Do NOT auto-open the sidebar — that should only happen on deliberate click.
-            if (V2 && V2.isV2) {
-                if (V2.currentMode === 'box' && app.selectedBoxId) {
-                    // Sidebar already open in box mode — just refresh values
-                    const box = app.diagram.boxes.find(b => b.id === app.selectedBoxId);
-                    if (box) {
-                        app.elements.boxLabel.value = box.label;
-                        app.elements.boxColor.value = box.color;
-                        app.elements.boxStart.value = formatMsForInput(box.startOffset);
-                        app.elements.boxDuration.value = formatMsForInput(box.duration);
-                        if (app.elements.boxEnd) app.elements.boxEnd.value = formatMsForInput(box.startOffset + box.duration);
-                        const baseTime = parseTime(app.diagram.startTime);
-                        app.elements.boxTimeStart.textContent = formatTime(baseTime + box.startOffset);
-                        app.elements.boxTimeEnd.textContent = formatTime(baseTime + box.startOffset + box.duration);
-                    }
-                }
-            } else {
-                updatePropertiesPanel();
-            }
-        } else {
-            // No movement: keep DOM stable and let the click handler open properties.
-            if (typeof renderAlignmentCanvasOverlay === 'function') {
-                renderAlignmentCanvasOverlay();
-            }
-        }
-    }
+    panel.innerHTML = `
+        <div class="measurement-info-header">
+            <span class="measurement-info-title">Measures${recentEntries.length > 0 ? ` (${recentEntries.length})` : ''}</span>
+            <span class="measurement-info-hint">Drag to move${activeMeasurement ? ' • drawing' : ''}</span>
+        </div>
+        <div class="measurement-info-columns">
+            ${buildMeasurementInfoColumnsSvg()}
+        </div>
+        <div class="measurement-info-list">${rowsHtml}</div>
+    `;
 
-    // Preserve didMove flag for the click handler (fires after mouseup)
-    app.lastDragDidMove = didMove;
-    app.isDragging = false;
-    app.isActivelyDraggingOrResizing = false;
-    app.dragData = null;
+    applyMeasurementPanelPosition();
+    layoutMeasurementInfoRows();
+    requestAnimationFrame(() => layoutMeasurementInfoRows());
 }
 
-// =====================================================
-// Measurement Tool
-// =====================================================
-const SNAP_THRESHOLD = 8; // pixels
-const MEASUREMENT_COLORS = ['#39FF14', '#FF2D55', '#00D2FF', '#FFB020', '#8B5CF6', '#00E676', '#FF6B00', '#FFD60A'];
-const MIN_MEASUREMENT_DISTANCE_PX = 2;
+function startMeasurementPanelDrag(e) {
+    const panel = document.getElementById('measurement-info');
+    if (!panel || !panel.classList.contains('active')) return;
+    if (!e.target.closest('.measurement-info-header')) return;
 
-function getLaneLabelWidthPx() {
-    const sourceEl = app?.elements?.lanesCanvas || document.body || document.documentElement;
-    const raw = getComputedStyle(sourceEl).getPropertyValue('--lane-label-width');
-    const parsed = parseFloat(raw);
-    return Number.isFinite(parsed) ? parsed : 160;
+    const rect = panel.getBoundingClientRect();
+    app.measurePanelDrag = {
+        offsetX: e.clientX - rect.left,
+        offsetY: e.clientY - rect.top
+    };
+    panel.classList.add('dragging');
+    e.preventDefault();
 }
 
-function getLaneLabelWidthForExportPx() {
-    const raw = getComputedStyle(document.documentElement).getPropertyValue('--lane-label-width');
-    const parsed = parseFloat(raw);
-    // Exports must keep lane headers visible even when UI labels are hidden.
-    return Number.isFinite(parsed) && parsed > 0 ? parsed : 160;
+function handleMeasurementPanelDrag(e) {
+    if (!app.measurePanelDrag) return;
+    app.measurePanelPosition = {
+        x: e.clientX - app.measurePanelDrag.offsetX,
+        y: e.clientY - app.measurePanelDrag.offsetY
+    };
+    applyMeasurementPanelPosition();
 }
 
-function visualMsToActualMs(visualMs) {
-    const safeVisualMs = Math.max(0, visualMs);
-    return Compression.enabled ? Compression.compressedToActual(safeVisualMs) : safeVisualMs;
+function stopMeasurementPanelDrag() {
+    if (!app.measurePanelDrag) return;
+    app.measurePanelDrag = null;
+    const panel = document.getElementById('measurement-info');
+    if (panel) {
+        panel.classList.remove('dragging');
+    }
+    autoSave();
+    saveSessionState();
 }
 
-function cloneMeasurementPoint(point) {
-    if (!point) return null;
-    return {
-        x: point.x,
-        y: point.y,
-        clientX: point.clientX,
-        clientY: point.clientY,
-        snapped: !!point.snapped,
-        snapTimeMs: Number.isFinite(point.snapTimeMs) ? point.snapTimeMs : null
-    };
+function getMeasurementsForExport() {
+    const entries = app.measurements.slice();
+    if (app.isMeasuring && app.measureStart && app.measureEnd) {
+        entries.push(createMeasurementEntry(app.measureStart, app.measureEnd, app.measureCurrentColor || MEASUREMENT_COLORS[0]));
+    }
+    if (entries.length > 0) {
+        return entries;
+    }
+    if (app.measurePinned && app.measureStart && app.measureEnd) {
+        return [createMeasurementEntry(app.measureStart, app.measureEnd, app.measureCurrentColor || MEASUREMENT_COLORS[0])];
+    }
+    return [];
 }
 
-function getNextMeasurementColor() {
-    const color = MEASUREMENT_COLORS[app.measureSequence % MEASUREMENT_COLORS.length];
-    app.measureSequence += 1;
-    return color;
+function getMeasurementSnapPoints() {
+    const canvas = app.elements.lanesCanvas;
+    if (!canvas) return [];
+    const canvasRect = canvas.getBoundingClientRect();
+    const pointsByX = new Map();
+
+    const addPoint = (x, actualTime) => {
+        const key = Math.round(x * 1000) / 1000;
+        if (!pointsByX.has(key)) {
+            pointsByX.set(key, { x, actualTime });
+        }
+    };
+
+    // Snap to actual rendered box edges (same geometry user sees),
+    // independent from alignment overlay layer coordinates.
+    canvas.querySelectorAll('.timeline-box[data-box-id]').forEach(boxEl => {
+        const boxId = parseInt(boxEl.dataset.boxId, 10);
+        const box = app.diagram.boxes.find(b => b.id === boxId);
+        if (!box) return;
+
+        const boxRect = boxEl.getBoundingClientRect();
+        const leftX = boxRect.left - canvasRect.left + canvas.scrollLeft;
+        const rightX = boxRect.right - canvasRect.left + canvas.scrollLeft;
+        addPoint(leftX, box.startOffset);
+        addPoint(rightX, box.startOffset + box.duration);
+    });
+
+    return Array.from(pointsByX.values()).sort((a, b) => a.x - b.x);
 }
 
-function sanitizeMeasurementColor(color, fallback = MEASUREMENT_COLORS[0]) {
-    const normalized = String(color || '').trim();
-    return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(normalized) ? normalized : fallback;
+function getClosestMeasurementSnapPoint(rawX, snapPoints = getMeasurementSnapPoints()) {
+    let closestPoint = null;
+    let closestDist = SNAP_THRESHOLD;
+
+    for (const point of snapPoints) {
+        const dist = Math.abs(point.x - rawX);
+        if (dist < closestDist) {
+            closestDist = dist;
+            closestPoint = point;
+        }
+    }
+
+    return closestPoint;
 }
 
-function hexToRgbTuple(hexColor) {
-    const hex = sanitizeMeasurementColor(hexColor).replace('#', '');
-    const full = hex.length === 3 ? hex.split('').map(ch => ch + ch).join('') : hex;
-    if (!/^[0-9a-f]{6}$/i.test(full)) return null;
+function resolveMeasurementPoint(clientX, clientY, snapPoints = getMeasurementSnapPoints()) {
+    const canvas = app.elements.lanesCanvas;
+    const rect = canvas.getBoundingClientRect();
+    const minX = getLaneLabelWidthPx();
+    const rawX = Math.max(minX, clientX - rect.left + canvas.scrollLeft);
+    const y = clientY - rect.top + canvas.scrollTop;
+    const snapPoint = getClosestMeasurementSnapPoint(rawX, snapPoints);
+    const resolvedX = snapPoint ? snapPoint.x : rawX;
 
     return {
-        r: parseInt(full.slice(0, 2), 16),
-        g: parseInt(full.slice(2, 4), 16),
-        b: parseInt(full.slice(4, 6), 16)
+        x: resolvedX,
+        y,
+        clientX: rect.left + resolvedX - canvas.scrollLeft,
+        clientY,
+        snapped: !!snapPoint,
+        snapTimeMs: snapPoint ? snapPoint.actualTime : null
     };
 }
 
-function rgbTupleToHex({ r, g, b }) {
-    const clamp = (n) => Math.max(0, Math.min(255, Math.round(n)));
-    const toHex = (n) => clamp(n).toString(16).padStart(2, '0');
-    return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
-}
+function startMeasurement(e) {
+    app.measureSnapPoints = getMeasurementSnapPoints();
+    const resolvedPoint = resolveMeasurementPoint(e.clientX, e.clientY, app.measureSnapPoints);
+    app.measureCurrentColor = getNextMeasurementColor();
 
-function srgbToLinear(channel) {
-    const s = channel / 255;
-    return s <= 0.03928 ? (s / 12.92) : Math.pow((s + 0.055) / 1.055, 2.4);
+    app.isMeasuring = true;
+    app.measureStart = { ...resolvedPoint };
+    app.measureEnd = { ...resolvedPoint };
+
+    // Show measurement overlay
+    const overlay = document.getElementById('measurement-overlay');
+    if (overlay) overlay.classList.add('active');
+
+    updateMeasurementDisplay();
+    e.preventDefault();
 }
 
-function relativeLuminance(hexColor) {
-    const rgb = hexToRgbTuple(hexColor);
-    if (!rgb) return 0;
-    const r = srgbToLinear(rgb.r);
-    const g = srgbToLinear(rgb.g);
-    const b = srgbToLinear(rgb.b);
-    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
-}
+function updateMeasurement(e) {
+    if (!app.isMeasuring) return;
 
-function contrastRatio(l1, l2) {
-    const lighter = Math.max(l1, l2);
-    const darker = Math.min(l1, l2);
-    return (lighter + 0.05) / (darker + 0.05);
+    const snapPoints = app.measureSnapPoints || getMeasurementSnapPoints();
+    app.measureEnd = resolveMeasurementPoint(e.clientX, e.clientY, snapPoints);
+    updateMeasurementDisplay();
 }
 
-function darkenHexColor(hexColor, factor = 0.86) {
-    const rgb = hexToRgbTuple(hexColor);
-    if (!rgb) return sanitizeMeasurementColor(hexColor);
-    return rgbTupleToHex({
-        r: rgb.r * factor,
-        g: rgb.g * factor,
-        b: rgb.b * factor
-    });
-}
+function endMeasurement() {
+    if (!app.isMeasuring) return;
 
-function getReadableMeasureColor(hexColor, minContrast = 4.5) {
-    const base = sanitizeMeasurementColor(hexColor);
-    if (!document.body.classList.contains('light-theme')) return base;
+    const completedMeasurement = createMeasurementEntry(app.measureStart, app.measureEnd, app.measureCurrentColor);
+    const hasDistance = completedMeasurement.start && completedMeasurement.end
+        && Math.abs(completedMeasurement.end.x - completedMeasurement.start.x) >= MIN_MEASUREMENT_DISTANCE_PX;
 
-    let adjusted = base;
-    let steps = 0;
-    while (contrastRatio(relativeLuminance(adjusted), 1) < minContrast && steps < 10) {
-        adjusted = darkenHexColor(adjusted, 0.86);
-        steps += 1;
+    app.isMeasuring = false;
+    app.measureSnapPoints = null;
+
+    if (hasDistance) {
+        app.measurements.push(completedMeasurement);
+        app.measureStart = cloneMeasurementPoint(completedMeasurement.start);
+        app.measureEnd = cloneMeasurementPoint(completedMeasurement.end);
+    } else {
+        app.measureStart = null;
+        app.measureEnd = null;
     }
-    return adjusted;
-}
 
-function createMeasurementEntry(startPoint, endPoint, color) {
-    return {
-        id: `m-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
-        color: sanitizeMeasurementColor(color),
-        start: cloneMeasurementPoint(startPoint),
-        end: cloneMeasurementPoint(endPoint)
-    };
+    updateMeasurementDisplay();
+
+    // Ctrl/Cmd measurement mode: auto-hide after delay unless pinned
+    if (!app.measurePinned && !app.measureToolActive) {
+        setTimeout(() => {
+            if (!app.isMeasuring && !app.measurePinned && !app.measureToolActive) {
+                app.measurements = [];
+                app.measureStart = null;
+                app.measureEnd = null;
+                const overlay = document.getElementById('measurement-overlay');
+                const infoBox = document.getElementById('measurement-info');
+                if (overlay) overlay.classList.remove('active');
+                if (infoBox) infoBox.classList.remove('active');
+                const measureBar = document.getElementById('measurement-bar');
+                if (measureBar) measureBar.classList.add('hidden');
+                autoSave();
+                saveSessionState();
+            }
+        }, 2000);
+    }
+
+    autoSave();
+    saveSessionState();
 }
 
-function normalizeMeasurementPoint(point) {
-    if (!point || typeof point !== 'object') return null;
+function toggleMeasurementPin() {
+    app.measurePinned = !app.measurePinned;
+    const overlay = document.getElementById('measurement-overlay');
+    const infoBox = document.getElementById('measurement-info');
 
-    const x = Number(point.x);
-    const y = Number(point.y);
-    if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+    if (app.measurePinned) {
+        if (overlay) overlay.classList.add('pinned');
+        if (infoBox) infoBox.classList.add('pinned');
+    } else {
+        if (overlay) overlay.classList.remove('pinned');
+        if (infoBox) infoBox.classList.remove('pinned');
+        // Fade out after unpinning
+        setTimeout(() => {
+            if (!app.isMeasuring && !app.measurePinned && !app.measureToolActive) {
+                app.measurements = [];
+                app.measureStart = null;
+                app.measureEnd = null;
+                if (overlay) overlay.classList.remove('active');
+                if (infoBox) infoBox.classList.remove('active');
+                // Also hide toolbar bar
+                const measureBar = document.getElementById('measurement-bar');
+                if (measureBar) measureBar.classList.add('hidden');
+                autoSave();
+                saveSessionState();
+            }
+        }, 2000);
+    }
 
-    return {
-        x,
-        y,
-        clientX: Number.isFinite(point.clientX) ? Number(point.clientX) : null,
-        clientY: Number.isFinite(point.clientY) ? Number(point.clientY) : null,
-        snapped: !!point.snapped,
-        snapTimeMs: Number.isFinite(point.snapTimeMs) ? Number(point.snapTimeMs) : null
-    };
-}
+    // Update toolbar bar pin button state
+    const barPinBtn = document.getElementById('measure-bar-pin');
+    if (barPinBtn) {
+        barPinBtn.classList.toggle('active', app.measurePinned);
+        barPinBtn.title = app.measurePinned ? 'Unpin measurement' : 'Pin measurement';
+    }
 
-function normalizeMeasurementEntry(entry, fallbackColor) {
-    if (!entry || typeof entry !== 'object') return null;
-    const start = normalizeMeasurementPoint(entry.start);
-    const end = normalizeMeasurementPoint(entry.end);
-    if (!start || !end) return null;
+    updateMeasurementDisplay();
+    autoSave();
+    saveSessionState();
+}
 
-    return {
-        id: (typeof entry.id === 'string' && entry.id.trim()) ? entry.id : `m-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
-        color: sanitizeMeasurementColor(entry.color, fallbackColor),
-        start,
-        end
-    };
+function closeMeasurement() {
+    app.isMeasuring = false;
+    app.measurePinned = false;
+    app.measureToolActive = false;
+    app.measureSnapPoints = null;
+    app.measureStart = null;
+    app.measureEnd = null;
+    app.measurements = [];
+    app.measureSequence = 0;
+    app.measureCurrentColor = MEASUREMENT_COLORS[0];
+    app.measurePanelDrag = null;
+    const overlay = document.getElementById('measurement-overlay');
+    const infoBox = document.getElementById('measurement-info');
+    if (overlay) overlay.classList.remove('active', 'pinned');
+    if (infoBox) {
+        infoBox.classList.remove('active', 'pinned', 'dragging');
+        infoBox.innerHTML = '';
+    }
+    // Hide toolbar measurement bar
+    const measureBar = document.getElementById('measurement-bar');
+    if (measureBar) measureBar.classList.add('hidden');
+    const barPinBtn = document.getElementById('measure-bar-pin');
+    if (barPinBtn) {
+        barPinBtn.classList.remove('active');
+        barPinBtn.title = 'Pin measurement';
+    }
+    const toolBtn = document.getElementById('measure-tool-btn');
+    if (toolBtn) {
+        toolBtn.classList.remove('active');
+        toolBtn.setAttribute('aria-pressed', 'false');
+    }
+    document.body.style.cursor = '';
 }
 
-function getMeasurementStateForPersistence() {
-    const persistedMeasurements = (app.measurements || [])
-        .map((entry, index) => normalizeMeasurementEntry(entry, MEASUREMENT_COLORS[index % MEASUREMENT_COLORS.length]))
-        .filter(Boolean);
+function toggleMeasurementTool() {
+    app.measureToolActive = !app.measureToolActive;
+    const btn = document.getElementById('measure-tool-btn');
 
-    return {
-        toolActive: !!app.measureToolActive,
-        pinned: !!app.measurePinned,
-        start: normalizeMeasurementPoint(app.measureStart),
-        end: normalizeMeasurementPoint(app.measureEnd),
-        measurements: persistedMeasurements,
-        sequence: Math.max(0, parseInt(app.measureSequence, 10) || 0),
-        currentColor: sanitizeMeasurementColor(app.measureCurrentColor, MEASUREMENT_COLORS[0]),
-        panelPosition: app.measurePanelPosition && Number.isFinite(app.measurePanelPosition.x) && Number.isFinite(app.measurePanelPosition.y)
-            ? { x: Number(app.measurePanelPosition.x), y: Number(app.measurePanelPosition.y) }
-            : null
-    };
+    if (app.measureToolActive) {
+        btn.classList.add('active');
+        btn.setAttribute('aria-pressed', 'true');
+        document.body.style.cursor = 'crosshair';
+        // Show measurement bar with zero values
+        const measureBar = document.getElementById('measurement-bar');
+        if (measureBar) {
+            measureBar.classList.remove('hidden');
+            const durEl = document.getElementById('measure-bar-duration');
+            const startEl = document.getElementById('measure-bar-start');
+            const endEl = document.getElementById('measure-bar-end');
+            if (durEl) durEl.textContent = '0ms';
+            if (startEl) startEl.textContent = '0ms';
+            if (endEl) endEl.textContent = '0ms';
+        }
+    } else {
+        btn.classList.remove('active');
+        btn.setAttribute('aria-pressed', 'false');
+        document.body.style.cursor = '';
+        closeMeasurement();
+    }
+
+    updateMeasurementDisplay();
+    autoSave();
+    saveSessionState();
 }
 
-function computeMeasurementMetrics(measurement) {
-    if (!measurement || !measurement.start || !measurement.end) return null;
+function restorePinnedMeasurement() {
+    // First close any existing measurement
+    closeMeasurement();
 
-    const laneLabelWidth = getLaneLabelWidthPx();
-    const leftPoint = measurement.start.x <= measurement.end.x ? measurement.start : measurement.end;
-    const rightPoint = leftPoint === measurement.start ? measurement.end : measurement.start;
+    // Check if there's measurement data to restore
+    if (!app.pinnedMeasurementData) return;
 
-    const leftVisualMs = pixelsToMs(leftPoint.x - laneLabelWidth);
-    const rightVisualMs = pixelsToMs(rightPoint.x - laneLabelWidth);
+    const canvas = app.elements.lanesCanvas;
+    if (!canvas) return;
 
-    const actualStartMs = Number.isFinite(leftPoint.snapTimeMs)
-        ? leftPoint.snapTimeMs
-        : visualMsToActualMs(leftVisualMs);
-    const actualEndMs = Number.isFinite(rightPoint.snapTimeMs)
-        ? rightPoint.snapTimeMs
-        : visualMsToActualMs(rightVisualMs);
-    const actualDuration = Math.max(0, actualEndMs - actualStartMs);
+    const rect = canvas.getBoundingClientRect();
+    const lanesAreaHeight = app.diagram.lanes.length * getLaneHeightPx();
+    const defaultY = lanesAreaHeight / 2;
+    const persisted = app.pinnedMeasurementData;
+
+    const normalizePointForCanvas = (point) => {
+        const normalized = normalizeMeasurementPoint(point);
+        if (!normalized || !Number.isFinite(normalized.x)) return null;
+        const safeY = Number.isFinite(normalized.y) ? normalized.y : defaultY;
+        return {
+            x: normalized.x,
+            y: safeY,
+            clientX: rect.left + normalized.x - canvas.scrollLeft,
+            clientY: rect.top + safeY - canvas.scrollTop,
+            snapped: !!normalized.snapped,
+            snapTimeMs: Number.isFinite(normalized.snapTimeMs) ? normalized.snapTimeMs : null
+        };
+    };
 
-    return {
-        actualStartMs,
-        actualEndMs,
-        actualDuration,
-        durationText: formatDuration(Math.round(actualDuration)),
-        startText: formatDuration(Math.round(actualStartMs)),
-        endText: formatDuration(Math.round(actualEndMs))
+    const normalizeEntryForCanvas = (entry, fallbackColor, idx) => {
+        const normalized = normalizeMeasurementEntry(entry, fallbackColor);
+        if (!normalized) return null;
+        const start = normalizePointForCanvas(normalized.start);
+        const end = normalizePointForCanvas(normalized.end);
+        if (!start || !end) return null;
+
+        return {
+            id: normalized.id || `m-restore-${Date.now()}-${idx}`,
+            color: sanitizeMeasurementColor(normalized.color, fallbackColor),
+            start,
+            end
+        };
     };
-}
 
-function createSvgElement(tagName, attributes = {}) {
-    const el = document.createElementNS('http://www.w3.org/2000/svg', tagName);
-    Object.entries(attributes).forEach(([key, value]) => {
-        if (value !== undefined && value !== null) {
-            el.setAttribute(key, String(value));
-        }
-    });
-    return el;
-}
+    if (persisted && typeof persisted === 'object' && (persisted.measurements || persisted.toolActive !== undefined || persisted.pinned !== undefined)) {
+        const restoredMeasurements = Array.isArray(persisted.measurements)
+            ? persisted.measurements
+                .map((entry, idx) => normalizeEntryForCanvas(entry, MEASUREMENT_COLORS[idx % MEASUREMENT_COLORS.length], idx))
+                .filter(Boolean)
+            : [];
 
-function canvasPointToOverlay(point, overlayRect) {
-    const canvas = app.elements.lanesCanvas;
-    if (!canvas || !point) return null;
+        const restoredStart = normalizePointForCanvas(persisted.start)
+            || (restoredMeasurements[0] ? cloneMeasurementPoint(restoredMeasurements[restoredMeasurements.length - 1].start) : null);
+        const restoredEnd = normalizePointForCanvas(persisted.end)
+            || (restoredMeasurements[0] ? cloneMeasurementPoint(restoredMeasurements[restoredMeasurements.length - 1].end) : null);
 
-    const canvasRect = canvas.getBoundingClientRect();
-    return {
-        x: canvasRect.left + point.x - canvas.scrollLeft - overlayRect.left,
-        y: canvasRect.top + point.y - canvas.scrollTop - overlayRect.top
-    };
-}
+        app.measurements = restoredMeasurements;
+        app.measureStart = restoredStart;
+        app.measureEnd = restoredEnd;
+        app.measurePinned = !!persisted.pinned;
+        app.measureToolActive = !!persisted.toolActive;
+        app.measureSequence = Math.max(restoredMeasurements.length, parseInt(persisted.sequence, 10) || 0);
+        app.measureCurrentColor = sanitizeMeasurementColor(persisted.currentColor, MEASUREMENT_COLORS[app.measureSequence % MEASUREMENT_COLORS.length]);
+        app.measurePanelPosition = (persisted.panelPosition && Number.isFinite(persisted.panelPosition.x) && Number.isFinite(persisted.panelPosition.y))
+            ? { x: Number(persisted.panelPosition.x), y: Number(persisted.panelPosition.y) }
+            : null;
+    } else {
+        // Legacy format: pinned range only
+        const startX = Number(persisted?.startX);
+        const endX = Number(persisted?.endX);
+        if (Number.isFinite(startX) && Number.isFinite(endX)) {
+            const clientStartX = rect.left + startX - canvas.scrollLeft;
+            const clientEndX = rect.left + endX - canvas.scrollLeft;
+            const clientY = rect.top + defaultY - canvas.scrollTop;
+            const restoredStart = { x: startX, y: defaultY, clientX: clientStartX, clientY: clientY, snapped: false, snapTimeMs: null };
+            const restoredEnd = { x: endX, y: defaultY, clientX: clientEndX, clientY: clientY, snapped: false, snapTimeMs: null };
 
-function getMeasurementLineVector(startX, startY, endX, endY) {
-    const dx = endX - startX;
-    const dy = endY - startY;
-    const length = Math.hypot(dx, dy) || 1;
-    const ux = dx / length;
-    const uy = dy / length;
-    const px = -uy;
-    const py = ux;
+            app.measureStart = cloneMeasurementPoint(restoredStart);
+            app.measureEnd = cloneMeasurementPoint(restoredEnd);
+            app.measurements = [createMeasurementEntry(restoredStart, restoredEnd, MEASUREMENT_COLORS[0])];
+            app.measurePinned = true;
+            app.measureToolActive = false;
+            app.measureSequence = 1;
+            app.measureCurrentColor = MEASUREMENT_COLORS[1 % MEASUREMENT_COLORS.length];
+            app.measurePanelPosition = null;
+        }
+    }
 
-    return { dx, dy, length, ux, uy, px, py };
-}
+    const measureToolBtn = document.getElementById('measure-tool-btn');
+    if (measureToolBtn) {
+        measureToolBtn.classList.toggle('active', app.measureToolActive);
+        measureToolBtn.setAttribute('aria-pressed', app.measureToolActive ? 'true' : 'false');
+    }
+    document.body.style.cursor = app.measureToolActive ? 'crosshair' : '';
 
-function getMeasurementArrowPoints(startX, startY, endX, endY, arrowLength = 8, arrowHalfWidth = 4) {
-    const vector = getMeasurementLineVector(startX, startY, endX, endY);
-    const baseX = endX - vector.ux * arrowLength;
-    const baseY = endY - vector.uy * arrowLength;
+    // Update display
+    updateMeasurementDisplay();
 
-    return {
-        vector,
-        leftX: baseX + vector.px * arrowHalfWidth,
-        leftY: baseY + vector.py * arrowHalfWidth,
-        rightX: baseX - vector.px * arrowHalfWidth,
-        rightY: baseY - vector.py * arrowHalfWidth
-    };
+    // Clear the stored data
+    app.pinnedMeasurementData = null;
+    saveSessionState();
 }
 
-function renderMeasurementOverlay(activeMeasurement = null) {
+function updateMeasurementDisplay() {
     const overlay = document.getElementById('measurement-overlay');
     if (!overlay) return;
+    const activeMeasurement = (app.isMeasuring && app.measureStart && app.measureEnd)
+        ? createMeasurementEntry(app.measureStart, app.measureEnd, app.measureCurrentColor || MEASUREMENT_COLORS[0])
+        : null;
+    const latestMeasurement = activeMeasurement || (app.measurements.length > 0 ? app.measurements[app.measurements.length - 1] : null);
+    const latestMetrics = latestMeasurement ? computeMeasurementMetrics(latestMeasurement) : null;
 
-    const entries = app.measurements.slice();
-    if (activeMeasurement) {
-        entries.push(activeMeasurement);
-    }
-
-    overlay.innerHTML = '';
-    if (entries.length === 0) return;
-
-    const overlayRect = overlay.getBoundingClientRect();
-    const isLightTheme = document.body.classList.contains('light-theme');
-    const baseOpacity = isLightTheme ? 0.96 : 0.88;
-    const draftOpacity = isLightTheme ? 1 : 0.95;
-    const lineStrokeWidth = app.measurePinned ? (isLightTheme ? 2.2 : 2) : (isLightTheme ? 1.8 : 1.5);
-    const labelBgFill = isLightTheme ? 'rgba(255, 255, 255, 0.95)' : 'rgba(5, 10, 14, 0.88)';
-    const labelBgStroke = isLightTheme ? 'rgba(15, 23, 42, 0.18)' : 'none';
+    const hasRenderableMeasurements = !!activeMeasurement || app.measurements.length > 0;
+    overlay.classList.toggle('active', hasRenderableMeasurements || app.measurePinned);
+    overlay.classList.toggle('pinned', app.measurePinned);
 
-    entries.forEach((measurement, index) => {
-        const start = canvasPointToOverlay(measurement.start, overlayRect);
-        const end = canvasPointToOverlay(measurement.end, overlayRect);
-        const metrics = computeMeasurementMetrics(measurement);
-        if (!start || !end || !metrics) return;
+    renderMeasurementOverlay(activeMeasurement);
+    renderMeasurementInfo(activeMeasurement);
 
-        const rawColor = sanitizeMeasurementColor(measurement.color, MEASUREMENT_COLORS[index % MEASUREMENT_COLORS.length]);
-        const color = getReadableMeasureColor(rawColor, 4.5);
-        const opacity = activeMeasurement && measurement.id === activeMeasurement.id ? draftOpacity : baseOpacity;
-        const arrow = getMeasurementArrowPoints(start.x, start.y, end.x, end.y, 8, 4);
-        const vector = arrow.vector;
-        const tickHalf = 5;
-        const group = createSvgElement('g', { class: 'measurement-item' });
+    // Update measurement toolbar bar
+    const measureBar = document.getElementById('measurement-bar');
+    if (measureBar) {
+        if (latestMetrics) {
+            measureBar.classList.remove('hidden');
+        } else if (app.measureToolActive) {
+            measureBar.classList.remove('hidden');
+        } else if (!app.measureToolActive && !app.measurePinned) {
+            measureBar.classList.add('hidden');
+        }
 
-        group.appendChild(createSvgElement('line', {
-            x1: start.x,
-            y1: start.y,
-            x2: end.x,
-            y2: end.y,
-            class: 'measurement-line',
-            stroke: color,
-            'stroke-opacity': opacity,
-            'stroke-width': lineStrokeWidth
-        }));
+        const durEl = document.getElementById('measure-bar-duration');
+        const startEl = document.getElementById('measure-bar-start');
+        const endEl = document.getElementById('measure-bar-end');
+        const pinEl = document.getElementById('measure-bar-pin');
 
-        group.appendChild(createSvgElement('line', {
-            x1: start.x,
-            y1: start.y - tickHalf,
-            x2: start.x,
-            y2: start.y + tickHalf,
-            stroke: color,
-            'stroke-opacity': opacity,
-            'stroke-width': 1.5
-        }));
+        if (latestMetrics) {
+            if (durEl) durEl.textContent = latestMetrics.durationText;
+            if (startEl) startEl.textContent = latestMetrics.startText;
+            if (endEl) endEl.textContent = latestMetrics.endText;
+        } else if (app.measureToolActive) {
+            if (durEl) durEl.textContent = '0ms';
+            if (startEl) startEl.textContent = '0ms';
+            if (endEl) endEl.textContent = '0ms';
+        }
 
-        group.appendChild(createSvgElement('line', {
-            x1: end.x + vector.px * tickHalf,
-            y1: end.y + vector.py * tickHalf,
-            x2: end.x - vector.px * tickHalf,
-            y2: end.y - vector.py * tickHalf,
-            stroke: color,
-            'stroke-opacity': opacity,
-            'stroke-width': 1.5
-        }));
+        if (pinEl) {
+            pinEl.classList.toggle('active', app.measurePinned);
+            pinEl.title = app.measurePinned ? 'Unpin measurement' : 'Pin measurement';
+        }
+    }
 
-        group.appendChild(createSvgElement('path', {
-            d: `M${arrow.leftX},${arrow.leftY} L${end.x},${end.y} L${arrow.rightX},${arrow.rightY}`,
-            fill: 'none',
-            stroke: color,
-            'stroke-opacity': opacity,
-            'stroke-width': 1.5,
-            'stroke-linecap': 'round',
-            'stroke-linejoin': 'round'
-        }));
+}
 
-        const midX = (start.x + end.x) / 2;
-        const midY = (start.y + end.y) / 2;
-        const labelText = metrics.durationText;
-        const textWidth = labelText.length * 8 + 10;
+function getDisplayTimelineDurationMs({ forFit = false } = {}) {
+    const hasBoxes = (app?.diagram?.boxes?.length || 0) > 0;
+    const totalDuration = Math.max(0, Number(app?.diagram?.getTotalDuration?.() || 0));
+    const settingsDuration = Math.max(1, Number(app?.settings?.timelineDuration || 8000));
+    const compressedDuration = Math.max(0, Number(Compression.getCompressedDuration() || 0));
+    const fitLike = !!forFit || !!app?.fitModeActive;
 
-        group.appendChild(createSvgElement('rect', {
-            x: midX - (textWidth / 2),
-            y: midY - 24,
-            width: textWidth,
-            height: 16,
-            rx: 3,
-            fill: labelBgFill,
-            stroke: labelBgStroke,
-            'stroke-width': isLightTheme ? 0.8 : 0
-        }));
+    if (Compression.enabled) {
+        if (hasBoxes) return Math.max(1, compressedDuration);
+        return settingsDuration;
+    }
 
-        const textEl = createSvgElement('text', {
-            x: midX,
-            y: midY - 12,
-            class: 'measurement-label',
-            fill: color
-        });
-        textEl.textContent = labelText;
-        group.appendChild(textEl);
+    if (!hasBoxes) return settingsDuration;
+    if (fitLike) return Math.max(1, totalDuration);
+    return Math.max(totalDuration, settingsDuration);
+}
 
-        overlay.appendChild(group);
-    });
+function getDisplayTimelineEndTimeMs({ forFit = false } = {}) {
+    const trailing = Math.max(0, Number(app?.settings?.trailingSpace || 0));
+    return Math.max(1, getDisplayTimelineDurationMs({ forFit }) + trailing);
 }
 
-function applyMeasurementPanelPosition() {
-    const panel = document.getElementById('measurement-info');
-    if (!panel || !panel.classList.contains('active')) return;
+function getFitToViewScale() {
+    const fitDuration = getDisplayTimelineEndTimeMs({ forFit: true });
 
-    if (!app.measurePanelPosition) {
-        app.measurePanelPosition = {
-            x: Math.max(12, window.innerWidth - (panel.offsetWidth || 300) - 20),
-            y: 96
-        };
-    }
+    const laneLabelWidth = getLaneLabelWidthPx();
+    const canvasWidth = app.elements.lanesCanvas.clientWidth - (laneLabelWidth + 20);
+    if (canvasWidth <= 0) return null;
 
-    const min = 8;
-    const maxX = Math.max(min, window.innerWidth - panel.offsetWidth - min);
-    const maxY = Math.max(min, window.innerHeight - panel.offsetHeight - min);
+    const granularityMs = getRenderGranularityMs();
+    const fitScale = canvasWidth / ((fitDuration / granularityMs) * 1.1);
+    return Math.max(app.minPixelsPerMs, Math.min(app.maxPixelsPerMs, fitScale));
+}
 
-    app.measurePanelPosition.x = Math.min(maxX, Math.max(min, app.measurePanelPosition.x));
-    app.measurePanelPosition.y = Math.min(maxY, Math.max(min, app.measurePanelPosition.y));
+function isZoomAtFitScale(scale = app.pixelsPerMs) {
+    const fitScale = getFitToViewScale();
+    if (!fitScale) return false;
+    const tolerance = Math.max(1e-6, fitScale * 0.01);
+    return Math.abs(scale - fitScale) <= tolerance;
+}
 
-    panel.style.left = `${Math.round(app.measurePanelPosition.x)}px`;
-    panel.style.top = `${Math.round(app.measurePanelPosition.y)}px`;
+function isFitModeActive() {
+    return !!app.fitModeActive;
 }
 
-function buildMeasurementInfoRowMarkup(metrics) {
-    const startText = escapeHtml(metrics.startText);
-    const durationText = escapeHtml(metrics.durationText);
-    const endText = escapeHtml(metrics.endText);
-    const ariaLabel = `Start ${metrics.startText}, Duration ${metrics.durationText}, End ${metrics.endText}`;
+function syncZoomFitIndicator() {
+    const fitBtn = document.getElementById('zoom-fit');
+    if (!fitBtn) return;
 
-    return `
-        <div class="measure-panel-values" role="img" aria-label="${escapeHtml(ariaLabel)}">
-            <svg class="measure-row-lines" width="100%" height="100%" aria-hidden="true">
-                <line class="measure-row-line measure-row-line-a" x1="0" y1="9" x2="0" y2="9"></line>
-                <line class="measure-row-line measure-row-line-b" x1="0" y1="9" x2="0" y2="9"></line>
-                <line class="measure-row-arrow measure-row-arrow-a" x1="0" y1="9" x2="0" y2="9"></line>
-                <line class="measure-row-arrow measure-row-arrow-b" x1="0" y1="9" x2="0" y2="9"></line>
-            </svg>
-            <span class="measure-value measure-value-start" title="Start">${startText}</span>
-            <span class="measure-value measure-value-duration" title="Duration">${durationText}</span>
-            <span class="measure-value measure-value-end" title="End">${endText}</span>
-        </div>
-    `;
+    const isActive = isFitModeActive();
+
+    fitBtn.classList.toggle('fit-active', isActive);
+    fitBtn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    scheduleDesignerHintsRender();
 }
 
-function buildMeasurementInfoColumnsSvg() {
-    return `
-        <div class="measure-header-values" role="img" aria-label="Start to Duration to End guide">
-            <svg class="measure-header-lines" width="100%" height="100%" aria-hidden="true">
-                <line class="measure-header-line measure-header-line-a" x1="0" y1="0" x2="0" y2="0"></line>
-                <line class="measure-header-line measure-header-line-b" x1="0" y1="0" x2="0" y2="0"></line>
-                <line class="measure-header-arrow measure-header-arrow-a" x1="0" y1="0" x2="0" y2="0"></line>
-                <line class="measure-header-arrow measure-header-arrow-b" x1="0" y1="0" x2="0" y2="0"></line>
-            </svg>
-            <span class="measure-header-label measure-header-label-start">Start</span>
-            <span class="measure-header-label measure-header-label-duration">Duration</span>
-            <span class="measure-header-label measure-header-label-end">End</span>
-        </div>
-    `;
+function handleZoom(direction) {
+    const canvas = app.elements.lanesCanvas;
+    const laneLabelWidth = getLaneLabelWidthPx();
+
+    // Get current viewport center in time (ms)
+    const viewportWidth = canvas.clientWidth - laneLabelWidth;
+    const scrollLeft = canvas.scrollLeft;
+    const centerX = scrollLeft + viewportWidth / 2;
+    const centerTimeMs = pixelsToMs(centerX);
+
+    // Apply zoom
+    const factor = direction === 'in' ? 1.25 : 0.8;
+    if (app.fitModeActive) {
+        app.fitModeActive = false;
+        app.zoomBeforeFitScale = null;
+        app.zoomBeforeFitScrollLeft = null;
+    }
+    app.pixelsPerMs = Math.max(app.minPixelsPerMs,
+        Math.min(app.maxPixelsPerMs, app.pixelsPerMs * factor));
+
+    app.elements.zoomLevel.textContent = formatZoomLevel(app.pixelsPerMs);
+
+    renderLanesCanvas();
+
+    // Restore scroll position to keep the same time at center
+    const newCenterX = msToPixels(centerTimeMs);
+    const newScrollLeft = newCenterX - viewportWidth / 2;
+    canvas.scrollLeft = Math.max(0, newScrollLeft);
+
+    // Sync ruler and markers
+    app.elements.timelineRuler.scrollLeft = canvas.scrollLeft;
+    app.elements.timeMarkers.scrollLeft = canvas.scrollLeft;
+    syncZoomFitIndicator();
+    persistCurrentDiagramViewState();
+    saveSessionState();
 }
 
-function setMeasurementSvgLine(lineEl, x1, y1, x2, y2) {
-    if (!lineEl) return;
-    const valid = Number.isFinite(x1) && Number.isFinite(y1) && Number.isFinite(x2) && Number.isFinite(y2)
-        && Math.hypot(x2 - x1, y2 - y1) >= 1;
-    if (!valid) {
-        lineEl.style.display = 'none';
+function handleZoomFit() {
+    const canvas = app.elements.lanesCanvas;
+    if (!canvas) return;
+    const fitScale = getFitToViewScale();
+    if (!fitScale) {
+        syncZoomFitIndicator();
         return;
     }
 
-    lineEl.style.display = '';
-    lineEl.setAttribute('x1', (Math.round(x1 * 10) / 10).toString());
-    lineEl.setAttribute('y1', (Math.round(y1 * 10) / 10).toString());
-    lineEl.setAttribute('x2', (Math.round(x2 * 10) / 10).toString());
-    lineEl.setAttribute('y2', (Math.round(y2 * 10) / 10).toString());
+    const applyScroll = (targetLeft) => {
+        const maxScroll = Math.max(0, canvas.scrollWidth - canvas.clientWidth);
+        const clamped = Math.max(0, Math.min(maxScroll, targetLeft));
+        canvas.scrollLeft = clamped;
+        app.elements.timelineRuler.scrollLeft = clamped;
+        app.elements.timeMarkers.scrollLeft = clamped;
+    };
+
+    if (isFitModeActive()) {
+        const fallbackScale = Number.isFinite(app.zoomBeforeFitScale)
+            ? app.zoomBeforeFitScale
+            : getDefaultZoomScaleForBaseUnit();
+        const fallbackScrollLeft = Number.isFinite(app.zoomBeforeFitScrollLeft)
+            ? app.zoomBeforeFitScrollLeft
+            : canvas.scrollLeft;
+        app.pixelsPerMs = Math.max(app.minPixelsPerMs, Math.min(app.maxPixelsPerMs, fallbackScale));
+        app.fitModeActive = false;
+        app.zoomBeforeFitScale = null;
+        app.zoomBeforeFitScrollLeft = null;
+        app.elements.zoomLevel.textContent = formatZoomLevel(app.pixelsPerMs);
+        renderLanesCanvas();
+        applyScroll(fallbackScrollLeft);
+    } else {
+        app.zoomBeforeFitScale = app.pixelsPerMs;
+        app.zoomBeforeFitScrollLeft = canvas.scrollLeft;
+        app.fitModeActive = true;
+        app.pixelsPerMs = fitScale;
+        app.elements.zoomLevel.textContent = formatZoomLevel(app.pixelsPerMs);
+        renderLanesCanvas();
+        // Fit should show the projected diagram from its start edge.
+        applyScroll(0);
+    }
+    syncZoomFitIndicator();
+    persistCurrentDiagramViewState();
+    saveSessionState();
 }
 
-function layoutMeasurementInfoHeader() {
-    const panel = document.getElementById('measurement-info');
-    if (!panel) return;
+// =====================================================
+// Properties Panel Handlers
+// =====================================================
+function handleBoxPropertyChange(event = null) {
+    if (!app.selectedBoxId) return;
+    if (app.diagram.locked) return; // Silent fail for property changes when locked
 
-    const valuesEl = panel.querySelector('.measure-header-values');
-    const headerSvg = panel.querySelector('.measure-header-lines');
-    const startEl = panel.querySelector('.measure-header-label-start');
-    const durationEl = panel.querySelector('.measure-header-label-duration');
-    const endEl = panel.querySelector('.measure-header-label-end');
-    if (!valuesEl || !headerSvg || !startEl || !durationEl || !endEl) return;
+    const box = app.diagram.boxes.find(b => b.id === app.selectedBoxId);
+    if (!box) return;
 
-    const valuesRect = valuesEl.getBoundingClientRect();
-    const width = valuesRect.width;
-    const height = Math.max(20, valuesEl.clientHeight || 20);
-    if (width <= 0) return;
+    const sourceId = event?.target?.id || '';
+    const minDurationMs = Math.max(MIN_BOX_DURATION_MS, getBoxStepMs());
+    let nextStartOffset = box.startOffset;
+    let nextDuration = box.duration;
 
-    headerSvg.setAttribute('viewBox', `0 0 ${width} ${height}`);
-    headerSvg.setAttribute('preserveAspectRatio', 'none');
+    if (sourceId === 'box-start') {
+        nextStartOffset = parseBoxInputToMs(app.elements.boxStart.value, {
+            fallbackMs: box.startOffset,
+            minMs: 0
+        });
+    } else if (sourceId === 'box-duration') {
+        nextDuration = parseBoxInputToMs(app.elements.boxDuration.value, {
+            fallbackMs: box.duration,
+            minMs: minDurationMs
+        });
+    }
 
-    const toLocal = (rect) => ({
-        left: rect.left - valuesRect.left,
-        right: rect.right - valuesRect.left
+    const updates = {
+        label: app.elements.boxLabel.value,
+        color: app.elements.boxColor.value,
+        startOffset: nextStartOffset,
+        duration: nextDuration
+    };
+
+    recordHistoryStep('Edit box', () => {
+        app.diagram.updateBox(app.selectedBoxId, updates);
+        if (sourceId === 'box-start' || sourceId === 'box-duration') {
+            app.diagram.anchorIncomingDependencies(box.id);
+            app.diagram.rescheduleDependents(box.id);
+        }
+    }, {
+        coalesceKey: `box-${box.id}-${sourceId || 'props'}`
     });
+    renderLanesCanvas();
+    updateTotalDuration();
+    updatePropertiesPanel();
 
-    const start = toLocal(startEl.getBoundingClientRect());
-    const duration = toLocal(durationEl.getBoundingClientRect());
-    const end = toLocal(endEl.getBoundingClientRect());
-    const startRect = startEl.getBoundingClientRect();
-    const durationRect = durationEl.getBoundingClientRect();
-    const endRect = endEl.getBoundingClientRect();
+    // Re-select to keep selection visible
+    selectBox(app.selectedBoxId);
+}
 
-    const y = (
-        (startRect.top + startRect.bottom) +
-        (durationRect.top + durationRect.bottom) +
-        (endRect.top + endRect.bottom)
-    ) / 6 - valuesRect.top;
-    const lineY = Math.max(4, Math.min(height - 2, y));
-    const gap = 8;
-    const arrowLen = 6;
-    const arrowHalf = 3;
+function handleDeleteBox() {
+    const boxIds = getSelectedBoxIds();
+    if (boxIds.length === 0) return;
+    if (!isEditingAllowed()) return;
 
-    const segment1Start = start.right + gap;
-    const segment1End = duration.left - gap;
-    const arrowTip = end.left - gap;
-    const segment2Start = duration.right + gap;
-    const segment2End = arrowTip - arrowLen;
+    recordHistoryStep(boxIds.length > 1 ? 'Delete boxes' : 'Delete box', () => {
+        boxIds.forEach(id => app.diagram.removeBox(id));
+    });
+    deselectBox();
+    renderLanesCanvas();
+    updateTotalDuration();
+}
+
+function handleDeleteLane(laneId = null) {
+    if (!isEditingAllowed()) return;
+
+    const resolvedLaneId = laneId !== null ? parseInt(laneId, 10) : parseInt(app.selectedLaneId, 10);
+    if (!Number.isInteger(resolvedLaneId)) return;
+
+    const lane = app.diagram.lanes.find(l => l.id === resolvedLaneId);
+    if (!lane) return;
+    requestLaneDelete(resolvedLaneId);
+}
+
+// =====================================================
+// Export/Import Functions
+// =====================================================
+function saveToJSON() {
+    const data = app.diagram.toJSON();
+    const json = JSON.stringify(data, null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
 
-    setMeasurementSvgLine(headerSvg.querySelector('.measure-header-line-a'), segment1Start, lineY, segment1End, lineY);
-    setMeasurementSvgLine(headerSvg.querySelector('.measure-header-line-b'), segment2Start, lineY, segment2End, lineY);
-    setMeasurementSvgLine(headerSvg.querySelector('.measure-header-arrow-a'), arrowTip - arrowLen, lineY - arrowHalf, arrowTip, lineY);
-    setMeasurementSvgLine(headerSvg.querySelector('.measure-header-arrow-b'), arrowTip - arrowLen, lineY + arrowHalf, arrowTip, lineY);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${app.diagram.title.replace(/[^a-z0-9]/gi, '_')}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
 }
 
-function layoutMeasurementInfoRows() {
-    const panel = document.getElementById('measurement-info');
-    if (!panel || !panel.classList.contains('active')) return;
+function loadFromJSON(file) {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            if (/\.(csv|tsv)$/i.test(file.name)) {
+                // Spreadsheet exports go through the column-mapping dialog
+                openTableImportModal(e.target.result, file.name);
+                app.elements.fileInput.value = '';
+                return;
+            }
+            if (/\.(mmd|mermaid|puml|plantuml|pu|md)$/i.test(file.name)) {
+                const textDiagram = convertTextDiagramToDiagram(e.target.result, file.name);
+                openImportedDiagram(textDiagram.diagram, textDiagram.note);
+                app.elements.fileInput.value = '';
+                return;
+            }
+            const data = JSON.parse(e.target.result);
+            const optionsFormat = isHarData(data) ? 'har' : getDistributedTraceFormat(data);
+            if (optionsFormat) {
+                // HAR / OTLP / Jaeger / Zipkin ask for lane layout options first
+                openTraceImportModal(optionsFormat, data, file.name);
+            } else if (isWorkspaceArchive(data)) {
+                // Workspace backups and bulk-exported diagram bundles
+                openWorkspaceImportModal(data, file.name);
+            } else if (isChromeTraceData(data)) {
+                const trace = convertChromeTraceToDiagram(data, file.name);
+                openImportedDiagram(trace.diagram, trace.note);
+            } else {
+                openImportedDiagram(data);
+            }
+        } catch (err) {
+            showToast({
+                type: 'error',
+                title: 'Load Failed',
+                message: err.message
+            });
+        }
+        // Reset file input
+        app.elements.fileInput.value = '';
+    };
+    reader.readAsText(file);
+}
 
-    const rows = panel.querySelectorAll('.measure-panel-row');
+/**
+ * Open diagram JSON (saved or produced by an importer) as a new diagram.
+ * @param {Object} data - Diagram JSON
+ * @param {string|null} importNote - Extra summary appended to the toast
+ */
+function openImportedDiagram(data, importNote = null) {
+    endVersionPreviewState();
+    // Create a new diagram instead of overwriting current
+    setCurrentDiagramId(generateDiagramId());
+    app.diagram = new TimelineDiagram();
+    app.diagram.fromJSON(data);
+    clearPendingPurgeRequest();
+    clearDiagramHistory();
 
-    rows.forEach(row => {
-        const valuesEl = row.querySelector('.measure-panel-values');
-        const svg = row.querySelector('.measure-row-lines');
-        const startEl = row.querySelector('.measure-value-start');
-        const durationEl = row.querySelector('.measure-value-duration');
-        const endEl = row.querySelector('.measure-value-end');
-        if (!valuesEl || !svg || !startEl || !durationEl || !endEl) return;
+    app.elements.diagramTitle.value = app.diagram.title;
+    app.elements.startTime.value = app.diagram.startTime;
+    syncToolbarSettingsControls();
 
-        const valuesRect = valuesEl.getBoundingClientRect();
-        const width = valuesRect.width;
-        const height = Math.max(18, valuesEl.clientHeight || 18);
-        if (width <= 0) return;
+    deselectBox();
+    renderLaneList();
+    renderLanesCanvas();
+    renderTimelineRuler();
+    renderTimeMarkers();
+    renderAlignmentCanvasOverlay();
+    updateTotalDuration();
+    saveCurrentDiagram();
+    renderDiagramsList();
 
-        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
-        svg.setAttribute('preserveAspectRatio', 'none');
+    // Restore pinned measurement if present
+    restorePinnedMeasurement();
 
-        const toLocal = (rect) => ({
-            left: rect.left - valuesRect.left,
-            right: rect.right - valuesRect.left,
-            center: (rect.left + rect.right) / 2 - valuesRect.left
-        });
+    showToast({
+        type: 'success',
+        title: 'Loaded',
+        message: importNote
+            ? `"${app.diagram.title}" imported as new diagram. ${importNote}`
+            : `"${app.diagram.title}" imported as new diagram.`,
+        duration: importNote ? 4000 : 2500
+    });
+}
 
-        const start = toLocal(startEl.getBoundingClientRect());
-        const duration = toLocal(durationEl.getBoundingClientRect());
-        const end = toLocal(endEl.getBoundingClientRect());
-        const startRect = startEl.getBoundingClientRect();
-        const durationRect = durationEl.getBoundingClientRect();
-        const endRect = endEl.getBoundingClientRect();
+// =====================================================
+// Trace Import - Chrome Trace Event / Perfetto JSON
+// =====================================================
 
-        const centerY = (
-            (startRect.top + startRect.bottom) +
-            (durationRect.top + durationRect.bottom) +
-            (endRect.top + endRect.bottom)
-        ) / 6 - valuesRect.top;
-        const lineY = Math.max(4, Math.min(height - 2, centerY));
-        const gap = 6;
-        const arrowLen = 6;
-        const arrowHalf = 3;
+/**
+ * Pick a base unit for imported timelines from their total length. Anything
+ * under two minutes stays in milliseconds; longer recordings move to s, min or h
+ * so the ruler stays readable.
+ * @param {number} totalDurationMs - Span of the imported data
+ * @returns {string} Base time unit key
+ */
+function chooseImportBaseTimeUnit(totalDurationMs) {
+    const total = Math.max(0, Number(totalDurationMs) || 0);
+    if (total < 2 * TIME_UNIT_FACTORS_MS.min) return 'ms';
+    if (total < 2 * TIME_UNIT_FACTORS_MS.h) return 's';
+    if (total < 2 * TIME_UNIT_FACTORS_MS.d) return 'min';
+    return 'h';
+}
 
-        const segment1Start = start.right + gap;
-        const segment1End = duration.left - gap;
-        const arrowTip = end.left - gap;
-        const segment2Start = duration.right + gap;
-        const segment2End = arrowTip - arrowLen;
+/**
+ * Timeline length with about 6% headroom, rounded up to a whole unit
+ * (100 ms steps in ms, at least one second or one unit).
+ */
+function roundImportTimelineDuration(totalDurationMs, unit) {
+    const safeDuration = Math.max(1, Number(totalDurationMs) || 1);
+    const rawStep = TIME_UNIT_FACTORS_MS[unit] || 1000;
+    const step = unit === 'ms' ? 100 : rawStep;
+    const minimum = unit === 'ms' ? 1000 : rawStep;
+    const headroom = Math.max(step, Math.round(safeDuration * 0.06));
+    return Math.max(minimum, Math.ceil((safeDuration + headroom) / step) * step);
+}
 
-        setMeasurementSvgLine(row.querySelector('.measure-row-line-a'), segment1Start, lineY, segment1End, lineY);
-        setMeasurementSvgLine(row.querySelector('.measure-row-line-b'), segment2Start, lineY, segment2End, lineY);
-        setMeasurementSvgLine(row.querySelector('.measure-row-arrow-a'), arrowTip - arrowLen, lineY - arrowHalf, arrowTip, lineY);
-        setMeasurementSvgLine(row.querySelector('.measure-row-arrow-b'), arrowTip - arrowLen, lineY + arrowHalf, arrowTip, lineY);
+/**
+ * Settings for an imported diagram whose boxes span totalDurationMs.
+ */
+function buildImportedDiagramSettings(totalDurationMs, baseTimeUnit = chooseImportBaseTimeUnit(totalDurationMs)) {
+    return normalizeTimelineSettings({
+        baseTimeUnit: baseTimeUnit,
+        timeFormatThreshold: getDefaultTimeThreshold(baseTimeUnit),
+        timelineDuration: roundImportTimelineDuration(totalDurationMs, baseTimeUnit)
     });
+}
 
-    layoutMeasurementInfoHeader();
+function getTraceEvents(data) {
+    if (Array.isArray(data)) return data;
+    if (data && Array.isArray(data.traceEvents)) return data.traceEvents;
+    return null;
 }
 
-function renderMeasurementInfo(activeMeasurement = null) {
-    const panel = document.getElementById('measurement-info');
-    if (!panel) return;
+/**
+ * Trace Event Format files are either a bare event array or an object with a
+ * traceEvents array; every event carries a phase ("ph").
+ */
+function isChromeTraceData(data) {
+    const events = getTraceEvents(data);
+    if (!events || events.length === 0) return false;
+    return events.some(event => event && typeof event.ph === 'string');
+}
 
-    const entries = app.measurements.slice();
-    if (activeMeasurement) {
-        entries.push(activeMeasurement);
-    }
+/**
+ * Convert a Chrome Trace Event / Perfetto JSON trace into diagram JSON.
+ * Complete ("X") events and matched begin/end ("B"/"E") pairs become boxes on
+ * one lane per pid/tid; lanes are named and ordered from the process_name,
+ * thread_name and *_sort_index metadata ("M") events. Timestamps are in µs.
+ * @param {Object|Array} data - Parsed trace JSON
+ * @param {string} fileName - Source file name, used for the title
+ * @returns {{diagram: Object, note: string}} Diagram data and a summary for the toast
+ */
+function convertChromeTraceToDiagram(data, fileName = '') {
+    const events = getTraceEvents(data);
+    const processNames = new Map();
+    const processSort = new Map();
+    const threads = new Map(); // "pid:tid" -> { pid, tid, name, sortIndex }
+    const getThread = (pid, tid) => {
+        const key = `${pid}:${tid}`;
+        if (!threads.has(key)) {
+            threads.set(key, { key: key, pid: pid, tid: tid, name: null, sortIndex: null });
+        }
+        return threads.get(key);
+    };
 
-    const shouldShow = entries.length > 0 && (app.measureToolActive || app.measurePinned || app.isMeasuring || app.measurements.length > 0);
-    panel.classList.toggle('active', shouldShow);
-    panel.classList.toggle('pinned', app.measurePinned);
+    events.forEach(event => {
+        if (!event || event.ph !== 'M') return;
+        const args = event.args || {};
+        if (event.name === 'process_name') processNames.set(event.pid, args.name);
+        if (event.name === 'process_sort_index') processSort.set(event.pid, Number(args.sort_index));
+        if (event.name === 'thread_name') getThread(event.pid, event.tid).name = args.name;
+        if (event.name === 'thread_sort_index') getThread(event.pid, event.tid).sortIndex = Number(args.sort_index);
+    });
 
-    if (!shouldShow) {
-        panel.innerHTML = '';
-        return;
+    const slices = [];
+    const openSlices = new Map(); // "pid:tid" -> stack of "B" events
+    let lastTs = -Infinity;
+    events.forEach(event => {
+        if (!event || !Number.isFinite(Number(event.ts))) return;
+        const ts = Number(event.ts);
+        lastTs = Math.max(lastTs, ts + (Number(event.dur) || 0));
+        const thread = event.ph === 'X' || event.ph === 'B' || event.ph === 'E'
+            ? getThread(event.pid, event.tid)
+            : null;
+        if (!thread) return;
+
+        if (event.ph === 'X') {
+            slices.push({ thread: thread, name: event.name, ts: ts, dur: Math.max(0, Number(event.dur) || 0) });
+        } else if (event.ph === 'B') {
+            if (!openSlices.has(thread.key)) openSlices.set(thread.key, []);
+            openSlices.get(thread.key).push(event);
+        } else {
+            const begin = (openSlices.get(thread.key) || []).pop();
+            if (begin) {
+                slices.push({ thread: thread, name: begin.name || event.name, ts: Number(begin.ts), dur: Math.max(0, ts - Number(begin.ts)) });
+            }
+        }
+    });
+    // Slices that never ended run to the end of the trace
+    openSlices.forEach(stack => stack.forEach(begin => {
+        const thread = getThread(begin.pid, begin.tid);
+        slices.push({ thread: thread, name: begin.name, ts: Number(begin.ts), dur: Math.max(0, lastTs - Number(begin.ts)) });
+    }));
+
+    if (slices.length === 0) {
+        throw new Error('No duration events (ph "X" or "B"/"E") found in trace.');
     }
 
-    const recentEntries = entries.slice(-12).reverse();
-    const rowsHtml = recentEntries.map((measurement, index) => {
-        const metrics = computeMeasurementMetrics(measurement);
-        if (!metrics) return '';
+    let keptSlices = slices;
+    if (slices.length > TRACE_IMPORT_MAX_BOXES) {
+        keptSlices = [...slices].sort((a, b) => b.dur - a.dur).slice(0, TRACE_IMPORT_MAX_BOXES);
+    }
 
-        const rawColor = sanitizeMeasurementColor(measurement.color, MEASUREMENT_COLORS[index % MEASUREMENT_COLORS.length]);
-        const color = getReadableMeasureColor(rawColor, 4.8);
-        const draftClass = activeMeasurement && measurement.id === activeMeasurement.id ? ' is-draft' : '';
+    const compareSortKeys = (a, b) => {
+        if (a === b) return 0;
+        if (Number.isFinite(Number(a)) && Number.isFinite(Number(b))) return Number(a) - Number(b);
+        return String(a).localeCompare(String(b));
+    };
+    const usedThreads = Array.from(new Set(keptSlices.map(slice => slice.thread)));
+    usedThreads.sort((a, b) => {
+        const processOrder = compareSortKeys(processSort.get(a.pid) ?? 0, processSort.get(b.pid) ?? 0) ||
+            compareSortKeys(a.pid, b.pid);
+        if (processOrder) return processOrder;
+        return compareSortKeys(a.sortIndex ?? 0, b.sortIndex ?? 0) || compareSortKeys(a.tid, b.tid);
+    });
 
-        return `
-            <div class="measure-panel-row${draftClass}" style="--measure-color:${color}">
-                ${buildMeasurementInfoRowMarkup(metrics)}
-            </div>
-        `;
-    }).join('');
+    const lanes = usedThreads.map((thread, index) => {
+        const processName = processNames.get(thread.pid) || `pid ${thread.pid}`;
+        const threadName = thread.name || `tid ${thread.tid}`;
+        thread.laneId = index + 1;
+        return {
+            id: index + 1,
+            name: `${processName} / ${threadName}`,
+            order: index,
+            baseColor: PALETTE[index % PALETTE.length]
+        };
+    });
 
-    panel.innerHTML = `
-        <div class="measurement-info-header">
-            <span class="measurement-info-title">Measures${recentEntries.length > 0 ? ` (${recentEntries.length})` : ''}</span>
-            <span class="measurement-info-hint">Drag to move${activeMeasurement ? ' • drawing' : ''}</span>
-        </div>
-        <div class="measurement-info-columns">
-            ${buildMeasurementInfoColumnsSvg()}
-        </div>
-        <div class="measurement-info-list">${rowsHtml}</div>
-    `;
+    const originTs = Math.min(...keptSlices.map(slice => slice.ts));
+    const toMs = us => Math.round(us) / 1000;
+    // Parents first so nested slices paint on top of the slice that contains them
+    keptSlices.sort((a, b) => a.ts - b.ts || b.dur - a.dur);
+    const boxes = keptSlices.map((slice, index) => ({
+        id: index + 1,
+        laneId: slice.thread.laneId,
+        startOffset: toMs(slice.ts - originTs),
+        duration: Math.max(0.001, toMs(slice.dur)),
+        label: typeof slice.name === 'string' ? slice.name : ''
+    }));
 
-    applyMeasurementPanelPosition();
-    layoutMeasurementInfoRows();
-    requestAnimationFrame(() => layoutMeasurementInfoRows());
-}
+    const totalDuration = boxes.reduce((maxEnd, b) => Math.max(maxEnd, b.startOffset + b.duration), 0);
+    const title = String(fileName || '').replace(/\.[^.]+$/, '').trim() || 'Chrome Trace';
 
-function startMeasurementPanelDrag(e) {
-    const panel = document.getElementById('measurement-info');
-    if (!panel || !panel.classList.contains('active')) return;
-    if (!e.target.closest('.measurement-info-header')) return;
+    let note = `${lanes.length} lane${lanes.length === 1 ? '' : 's'}, ${boxes.length} box${boxes.length === 1 ? '' : 'es'} from trace.`;
+    if (keptSlices.length < slices.length) {
+        note += ` Kept the ${TRACE_IMPORT_MAX_BOXES} longest of ${slices.length} slices.`;
+    }
 
-    const rect = panel.getBoundingClientRect();
-    app.measurePanelDrag = {
-        offsetX: e.clientX - rect.left,
-        offsetY: e.clientY - rect.top
+    return {
+        diagram: {
+            title: title,
+            startTime: '00:00:00 000',
+            lanes: lanes,
+            boxes: boxes,
+            nextLaneId: lanes.length + 1,
+            nextBoxId: boxes.length + 1,
+            dependencies: [],
+            locked: false,
+            compressionEnabled: false,
+            settings: buildImportedDiagramSettings(totalDuration),
+            measurementState: null
+        },
+        note: note
     };
-    panel.classList.add('dragging');
-    e.preventDefault();
 }
 
-function handleMeasurementPanelDrag(e) {
-    if (!app.measurePanelDrag) return;
-    app.measurePanelPosition = {
-        x: e.clientX - app.measurePanelDrag.offsetX,
-        y: e.clientY - app.measurePanelDrag.offsetY
-    };
-    applyMeasurementPanelPosition();
-}
+// =====================================================
+// Trace Import - OpenTelemetry (OTLP) / Jaeger / Zipkin JSON
+// =====================================================
+const DISTRIBUTED_TRACE_FORMAT_LABELS = Object.freeze({
+    otlp: 'OpenTelemetry (OTLP)',
+    jaeger: 'Jaeger',
+    zipkin: 'Zipkin v2'
+});
+let pendingTraceImport = null; // { format, spans, fileName } while the import modal is open
 
-function stopMeasurementPanelDrag() {
-    if (!app.measurePanelDrag) return;
-    app.measurePanelDrag = null;
-    const panel = document.getElementById('measurement-info');
-    if (panel) {
-        panel.classList.remove('dragging');
-    }
-    autoSave();
-    saveSessionState();
+function isZipkinSpan(span) {
+    return !!span && typeof span === 'object' && typeof span.traceId === 'string' &&
+        typeof span.id === 'string' && ('timestamp' in span || 'localEndpoint' in span);
 }
 
-function getMeasurementsForExport() {
-    const entries = app.measurements.slice();
-    if (app.isMeasuring && app.measureStart && app.measureEnd) {
-        entries.push(createMeasurementEntry(app.measureStart, app.measureEnd, app.measureCurrentColor || MEASUREMENT_COLORS[0]));
+/**
+ * Detect an exported distributed trace: OTLP JSON (resourceSpans), Jaeger JSON
+ * (data[].spans with processes, or a single trace object) or Zipkin v2 (an
+ * array of spans, or an array of traces).
+ * @param {*} data - Parsed JSON
+ * @returns {string|null} 'otlp' | 'jaeger' | 'zipkin', or null
+ */
+function getDistributedTraceFormat(data) {
+    if (!data) return null;
+    if (Array.isArray(data.resourceSpans)) return 'otlp';
+    const jaegerTraces = Array.isArray(data.data) ? data.data : [data];
+    if (jaegerTraces.length > 0 && jaegerTraces.every(trace => trace && Array.isArray(trace.spans) && trace.processes)) {
+        return 'jaeger';
     }
-    if (entries.length > 0) {
-        return entries;
+    if (Array.isArray(data) && data.length > 0) {
+        const spans = data.flat();
+        if (spans.length > 0 && spans.every(isZipkinSpan)) return 'zipkin';
     }
-    if (app.measurePinned && app.measureStart && app.measureEnd) {
-        return [createMeasurementEntry(app.measureStart, app.measureEnd, app.measureCurrentColor || MEASUREMENT_COLORS[0])];
+    return null;
+}
+
+// OTLP timestamps are nanosecond strings beyond Number precision; go through BigInt
+function nanosToMicros(value) {
+    if (typeof value === 'string' && /^\d+$/.test(value)) {
+        return Number(BigInt(value) / 1000n);
     }
-    return [];
+    return (Number(value) || 0) / 1000;
 }
 
-function getMeasurementSnapPoints() {
-    const canvas = app.elements.lanesCanvas;
-    if (!canvas) return [];
-    const canvasRect = canvas.getBoundingClientRect();
-    const pointsByX = new Map();
+function readOtlpAnyValue(value) {
+    if (!value || typeof value !== 'object') return '';
+    if ('stringValue' in value) return String(value.stringValue);
+    if ('intValue' in value) return String(value.intValue);
+    if ('doubleValue' in value) return String(value.doubleValue);
+    if ('boolValue' in value) return String(value.boolValue);
+    if (value.arrayValue) return JSON.stringify((value.arrayValue.values || []).map(readOtlpAnyValue));
+    if (value.kvlistValue) return JSON.stringify(readOtlpAttributes(value.kvlistValue.values));
+    return '';
+}
 
-    const addPoint = (x, actualTime) => {
-        const key = Math.round(x * 1000) / 1000;
-        if (!pointsByX.has(key)) {
-            pointsByX.set(key, { x, actualTime });
-        }
+function readOtlpAttributes(attributes) {
+    const result = {};
+    (Array.isArray(attributes) ? attributes : []).forEach(attr => {
+        if (attr && typeof attr.key === 'string') result[attr.key] = readOtlpAnyValue(attr.value);
+    });
+    return result;
+}
+
+function stringifyAttributeValues(attributes) {
+    const result = {};
+    Object.entries(attributes || {}).forEach(([key, value]) => {
+        result[key] = typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+    });
+    return result;
+}
+
+/**
+ * Flatten any of the supported formats into common span records:
+ * { id, parentId, traceId, service, name, startUs, durationUs, attributes }.
+ */
+function normalizeDistributedTraceSpans(format, data) {
+    const spans = [];
+    if (format === 'otlp') {
+        data.resourceSpans.forEach(resourceSpan => {
+            const resourceAttributes = readOtlpAttributes(resourceSpan.resource && resourceSpan.resource.attributes);
+            const service = resourceAttributes['service.name'] || 'unknown_service';
+            const scopes = resourceSpan.scopeSpans || resourceSpan.instrumentationLibrarySpans || [];
+            scopes.forEach(scope => (scope.spans || []).forEach(span => {
+                const startUs = nanosToMicros(span.startTimeUnixNano);
+                const attributes = readOtlpAttributes(span.attributes);
+                if (span.kind !== undefined) attributes['span.kind'] = String(span.kind);
+                if (span.status && span.status.code !== undefined) attributes['status.code'] = String(span.status.code);
+                if (span.status && span.status.message) attributes['status.message'] = String(span.status.message);
+                spans.push({
+                    id: span.spanId,
+                    parentId: span.parentSpanId || null,
+                    traceId: span.traceId,
+                    service: service,
+                    name: span.name || '',
+                    startUs: startUs,
+                    durationUs: Math.max(0, nanosToMicros(span.endTimeUnixNano) - startUs),
+                    attributes: attributes
+                });
+            }));
+        });
+    } else if (format === 'jaeger') {
+        const traces = Array.isArray(data.data) ? data.data : [data];
+        traces.forEach(trace => trace.spans.forEach(span => {
+            const process = trace.processes[span.processID] || span.process || {};
+            const attributes = {};
+            (span.tags || []).forEach(tag => {
+                if (tag && typeof tag.key === 'string') attributes[tag.key] = String(tag.value);
+            });
+            const references = Array.isArray(span.references) ? span.references : [];
+            const parentRef = references.find(ref => ref.refType === 'CHILD_OF') || references[0];
+            spans.push({
+                id: span.spanID,
+                parentId: parentRef ? parentRef.spanID : null,
+                traceId: span.traceID,
+                service: process.serviceName || 'unknown_service',
+                name: span.operationName || '',
+                startUs: Number(span.startTime) || 0,
+                durationUs: Math.max(0, Number(span.duration) || 0),
+                attributes: attributes
+            });
+        }));
+    } else if (format === 'zipkin') {
+        data.flat().forEach(span => {
+            const attributes = stringifyAttributeValues(span.tags);
+            if (span.kind) attributes['span.kind'] = span.kind;
+            if (span.remoteEndpoint && span.remoteEndpoint.serviceName) {
+                attributes['peer.service'] = span.remoteEndpoint.serviceName;
+            }
+            spans.push({
+                id: span.id,
+                parentId: span.parentId || null,
+                traceId: span.traceId,
+                service: (span.localEndpoint && span.localEndpoint.serviceName) || 'unknown_service',
+                name: span.name || '',
+                startUs: Number(span.timestamp) || 0,
+                durationUs: Math.max(0, Number(span.duration) || 0),
+                attributes: attributes
+            });
+        });
+    }
+    return spans.filter(span => span.id && Number.isFinite(span.startUs) && span.startUs > 0);
+}
+
+/**
+ * Lay out distributed trace spans as a diagram: one lane per service (or per
+ * service and nesting depth), span attributes kept as box metadata, and each
+ * parent → child relation as a start-to-start link whose lag preserves the
+ * recorded offset.
+ * @param {Object[]} spans - Normalized spans
+ * @param {Object} options - { format, fileName, lanePerDepth, linkSpans }
+ * @returns {{diagram: Object, note: string}}
+ */
+function convertDistributedTraceToDiagram(spans, options = {}) {
+    if (spans.length === 0) {
+        throw new Error('No spans with timestamps found in trace.');
+    }
+
+    let keptSpans = spans;
+    if (spans.length > TRACE_IMPORT_MAX_BOXES) {
+        keptSpans = [...spans].sort((a, b) => b.durationUs - a.durationUs).slice(0, TRACE_IMPORT_MAX_BOXES);
+    }
+    keptSpans = [...keptSpans].sort((a, b) => a.startUs - b.startUs || b.durationUs - a.durationUs);
+
+    const spanByKey = new Map(keptSpans.map(span => [`${span.traceId}:${span.id}`, span]));
+    const getParent = span => (span.parentId ? spanByKey.get(`${span.traceId}:${span.parentId}`) : null);
+    const depthCache = new Map();
+    const getDepth = (span, guard = 0) => {
+        if (depthCache.has(span)) return depthCache.get(span);
+        const parent = getParent(span);
+        const depth = parent && guard < keptSpans.length ? getDepth(parent, guard + 1) + 1 : 0;
+        depthCache.set(span, depth);
+        return depth;
     };
 
-    // Snap to actual rendered box edges (same geometry user sees),
-    // independent from alignment overlay layer coordinates.
-    canvas.querySelectorAll('.timeline-box[data-box-id]').forEach(boxEl => {
-        const boxId = parseInt(boxEl.dataset.boxId, 10);
-        const box = app.diagram.boxes.find(b => b.id === boxId);
-        if (!box) return;
+    // Services appear in the order they first did work; depth lanes nest below their service
+    const services = [];
+    keptSpans.forEach(span => {
+        if (!services.includes(span.service)) services.push(span.service);
+    });
+    const laneKeyOf = span => (options.lanePerDepth ? `${span.service}\u0000${getDepth(span)}` : span.service);
+    const laneKeys = Array.from(new Set(keptSpans.map(laneKeyOf))).sort((a, b) => {
+        const [serviceA, depthA = 0] = a.split('\u0000');
+        const [serviceB, depthB = 0] = b.split('\u0000');
+        return services.indexOf(serviceA) - services.indexOf(serviceB) || Number(depthA) - Number(depthB);
+    });
+    const lanes = laneKeys.map((key, index) => {
+        const [service, depth] = key.split('\u0000');
+        return {
+            id: index + 1,
+            name: depth === undefined ? service : `${service} · depth ${depth}`,
+            order: index,
+            baseColor: PALETTE[services.indexOf(service) % PALETTE.length]
+        };
+    });
+    const laneIdByKey = new Map(laneKeys.map((key, index) => [key, index + 1]));
 
-        const boxRect = boxEl.getBoundingClientRect();
-        const leftX = boxRect.left - canvasRect.left + canvas.scrollLeft;
-        const rightX = boxRect.right - canvasRect.left + canvas.scrollLeft;
-        addPoint(leftX, box.startOffset);
-        addPoint(rightX, box.startOffset + box.duration);
+    const originUs = keptSpans[0].startUs;
+    const toMs = us => Math.round(us) / 1000;
+    const boxIdBySpan = new Map();
+    const boxes = keptSpans.map((span, index) => {
+        boxIdBySpan.set(span, index + 1);
+        return {
+            id: index + 1,
+            laneId: laneIdByKey.get(laneKeyOf(span)),
+            startOffset: toMs(span.startUs - originUs),
+            duration: Math.max(0.001, toMs(span.durationUs)),
+            label: span.name,
+            metadata: {
+                'service.name': span.service,
+                'trace.id': String(span.traceId || ''),
+                'span.id': String(span.id),
+                ...(span.parentId ? { 'parent.id': String(span.parentId) } : {}),
+                ...span.attributes
+            }
+        };
     });
 
-    return Array.from(pointsByX.values()).sort((a, b) => a.x - b.x);
-}
+    const dependencies = [];
+    if (options.linkSpans !== false) {
+        keptSpans.forEach(span => {
+            const parent = getParent(span);
+            if (!parent) return;
+            const fromBox = boxes[boxIdBySpan.get(parent) - 1];
+            const toBox = boxes[boxIdBySpan.get(span) - 1];
+            dependencies.push({
+                id: dependencies.length + 1,
+                fromBoxId: fromBox.id,
+                toBoxId: toBox.id,
+                type: 'SS',
+                // Gap between the rounded starts, so the link matches the boxes exactly
+                lag: Math.round((toBox.startOffset - fromBox.startOffset) * 1000) / 1000
+            });
+        });
+    }
 
-function getClosestMeasurementSnapPoint(rawX, snapPoints = getMeasurementSnapPoints()) {
-    let closestPoint = null;
-    let closestDist = SNAP_THRESHOLD;
+    const startDate = new Date(originUs / 1000);
+    const startTime = formatTime(
+        startDate.getHours() * 3600000 + startDate.getMinutes() * 60000 +
+        startDate.getSeconds() * 1000 + startDate.getMilliseconds()
+    );
+    const totalDuration = boxes.reduce((maxEnd, b) => Math.max(maxEnd, b.startOffset + b.duration), 0);
+    const formatLabel = DISTRIBUTED_TRACE_FORMAT_LABELS[options.format] || 'Trace';
+    const title = String(options.fileName || '').replace(/\.[^.]+$/, '').trim() || `${formatLabel} Trace`;
 
-    for (const point of snapPoints) {
-        const dist = Math.abs(point.x - rawX);
-        if (dist < closestDist) {
-            closestDist = dist;
-            closestPoint = point;
+    let note = `${services.length} service${services.length === 1 ? '' : 's'}, ${boxes.length} span${boxes.length === 1 ? '' : 's'} from ${formatLabel}.`;
+    if (keptSpans.length < spans.length) {
+        note += ` Kept the ${TRACE_IMPORT_MAX_BOXES} longest of ${spans.length} spans.`;
+    }
+
+    return {
+        diagram: {
+            title: title,
+            startTime: startTime,
+            lanes: lanes,
+            boxes: boxes,
+            nextLaneId: lanes.length + 1,
+            nextBoxId: boxes.length + 1,
+            dependencies: dependencies,
+            nextDependencyId: dependencies.length + 1,
+            locked: false,
+            compressionEnabled: false,
+            settings: buildImportedDiagramSettings(totalDuration),
+            measurementState: null
+        },
+        note: note
+    };
+}
+
+function openTraceImportModal(format, data, fileName) {
+    let summaryText;
+    if (format === 'har') {
+        const entries = normalizeHarEntries(data);
+        if (entries.length === 0) {
+            throw new Error('No requests with timings found in HAR file.');
         }
+        pendingTraceImport = { format: format, entries: entries, fileName: fileName };
+        const hosts = new Set(entries.map(entry => entry.host));
+        summaryText = `HAR: ${entries.length} request${entries.length === 1 ? '' : 's'} ` +
+            `across ${hosts.size} host${hosts.size === 1 ? '' : 's'}.`;
+    } else {
+        const spans = normalizeDistributedTraceSpans(format, data);
+        if (spans.length === 0) {
+            throw new Error('No spans with timestamps found in trace.');
+        }
+        pendingTraceImport = { format: format, spans: spans, fileName: fileName };
+        const services = new Set(spans.map(span => span.service));
+        const traces = new Set(spans.map(span => span.traceId));
+        summaryText = `${DISTRIBUTED_TRACE_FORMAT_LABELS[format]}: ${spans.length} span${spans.length === 1 ? '' : 's'} ` +
+            `across ${services.size} service${services.size === 1 ? '' : 's'}` +
+            (traces.size > 1 ? ` in ${traces.size} traces.` : '.');
+    }
+
+    const summary = document.getElementById('trace-import-summary');
+    if (summary) summary.textContent = summaryText;
+    const spanOptions = document.getElementById('trace-import-span-options');
+    if (spanOptions) spanOptions.classList.toggle('hidden', format === 'har');
+    const harOptions = document.getElementById('trace-import-har-options');
+    if (harOptions) harOptions.classList.toggle('hidden', format !== 'har');
+    const modal = document.getElementById('trace-import-modal');
+    if (modal) modal.classList.remove('hidden');
+}
+
+function closeTraceImportModal() {
+    pendingTraceImport = null;
+    const modal = document.getElementById('trace-import-modal');
+    if (modal) modal.classList.add('hidden');
+}
+
+function confirmTraceImport() {
+    if (!pendingTraceImport) return;
+    const { format, spans, entries, fileName } = pendingTraceImport;
+    const lanePerDepth = !!document.getElementById('trace-import-depth-lanes')?.checked;
+    const linkSpans = document.getElementById('trace-import-link-spans')?.checked !== false;
+    const lanePerConnection = !!document.getElementById('trace-import-har-connections')?.checked;
+    closeTraceImportModal();
+
+    try {
+        const trace = format === 'har'
+            ? convertHarToDiagram(entries, { fileName: fileName, lanePerConnection: lanePerConnection })
+            : convertDistributedTraceToDiagram(spans, {
+                format: format,
+                fileName: fileName,
+                lanePerDepth: lanePerDepth,
+                linkSpans: linkSpans
+            });
+        openImportedDiagram(trace.diagram, trace.note);
+    } catch (err) {
+        showToast({
+            type: 'error',
+            title: 'Load Failed',
+            message: err.message
+        });
     }
+}
 
-    return closestPoint;
+// =====================================================
+// Trace Import - HAR (HTTP Archive) network waterfall
+// =====================================================
+function isHarData(data) {
+    return !!data && !!data.log && Array.isArray(data.log.entries);
 }
 
-function resolveMeasurementPoint(clientX, clientY, snapPoints = getMeasurementSnapPoints()) {
-    const canvas = app.elements.lanesCanvas;
-    const rect = canvas.getBoundingClientRect();
-    const minX = getLaneLabelWidthPx();
-    const rawX = Math.max(minX, clientX - rect.left + canvas.scrollLeft);
-    const y = clientY - rect.top + canvas.scrollTop;
-    const snapPoint = getClosestMeasurementSnapPoint(rawX, snapPoints);
-    const resolvedX = snapPoint ? snapPoint.x : rawX;
+/**
+ * Read HAR entries into { url, host, path, method, status, connection, startMs,
+ * phases: [{ phase, ms }], metadata }. HAR reports ssl inside connect, so the
+ * connect phase is shortened by the ssl time to keep phases adjacent.
+ */
+function normalizeHarEntries(data) {
+    const entries = [];
+    data.log.entries.forEach(entry => {
+        const startMs = Date.parse(entry && entry.startedDateTime);
+        if (!Number.isFinite(startMs)) return;
+
+        const request = entry.request || {};
+        const response = entry.response || {};
+        const timings = entry.timings || {};
+        let url;
+        try {
+            url = new URL(request.url);
+        } catch (err) {
+            url = null;
+        }
+        const host = url ? url.host : (request.url || 'unknown host');
 
-    return {
-        x: resolvedX,
-        y,
-        clientX: rect.left + resolvedX - canvas.scrollLeft,
-        clientY,
-        snapped: !!snapPoint,
-        snapTimeMs: snapPoint ? snapPoint.actualTime : null
-    };
+        const phaseMs = phase => {
+            const value = Number(timings[phase]);
+            return Number.isFinite(value) && value > 0 ? value : 0;
+        };
+        const ssl = phaseMs('ssl');
+        const phases = Object.keys(HAR_PHASE_COLORS)
+            .map(phase => ({ phase: phase, ms: phase === 'connect' ? Math.max(0, phaseMs('connect') - ssl) : phaseMs(phase) }))
+            .filter(item => item.ms > 0);
+        if (phases.length === 0 && Number(entry.time) > 0) {
+            // No per-phase timings recorded: show the whole request as waiting
+            phases.push({ phase: 'wait', ms: Number(entry.time) });
+        }
+        if (phases.length === 0) return;
+
+        const status = Number(response.status) || 0;
+        const metadata = {
+            'http.url': String(request.url || ''),
+            'http.method': String(request.method || ''),
+            'http.status_code': String(status)
+        };
+        if (response.statusText) metadata['http.status_text'] = String(response.statusText);
+        if (response.content && response.content.mimeType) metadata['http.mime_type'] = String(response.content.mimeType);
+        if (Number(response.bodySize) >= 0) metadata['http.response_body_size'] = String(response.bodySize);
+        if (entry.serverIPAddress) metadata['net.peer.ip'] = String(entry.serverIPAddress);
+        if (entry.connection) metadata['har.connection'] = String(entry.connection);
+
+        entries.push({
+            url: request.url || '',
+            host: host,
+            path: url ? `${url.pathname}${url.search}` : (request.url || ''),
+            method: request.method || '',
+            status: status,
+            connection: entry.connection ? String(entry.connection) : null,
+            startMs: startMs,
+            phases: phases,
+            metadata: metadata
+        });
+    });
+    return entries.sort((a, b) => a.startMs - b.startMs);
 }
 
-function startMeasurement(e) {
-    app.measureSnapPoints = getMeasurementSnapPoints();
-    const resolvedPoint = resolveMeasurementPoint(e.clientX, e.clientY, app.measureSnapPoints);
-    app.measureCurrentColor = getNextMeasurementColor();
+/**
+ * Lay out HAR requests as a waterfall: one lane per host (or per host
+ * connection), each request drawn as adjacent phase boxes.
+ * @param {Object[]} entries - Normalized HAR entries
+ * @param {Object} options - { fileName, lanePerConnection }
+ * @returns {{diagram: Object, note: string}}
+ */
+function convertHarToDiagram(entries, options = {}) {
+    if (entries.length === 0) {
+        throw new Error('No requests with timings found in HAR file.');
+    }
+
+    // Each request is several phase boxes: keep the longest requests that fit the box cap
+    let keptEntries = entries;
+    if (entries.reduce((count, entry) => count + entry.phases.length, 0) > TRACE_IMPORT_MAX_BOXES) {
+        const totalMs = entry => entry.phases.reduce((sum, item) => sum + item.ms, 0);
+        let boxBudget = TRACE_IMPORT_MAX_BOXES;
+        keptEntries = [];
+        for (const entry of [...entries].sort((a, b) => totalMs(b) - totalMs(a))) {
+            if (entry.phases.length > boxBudget) break;
+            keptEntries.push(entry);
+            boxBudget -= entry.phases.length;
+        }
+        keptEntries.sort((a, b) => a.startMs - b.startMs);
+    }
+
+    const laneKeyOf = entry => (options.lanePerConnection && entry.connection
+        ? `${entry.host}\u0000${entry.connection}`
+        : entry.host);
+    const hosts = [];
+    keptEntries.forEach(entry => {
+        if (!hosts.includes(entry.host)) hosts.push(entry.host);
+    });
+    const laneKeys = [];
+    keptEntries.forEach(entry => {
+        const key = laneKeyOf(entry);
+        if (!laneKeys.includes(key)) laneKeys.push(key);
+    });
+    // Keep a host's connection lanes together, in order of first use
+    laneKeys.sort((a, b) => hosts.indexOf(a.split('\u0000')[0]) - hosts.indexOf(b.split('\u0000')[0]));
+    const lanes = laneKeys.map((key, index) => {
+        const [host, connection] = key.split('\u0000');
+        return {
+            id: index + 1,
+            name: connection === undefined ? host : `${host} · conn ${connection}`,
+            order: index,
+            baseColor: PALETTE[hosts.indexOf(host) % PALETTE.length]
+        };
+    });
+    const laneIdByKey = new Map(laneKeys.map((key, index) => [key, index + 1]));
+
+    const originMs = keptEntries[0].startMs;
+    const toMs = ms => Math.round(ms * 1000) / 1000;
+    const boxes = [];
+    keptEntries.forEach(entry => {
+        const label = `${entry.status || 'ERR'} ${entry.method} ${entry.path}`.trim();
+        let offset = entry.startMs - originMs;
+        entry.phases.forEach(({ phase, ms }) => {
+            boxes.push({
+                id: boxes.length + 1,
+                laneId: laneIdByKey.get(laneKeyOf(entry)),
+                startOffset: toMs(offset),
+                duration: Math.max(0.001, toMs(ms)),
+                label: `${label} · ${phase}`,
+                color: HAR_PHASE_COLORS[phase],
+                metadata: { ...entry.metadata, 'har.phase': phase }
+            });
+            offset += ms;
+        });
+    });
 
-    app.isMeasuring = true;
-    app.measureStart = { ...resolvedPoint };
-    app.measureEnd = { ...resolvedPoint };
+    const startDate = new Date(originMs);
+    const startTime = formatTime(
+        startDate.getHours() * 3600000 + startDate.getMinutes() * 60000 +
+        startDate.getSeconds() * 1000 + startDate.getMilliseconds()
+    );
+    const totalDuration = boxes.reduce((maxEnd, b) => Math.max(maxEnd, b.startOffset + b.duration), 0);
+    const title = String(options.fileName || '').replace(/\.[^.]+$/, '').trim() || 'Network Waterfall';
 
-    // Show measurement overlay
-    const overlay = document.getElementById('measurement-overlay');
-    if (overlay) overlay.classList.add('active');
+    let note = `${keptEntries.length} request${keptEntries.length === 1 ? '' : 's'} on ${lanes.length} lane${lanes.length === 1 ? '' : 's'} from HAR.`;
+    if (keptEntries.length < entries.length) {
+        note += ` Kept the ${keptEntries.length} longest of ${entries.length} requests.`;
+    }
 
-    updateMeasurementDisplay();
-    e.preventDefault();
+    return {
+        diagram: {
+            title: title,
+            startTime: startTime,
+            lanes: lanes,
+            boxes: boxes,
+            nextLaneId: lanes.length + 1,
+            nextBoxId: boxes.length + 1,
+            dependencies: [],
+            locked: false,
+            compressionEnabled: false,
+            settings: buildImportedDiagramSettings(totalDuration),
+            measurementState: null
+        },
+        note: note
+    };
 }
 
-function updateMeasurement(e) {
-    if (!app.isMeasuring) return;
+// =====================================================
+// Table Import - CSV/TSV files and spreadsheet paste
+// =====================================================
+const TABLE_IMPORT_FIELDS = Object.freeze(['lane', 'label', 'start', 'end', 'duration', 'color']);
+// Normalized header names recognized for each field when guessing the column mapping
+const TABLE_IMPORT_HEADER_HINTS = Object.freeze({
+    lane: ['lane', 'track', 'swimlane', 'resource', 'group', 'category', 'service', 'host', 'thread', 'row'],
+    label: ['label', 'name', 'task', 'title', 'event', 'activity', 'description', 'step'],
+    start: ['start', 'starttime', 'startoffset', 'begin', 'from', 'startedat', 'timestamp', 'time'],
+    end: ['end', 'endtime', 'finish', 'stop', 'until', 'to', 'endedat'],
+    duration: ['duration', 'dur', 'length', 'elapsed', 'took'],
+    color: ['color', 'colour']
+});
+let pendingTableImport = null; // { fileName, mappingKey } while the table import modal is open
 
-    const snapPoints = app.measureSnapPoints || getMeasurementSnapPoints();
-    app.measureEnd = resolveMeasurementPoint(e.clientX, e.clientY, snapPoints);
-    updateMeasurementDisplay();
+function detectTableDelimiter(text) {
+    const firstLine = String(text || '').split(/\r?\n/, 1)[0] || '';
+    if (firstLine.includes('\t')) return '\t';
+    const commas = (firstLine.match(/,/g) || []).length;
+    const semicolons = (firstLine.match(/;/g) || []).length;
+    return semicolons > commas ? ';' : ',';
 }
 
-function endMeasurement() {
-    if (!app.isMeasuring) return;
-
-    const completedMeasurement = createMeasurementEntry(app.measureStart, app.measureEnd, app.measureCurrentColor);
-    const hasDistance = completedMeasurement.start && completedMeasurement.end
-        && Math.abs(completedMeasurement.end.x - completedMeasurement.start.x) >= MIN_MEASUREMENT_DISTANCE_PX;
+/**
+ * Split delimited text into rows of cells. Handles quoted cells with escaped
+ * quotes ("") and embedded delimiters/newlines; blank lines are dropped.
+ */
+function parseDelimitedText(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const source = String(text || '');
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
 
-    app.isMeasuring = false;
-    app.measureSnapPoints = null;
+function guessTableColumnMapping(headers) {
+    const normalized = headers.map(header => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, ''));
+    const mapping = {};
+    const used = new Set();
+    TABLE_IMPORT_FIELDS.forEach(field => {
+        const hints = TABLE_IMPORT_HEADER_HINTS[field];
+        let index = normalized.findIndex((name, i) => !used.has(i) && hints.includes(name));
+        if (index === -1) {
+            index = normalized.findIndex((name, i) => !used.has(i) && name && hints.some(hint => hint.length > 3 && name.includes(hint)));
+        }
+        mapping[field] = index;
+        if (index !== -1) used.add(index);
+    });
+    return mapping;
+}
 
-    if (hasDistance) {
-        app.measurements.push(completedMeasurement);
-        app.measureStart = cloneMeasurementPoint(completedMeasurement.start);
-        app.measureEnd = cloneMeasurementPoint(completedMeasurement.end);
-    } else {
-        app.measureStart = null;
-        app.measureEnd = null;
+/**
+ * Read one time cell. Plain numbers use the dialog's unit, numbers with a unit
+ * suffix ("250ms", "1.5 s", "2 min") use TIME_UNIT_ALIASES, and clock times
+ * ("09:30:05.250", "09:30:05 250") or dates ("2024-05-01T09:30:05Z") are
+ * absolute.
+ * @param {string} raw - Cell text
+ * @param {string} unit - Unit for bare numbers
+ * @param {boolean} allowAbsolute - Whether clock/date values are accepted
+ * @returns {{ms: number, kind: 'relative'|'clock'|'date'}|null}
+ */
+function parseTableTimeValue(raw, unit, allowAbsolute = true) {
+    const value = String(raw || '').trim();
+    if (!value) return null;
+
+    const numberMatch = value.match(/^(-?\d+(?:[.,]\d+)?)\s*([a-zA-Z]+)?$/);
+    if (numberMatch) {
+        const numeric = Number(numberMatch[1].replace(',', '.'));
+        let valueUnit = unit;
+        if (numberMatch[2]) {
+            const token = numberMatch[2].toLowerCase();
+            valueUnit = TIME_UNIT_FACTORS_MS[token] ? token : TIME_UNIT_ALIASES[token];
+            if (!valueUnit) return null;
+        }
+        const ms = parseInputToMs(numeric, {
+            unit: valueUnit,
+            fallbackMs: NaN,
+            minMs: Number.NEGATIVE_INFINITY
+        });
+        return Number.isFinite(ms) ? { ms: ms, kind: 'relative' } : null;
     }
 
-    updateMeasurementDisplay();
-
-    // Ctrl/Cmd measurement mode: auto-hide after delay unless pinned
-    if (!app.measurePinned && !app.measureToolActive) {
-        setTimeout(() => {
-            if (!app.isMeasuring && !app.measurePinned && !app.measureToolActive) {
-                app.measurements = [];
-                app.measureStart = null;
-                app.measureEnd = null;
-                const overlay = document.getElementById('measurement-overlay');
-                const infoBox = document.getElementById('measurement-info');
-                if (overlay) overlay.classList.remove('active');
-                if (infoBox) infoBox.classList.remove('active');
-                const measureBar = document.getElementById('measurement-bar');
-                if (measureBar) measureBar.classList.add('hidden');
-                autoSave();
-                saveSessionState();
-            }
-        }, 2000);
+    if (!allowAbsolute) return null;
+    const clockMatch = value.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?(?:[.,\s](\d{1,3}))?$/);
+    if (clockMatch) {
+        const [, hours, minutes, seconds = '0', millis = '0'] = clockMatch;
+        return {
+            ms: Number(hours) * 3600000 + Number(minutes) * 60000 + Number(seconds) * 1000 + Number(millis.padEnd(3, '0')),
+            kind: 'clock'
+        };
+    }
+    if (/\d{4}-\d{2}-\d{2}/.test(value)) {
+        const epochMs = Date.parse(value);
+        if (Number.isFinite(epochMs)) return { ms: epochMs, kind: 'date' };
     }
+    return null;
+}
 
-    autoSave();
-    saveSessionState();
+function getLocalTimeOfDayMs(epochMs) {
+    const date = new Date(epochMs);
+    return date.getHours() * 3600000 + date.getMinutes() * 60000 + date.getSeconds() * 1000 + date.getMilliseconds();
 }
 
-function toggleMeasurementPin() {
-    app.measurePinned = !app.measurePinned;
-    const overlay = document.getElementById('measurement-overlay');
-    const infoBox = document.getElementById('measurement-info');
+/**
+ * Turn mapped table rows into diagram JSON. Absolute times become offsets from
+ * the start time (the earliest timestamp unless one is given).
+ * @param {string[][]} rows - Data rows (header excluded)
+ * @param {Object} mapping - Column index per field, -1 when unmapped
+ * @param {Object} options - { unit, startTime, fileName, headers }
+ * @returns {{diagram: Object, note: string, skipped: number}}
+ */
+function buildTableImportDiagram(rows, mapping, options = {}) {
+    if (mapping.start === -1 || (mapping.end === -1 && mapping.duration === -1)) {
+        throw new Error('Map a Start column and either an End or a Duration column.');
+    }
 
-    if (app.measurePinned) {
-        if (overlay) overlay.classList.add('pinned');
-        if (infoBox) infoBox.classList.add('pinned');
-    } else {
-        if (overlay) overlay.classList.remove('pinned');
-        if (infoBox) infoBox.classList.remove('pinned');
-        // Fade out after unpinning
-        setTimeout(() => {
-            if (!app.isMeasuring && !app.measurePinned && !app.measureToolActive) {
-                app.measurements = [];
-                app.measureStart = null;
-                app.measureEnd = null;
-                if (overlay) overlay.classList.remove('active');
-                if (infoBox) infoBox.classList.remove('active');
-                // Also hide toolbar bar
-                const measureBar = document.getElementById('measurement-bar');
-                if (measureBar) measureBar.classList.add('hidden');
-                autoSave();
-                saveSessionState();
+    const unit = normalizeBaseTimeUnit(options.unit);
+    const cellOf = (row, field) => (mapping[field] === -1 ? '' : String(row[mapping[field]] ?? '').trim());
+    const records = [];
+    let skipped = 0;
+    let absoluteKind = null;
+
+    rows.forEach(row => {
+        const start = parseTableTimeValue(cellOf(row, 'start'), unit);
+        if (!start) {
+            skipped++;
+            return;
+        }
+        let endMs;
+        if (mapping.end !== -1 && cellOf(row, 'end')) {
+            const end = parseTableTimeValue(cellOf(row, 'end'), unit);
+            if (!end || (end.kind !== start.kind && end.kind !== 'relative')) {
+                skipped++;
+                return;
             }
-        }, 2000);
+            // A relative end next to an absolute start is read as a duration
+            endMs = end.kind === start.kind ? end.ms : start.ms + end.ms;
+        } else {
+            const duration = parseTableTimeValue(cellOf(row, 'duration'), unit, false);
+            if (!duration) {
+                skipped++;
+                return;
+            }
+            endMs = start.ms + duration.ms;
+        }
+        if (start.kind !== 'relative') {
+            if (absoluteKind && absoluteKind !== start.kind) {
+                skipped++;
+                return;
+            }
+            absoluteKind = start.kind;
+        }
+        if (!(endMs > start.ms)) {
+            skipped++;
+            return;
+        }
+        records.push({
+            lane: cellOf(row, 'lane') || 'Lane 1',
+            label: cellOf(row, 'label'),
+            color: cellOf(row, 'color'),
+            kind: start.kind,
+            startMs: start.ms,
+            endMs: endMs
+        });
+    });
+
+    // Mixed files keep the rows matching the first absolute timestamp style
+    const usable = absoluteKind ? records.filter(record => record.kind === absoluteKind) : records;
+    skipped += records.length - usable.length;
+    if (usable.length === 0) {
+        throw new Error('No rows with a valid start and end/duration.');
     }
 
-    // Update toolbar bar pin button state
-    const barPinBtn = document.getElementById('measure-bar-pin');
-    if (barPinBtn) {
-        barPinBtn.classList.toggle('active', app.measurePinned);
-        barPinBtn.title = app.measurePinned ? 'Unpin measurement' : 'Pin measurement';
+    let originMs = 0;
+    let startTime = options.startTime && parseTime(options.startTime) ? options.startTime : '00:00:00 000';
+    if (absoluteKind) {
+        const earliest = usable.reduce((min, record) => Math.min(min, record.startMs), Infinity);
+        if (options.startTime) {
+            const startOfDay = parseTime(options.startTime);
+            originMs = absoluteKind === 'clock' ? startOfDay : earliest - getLocalTimeOfDayMs(earliest) + startOfDay;
+        } else {
+            originMs = earliest;
+            startTime = formatTime(absoluteKind === 'clock' ? earliest : getLocalTimeOfDayMs(earliest));
+        }
     }
 
-    updateMeasurementDisplay();
-    autoSave();
-    saveSessionState();
+    const laneNames = [];
+    usable.forEach(record => {
+        if (!laneNames.includes(record.lane)) laneNames.push(record.lane);
+    });
+    const lanes = laneNames.map((name, index) => ({
+        id: index + 1,
+        name: name,
+        order: index,
+        baseColor: PALETTE[index % PALETTE.length]
+    }));
+
+    const boxes = usable.map((record, index) => {
+        const startOffset = Math.max(0, record.startMs - originMs);
+        const box = {
+            id: index + 1,
+            laneId: laneNames.indexOf(record.lane) + 1,
+            startOffset: startOffset,
+            duration: Math.max(MIN_BOX_DURATION_MS, record.endMs - originMs - startOffset),
+            label: record.label
+        };
+        const hex = record.color.replace(/^#/, '');
+        if (/^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(hex)) {
+            box.color = `#${hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex}`;
+        }
+        return box;
+    });
+
+    const totalDuration = boxes.reduce((maxEnd, b) => Math.max(maxEnd, b.startOffset + b.duration), 0);
+    const baseTimeUnit = unit === 'ms' ? chooseImportBaseTimeUnit(totalDuration) : unit;
+    const title = String(options.fileName || '').replace(/\.[^.]+$/, '').trim() || 'Imported Table';
+
+    let note = `${boxes.length} box${boxes.length === 1 ? '' : 'es'} on ${lanes.length} lane${lanes.length === 1 ? '' : 's'} from table.`;
+    if (skipped > 0) note += ` Skipped ${skipped} row${skipped === 1 ? '' : 's'} without valid times.`;
+
+    return {
+        diagram: {
+            title: title,
+            startTime: startTime,
+            lanes: lanes,
+            boxes: boxes,
+            nextLaneId: lanes.length + 1,
+            nextBoxId: boxes.length + 1,
+            dependencies: [],
+            locked: false,
+            compressionEnabled: false,
+            settings: buildImportedDiagramSettings(totalDuration, baseTimeUnit),
+            measurementState: null
+        },
+        note: note,
+        skipped: skipped
+    };
 }
 
-function closeMeasurement() {
-    app.isMeasuring = false;
-    app.measurePinned = false;
-    app.measureToolActive = false;
-    app.measureSnapPoints = null;
-    app.measureStart = null;
-    app.measureEnd = null;
-    app.measurements = [];
-    app.measureSequence = 0;
-    app.measureCurrentColor = MEASUREMENT_COLORS[0];
-    app.measurePanelDrag = null;
-    const overlay = document.getElementById('measurement-overlay');
-    const infoBox = document.getElementById('measurement-info');
-    if (overlay) overlay.classList.remove('active', 'pinned');
-    if (infoBox) {
-        infoBox.classList.remove('active', 'pinned', 'dragging');
-        infoBox.innerHTML = '';
+function getTableImportRows() {
+    const textArea = document.getElementById('table-import-text');
+    const delimiterSelect = document.getElementById('table-import-delimiter');
+    const text = textArea ? textArea.value : '';
+    const delimiterChoice = delimiterSelect ? delimiterSelect.value : 'auto';
+    const delimiter = delimiterChoice === 'auto'
+        ? detectTableDelimiter(text)
+        : ({ comma: ',', tab: '\t', semicolon: ';' }[delimiterChoice] || ',');
+    const rows = parseDelimitedText(text, delimiter);
+    const hasHeader = !!document.getElementById('table-import-header')?.checked;
+    const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    const headers = hasHeader && rows.length > 0
+        ? Array.from({ length: columnCount }, (_, i) => (rows[0][i] || '').trim() || `Column ${i + 1}`)
+        : Array.from({ length: columnCount }, (_, i) => `Column ${i + 1}`);
+    return { headers: headers, dataRows: hasHeader ? rows.slice(1) : rows };
+}
+
+function readTableImportMapping() {
+    const mapping = {};
+    TABLE_IMPORT_FIELDS.forEach(field => {
+        const select = document.getElementById(`table-import-map-${field}`);
+        mapping[field] = select ? parseInt(select.value, 10) : -1;
+    });
+    return mapping;
+}
+
+function readTableImportOptions(headers) {
+    return {
+        unit: document.getElementById('table-import-unit')?.value || 'ms',
+        startTime: (document.getElementById('table-import-start-time')?.value || '').trim(),
+        fileName: pendingTableImport ? pendingTableImport.fileName : '',
+        headers: headers
+    };
+}
+
+/**
+ * Re-parse the pasted/loaded text and refresh the column mapping and preview.
+ * The mapping is re-guessed only when the columns change, so manual choices stick.
+ */
+function refreshTableImport() {
+    if (!pendingTableImport) return;
+    const { headers, dataRows } = getTableImportRows();
+    const mappingSection = document.getElementById('table-import-mapping');
+    const status = document.getElementById('table-import-status');
+    const preview = document.getElementById('table-import-preview');
+    const confirmBtn = document.getElementById('confirm-table-import');
+
+    if (mappingSection) mappingSection.classList.toggle('hidden', headers.length === 0);
+    const mappingKey = headers.join('\u0000');
+    if (mappingKey !== pendingTableImport.mappingKey) {
+        pendingTableImport.mappingKey = mappingKey;
+        const guess = guessTableColumnMapping(headers);
+        TABLE_IMPORT_FIELDS.forEach(field => {
+            const select = document.getElementById(`table-import-map-${field}`);
+            if (!select) return;
+            select.innerHTML = '';
+            select.appendChild(new Option('—', '-1'));
+            headers.forEach((header, index) => select.appendChild(new Option(header, String(index))));
+            select.value = String(guess[field]);
+        });
     }
-    // Hide toolbar measurement bar
-    const measureBar = document.getElementById('measurement-bar');
-    if (measureBar) measureBar.classList.add('hidden');
-    const barPinBtn = document.getElementById('measure-bar-pin');
-    if (barPinBtn) {
-        barPinBtn.classList.remove('active');
-        barPinBtn.title = 'Pin measurement';
+
+    if (preview) preview.innerHTML = '';
+    if (headers.length === 0) {
+        if (status) status.textContent = 'Paste rows or choose a CSV/TSV file.';
+        if (confirmBtn) confirmBtn.disabled = true;
+        return;
     }
-    const toolBtn = document.getElementById('measure-tool-btn');
-    if (toolBtn) {
-        toolBtn.classList.remove('active');
-        toolBtn.setAttribute('aria-pressed', 'false');
+
+    try {
+        const result = buildTableImportDiagram(dataRows, readTableImportMapping(), readTableImportOptions(headers));
+        const { lanes, boxes } = result.diagram;
+        if (preview) {
+            const table = document.createElement('table');
+            table.className = 'table-import-preview-table';
+            const headRow = table.insertRow();
+            ['Lane', 'Label', 'Start (ms)', 'Duration (ms)'].forEach(text => {
+                const th = document.createElement('th');
+                th.textContent = text;
+                headRow.appendChild(th);
+            });
+            boxes.slice(0, 5).forEach(box => {
+                const row = table.insertRow();
+                [lanes[box.laneId - 1].name, box.label, formatUnitValue(box.startOffset), formatUnitValue(box.duration)]
+                    .forEach(text => {
+                        row.insertCell().textContent = text;
+                    });
+            });
+            preview.appendChild(table);
+        }
+        if (status) status.textContent = result.note;
+        if (confirmBtn) confirmBtn.disabled = false;
+    } catch (err) {
+        if (status) status.textContent = err.message;
+        if (confirmBtn) confirmBtn.disabled = true;
     }
-    document.body.style.cursor = '';
 }
 
-function toggleMeasurementTool() {
-    app.measureToolActive = !app.measureToolActive;
-    const btn = document.getElementById('measure-tool-btn');
-
-    if (app.measureToolActive) {
-        btn.classList.add('active');
-        btn.setAttribute('aria-pressed', 'true');
-        document.body.style.cursor = 'crosshair';
-        // Show measurement bar with zero values
-        const measureBar = document.getElementById('measurement-bar');
-        if (measureBar) {
-            measureBar.classList.remove('hidden');
-            const durEl = document.getElementById('measure-bar-duration');
-            const startEl = document.getElementById('measure-bar-start');
-            const endEl = document.getElementById('measure-bar-end');
-            if (durEl) durEl.textContent = '0ms';
-            if (startEl) startEl.textContent = '0ms';
-            if (endEl) endEl.textContent = '0ms';
-        }
-    } else {
-        btn.classList.remove('active');
-        btn.setAttribute('aria-pressed', 'false');
-        document.body.style.cursor = '';
-        closeMeasurement();
+/**
+ * Open the table import dialog, optionally pre-filled with file contents.
+ * @param {string} text - CSV/TSV text ('' for an empty paste box)
+ * @param {string} fileName - Source file name, used for the title
+ */
+function openTableImportModal(text = '', fileName = '') {
+    pendingTableImport = { fileName: fileName, mappingKey: null };
+    const textArea = document.getElementById('table-import-text');
+    if (textArea) textArea.value = text;
+    const unitSelect = document.getElementById('table-import-unit');
+    if (unitSelect) unitSelect.value = 'ms';
+    const modal = document.getElementById('table-import-modal');
+    if (modal) modal.classList.remove('hidden');
+    refreshTableImport();
+    if (textArea && !text) textArea.focus();
+}
+
+function closeTableImportModal() {
+    pendingTableImport = null;
+    const modal = document.getElementById('table-import-modal');
+    if (!modal) return;
+    // Drop focus from the paste box so canvas shortcuts work again right away
+    if (modal.contains(document.activeElement)) document.activeElement.blur();
+    modal.classList.add('hidden');
+}
+
+function confirmTableImport() {
+    if (!pendingTableImport) return;
+    const { headers, dataRows } = getTableImportRows();
+    try {
+        const result = buildTableImportDiagram(dataRows, readTableImportMapping(), readTableImportOptions(headers));
+        closeTableImportModal();
+        openImportedDiagram(result.diagram, result.note);
+    } catch (err) {
+        showToast({
+            type: 'error',
+            title: 'Import Failed',
+            message: err.message
+        });
     }
+}
 
-    updateMeasurementDisplay();
-    autoSave();
-    saveSessionState();
+function loadTableImportFile(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        if (!pendingTableImport) return;
+        pendingTableImport.fileName = file.name;
+        const textArea = document.getElementById('table-import-text');
+        if (textArea) textArea.value = e.target.result;
+        refreshTableImport();
+    };
+    reader.readAsText(file);
 }
 
-function restorePinnedMeasurement() {
-    // First close any existing measurement
-    closeMeasurement();
+// =====================================================
+// Compare Mode - visual diff between two diagrams or versions
+// =====================================================
+const DIFF_COLORS = Object.freeze({
+    added: '#22c55e',
+    removed: '#ef4444',
+    changed: '#f59e0b',
+    unchanged: '#64748b'
+});
+// Starts and durations closer than this are treated as equal (float noise from unit conversions)
+const DIFF_TOLERANCE_MS = 0.0005;
+let compareSnapshots = new Map();
+let lastDiagramDiff = null;
 
-    // Check if there's measurement data to restore
-    if (!app.pinnedMeasurementData) return;
+function normalizeDiffKey(value) {
+    return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
 
-    const canvas = app.elements.lanesCanvas;
-    if (!canvas) return;
+/**
+ * Lanes of a stored diagram in display order, each with its boxes sorted by start.
+ * @param {Object} data - Diagram JSON (toJSON() shape)
+ */
+function getDiffLanes(data) {
+    const lanes = (Array.isArray(data?.lanes) ? data.lanes : [])
+        .map((lane, index) => ({ lane, order: Number.isFinite(lane.order) ? lane.order : index }))
+        .sort((a, b) => a.order - b.order)
+        .map(({ lane }) => lane);
+    const boxes = Array.isArray(data?.boxes) ? data.boxes : [];
+    return lanes.map(lane => ({
+        id: lane.id,
+        name: String(lane.name || ''),
+        boxes: boxes
+            .filter(box => box.laneId === lane.id)
+            .map(box => ({
+                label: String(box.label || ''),
+                startMs: Number(box.startOffset) || 0,
+                durationMs: Number(box.duration) || 0,
+                color: box.color || ''
+            }))
+            .sort((a, b) => a.startMs - b.startMs)
+    }));
+}
 
-    const rect = canvas.getBoundingClientRect();
-    const lanesAreaHeight = app.diagram.lanes.length * getLaneHeightPx();
-    const defaultY = lanesAreaHeight / 2;
-    const persisted = app.pinnedMeasurementData;
+/**
+ * Pairs items by normalized key; the nth occurrence of a key on one side pairs
+ * with the nth on the other, so repeated labels line up in time order.
+ * @returns {Array<[?Object, ?Object]>} [base, target] pairs in target order, unmatched base items last
+ */
+function pairDiffItems(baseItems, targetItems, getKey) {
+    const buckets = new Map();
+    baseItems.forEach(item => {
+        const key = getKey(item);
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(item);
+    });
+    const pairs = targetItems.map(item => {
+        const bucket = buckets.get(getKey(item));
+        return [bucket && bucket.length ? bucket.shift() : null, item];
+    });
+    buckets.forEach(bucket => bucket.forEach(item => pairs.push([item, null])));
+    return pairs;
+}
 
-    const normalizePointForCanvas = (point) => {
-        const normalized = normalizeMeasurementPoint(point);
-        if (!normalized || !Number.isFinite(normalized.x)) return null;
-        const safeY = Number.isFinite(normalized.y) ? normalized.y : defaultY;
-        return {
-            x: normalized.x,
-            y: safeY,
-            clientX: rect.left + normalized.x - canvas.scrollLeft,
-            clientY: rect.top + safeY - canvas.scrollTop,
-            snapped: !!normalized.snapped,
-            snapTimeMs: Number.isFinite(normalized.snapTimeMs) ? normalized.snapTimeMs : null
-        };
-    };
+function getLaneSpanMs(boxes) {
+    if (!boxes.length) return 0;
+    const start = Math.min(...boxes.map(b => b.startMs));
+    const end = Math.max(...boxes.map(b => b.startMs + b.durationMs));
+    return end - start;
+}
 
-    const normalizeEntryForCanvas = (entry, fallbackColor, idx) => {
-        const normalized = normalizeMeasurementEntry(entry, fallbackColor);
-        if (!normalized) return null;
-        const start = normalizePointForCanvas(normalized.start);
-        const end = normalizePointForCanvas(normalized.end);
-        if (!start || !end) return null;
+/**
+ * Matches lanes by name and boxes by label, then classifies each box as added,
+ * removed, changed (moved and/or resized) or unchanged.
+ * @param {Object} baseData - "Before" diagram JSON
+ * @param {Object} targetData - "After" diagram JSON
+ * @returns {{lanes: Array<Object>, summary: Object, endMs: number}}
+ */
+function compareDiagramData(baseData, targetData) {
+    const summary = { added: 0, removed: 0, moved: 0, resized: 0, unchanged: 0, lanesAdded: 0, lanesRemoved: 0 };
+    let endMs = 0;
+    const lanePairs = pairDiffItems(getDiffLanes(baseData), getDiffLanes(targetData), lane => normalizeDiffKey(lane.name));
+
+    const lanes = lanePairs.map(([baseLane, targetLane]) => {
+        const boxPairs = pairDiffItems(baseLane ? baseLane.boxes : [], targetLane ? targetLane.boxes : [], box => normalizeDiffKey(box.label));
+        const boxes = boxPairs.map(([base, target]) => {
+            [base, target].forEach(box => {
+                if (box) endMs = Math.max(endMs, box.startMs + box.durationMs);
+            });
+            if (!base) {
+                summary.added++;
+                return { status: 'added', label: target.label, base: null, target };
+            }
+            if (!target) {
+                summary.removed++;
+                return { status: 'removed', label: base.label, base, target: null };
+            }
+            const startDeltaMs = target.startMs - base.startMs;
+            const durationDeltaMs = target.durationMs - base.durationMs;
+            const moved = Math.abs(startDeltaMs) > DIFF_TOLERANCE_MS;
+            const resized = Math.abs(durationDeltaMs) > DIFF_TOLERANCE_MS;
+            if (moved) summary.moved++;
+            if (resized) summary.resized++;
+            if (!moved && !resized) summary.unchanged++;
+            return {
+                status: (moved || resized) ? 'changed' : 'unchanged',
+                label: target.label,
+                base,
+                target,
+                moved,
+                resized,
+                startDeltaMs,
+                durationDeltaMs
+            };
+        });
 
+        const status = !baseLane ? 'added' : (!targetLane ? 'removed' : 'matched');
+        if (status === 'added') summary.lanesAdded++;
+        if (status === 'removed') summary.lanesRemoved++;
+        const baseSpanMs = baseLane ? getLaneSpanMs(baseLane.boxes) : null;
+        const targetSpanMs = targetLane ? getLaneSpanMs(targetLane.boxes) : null;
         return {
-            id: normalized.id || `m-restore-${Date.now()}-${idx}`,
-            color: sanitizeMeasurementColor(normalized.color, fallbackColor),
-            start,
-            end
+            name: (targetLane || baseLane).name,
+            status,
+            baseSpanMs,
+            targetSpanMs,
+            deltaMs: (baseSpanMs !== null && targetSpanMs !== null) ? targetSpanMs - baseSpanMs : null,
+            boxes
         };
-    };
-
-    if (persisted && typeof persisted === 'object' && (persisted.measurements || persisted.toolActive !== undefined || persisted.pinned !== undefined)) {
-        const restoredMeasurements = Array.isArray(persisted.measurements)
-            ? persisted.measurements
-                .map((entry, idx) => normalizeEntryForCanvas(entry, MEASUREMENT_COLORS[idx % MEASUREMENT_COLORS.length], idx))
-                .filter(Boolean)
-            : [];
+    });
 
-        const restoredStart = normalizePointForCanvas(persisted.start)
-            || (restoredMeasurements[0] ? cloneMeasurementPoint(restoredMeasurements[restoredMeasurements.length - 1].start) : null);
-        const restoredEnd = normalizePointForCanvas(persisted.end)
-            || (restoredMeasurements[0] ? cloneMeasurementPoint(restoredMeasurements[restoredMeasurements.length - 1].end) : null);
+    return { lanes, summary, endMs };
+}
 
-        app.measurements = restoredMeasurements;
-        app.measureStart = restoredStart;
-        app.measureEnd = restoredEnd;
-        app.measurePinned = !!persisted.pinned;
-        app.measureToolActive = !!persisted.toolActive;
-        app.measureSequence = Math.max(restoredMeasurements.length, parseInt(persisted.sequence, 10) || 0);
-        app.measureCurrentColor = sanitizeMeasurementColor(persisted.currentColor, MEASUREMENT_COLORS[app.measureSequence % MEASUREMENT_COLORS.length]);
-        app.measurePanelPosition = (persisted.panelPosition && Number.isFinite(persisted.panelPosition.x) && Number.isFinite(persisted.panelPosition.y))
-            ? { x: Number(persisted.panelPosition.x), y: Number(persisted.panelPosition.y) }
-            : null;
-    } else {
-        // Legacy format: pinned range only
-        const startX = Number(persisted?.startX);
-        const endX = Number(persisted?.endX);
-        if (Number.isFinite(startX) && Number.isFinite(endX)) {
-            const clientStartX = rect.left + startX - canvas.scrollLeft;
-            const clientEndX = rect.left + endX - canvas.scrollLeft;
-            const clientY = rect.top + defaultY - canvas.scrollTop;
-            const restoredStart = { x: startX, y: defaultY, clientX: clientStartX, clientY: clientY, snapped: false, snapTimeMs: null };
-            const restoredEnd = { x: endX, y: defaultY, clientX: clientEndX, clientY: clientY, snapped: false, snapTimeMs: null };
+function formatDiffDelta(ms, unit) {
+    if (!Number.isFinite(ms) || Math.abs(ms) <= DIFF_TOLERANCE_MS) return '±0';
+    return `${ms > 0 ? '+' : '−'}${formatDuration(Math.abs(ms), unit)}`;
+}
 
-            app.measureStart = cloneMeasurementPoint(restoredStart);
-            app.measureEnd = cloneMeasurementPoint(restoredEnd);
-            app.measurements = [createMeasurementEntry(restoredStart, restoredEnd, MEASUREMENT_COLORS[0])];
-            app.measurePinned = true;
-            app.measureToolActive = false;
-            app.measureSequence = 1;
-            app.measureCurrentColor = MEASUREMENT_COLORS[1 % MEASUREMENT_COLORS.length];
-            app.measurePanelPosition = null;
-        }
-    }
+function describeDiffBox(box, unit) {
+    if (box.status === 'added') return 'added';
+    if (box.status === 'removed') return 'removed';
+    if (box.status === 'unchanged') return 'unchanged';
+    const parts = [];
+    if (box.moved) parts.push(`moved ${formatDiffDelta(box.startDeltaMs, unit)}`);
+    if (box.resized) parts.push(`duration ${formatDiffDelta(box.durationDeltaMs, unit)}`);
+    return parts.join(', ');
+}
 
-    const measureToolBtn = document.getElementById('measure-tool-btn');
-    if (measureToolBtn) {
-        measureToolBtn.classList.toggle('active', app.measureToolActive);
-        measureToolBtn.setAttribute('aria-pressed', app.measureToolActive ? 'true' : 'false');
-    }
-    document.body.style.cursor = app.measureToolActive ? 'crosshair' : '';
+function getDiffTickStepMs(rangeMs) {
+    const rough = Math.max(rangeMs, 1) / 8;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 5, 10].map(f => f * magnitude).find(candidate => candidate >= rough);
+    return step || magnitude * 10;
+}
 
-    // Update display
-    updateMeasurementDisplay();
+/**
+ * Standalone SVG for a diff: each lane shows the "before" boxes as dashed
+ * outlines above the "after" boxes, colored by change status.
+ * @param {Object} diff - Result of compareDiagramData()
+ * @param {{baseLabel: string, targetLabel: string, unit: string}} options
+ * @returns {string} SVG markup
+ */
+function buildDiagramDiffSVG(diff, { baseLabel, targetLabel, unit }) {
+    const labelWidth = 220;
+    const timelineWidth = 880;
+    const width = labelWidth + timelineWidth + 30;
+    const headerHeight = 64;
+    const rulerHeight = 24;
+    const laneHeight = 46;
+    const footerHeight = 34;
+    const lanesTop = headerHeight + rulerHeight;
+    const height = lanesTop + Math.max(1, diff.lanes.length) * laneHeight + footerHeight;
+    const endMs = Math.max(diff.endMs, 1);
+    const x = ms => labelWidth + (ms / endMs) * timelineWidth;
+    const text = value => escapeHtml(String(value));
+    const { summary } = diff;
+
+    let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Inter, sans-serif">\n`;
+    svg += `  <rect width="${width}" height="${height}" fill="#0f1419"/>\n`;
+    svg += `  <text x="16" y="24" font-size="15" font-weight="600" fill="#e5e7eb">${text(baseLabel)} → ${text(targetLabel)}</text>\n`;
+    const legend = [
+        ['added', `${summary.added} added`],
+        ['removed', `${summary.removed} removed`],
+        ['changed', `${summary.moved} moved, ${summary.resized} resized`],
+        ['unchanged', `${summary.unchanged} unchanged`]
+    ];
+    legend.forEach(([status, label], i) => {
+        const lx = 16 + i * 190;
+        svg += `  <rect x="${lx}" y="38" width="12" height="12" rx="2" fill="${DIFF_COLORS[status]}"/>\n`;
+        svg += `  <text x="${lx + 18}" y="48" font-size="11" fill="#9ca3af">${text(label)}</text>\n`;
+    });
+    svg += `  <text x="${width - 16}" y="48" text-anchor="end" font-size="11" fill="#6b7280">dashed = before, filled = after</text>\n`;
+
+    // Ruler
+    const step = getDiffTickStepMs(endMs);
+    for (let t = 0; t <= endMs + step * 0.001; t += step) {
+        const tx = x(Math.min(t, endMs));
+        svg += `  <line x1="${tx}" y1="${headerHeight + 16}" x2="${tx}" y2="${height - footerHeight}" stroke="#1f2937" stroke-width="1"/>\n`;
+        svg += `  <text x="${tx}" y="${headerHeight + 12}" text-anchor="middle" font-size="10" fill="#6b7280">${text(formatDuration(t, unit))}</text>\n`;
+    }
+
+    diff.lanes.forEach((lane, index) => {
+        const y = lanesTop + index * laneHeight;
+        svg += `  <rect x="0" y="${y}" width="${width}" height="${laneHeight}" fill="${index % 2 ? '#141a24' : '#111722'}"/>\n`;
+        const laneColor = lane.status === 'matched' ? '#e5e7eb' : DIFF_COLORS[lane.status];
+        svg += `  <text x="12" y="${y + 19}" font-size="12" font-weight="600" fill="${laneColor}">${text(lane.name || 'Untitled lane')}${lane.status === 'matched' ? '' : ` (${lane.status})`}</text>\n`;
+        if (lane.deltaMs !== null) {
+            const deltaColor = Math.abs(lane.deltaMs) <= DIFF_TOLERANCE_MS ? '#6b7280' : (lane.deltaMs > 0 ? DIFF_COLORS.removed : DIFF_COLORS.added);
+            svg += `  <text x="12" y="${y + 35}" font-size="10" fill="${deltaColor}">span ${text(formatDuration(lane.baseSpanMs, unit))} → ${text(formatDuration(lane.targetSpanMs, unit))} (${text(formatDiffDelta(lane.deltaMs, unit))})</text>\n`;
+        }
+
+        lane.boxes.forEach(box => {
+            const color = DIFF_COLORS[box.status];
+            if (box.base) {
+                const bx = x(box.base.startMs);
+                const bw = Math.max(2, x(box.base.startMs + box.base.durationMs) - bx);
+                svg += `  <rect x="${bx}" y="${y + 5}" width="${bw}" height="14" rx="2" fill="none" stroke="${box.status === 'removed' ? color : '#6b7280'}" stroke-width="1.2" stroke-dasharray="4 2"/>\n`;
+            }
+            if (box.target) {
+                const tx = x(box.target.startMs);
+                const tw = Math.max(2, x(box.target.startMs + box.target.durationMs) - tx);
+                const caption = box.status === 'changed'
+                    ? `${box.label} ${box.resized ? formatDiffDelta(box.durationDeltaMs, unit) : formatDiffDelta(box.startDeltaMs, unit)}`
+                    : box.label;
+                svg += `  <g>\n    <title>${text(`${box.label || 'Untitled'}: ${describeDiffBox(box, unit)}`)}</title>\n`;
+                svg += `    <rect x="${tx}" y="${y + 22}" width="${tw}" height="18" rx="3" fill="${color}" fill-opacity="${box.status === 'unchanged' ? 0.45 : 0.85}"/>\n`;
+                if (caption && tw > 24) {
+                    svg += `    <text x="${tx + 4}" y="${y + 35}" font-size="10" fill="#0f1419" font-weight="600">${text(caption.length > tw / 6 ? caption.slice(0, Math.max(1, Math.floor(tw / 6) - 1)) + '…' : caption)}</text>\n`;
+                }
+                svg += `  </g>\n`;
+            }
+        });
+    });
 
-    // Clear the stored data
-    app.pinnedMeasurementData = null;
-    saveSessionState();
+    const footerY = height - footerHeight;
+    svg += `  <rect x="0" y="${footerY}" width="${width}" height="${footerHeight}" fill="#1a1f2e"/>\n`;
+    svg += `  <text x="16" y="${footerY + 21}" font-size="11" fill="#9ca3af">Lanes matched by name, boxes by label · ${summary.lanesAdded} lane(s) added, ${summary.lanesRemoved} removed</text>\n`;
+    svg += `</svg>`;
+    return svg;
 }
 
-function updateMeasurementDisplay() {
-    const overlay = document.getElementById('measurement-overlay');
-    if (!overlay) return;
-    const activeMeasurement = (app.isMeasuring && app.measureStart && app.measureEnd)
-        ? createMeasurementEntry(app.measureStart, app.measureEnd, app.measureCurrentColor || MEASUREMENT_COLORS[0])
-        : null;
-    const latestMeasurement = activeMeasurement || (app.measurements.length > 0 ? app.measurements[app.measurements.length - 1] : null);
-    const latestMetrics = latestMeasurement ? computeMeasurementMetrics(latestMeasurement) : null;
+/**
+ * Options for the Before/After pickers: the open diagram, its versions and every saved diagram.
+ */
+function getCompareSourceOptions() {
+    const options = [{ value: 'current', label: `Current diagram${app.diagram.title ? ` (${app.diagram.title})` : ''}` }];
+    compareSnapshots.forEach(snapshot => {
+        options.push({ value: `snapshot:${snapshot.id}`, label: `Version: ${formatVersionLabel(snapshot)} · ${new Date(snapshot.createdAt).toLocaleString()}` });
+    });
+    getAllDiagrams()
+        .filter(record => record.id !== currentDiagramId)
+        .forEach(record => options.push({ value: `diagram:${record.id}`, label: `Diagram: ${record.title || 'Untitled'}` }));
+    return options;
+}
+
+function getCompareSource(value) {
+    if (value === 'current') {
+        // While previewing a version, "current" still means the live copy
+        const record = app.versionPreview ? getAllDiagrams().find(d => d.id === app.versionPreview.diagramId) : null;
+        return { label: record ? record.title : app.diagram.title, data: record ? record.data : app.diagram.toJSON() };
+    }
+    if (value && value.startsWith('snapshot:')) {
+        const snapshot = compareSnapshots.get(value.slice('snapshot:'.length));
+        return snapshot ? { label: `${snapshot.title} (${formatVersionLabel(snapshot)})`, data: snapshot.data } : null;
+    }
+    if (value && value.startsWith('diagram:')) {
+        const record = getAllDiagrams().find(d => d.id === value.slice('diagram:'.length));
+        return record ? { label: record.title, data: record.data } : null;
+    }
+    return null;
+}
+
+function renderCompareTable(diff, unit) {
+    const rows = [];
+    diff.lanes.forEach(lane => {
+        const laneChange = lane.status === 'matched'
+            ? `span ${formatDuration(lane.baseSpanMs, unit)} → ${formatDuration(lane.targetSpanMs, unit)}`
+            : `lane ${lane.status}`;
+        rows.push(`<tr class="compare-lane-row compare-${lane.status}"><td>${escapeHtml(lane.name || 'Untitled lane')}</td><td>${escapeHtml(laneChange)}</td><td>${lane.deltaMs === null ? '' : escapeHtml(formatDiffDelta(lane.deltaMs, unit))}</td></tr>`);
+        lane.boxes.filter(box => box.status !== 'unchanged').forEach(box => {
+            const durationDelta = box.status === 'changed'
+                ? formatDiffDelta(box.durationDeltaMs, unit)
+                : formatDuration((box.target || box.base).durationMs, unit);
+            rows.push(`<tr class="compare-box-row compare-${box.status}"><td>${escapeHtml(box.label || 'Untitled')}</td><td>${escapeHtml(describeDiffBox(box, unit))}</td><td>${escapeHtml(durationDelta)}</td></tr>`);
+        });
+    });
+    return `<table class="compare-table"><thead><tr><th>Lane / box</th><th>Change</th><th>Δ duration</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+function renderComparison() {
+    const baseSelect = document.getElementById('compare-base');
+    const targetSelect = document.getElementById('compare-target');
+    const preview = document.getElementById('compare-preview');
+    if (!baseSelect || !targetSelect || !preview) return;
+
+    const base = getCompareSource(baseSelect.value);
+    const target = getCompareSource(targetSelect.value);
+    const exportBtn = document.getElementById('compare-export-svg');
+    if (!base || !target) {
+        lastDiagramDiff = null;
+        preview.innerHTML = '<div class="empty-state">Pick two diagrams or versions to compare.</div>';
+        if (exportBtn) exportBtn.disabled = true;
+        return;
+    }
 
-    const hasRenderableMeasurements = !!activeMeasurement || app.measurements.length > 0;
-    overlay.classList.toggle('active', hasRenderableMeasurements || app.measurePinned);
-    overlay.classList.toggle('pinned', app.measurePinned);
+    const unit = normalizeBaseTimeUnit(target.data?.settings?.baseTimeUnit);
+    const diff = compareDiagramData(base.data, target.data);
+    const options = { baseLabel: base.label || 'Untitled', targetLabel: target.label || 'Untitled', unit };
+    lastDiagramDiff = { diff, options };
+    preview.innerHTML = `<div class="compare-svg">${buildDiagramDiffSVG(diff, options)}</div>${renderCompareTable(diff, unit)}`;
+    if (exportBtn) exportBtn.disabled = false;
+}
 
-    renderMeasurementOverlay(activeMeasurement);
-    renderMeasurementInfo(activeMeasurement);
+function exportComparisonSVG() {
+    if (!lastDiagramDiff) return;
+    const { diff, options } = lastDiagramDiff;
+    downloadTextFile(buildDiagramDiffSVG(diff, options), 'svg', 'image/svg+xml', `${options.baseLabel} vs ${options.targetLabel}`);
+    triggerToolbarButtonFeedback('compare-export-svg', 'SVG exported');
+}
 
-    // Update measurement toolbar bar
-    const measureBar = document.getElementById('measurement-bar');
-    if (measureBar) {
-        if (latestMetrics) {
-            measureBar.classList.remove('hidden');
-        } else if (app.measureToolActive) {
-            measureBar.classList.remove('hidden');
-        } else if (!app.measureToolActive && !app.measurePinned) {
-            measureBar.classList.add('hidden');
-        }
+/**
+ * Opens compare mode. Defaults to the newest version of the open diagram as
+ * "before" and the current diagram as "after".
+ * @param {{base?: string, target?: string}} [preset] - Source values to preselect
+ */
+function openCompareModal(preset = {}) {
+    const modal = document.getElementById('compare-modal');
+    if (!modal) return;
+    flushPendingAutoSave();
+    const diagramId = app.versionPreview ? app.versionPreview.diagramId : currentDiagramId;
+    const snapshotsReady = diagramId ? DiagramStore.listSnapshots(diagramId) : Promise.resolve([]);
+
+    snapshotsReady.then(snapshots => {
+        compareSnapshots = new Map(snapshots.map(snapshot => [snapshot.id, snapshot]));
+        const options = getCompareSourceOptions();
+        ['compare-base', 'compare-target'].forEach(id => {
+            const select = document.getElementById(id);
+            select.innerHTML = '';
+            options.forEach(option => {
+                const el = document.createElement('option');
+                el.value = option.value;
+                el.textContent = option.label;
+                select.appendChild(el);
+            });
+        });
+        const values = options.map(option => option.value);
+        const fallbackBase = values.find(value => value !== 'current') || 'current';
+        document.getElementById('compare-base').value = values.includes(preset.base) ? preset.base : fallbackBase;
+        document.getElementById('compare-target').value = values.includes(preset.target) ? preset.target : 'current';
+        modal.classList.remove('hidden');
+        renderComparison();
+    });
+}
 
-        const durEl = document.getElementById('measure-bar-duration');
-        const startEl = document.getElementById('measure-bar-start');
-        const endEl = document.getElementById('measure-bar-end');
-        const pinEl = document.getElementById('measure-bar-pin');
+function closeCompareModal() {
+    const modal = document.getElementById('compare-modal');
+    if (!modal || modal.classList.contains('hidden')) return;
+    modal.classList.add('hidden');
+    compareSnapshots = new Map();
+    lastDiagramDiff = null;
+}
 
-        if (latestMetrics) {
-            if (durEl) durEl.textContent = latestMetrics.durationText;
-            if (startEl) startEl.textContent = latestMetrics.startText;
-            if (endEl) endEl.textContent = latestMetrics.endText;
-        } else if (app.measureToolActive) {
-            if (durEl) durEl.textContent = '0ms';
-            if (startEl) startEl.textContent = '0ms';
-            if (endEl) endEl.textContent = '0ms';
-        }
+// =====================================================
+// Docs-as-code - Mermaid gantt and PlantUML timing diagrams
+// =====================================================
 
-        if (pinEl) {
-            pinEl.classList.toggle('active', app.measurePinned);
-            pinEl.title = app.measurePinned ? 'Unpin measurement' : 'Pin measurement';
-        }
-    }
+// Comment written into exports so the exact start time survives a round trip
+const TEXT_DIAGRAM_START_MARKER = 'timeline-diagram start time:';
+
+/**
+ * Task and section text in Mermaid cannot contain ':' / ';' / '#', nor line breaks.
+ */
+function sanitizeMermaidText(text) {
+    return String(text || '').replace(/[:;#\r\n]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
 
+function sanitizePlantUmlText(text) {
+    return String(text || '').replace(/"/g, "'").replace(/[\r\n]+/g, ' ').trim();
 }
 
-function getDisplayTimelineDurationMs({ forFit = false } = {}) {
-    const hasBoxes = (app?.diagram?.boxes?.length || 0) > 0;
-    const totalDuration = Math.max(0, Number(app?.diagram?.getTotalDuration?.() || 0));
-    const settingsDuration = Math.max(1, Number(app?.settings?.timelineDuration || 8000));
-    const compressedDuration = Math.max(0, Number(Compression.getCompressedDuration() || 0));
-    const fitLike = !!forFit || !!app?.fitModeActive;
+function formatTextDiagramMs(ms) {
+    return formatUnitValue(ms, 3);
+}
 
-    if (Compression.enabled) {
-        if (hasBoxes) return Math.max(1, compressedDuration);
-        return settingsDuration;
-    }
+function getOrderedExportLanes() {
+    return [...app.diagram.lanes].sort((a, b) => a.order - b.order);
+}
 
-    if (!hasBoxes) return settingsDuration;
-    if (fitLike) return Math.max(1, totalDuration);
-    return Math.max(totalDuration, settingsDuration);
+function getLaneBoxesByStart(laneId) {
+    return app.diagram.boxes
+        .filter(box => box.laneId === laneId)
+        .sort((a, b) => a.startOffset - b.startOffset);
 }
 
-function getDisplayTimelineEndTimeMs({ forFit = false } = {}) {
-    const trailing = Math.max(0, Number(app?.settings?.trailingSpace || 0));
-    return Math.max(1, getDisplayTimelineDurationMs({ forFit }) + trailing);
+/**
+ * Export as a Mermaid gantt block. Times are ms offsets from the diagram start
+ * (dateFormat x), so durations render to scale without date arithmetic.
+ * @returns {string}
+ */
+function buildMermaidGantt() {
+    const axisFormats = { ms: '%S.%L', s: '%M:%S' };
+    const lines = [
+        'gantt',
+        `    title ${sanitizeMermaidText(app.diagram.title) || 'Timeline'}`,
+        '    dateFormat x',
+        `    axisFormat ${axisFormats[getBaseTimeUnit()] || '%H:%M'}`,
+        `    %% ${TEXT_DIAGRAM_START_MARKER} ${app.diagram.startTime}`
+    ];
+    getOrderedExportLanes().forEach(lane => {
+        lines.push(`    section ${sanitizeMermaidText(lane.name) || `Lane ${lane.id}`}`);
+        getLaneBoxesByStart(lane.id).forEach(box => {
+            const name = sanitizeMermaidText(box.label) || `Box ${box.id}`;
+            const start = formatTextDiagramMs(box.startOffset);
+            const end = formatTextDiagramMs(box.startOffset + box.duration);
+            lines.push(`    ${name} :b${box.id}, ${start}, ${end}`);
+        });
+    });
+    return lines.join('\n') + '\n';
 }
 
-function getFitToViewScale() {
-    const fitDuration = getDisplayTimelineEndTimeMs({ forFit: true });
+/**
+ * Export as a PlantUML concise timing diagram. A concise participant shows one
+ * state at a time, so overlapping boxes in a lane spill onto extra participants
+ * that share the lane name.
+ * @returns {string}
+ */
+function buildPlantUmlTiming() {
+    const lines = ['@startuml'];
+    const title = sanitizePlantUmlText(app.diagram.title);
+    if (title) lines.push(`title ${title}`);
+    lines.push(`' ${TEXT_DIAGRAM_START_MARKER} ${app.diagram.startTime} (times in ms)`);
+
+    const events = new Map();
+    const addEvent = (time, text) => {
+        const key = formatTextDiagramMs(time);
+        if (!events.has(key)) events.set(key, { time: time, lines: [] });
+        events.get(key).lines.push(text);
+    };
 
-    const laneLabelWidth = getLaneLabelWidthPx();
-    const canvasWidth = app.elements.lanesCanvas.clientWidth - (laneLabelWidth + 20);
-    if (canvasWidth <= 0) return null;
+    getOrderedExportLanes().forEach(lane => {
+        const tracks = [];
+        getLaneBoxesByStart(lane.id).forEach(box => {
+            let track = tracks.find(t => t.endMs <= box.startOffset);
+            if (!track) {
+                track = { alias: tracks.length === 0 ? `L${lane.id}` : `L${lane.id}_${tracks.length + 1}`, endMs: 0, boxes: [] };
+                tracks.push(track);
+            }
+            track.boxes.push(box);
+            track.endMs = box.startOffset + box.duration;
+        });
+        if (tracks.length === 0) {
+            tracks.push({ alias: `L${lane.id}`, boxes: [] });
+        }
+
+        tracks.forEach(track => {
+            lines.push(`concise "${sanitizePlantUmlText(lane.name) || `Lane ${lane.id}`}" as ${track.alias}`);
+            track.boxes.forEach((box, index) => {
+                const endMs = box.startOffset + box.duration;
+                addEvent(box.startOffset, `${track.alias} is "${sanitizePlantUmlText(box.label) || ' '}"`);
+                const next = track.boxes[index + 1];
+                if (!next || next.startOffset > endMs) {
+                    addEvent(endMs, `${track.alias} is {-}`);
+                }
+            });
+        });
+    });
 
-    const granularityMs = getRenderGranularityMs();
-    const fitScale = canvasWidth / ((fitDuration / granularityMs) * 1.1);
-    return Math.max(app.minPixelsPerMs, Math.min(app.maxPixelsPerMs, fitScale));
+    [...events.values()]
+        .sort((a, b) => a.time - b.time)
+        .forEach(event => {
+            lines.push('', `@${formatTextDiagramMs(event.time)}`, ...event.lines);
+        });
+    lines.push('@enduml');
+    return lines.join('\n') + '\n';
 }
 
-function isZoomAtFitScale(scale = app.pixelsPerMs) {
-    const fitScale = getFitToViewScale();
-    if (!fitScale) return false;
-    const tolerance = Math.max(1e-6, fitScale * 0.01);
-    return Math.abs(scale - fitScale) <= tolerance;
+/**
+ * Recognize Mermaid gantt / PlantUML timing source, bare or inside a Markdown
+ * fenced block.
+ * @param {string} text - File or clipboard contents
+ * @returns {{format: 'mermaid'|'plantuml', source: string}|null}
+ */
+function detectTextDiagram(text) {
+    const value = String(text || '');
+    const plantUml = value.match(/@startuml\b[\s\S]*?(?:@enduml\b|$)/);
+    if (plantUml && /^\s*(concise|robust)\b/m.test(plantUml[0])) {
+        return { format: 'plantuml', source: plantUml[0] };
+    }
+    const fenced = [...value.matchAll(/```\s*mermaid[^\n]*\n([\s\S]*?)```/g)].map(match => match[1]);
+    const candidates = fenced.length > 0 ? fenced : [value];
+    for (const candidate of candidates) {
+        const gantt = candidate.match(/^\s*gantt\b[\s\S]*$/m);
+        if (gantt) return { format: 'mermaid', source: gantt[0] };
+    }
+    return null;
 }
 
-function isFitModeActive() {
-    return !!app.fitModeActive;
+function readTextDiagramStartTime(line) {
+    const index = line.indexOf(TEXT_DIAGRAM_START_MARKER);
+    if (index === -1) return null;
+    const match = line.slice(index + TEXT_DIAGRAM_START_MARKER.length).match(/\d{1,2}:\d{2}:\d{2}(?:\s+\d{1,3})?/);
+    return match && parseTime(match[0]) !== null ? formatTime(parseTime(match[0])) : null;
 }
 
-function syncZoomFitIndicator() {
-    const fitBtn = document.getElementById('zoom-fit');
-    if (!fitBtn) return;
+/**
+ * Parse a Mermaid date in the block's dateFormat. Formats other than x / X are
+ * read like table timestamps (ISO dates or clock times).
+ * @returns {{ms: number, kind: string}|null}
+ */
+function parseMermaidDate(value, dateFormat) {
+    const text = String(value || '').trim();
+    if (dateFormat === 'x' || dateFormat === 'X') {
+        if (!/^-?\d+(\.\d+)?$/.test(text)) return null;
+        return { ms: Number(text) * (dateFormat === 'X' ? 1000 : 1), kind: 'epoch' };
+    }
+    const parsed = parseTableTimeValue(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00` : text, 'ms', true);
+    return parsed && parsed.kind !== 'relative' ? parsed : null;
+}
 
-    const isActive = isFitModeActive();
+/**
+ * Read the tasks of a Mermaid gantt block. Supports explicit start/end,
+ * durations (ms/s/m/h/d/w), "after id" starts and "until id" ends.
+ */
+function parseMermaidGantt(source) {
+    const result = { title: '', startTime: null, records: [], laneNames: [] };
+    let dateFormat = 'YYYY-MM-DD';
+    let section = '';
+    let previousEnd = null;
+    const tasksById = new Map();
+
+    source.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line || line === 'gantt') return;
+        if (line.startsWith('%%')) {
+            result.startTime = readTextDiagramStartTime(line) || result.startTime;
+            return;
+        }
+        const keyword = line.match(/^(title|dateFormat|section)\s+(.*)$/);
+        if (keyword) {
+            if (keyword[1] === 'title') result.title = keyword[2].trim();
+            if (keyword[1] === 'dateFormat') dateFormat = keyword[2].trim();
+            if (keyword[1] === 'section') section = keyword[2].trim();
+            return;
+        }
+        const task = line.match(/^([^:]+?)\s*:(.*)$/);
+        if (!task || /^(axisFormat|tickInterval|excludes|includes|todayMarker|weekday|accTitle|accDescr)\b/.test(line)) return;
+
+        const parts = task[2].split(',').map(part => part.trim()).filter(Boolean);
+        const tags = [];
+        while (parts.length > 0 && /^(active|done|crit|milestone)$/.test(parts[0])) tags.push(parts.shift());
+        const id = parts.length === 3 ? parts.shift() : null;
+        const startText = parts.length === 2 ? parts.shift() : null;
+        const endText = parts[0] || '';
+
+        let start = null;
+        if (startText === null) {
+            start = previousEnd;
+        } else if (/^after\s/.test(startText)) {
+            const ends = startText.split(/\s+/).slice(1).map(ref => tasksById.get(ref)).filter(Boolean);
+            if (ends.length > 0) start = { ms: Math.max(...ends.map(t => t.endMs)), kind: ends[0].kind };
+        } else {
+            start = parseMermaidDate(startText, dateFormat);
+        }
+        if (!start) return;
 
-    fitBtn.classList.toggle('fit-active', isActive);
-    fitBtn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
-    scheduleDesignerHintsRender();
+        let endMs = NaN;
+        const until = endText.match(/^until\s+(\S+)/);
+        if (until) {
+            const ref = tasksById.get(until[1]);
+            endMs = ref ? ref.startMs : NaN;
+        } else {
+            const endDate = parseMermaidDate(endText, dateFormat);
+            if (endDate) {
+                endMs = endDate.ms;
+            } else {
+                const duration = parseTableTimeValue(endText, 'd', false);
+                if (duration) endMs = start.ms + duration.ms;
+            }
+        }
+        if (tags.includes('milestone')) endMs = start.ms;
+        if (!Number.isFinite(endMs) || endMs < start.ms) return;
+
+        const lane = section || 'Lane 1';
+        if (!result.laneNames.includes(lane)) result.laneNames.push(lane);
+        const record = { lane: lane, label: task[1].trim(), kind: start.kind, startMs: start.ms, endMs: endMs };
+        result.records.push(record);
+        if (id) tasksById.set(id, record);
+        previousEnd = { ms: endMs, kind: start.kind };
+    });
+    return result;
 }
 
-function handleZoom(direction) {
-    const canvas = app.elements.lanesCanvas;
-    const laneLabelWidth = getLaneLabelWidthPx();
+/**
+ * Read a PlantUML timing diagram (concise or robust participants), in either
+ * the time-oriented ("@100" then "X is s") or participant-oriented ("@X" then
+ * "100 is s") layout. Times are read as ms.
+ */
+function parsePlantUmlTiming(source) {
+    const result = { title: '', startTime: null, records: [], laneNames: [] };
+    const participants = new Map();
+    let currentTime = 0;
+    let currentParticipant = null;
+    let maxTime = 0;
+    let inBlockComment = false;
+
+    const readTime = (text, base) => {
+        const match = String(text).trim().match(/^(\+)?(-?\d+(?:\.\d+)?)/);
+        if (!match) return null;
+        return match[1] ? base + Number(match[2]) : Number(match[2]);
+    };
+    const addState = (alias, time, stateText) => {
+        const participant = participants.get(alias);
+        if (!participant) return;
+        const quoted = stateText.match(/^"([^"]*)"/);
+        const state = quoted ? quoted[1].trim() : stateText.replace(/\s+#\S+.*$/, '').trim();
+        participant.states.push({ time: time, label: state, hidden: !quoted && state.startsWith('{') });
+        maxTime = Math.max(maxTime, time);
+    };
 
-    // Get current viewport center in time (ms)
-    const viewportWidth = canvas.clientWidth - laneLabelWidth;
-    const scrollLeft = canvas.scrollLeft;
-    const centerX = scrollLeft + viewportWidth / 2;
-    const centerTimeMs = pixelsToMs(centerX);
+    source.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (inBlockComment) {
+            inBlockComment = !line.includes("'/");
+            return;
+        }
+        if (line.startsWith("/'")) {
+            inBlockComment = !line.includes("'/");
+            return;
+        }
+        if (!line || /^@(start|end)uml\b/.test(line)) return;
+        if (line.startsWith("'")) {
+            result.startTime = readTextDiagramStartTime(line) || result.startTime;
+            return;
+        }
+        const title = line.match(/^title\s+(.*)$/);
+        if (title) {
+            result.title = title[1].trim();
+            return;
+        }
+        const declaration = line.match(/^(concise|robust)\s+(?:"([^"]+)"|(\S+))(?:\s+as\s+(\S+))?/);
+        if (declaration) {
+            const name = declaration[2] || declaration[3];
+            participants.set(declaration[4] || name, { name: name, states: [] });
+            if (!result.laneNames.includes(name)) result.laneNames.push(name);
+            return;
+        }
+        const at = line.match(/^@(\S+)(?:\s+as\s+:\S+)?$/);
+        if (at) {
+            const time = readTime(at[1], currentTime);
+            if (time !== null) {
+                currentTime = time;
+                currentParticipant = null;
+                maxTime = Math.max(maxTime, time);
+            } else if (participants.has(at[1])) {
+                currentParticipant = at[1];
+                currentTime = 0;
+            }
+            return;
+        }
+        const change = line.match(/^(\S+)\s+is\s+(.+)$/);
+        if (!change) return;
+        if (currentParticipant) {
+            const time = readTime(change[1], currentTime);
+            if (time === null) return;
+            currentTime = time;
+            addState(currentParticipant, time, change[2]);
+        } else {
+            addState(change[1], currentTime, change[2]);
+        }
+    });
 
-    // Apply zoom
-    const factor = direction === 'in' ? 1.25 : 0.8;
-    if (app.fitModeActive) {
-        app.fitModeActive = false;
-        app.zoomBeforeFitScale = null;
-        app.zoomBeforeFitScrollLeft = null;
-    }
-    app.pixelsPerMs = Math.max(app.minPixelsPerMs,
-        Math.min(app.maxPixelsPerMs, app.pixelsPerMs * factor));
+    participants.forEach(participant => {
+        const states = participant.states.sort((a, b) => a.time - b.time);
+        states.forEach((state, index) => {
+            // The last state lasts until the end of the diagram
+            const endMs = index + 1 < states.length ? states[index + 1].time : maxTime;
+            if (state.hidden || !(endMs > state.time)) return;
+            result.records.push({ lane: participant.name, label: state.label, kind: 'relative', startMs: state.time, endMs: endMs });
+        });
+    });
+    return result;
+}
 
-    app.elements.zoomLevel.textContent = formatZoomLevel(app.pixelsPerMs);
+/**
+ * Turn Mermaid gantt / PlantUML timing source into diagram JSON.
+ * @param {string} text - Diagram source, bare or inside Markdown
+ * @param {string} fileName - Source file name, used as a fallback title
+ * @returns {{diagram: Object, note: string}}
+ */
+function convertTextDiagramToDiagram(text, fileName = '') {
+    const detected = detectTextDiagram(text);
+    if (!detected) {
+        throw new Error('No Mermaid gantt or PlantUML timing diagram found.');
+    }
+    const parsed = detected.format === 'mermaid'
+        ? parseMermaidGantt(detected.source)
+        : parsePlantUmlTiming(detected.source);
+    const sourceLabel = detected.format === 'mermaid' ? 'Mermaid gantt' : 'PlantUML timing diagram';
+    if (parsed.records.length === 0) {
+        throw new Error(`The ${sourceLabel} has no tasks with readable times.`);
+    }
+
+    // Dates are rebased on the earliest task; plain offsets are kept as they are
+    const earliest = Math.min(...parsed.records.map(record => record.startMs));
+    const kind = parsed.records[0].kind;
+    const isAbsolute = kind === 'date' || kind === 'clock' || (kind === 'epoch' && earliest >= 86400000);
+    const originMs = isAbsolute ? earliest : Math.min(0, earliest);
+    let startTime = parsed.startTime || '00:00:00 000';
+    if (isAbsolute && !parsed.startTime) {
+        startTime = formatTime(kind === 'clock' ? earliest : getLocalTimeOfDayMs(earliest));
+    }
+
+    const lanes = parsed.laneNames.map((name, index) => ({
+        id: index + 1,
+        name: name,
+        order: index,
+        baseColor: PALETTE[index % PALETTE.length]
+    }));
+    const boxes = parsed.records.map((record, index) => ({
+        id: index + 1,
+        laneId: parsed.laneNames.indexOf(record.lane) + 1,
+        startOffset: record.startMs - originMs,
+        duration: Math.max(MIN_BOX_DURATION_MS, record.endMs - record.startMs),
+        label: record.label
+    }));
+
+    const totalDuration = boxes.reduce((maxEnd, b) => Math.max(maxEnd, b.startOffset + b.duration), 0);
+    const title = parsed.title || String(fileName || '').replace(/\.[^.]+$/, '').trim() || `Imported ${sourceLabel}`;
+    return {
+        diagram: {
+            title: title,
+            startTime: startTime,
+            lanes: lanes,
+            boxes: boxes,
+            nextLaneId: lanes.length + 1,
+            nextBoxId: boxes.length + 1,
+            dependencies: [],
+            locked: false,
+            compressionEnabled: false,
+            settings: buildImportedDiagramSettings(totalDuration),
+            measurementState: null
+        },
+        note: `${boxes.length} box${boxes.length === 1 ? '' : 'es'} on ${lanes.length} lane${lanes.length === 1 ? '' : 's'} from ${sourceLabel}.`
+    };
+}
 
-    renderLanesCanvas();
+// =====================================================
+// Embed Viewer - read-only iframe mode (?view=embed)
+// =====================================================
 
-    // Restore scroll position to keep the same time at center
-    const newCenterX = msToPixels(centerTimeMs);
-    const newScrollLeft = newCenterX - viewportWidth / 2;
-    canvas.scrollLeft = Math.max(0, newScrollLeft);
+function isEmbedViewRequested() {
+    return new URLSearchParams(window.location.search).get('view') === 'embed';
+}
 
-    // Sync ruler and markers
-    app.elements.timelineRuler.scrollLeft = canvas.scrollLeft;
-    app.elements.timeMarkers.scrollLeft = canvas.scrollLeft;
-    syncZoomFitIndicator();
-    persistCurrentDiagramViewState();
-    saveSessionState();
+/**
+ * Same link without view=embed, for the "Open in editor" button.
+ */
+function getEmbedEditorURL() {
+    const params = new URLSearchParams(window.location.search);
+    params.delete('view');
+    params.delete('theme');
+    const query = params.toString();
+    return `${window.location.origin}${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
 }
 
-function handleZoomFit() {
-    const canvas = app.elements.lanesCanvas;
-    if (!canvas) return;
-    const fitScale = getFitToViewScale();
-    if (!fitScale) {
-        syncZoomFitIndicator();
-        return;
+/**
+ * Switch the page into the embedded viewer: toolbar and sidebars are hidden,
+ * the zoom/fit/compress controls move into the embed bar, and nothing is
+ * written to storage. Editing stays off unless the link has "edit=1".
+ * @param {boolean} loadedFromURL - Whether a legacy "?d=" diagram is already loaded
+ */
+function initEmbedView(loadedFromURL) {
+    app.embedView = true;
+    app.embedEditable = new URLSearchParams(window.location.search).get('edit') === '1';
+    document.body.classList.add('embed-view');
+    document.body.classList.toggle('embed-editable', app.embedEditable);
+
+    const controls = document.getElementById('embed-controls');
+    const zoomControls = document.querySelector('.zoom-controls-v2');
+    if (controls && zoomControls) controls.appendChild(zoomControls);
+
+    const openLink = document.getElementById('embed-open-editor');
+    if (openLink) openLink.href = getEmbedEditorURL();
+
+    window.addEventListener('resize', refitEmbedView);
+
+    if (loadedFromURL) {
+        showEmbeddedDiagram(null);
+    } else if (!getShareLinkHashData()) {
+        showEmbeddedDiagram(null, 'No diagram data in this link.');
     }
+    // "#d=" links decode asynchronously and arrive through openShareLinkFromHash()
+}
 
-    const applyScroll = (targetLeft) => {
-        const maxScroll = Math.max(0, canvas.scrollWidth - canvas.clientWidth);
-        const clamped = Math.max(0, Math.min(maxScroll, targetLeft));
-        canvas.scrollLeft = clamped;
-        app.elements.timelineRuler.scrollLeft = clamped;
-        app.elements.timeMarkers.scrollLeft = clamped;
-    };
+/**
+ * Show a diagram in the viewer without creating a stored diagram.
+ * @param {Object|null} data - Diagram JSON, or null to keep the loaded diagram
+ * @param {string} [emptyMessage] - Shown instead of the title when there is nothing to display
+ */
+function showEmbeddedDiagram(data, emptyMessage = '') {
+    if (data) {
+        app.diagram.fromJSON(data);
+        clearDiagramHistory();
+        setTimeout(() => restorePinnedMeasurement(), 100);
+        notifyEmbedHostDiagramChange('load');
+    }
+    // Locked in memory only: fromJSON() already ran, nothing is saved
+    app.diagram.locked = !app.embedEditable;
+    updateLockState();
 
-    if (isFitModeActive()) {
-        const fallbackScale = Number.isFinite(app.zoomBeforeFitScale)
-            ? app.zoomBeforeFitScale
-            : getDefaultZoomScaleForBaseUnit();
-        const fallbackScrollLeft = Number.isFinite(app.zoomBeforeFitScrollLeft)
-            ? app.zoomBeforeFitScrollLeft
-            : canvas.scrollLeft;
-        app.pixelsPerMs = Math.max(app.minPixelsPerMs, Math.min(app.maxPixelsPerMs, fallbackScale));
-        app.fitModeActive = false;
-        app.zoomBeforeFitScale = null;
-        app.zoomBeforeFitScrollLeft = null;
-        app.elements.zoomLevel.textContent = formatZoomLevel(app.pixelsPerMs);
-        renderLanesCanvas();
-        applyScroll(fallbackScrollLeft);
-    } else {
-        app.zoomBeforeFitScale = app.pixelsPerMs;
-        app.zoomBeforeFitScrollLeft = canvas.scrollLeft;
-        app.fitModeActive = true;
-        app.pixelsPerMs = fitScale;
-        app.elements.zoomLevel.textContent = formatZoomLevel(app.pixelsPerMs);
-        renderLanesCanvas();
-        // Fit should show the projected diagram from its start edge.
-        applyScroll(0);
+    const title = document.getElementById('embed-title');
+    if (title) {
+        title.textContent = emptyMessage || app.diagram.title;
+        title.classList.toggle('is-empty', !!emptyMessage);
     }
+    app.elements.diagramTitle.value = app.diagram.title;
+    app.elements.startTime.value = app.diagram.startTime;
+    syncToolbarSettingsControls();
+
+    renderLanesCanvas();
+    updateTotalDuration();
+
+    // Start fitted to the frame once layout has settled
+    requestAnimationFrame(() => {
+        if (!isFitModeActive()) handleZoomFit();
+    });
+}
+
+/**
+ * Keep a fitted diagram fitted when the iframe is resized.
+ */
+function refitEmbedView() {
+    if (!isFitModeActive()) return;
+    const fitScale = getFitToViewScale();
+    if (!fitScale) return;
+    app.pixelsPerMs = fitScale;
+    app.elements.zoomLevel.textContent = formatZoomLevel(app.pixelsPerMs);
+    renderLanesCanvas();
     syncZoomFitIndicator();
-    persistCurrentDiagramViewState();
-    saveSessionState();
 }
 
 // =====================================================
-// Properties Panel Handlers
+// Embedding API - postMessage protocol for host pages
 // =====================================================
-function handleBoxPropertyChange(event = null) {
-    if (!app.selectedBoxId) return;
-    if (app.diagram.locked) return; // Silent fail for property changes when locked
+//
+// Every message, in both directions, is a plain object:
+//   { protocol: 'timeline-diagram', version: 1, type: '<type>', ...fields }
+//
+// Host -> viewer commands (reply: { type: 'response', requestId, ok, result?, error? }):
+//   load        { diagram }                 Show diagram JSON (same format as Save)
+//   getDiagram  {}                          result: current diagram JSON
+//   select      { boxIds }                  Select boxes ([] clears the selection)
+//   highlight   { boxIds }                  Emphasize boxes without selecting them
+//   zoomToRange { startMs, endMs }          Zoom and scroll to a time range (ms from start)
+//   setCompression { enabled? }             Turn gap compression on/off (toggle when omitted)
+//
+// Viewer -> host events:
+//   ready           { editable }
+//   boxClick        { box }
+//   selectionChange { boxIds, boxes }
+//   diagramChange   { reason, diagram }     reason: 'load' | 'edit' | 'history'
+
+let embedApiTargetOrigin = '*';
+let embedApiSelectionKey = '';
+let embedApiChangeTimer = null;
+
+function isEmbedApiActive() {
+    return app.embedView && window.parent !== window;
+}
+
+function postEmbedApiMessage(type, fields = {}) {
+    if (!isEmbedApiActive()) return;
+    window.parent.postMessage({
+        protocol: EMBED_API_PROTOCOL,
+        version: EMBED_API_VERSION,
+        type: type,
+        ...fields
+    }, embedApiTargetOrigin);
+}
 
-    const box = app.diagram.boxes.find(b => b.id === app.selectedBoxId);
-    if (!box) return;
+/**
+ * Box summary sent to the host: times in ms from the diagram start.
+ */
+function describeBoxForEmbedHost(box) {
+    const lane = app.diagram.lanes.find(l => l.id === box.laneId);
+    return {
+        id: box.id,
+        laneId: box.laneId,
+        lane: lane ? lane.name : '',
+        label: box.label,
+        color: box.color,
+        startMs: box.startOffset,
+        endMs: box.startOffset + box.duration,
+        durationMs: box.duration,
+        ...(box.metadata ? { metadata: { ...box.metadata } } : {})
+    };
+}
 
-    const sourceId = event?.target?.id || '';
-    const minDurationMs = Math.max(MIN_BOX_DURATION_MS, getBoxStepMs());
-    let nextStartOffset = box.startOffset;
-    let nextDuration = box.duration;
+/**
+ * Send selectionChange when the selection differs from the last one sent.
+ * Selection has several code paths (V2 overrides, marquee, keyboard), so this
+ * runs after interactions instead of hooking each of them.
+ */
+function syncEmbedHostSelection() {
+    if (!isEmbedApiActive()) return;
+    const boxIds = getSelectedBoxIds();
+    const key = boxIds.join(',');
+    if (key === embedApiSelectionKey) return;
+    embedApiSelectionKey = key;
+    postEmbedApiMessage('selectionChange', {
+        boxIds: boxIds,
+        boxes: boxIds
+            .map(id => app.diagram.boxes.find(b => b.id === id))
+            .filter(Boolean)
+            .map(describeBoxForEmbedHost)
+    });
+}
 
-    if (sourceId === 'box-start') {
-        nextStartOffset = parseBoxInputToMs(app.elements.boxStart.value, {
-            fallbackMs: box.startOffset,
-            minMs: 0
-        });
-    } else if (sourceId === 'box-duration') {
-        nextDuration = parseBoxInputToMs(app.elements.boxDuration.value, {
-            fallbackMs: box.duration,
-            minMs: minDurationMs
-        });
+/**
+ * Tell the host the diagram changed. Debounced so drags and typing send one event.
+ * @param {'load'|'edit'|'history'} reason - What changed it
+ */
+function notifyEmbedHostDiagramChange(reason) {
+    if (!isEmbedApiActive()) return;
+    if (embedApiChangeTimer) clearTimeout(embedApiChangeTimer);
+    embedApiChangeTimer = setTimeout(() => {
+        embedApiChangeTimer = null;
+        postEmbedApiMessage('diagramChange', { reason: reason, diagram: app.diagram.toJSON() });
+    }, reason === 'load' ? 0 : 150);
+}
+
+function readEmbedApiBoxIds(message) {
+    if (!Array.isArray(message.boxIds)) {
+        throw new Error('boxIds must be an array of box ids.');
     }
+    return message.boxIds.map(id => parseInt(id, 10)).filter(id => app.diagram.boxes.some(b => b.id === id));
+}
 
-    const updates = {
-        label: app.elements.boxLabel.value,
-        color: app.elements.boxColor.value,
-        startOffset: nextStartOffset,
-        duration: nextDuration
-    };
+function applyEmbedHighlight(boxIds) {
+    app.embedHighlightIds = boxIds;
+    document.querySelectorAll('.timeline-box[data-box-id]').forEach(el => {
+        el.classList.toggle('is-embed-highlighted', boxIds.includes(parseInt(el.dataset.boxId, 10)));
+    });
+}
 
-    app.diagram.updateBox(app.selectedBoxId, updates);
+/**
+ * Zoom so [startMs, endMs] fills the visible track area and scroll to it.
+ */
+function zoomToTimeRange(startMs, endMs) {
+    const start = Number(startMs);
+    const end = Number(endMs);
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+        throw new Error('zoomToRange needs startMs < endMs.');
+    }
+    const canvas = app.elements.lanesCanvas;
+    const visualStart = Compression.actualToCompressed(start);
+    const visualSpan = Compression.actualToCompressed(end) - visualStart;
+    const availableWidth = canvas.clientWidth - (getLaneLabelWidthPx() + 20);
+    if (availableWidth > 0 && visualSpan > 0) {
+        const fitScale = availableWidth / (visualSpan / getRenderGranularityMs());
+        app.pixelsPerMs = Math.max(app.minPixelsPerMs, Math.min(app.maxPixelsPerMs, fitScale));
+    }
+    app.fitModeActive = false;
+    app.zoomBeforeFitScale = null;
+    app.zoomBeforeFitScrollLeft = null;
+    app.elements.zoomLevel.textContent = formatZoomLevel(app.pixelsPerMs);
     renderLanesCanvas();
-    updateTotalDuration();
-    updatePropertiesPanel();
 
-    // Re-select to keep selection visible
-    selectBox(app.selectedBoxId);
+    const scrollLeft = Math.max(0, Math.min(canvas.scrollWidth - canvas.clientWidth, msToPixels(visualStart)));
+    canvas.scrollLeft = scrollLeft;
+    app.elements.timelineRuler.scrollLeft = scrollLeft;
+    app.elements.timeMarkers.scrollLeft = scrollLeft;
+    syncZoomFitIndicator();
 }
 
-function handleDeleteBox() {
-    if (!app.selectedBoxId) return;
-    if (!isEditingAllowed()) return;
-
-    app.diagram.removeBox(app.selectedBoxId);
-    deselectBox();
-    renderLanesCanvas();
-    updateTotalDuration();
+function handleEmbedApiCommand(message) {
+    switch (message.type) {
+        case 'load':
+            if (!message.diagram || typeof message.diagram !== 'object') {
+                throw new Error('load needs a diagram object.');
+            }
+            app.embedHighlightIds = [];
+            showEmbeddedDiagram(message.diagram);
+            deselectBox();
+            return undefined;
+        case 'getDiagram':
+            return app.diagram.toJSON();
+        case 'select': {
+            setBoxSelection(readEmbedApiBoxIds(message));
+            const firstBox = app.diagram.boxes.find(b => b.id === getSelectedBoxIds()[0]);
+            const boxEl = firstBox && document.querySelector(`.timeline-box[data-box-id="${firstBox.id}"]`);
+            if (boxEl) boxEl.scrollIntoView({ block: 'nearest', inline: 'center' });
+            return getSelectedBoxIds();
+        }
+        case 'highlight':
+            applyEmbedHighlight(readEmbedApiBoxIds(message));
+            return app.embedHighlightIds;
+        case 'zoomToRange':
+            zoomToTimeRange(message.startMs, message.endMs);
+            return undefined;
+        case 'setCompression': {
+            const enabled = typeof message.enabled === 'boolean' ? message.enabled : !Compression.enabled;
+            if (enabled !== Compression.enabled) Compression.toggle();
+            return Compression.enabled;
+        }
+        default:
+            throw new Error(`Unknown command "${message.type}".`);
+    }
+}
+
+function handleEmbedApiMessage(e) {
+    const message = e.data;
+    if (!message || typeof message !== 'object' || message.protocol !== EMBED_API_PROTOCOL) return;
+    if (e.source !== window.parent) return;
+    if (embedApiTargetOrigin !== '*' && e.origin !== embedApiTargetOrigin) return;
+
+    const reply = { requestId: message.requestId ?? null };
+    try {
+        const result = handleEmbedApiCommand(message);
+        postEmbedApiMessage('response', { ...reply, ok: true, ...(result !== undefined ? { result } : {}) });
+    } catch (err) {
+        postEmbedApiMessage('response', { ...reply, ok: false, error: err.message });
+    }
+    syncEmbedHostSelection();
 }
 
-function handleDeleteLane(laneId = null) {
-    if (!isEditingAllowed()) return;
+/**
+ * Start listening for host commands when the viewer runs inside a frame.
+ * "?origin=<host origin>" limits both directions to that origin.
+ */
+function initEmbedApi() {
+    if (!isEmbedApiActive()) return;
+    const origin = new URLSearchParams(window.location.search).get('origin');
+    if (origin) embedApiTargetOrigin = origin;
 
-    const resolvedLaneId = laneId !== null ? parseInt(laneId, 10) : parseInt(app.selectedLaneId, 10);
-    if (!Number.isInteger(resolvedLaneId)) return;
+    window.addEventListener('message', handleEmbedApiMessage);
 
-    const lane = app.diagram.lanes.find(l => l.id === resolvedLaneId);
-    if (!lane) return;
-    requestLaneDelete(resolvedLaneId);
+    // Capture phase: box click handlers stop propagation
+    app.elements.lanesCanvas.addEventListener('click', (e) => {
+        const boxEl = e.target.closest('.timeline-box[data-box-id]');
+        if (!boxEl || app.lastDragDidMove) return;
+        const box = app.diagram.boxes.find(b => b.id === parseInt(boxEl.dataset.boxId, 10));
+        if (box) postEmbedApiMessage('boxClick', { box: describeBoxForEmbedHost(box) });
+    }, true);
+    ['mouseup', 'keyup'].forEach(type => {
+        document.addEventListener(type, () => setTimeout(syncEmbedHostSelection, 0));
+    });
+
+    postEmbedApiMessage('ready', { editable: !!app.embedEditable });
 }
 
 // =====================================================
-// Export/Import Functions
+// URL Sharing Functions
 // =====================================================
-function saveToJSON() {
-    const data = app.diagram.toJSON();
-    const json = JSON.stringify(data, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
 
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${app.diagram.title.replace(/[^a-z0-9]/gi, '_')}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-}
+/**
+ * Diagram JSON without fields that fromJSON() rebuilds on its own: next ids,
+ * default settings, palette lane colors, lane-derived box colors, and empty or
+ * default-valued properties.
+ * @returns {Object}
+ */
+function buildCompactShareData() {
+    const data = JSON.parse(JSON.stringify(app.diagram.toJSON()));
+    delete data.nextLaneId;
+    delete data.nextBoxId;
+    delete data.nextDependencyId;
+    if (!data.locked) delete data.locked;
+    if (!data.compressionEnabled) delete data.compressionEnabled;
+    if (data.measurementState || !data.measurement) delete data.measurement;
+    if (!data.measurementState) delete data.measurementState;
+    if (!data.viewState) delete data.viewState;
+
+    // fromJSON() fills missing settings from the global defaults, not per-unit ones
+    const defaults = getDefaultTimelineSettings();
+    Object.keys(data.settings || {}).forEach(key => {
+        if (data.settings[key] === defaults[key]) delete data.settings[key];
+    });
+    if (Object.keys(data.settings || {}).length === 0) delete data.settings;
 
-function loadFromJSON(file) {
-    // Check if we've reached the maximum number of diagrams
-    const diagrams = getAllDiagrams();
-    if (diagrams.length >= MAX_DIAGRAMS) {
-        showToast({
-            type: 'warning',
-            title: 'Maximum Diagrams Reached',
-            message: `You can only have ${MAX_DIAGRAMS} diagrams. Delete one to load a new diagram.`,
-            duration: 4000
-        });
-        // Reset file input so the same file can be selected again
-        app.elements.fileInput.value = '';
-        return;
-    }
+    const laneBaseColors = new Map();
+    data.lanes.forEach((lane, index) => {
+        laneBaseColors.set(lane.id, lane.baseColor);
+        if (lane.baseColor === PALETTE[index % PALETTE.length]) delete lane.baseColor;
+        if (lane.order === index) delete lane.order;
+    });
 
-    const reader = new FileReader();
-    reader.onload = (e) => {
-        try {
-            const data = JSON.parse(e.target.result);
+    // Mirrors the box color migration in fromJSON(): only colors it would derive are dropped
+    const laneBoxIndexMap = new Map();
+    const hueShifts = [0, 15, -12, 25, -20, 35, -30, 10];
+    data.boxes.forEach((box, idx) => {
+        const laneBase = laneBaseColors.get(box.laneId) || PALETTE[idx % PALETTE.length];
+        const boxIdxInLane = laneBoxIndexMap.get(box.laneId) || 0;
+        if (box.color === adjustHue(laneBase, hueShifts[boxIdxInLane % hueShifts.length])) {
+            delete box.color;
+            laneBoxIndexMap.set(box.laneId, boxIdxInLane + 1);
+        }
+        if (!box.label) delete box.label;
+    });
 
-            // Create a new diagram instead of overwriting current
-            setCurrentDiagramId(generateDiagramId());
-            app.diagram = new TimelineDiagram();
-            app.diagram.fromJSON(data);
-            clearPendingPurgeRequest();
-            clearLaneHistory();
+    data.dependencies.forEach((dep, idx) => {
+        if (dep.id === idx + 1) delete dep.id;
+        if (dep.type === 'FS') delete dep.type;
+        if (!dep.lag) delete dep.lag;
+    });
+    if (data.dependencies.length === 0) delete data.dependencies;
+    return data;
+}
 
-            app.elements.diagramTitle.value = app.diagram.title;
-            app.elements.startTime.value = app.diagram.startTime;
-            syncToolbarSettingsControls();
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    // Chunked so large payloads don't overflow the argument limit
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
 
-            deselectBox();
-            renderLaneList();
-            renderLanesCanvas();
-            renderTimelineRuler();
-            renderTimeMarkers();
-            renderAlignmentCanvasOverlay();
-            updateTotalDuration();
-            saveCurrentDiagram();
-            renderDiagramsList();
+function base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
 
-            // Restore pinned measurement if present
-            restorePinnedMeasurement();
+async function transformBytes(bytes, stream) {
+    const writer = stream.writable.getWriter();
+    // Corrupt input rejects the write side too; awaiting it keeps that rejection handled
+    const [, , buffer] = await Promise.all([
+        writer.write(bytes),
+        writer.close(),
+        new Response(stream.readable).arrayBuffer()
+    ]);
+    return new Uint8Array(buffer);
+}
 
-            showToast({
-                type: 'success',
-                title: 'Loaded',
-                message: `"${app.diagram.title}" imported as new diagram.`,
-                duration: 2500
-            });
-        } catch (err) {
-            showToast({
-                type: 'error',
-                title: 'Load Failed',
-                message: err.message
-            });
-        }
-        // Reset file input
-        app.elements.fileInput.value = '';
-    };
-    reader.readAsText(file);
+/**
+ * Encode the current diagram for the share link fragment.
+ * Format "<version>.<base64url>": v1 is deflate-raw compressed JSON, v0 plain
+ * JSON for browsers without CompressionStream.
+ * @returns {Promise<string>}
+ */
+async function encodeToURL() {
+    const bytes = new TextEncoder().encode(JSON.stringify(buildCompactShareData()));
+    if (typeof CompressionStream === 'undefined') {
+        return `${SHARE_LINK_PLAIN_PREFIX}${bytesToBase64Url(bytes)}`;
+    }
+    const compressed = await transformBytes(bytes, new CompressionStream('deflate-raw'));
+    return `${SHARE_LINK_DEFLATE_PREFIX}${bytesToBase64Url(compressed)}`;
 }
 
-// =====================================================
-// URL Sharing Functions
-// =====================================================
-function encodeToURL() {
-    const data = app.diagram.toJSON();
-    const json = JSON.stringify(data);
-    // Use base64 encoding, then make it URL-safe
-    const base64 = btoa(unescape(encodeURIComponent(json)));
-    return base64;
+/**
+ * Decode share link data: versioned fragment payloads, or the legacy
+ * standard-base64 JSON from "?d=" links.
+ * @param {string} encoded - Link payload
+ * @returns {Promise<Object|null>}
+ */
+async function decodeFromURL(encoded) {
+    try {
+        let json;
+        if (encoded.startsWith(SHARE_LINK_DEFLATE_PREFIX)) {
+            const bytes = base64UrlToBytes(encoded.slice(SHARE_LINK_DEFLATE_PREFIX.length));
+            json = new TextDecoder().decode(await transformBytes(bytes, new DecompressionStream('deflate-raw')));
+        } else if (encoded.startsWith(SHARE_LINK_PLAIN_PREFIX)) {
+            json = new TextDecoder().decode(base64UrlToBytes(encoded.slice(SHARE_LINK_PLAIN_PREFIX.length)));
+        } else {
+            return decodeLegacyURLData(encoded);
+        }
+        return JSON.parse(json);
+    } catch (err) {
+        console.error('Failed to decode URL data:', err);
+        return null;
+    }
 }
 
-function decodeFromURL(encoded) {
+// Legacy "?d=" links: standard base64 of the full JSON
+function decodeLegacyURLData(encoded) {
     try {
-        // Decode URL-safe base64
         const json = decodeURIComponent(escape(atob(encoded)));
         return JSON.parse(json);
     } catch (err) {
@@ -5875,15 +10220,19 @@ function decodeFromURL(encoded) {
     }
 }
 
+function getShareLinkHashData() {
+    return new URLSearchParams(window.location.hash.replace(/^#/, '')).get('d');
+}
+
 function loadFromURL() {
     const params = new URLSearchParams(window.location.search);
     const encoded = params.get('d');
     if (encoded) {
-        const data = decodeFromURL(encoded);
+        const data = decodeLegacyURLData(encoded);
         if (data) {
             app.diagram.fromJSON(data);
             clearPendingPurgeRequest();
-            clearLaneHistory();
+            clearDiagramHistory();
             // Schedule measurement restore after initial render
             setTimeout(() => restorePinnedMeasurement(), 100);
             return true;
@@ -5892,6 +10241,28 @@ function loadFromURL() {
     return false;
 }
 
+/**
+ * Open the diagram in the "#d=" fragment as a new diagram. Runs after startup
+ * (decompression is async) and when a link is pasted into an open tab, where
+ * only the fragment changes.
+ */
+async function openShareLinkFromHash() {
+    const hashData = getShareLinkHashData();
+    if (!hashData) return;
+    const data = await decodeFromURL(hashData);
+    if (app.embedView) {
+        showEmbeddedDiagram(data, data ? '' : 'The shared diagram could not be decoded.');
+        return;
+    }
+    if (!data) {
+        showToast({ type: 'error', title: 'Invalid Link', message: 'The shared diagram could not be decoded.' });
+        return;
+    }
+    openImportedDiagram(data);
+    // The diagram is saved now; reloading the link must not store another copy
+    history.replaceState(null, '', location.pathname + location.search);
+}
+
 function triggerToolbarButtonFeedback(buttonId, activeTitle, duration = 1200) {
     const btn = document.getElementById(buttonId);
     if (!btn) return;
@@ -5928,25 +10299,26 @@ function triggerToolbarButtonFeedback(buttonId, activeTitle, duration = 1200) {
     timers.set(buttonId, timer);
 }
 
-function shareAsURL() {
-    const encoded = encodeToURL();
-    const url = `${window.location.origin}${window.location.pathname}?d=${encoded}`;
-
-    // Check URL length (browsers have limits, typically ~2000 chars)
-    if (url.length > 8000) {
-        showToast({
-            type: 'warning',
-            title: 'Diagram Too Large',
-            message: 'Use Download/Load to share large diagrams.'
-        });
-        return;
-    }
+async function shareAsURL() {
+    const encoded = await encodeToURL();
+    // The fragment is never sent to the web server
+    const url = `${window.location.origin}${window.location.pathname}#d=${encoded}`;
 
     // Copy to clipboard
     navigator.clipboard.writeText(url).then(() => {
         // Share button feedback uses the same active/toggle styling as other toolbar controls.
         triggerToolbarButtonFeedback('share-url', 'Link copied');
 
+        if (url.length > SHARE_URL_WARN_LENGTH) {
+            showToast({
+                type: 'warning',
+                title: 'Long Link Copied',
+                message: `The link is ${url.length.toLocaleString()} characters; some chat and mail apps cut links this long. Use Download/Load if it doesn't open.`,
+                duration: 5000
+            });
+            return;
+        }
+
         // Show instructive toast
         showToast({
             type: 'success',
@@ -6130,6 +10502,7 @@ function exportToPNG() {
     const width = laneLabelWidth + msToPixels(metrics.endTime) + 50;
     const lanesAreaHeight = lanes.length * laneHeight;
     const lanesStartY = headerHeight + rulerHeight;
+    const criticalPath = app.settings.showCriticalPath ? app.diagram.getCriticalPathAnalysis() : null;
 
     // Pre-calculate time markers layout to determine height
     const markers = [];
@@ -6352,6 +10725,14 @@ function exportToPNG() {
             ctx.lineWidth = 1;
             ctx.stroke();
 
+            if (criticalPath && criticalPath.get(box.id)?.critical) {
+                ctx.strokeStyle = CRITICAL_PATH_COLOR;
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.roundRect(bx - 2, by - 2, bw + 4, bh + 4, 5);
+                ctx.stroke();
+            }
+
             const labelText = box.label ? `${box.label} (${formatDuration(box.duration)})` : formatDuration(box.duration);
             ctx.fillStyle = getContrastColor(box.color);
             ctx.font = '500 12px Inter, sans-serif';
@@ -6394,6 +10775,27 @@ function exportToPNG() {
         });
     });
 
+    // Dependency arrows above boxes
+    if (app.diagram.dependencies.length > 0) {
+        ctx.lineWidth = 1.5;
+        ctx.globalAlpha = 0.85;
+        app.diagram.dependencies.forEach(dep => {
+            const geometry = getDependencyConnectorGeometry(dep, { offsetX: laneLabelWidth, offsetY: lanesStartY, laneHeight });
+            if (!geometry) return;
+            const arrowColor = isCriticalDependency(dep, criticalPath) ? CRITICAL_PATH_COLOR : DEPENDENCY_ARROW_COLOR;
+            ctx.strokeStyle = arrowColor;
+            ctx.fillStyle = arrowColor;
+            ctx.beginPath();
+            geometry.points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+            ctx.stroke();
+            ctx.beginPath();
+            geometry.arrow.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+            ctx.closePath();
+            ctx.fill();
+        });
+        ctx.globalAlpha = 1;
+    }
+
     // Time markers area background
     ctx.fillStyle = '#0f1419';
     ctx.fillRect(laneLabelWidth, timeMarkersY, width - laneLabelWidth, timeMarkersHeight);
@@ -6560,6 +10962,7 @@ function exportToSVG() {
     const width = Math.round(laneLabelWidth + msToPixels(metrics.endTime) + 50);
     const lanesAreaHeight = lanes.length * laneHeight;
     const lanesStartY = headerHeight + rulerHeight;
+    const criticalPath = app.settings.showCriticalPath ? app.diagram.getCriticalPathAnalysis() : null;
 
     // Pre-calculate time markers layout (same as PNG)
     const markers = [];
@@ -6724,6 +11127,9 @@ function exportToSVG() {
             const labelText = box.label ? `${box.label} (${formatDuration(box.duration)})` : formatDuration(box.duration);
 
             svg += `  <rect x="${bx}" y="${by}" width="${bw}" height="${bh}" rx="4" fill="${box.color}" stroke="rgba(0,0,0,0.2)" stroke-width="1"/>\n`;
+            if (criticalPath && criticalPath.get(box.id)?.critical) {
+                svg += `  <rect x="${bx - 2}" y="${by - 2}" width="${bw + 4}" height="${bh + 4}" rx="5" fill="none" stroke="${CRITICAL_PATH_COLOR}" stroke-width="2"/>\n`;
+            }
             svg += `  <text x="${bx + bw / 2}" y="${by + bh / 2 + 4}" text-anchor="middle" class="box-text" fill="${textColor}">${escapeHtml(labelText)}</text>\n`;
 
             // Draw floating label if enabled
@@ -6741,6 +11147,20 @@ function exportToSVG() {
         });
     });
 
+    // Dependency arrows above boxes
+    if (app.diagram.dependencies.length > 0) {
+        svg += `  <!-- Dependencies -->\n`;
+        app.diagram.dependencies.forEach(dep => {
+            const geometry = getDependencyConnectorGeometry(dep, { offsetX: laneLabelWidth, offsetY: lanesStartY, laneHeight });
+            if (!geometry) return;
+            const points = geometry.points.map(p => p.map(v => Math.round(v * 10) / 10).join(',')).join(' ');
+            const arrow = geometry.arrow.map(p => p.map(v => Math.round(v * 10) / 10).join(',')).join(' ');
+            const arrowColor = isCriticalDependency(dep, criticalPath) ? CRITICAL_PATH_COLOR : DEPENDENCY_ARROW_COLOR;
+            svg += `  <polyline points="${points}" fill="none" stroke="${arrowColor}" stroke-width="1.5" stroke-opacity="0.85"/>\n`;
+            svg += `  <polygon points="${arrow}" fill="${arrowColor}" fill-opacity="0.85"/>\n`;
+        });
+    }
+
     // Time markers area
     svg += `  <!-- Time Markers -->\n`;
     svg += `  <rect x="${laneLabelWidth}" y="${timeMarkersY}" width="${width - laneLabelWidth}" height="${timeMarkersHeight}" fill="#0f1419"/>\n`;
@@ -6818,6 +11238,186 @@ function exportToSVG() {
     triggerToolbarButtonFeedback('export-svg', 'SVG exported');
 }
 
+// =====================================================
+// Data Export - CSV and Markdown tables
+// =====================================================
+
+/**
+ * One row per box, ordered by lane then start time.
+ * @returns {{laneId: number, lane: string, label: string, startMs: number, endMs: number, durationMs: number}[]}
+ */
+function getDiagramExportRows() {
+    const lanes = [...app.diagram.lanes].sort((a, b) => a.order - b.order);
+    const rows = [];
+    lanes.forEach(lane => {
+        app.diagram.boxes
+            .filter(box => box.laneId === lane.id)
+            .sort((a, b) => a.startOffset - b.startOffset)
+            .forEach(box => rows.push({
+                laneId: lane.id,
+                lane: lane.name,
+                label: box.label || '',
+                startMs: box.startOffset,
+                endMs: box.startOffset + box.duration,
+                durationMs: box.duration
+            }));
+    });
+    return rows;
+}
+
+/**
+ * Per-lane totals (box count, summed duration, first start, last end, span)
+ * plus the same figures for the whole diagram.
+ */
+function getDiagramExportSummary(rows) {
+    const summarize = (name, laneRows) => {
+        const firstStart = laneRows.length ? Math.min(...laneRows.map(r => r.startMs)) : 0;
+        const lastEnd = laneRows.length ? Math.max(...laneRows.map(r => r.endMs)) : 0;
+        return {
+            lane: name,
+            boxes: laneRows.length,
+            totalMs: laneRows.reduce((sum, r) => sum + r.durationMs, 0),
+            firstStartMs: firstStart,
+            lastEndMs: lastEnd,
+            spanMs: lastEnd - firstStart
+        };
+    };
+    const lanes = [...app.diagram.lanes].sort((a, b) => a.order - b.order);
+    return {
+        lanes: lanes.map(lane => summarize(lane.name, rows.filter(r => r.laneId === lane.id))),
+        overall: summarize('All lanes', rows)
+    };
+}
+
+/**
+ * Column layout for the time values: always ms, plus the diagram's base unit
+ * when it is not ms.
+ */
+function getExportTimeColumns() {
+    const baseUnit = getBaseTimeUnit();
+    const units = baseUnit === 'ms' ? ['ms'] : ['ms', baseUnit];
+    return units.map(unit => ({
+        unit: unit,
+        format: ms => formatMsForInput(ms, unit, 3)
+    }));
+}
+
+function escapeCsvCell(value) {
+    let text = String(value ?? '');
+    // Labels come from imported data: keep spreadsheets from running them as formulas
+    if (/^[=+\-@\t\r]/.test(text) && !Number.isFinite(Number(text))) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeMarkdownCell(value) {
+    return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function buildDiagramTables(includeSummary) {
+    const rows = getDiagramExportRows();
+    const columns = getExportTimeColumns();
+    const timeHeaders = (name) => columns.map(col => `${name} (${col.unit})`);
+    const timeCells = (ms) => columns.map(col => col.format(ms));
+
+    const tables = [{
+        title: null,
+        headers: ['Lane', 'Label', ...timeHeaders('Start'), ...timeHeaders('End'), ...timeHeaders('Duration')],
+        rows: rows.map(r => [r.lane, r.label, ...timeCells(r.startMs), ...timeCells(r.endMs), ...timeCells(r.durationMs)])
+    }];
+
+    if (includeSummary) {
+        const summary = getDiagramExportSummary(rows);
+        tables.push({
+            title: 'Lane Summary',
+            headers: ['Lane', 'Boxes', ...timeHeaders('Total'), ...timeHeaders('First Start'), ...timeHeaders('Last End'), ...timeHeaders('Span')],
+            rows: [...summary.lanes, summary.overall].map(s => [
+                s.lane,
+                String(s.boxes),
+                ...timeCells(s.totalMs),
+                ...timeCells(s.firstStartMs),
+                ...timeCells(s.lastEndMs),
+                ...timeCells(s.spanMs)
+            ])
+        });
+    }
+    return tables;
+}
+
+function buildDiagramCSV(includeSummary = false) {
+    return buildDiagramTables(includeSummary).map(table => {
+        const lines = [];
+        if (table.title) lines.push(escapeCsvCell(table.title));
+        lines.push(table.headers.map(escapeCsvCell).join(','));
+        table.rows.forEach(row => lines.push(row.map(escapeCsvCell).join(',')));
+        return lines.join('\r\n');
+    }).join('\r\n\r\n') + '\r\n';
+}
+
+function buildDiagramMarkdown(includeSummary = false) {
+    const sections = [
+        `# ${escapeMarkdownCell(app.diagram.title)}`,
+        `Start time: ${app.diagram.startTime} · Base unit: ${getBaseUnitLabel()}`
+    ];
+    buildDiagramTables(includeSummary).forEach(table => {
+        const lines = [];
+        if (table.title) lines.push(`## ${table.title}`, '');
+        lines.push(`| ${table.headers.map(escapeMarkdownCell).join(' | ')} |`);
+        lines.push(`| ${table.headers.map((_, i) => (i < 2 ? '---' : '---:')).join(' | ')} |`);
+        table.rows.forEach(row => lines.push(`| ${row.map(escapeMarkdownCell).join(' | ')} |`));
+        sections.push(lines.join('\n'));
+    });
+    return sections.join('\n\n') + '\n';
+}
+
+function downloadTextFile(text, extension, mimeType, baseName = app.diagram.title) {
+    const blob = new Blob([text], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${baseName.replace(/[^a-z0-9]/gi, '_')}.${extension}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+function isExportTablePanelOpen() {
+    const panel = document.getElementById('export-table-panel');
+    return !!panel && !panel.classList.contains('hidden');
+}
+
+function setExportTablePanelOpen(open) {
+    const panel = document.getElementById('export-table-panel');
+    const toggleBtn = document.getElementById('export-table-toggle');
+    if (!panel || !toggleBtn) return;
+    const shouldOpen = !!open;
+    panel.classList.toggle('hidden', !shouldOpen);
+    toggleBtn.classList.toggle('active', shouldOpen);
+    toggleBtn.setAttribute('aria-expanded', shouldOpen ? 'true' : 'false');
+    scheduleDesignerHintsRender();
+}
+
+/**
+ * Download the diagram as a CSV / Markdown table or as Mermaid / PlantUML source.
+ * @param {'csv'|'markdown'|'mermaid'|'plantuml'} format - Output format
+ */
+function exportDiagramData(format) {
+    const includeSummary = !!document.getElementById('export-include-summary')?.checked;
+    if (format === 'markdown') {
+        downloadTextFile(buildDiagramMarkdown(includeSummary), 'md', 'text/markdown');
+    } else if (format === 'mermaid') {
+        downloadTextFile(buildMermaidGantt(), 'mmd', 'text/plain');
+    } else if (format === 'plantuml') {
+        downloadTextFile(buildPlantUmlTiming(), 'puml', 'text/plain');
+    } else {
+        downloadTextFile(buildDiagramCSV(includeSummary), 'csv', 'text/csv');
+    }
+    setExportTablePanelOpen(false);
+    const feedback = { markdown: 'Markdown exported', mermaid: 'Mermaid exported', plantuml: 'PlantUML exported' };
+    triggerToolbarButtonFeedback('export-table-toggle', feedback[format] || 'CSV exported');
+}
+
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
@@ -6845,6 +11445,7 @@ function showLanePropertiesPanel(laneId) {
 
     // Deselect any box
     app.selectedBoxId = null;
+    app.selectedBoxIds = [];
     app.selectedLaneId = laneId;
     document.querySelectorAll('.timeline-box.selected').forEach(el => el.classList.remove('selected'));
     syncSelectedLaneUI();
@@ -6884,7 +11485,10 @@ function handleLaneNameChange() {
     if (!app.selectedLaneId) return;
     const laneNameInput = document.getElementById('lane-name');
     if (laneNameInput) {
-        app.diagram.renameLane(app.selectedLaneId, laneNameInput.value);
+        const laneId = parseInt(app.selectedLaneId, 10);
+        recordHistoryStep('Rename lane', () => app.diagram.renameLane(laneId, laneNameInput.value), {
+            coalesceKey: `lane-name-${laneId}`
+        });
         renderLaneList();
         renderLanesCanvas();
     }
@@ -6976,13 +11580,14 @@ function handleThresholdBaseUnitSelect(unit) {
     const normalizedUnit = normalizeBaseTimeUnit(unit);
     if (normalizedUnit === getBaseTimeUnit()) return;
 
+    const historyBefore = captureHistoryState();
     const baseUnitSelect = document.getElementById('config-base-time-unit');
     if (baseUnitSelect) {
         baseUnitSelect.value = normalizedUnit;
     } else {
         app.settings.baseTimeUnit = normalizedUnit;
     }
-    handleSettingsChange();
+    handleSettingsChange(null, { historyBefore });
 }
 
 function commitCustomTimeThreshold() {
@@ -7009,9 +11614,10 @@ function commitCustomTimeThreshold() {
         return false;
     }
 
+    const historyBefore = captureHistoryState();
     app.settings.timeFormatThreshold = Math.max(1, customValue);
     syncTimeThresholdControl();
-    handleSettingsChange();
+    handleSettingsChange(null, { historyBefore });
     return true;
 }
 
@@ -7021,9 +11627,10 @@ function handleTimeThresholdModeChange() {
     if (!modeBaseOnly || !modeSubunit) return;
 
     if (modeBaseOnly.checked) {
+        const historyBefore = captureHistoryState();
         app.settings.timeFormatThreshold = 0;
         syncTimeThresholdControl();
-        handleSettingsChange();
+        handleSettingsChange(null, { historyBefore });
         return;
     }
 
@@ -7039,6 +11646,7 @@ function updateToolbarToggleButtons() {
     const toggleIds = [
         'config-show-alignment',
         'config-show-labels',
+        'config-show-critical-path',
         'config-compact-view',
         'config-auto-open-properties',
         'config-lock-diagram'
@@ -7118,6 +11726,9 @@ function syncToolbarSettingsControls() {
     const labelsCheckbox = document.getElementById('config-show-labels');
     if (labelsCheckbox) labelsCheckbox.checked = !!app.settings.showBoxLabels;
 
+    const criticalPathCheckbox = document.getElementById('config-show-critical-path');
+    if (criticalPathCheckbox) criticalPathCheckbox.checked = !!app.settings.showCriticalPath;
+
     const compactCheckbox = document.getElementById('config-compact-view');
     if (compactCheckbox) compactCheckbox.checked = !!app.settings.compactView;
 
@@ -7175,6 +11786,11 @@ function showSettingsPanel() {
         labelsCheckbox.checked = app.settings.showBoxLabels;
     }
 
+    const criticalPathCheckbox = document.getElementById('config-show-critical-path');
+    if (criticalPathCheckbox) {
+        criticalPathCheckbox.checked = app.settings.showCriticalPath;
+    }
+
     const autoOpenCheckbox = document.getElementById('config-auto-open-properties');
     if (autoOpenCheckbox) {
         autoOpenCheckbox.checked = app.settings.autoOpenBoxProperties;
@@ -7184,6 +11800,7 @@ function showSettingsPanel() {
 
     // Deselect any box/lane
     app.selectedBoxId = null;
+    app.selectedBoxIds = [];
     app.selectedLaneId = null;
     document.querySelectorAll('.timeline-box.selected').forEach(el => el.classList.remove('selected'));
     syncSelectedLaneUI();
@@ -7192,8 +11809,9 @@ function showSettingsPanel() {
     if (settingsBtn) settingsBtn.classList.add('active');
 }
 
-function handleSettingsChange(event = null) {
+function handleSettingsChange(event = null, { historyBefore = null } = {}) {
     const previousBaseUnit = getBaseTimeUnit();
+    const settingsHistoryBefore = historyBefore || captureHistoryState();
 
     // Page title: only sync when title input actually triggered the update.
     const pageTitleInput = document.getElementById('config-page-title');
@@ -7237,6 +11855,12 @@ function handleSettingsChange(event = null) {
         updateBoxLabelsState();
     }
 
+    // Critical path highlight toggle (canvas and exports)
+    const criticalPathCheckbox = document.getElementById('config-show-critical-path');
+    if (criticalPathCheckbox) {
+        app.settings.showCriticalPath = criticalPathCheckbox.checked;
+    }
+
     // Auto-open box properties toggle
     const autoOpenCheckbox = document.getElementById('config-auto-open-properties');
     if (autoOpenCheckbox) {
@@ -7252,6 +11876,7 @@ function handleSettingsChange(event = null) {
     renderTimeMarkers();
     renderAlignmentCanvasOverlay();
     updateTotalDuration();
+    commitHistoryStep('Change settings', settingsHistoryBefore, { coalesceKey: 'settings' });
     autoSave();
     saveSessionState();
 }
@@ -7266,7 +11891,17 @@ function updateBoxLabelsState() {
 
 
 function isEditingAllowed() {
+    if (app.versionPreview) {
+        showToast({
+            type: 'warning',
+            title: 'Previewing a Version',
+            message: 'Restore or fork this version to edit it.',
+            duration: 2000
+        });
+        return false;
+    }
     if (app.diagram.locked) {
+        if (app.embedView) return false;
         showToast({
             type: 'warning',
             title: 'Diagram Locked',
@@ -7309,8 +11944,10 @@ function showPickModeToast() {
     // Show toast for 10 seconds
     app.pickModeToast = showToast({
         type: 'info',
-        title: 'Pick Mode Active',
-        message: 'Click any box to set start time to its end time',
+        title: app.pickMode === 'link' ? 'Link Mode Active' : 'Pick Mode Active',
+        message: app.pickMode === 'link'
+            ? 'Click the box this one should follow'
+            : 'Click any box to set start time to its end time',
         duration: 10000
     });
 }
@@ -7435,7 +12072,7 @@ function glimpsePickStartButton() {
 // =====================================================
 // Initialization
 // =====================================================
-function enterPickMode() {
+function enterPickMode(mode = 'start') {
     if (!app.selectedBoxId) return;
     if (!isEditingAllowed()) return;
 
@@ -7446,9 +12083,10 @@ function enterPickMode() {
     }
 
     app.isPicking = true;
+    app.pickMode = mode;
     document.body.style.cursor = 'crosshair';
     document.body.classList.add('picking-mode');
-    const btn = document.getElementById('pick-start-btn');
+    const btn = document.getElementById(mode === 'link' ? 'link-predecessor-btn' : 'pick-start-btn');
     if (btn) btn.classList.add('active');
 
     // Show toast message
@@ -7469,8 +12107,7 @@ function cancelPickMode() {
     app.isPicking = false;
     document.body.style.cursor = '';
     document.body.classList.remove('picking-mode');
-    const btn = document.getElementById('pick-start-btn');
-    if (btn) btn.classList.remove('active');
+    document.querySelectorAll('#pick-start-btn, #link-predecessor-btn').forEach(btn => btn.classList.remove('active'));
 
     // Remove toast and visual feedback
     hidePickModeToast();
@@ -7493,8 +12130,7 @@ function completePickStart(targetBoxId) {
         app.isPicking = false;
         document.body.style.cursor = '';
         document.body.classList.remove('picking-mode');
-        const btn = document.getElementById('pick-start-btn');
-        if (btn) btn.classList.remove('active');
+        document.querySelectorAll('#pick-start-btn, #link-predecessor-btn').forEach(btn => btn.classList.remove('active'));
 
         // Remove toast and visual feedback
         hidePickModeToast();
@@ -7508,12 +12144,22 @@ function completePickStart(targetBoxId) {
     const targetBox = app.diagram.boxes.find(b => b.id === targetBoxId);
     const myBox = app.diagram.boxes.find(b => b.id === app.selectedBoxId);
 
-    if (targetBox && myBox) {
-        myBox.startOffset = targetBox.startOffset + targetBox.duration;
+    if (targetBox && myBox && app.pickMode === 'link') {
+        linkPredecessorBox(targetBox.id, myBox.id);
+    } else if (targetBox && myBox) {
+        let reflowedBoxIds = [];
+        recordHistoryStep('Pick start', () => {
+            myBox.startOffset = targetBox.startOffset + targetBox.duration;
+            app.diagram.anchorIncomingDependencies(myBox.id);
+            reflowedBoxIds = app.diagram.rescheduleDependents(myBox.id);
+        });
 
         const boxEl = document.querySelector(`.timeline-box[data-box-id="${myBox.id}"]`);
-        if (boxEl) {
+        if (reflowedBoxIds.length > 0) {
+            renderLanesCanvas();
+        } else if (boxEl) {
             boxEl.style.left = `${msToPixels(myBox.startOffset)}px`;
+            renderAlignmentCanvasOverlay();
         }
         updatePropertiesPanel();
         renderTimeMarkers();
@@ -7523,8 +12169,7 @@ function completePickStart(targetBoxId) {
     app.isPicking = false;
     document.body.style.cursor = '';
     document.body.classList.remove('picking-mode');
-    const btn = document.getElementById('pick-start-btn');
-    if (btn) btn.classList.remove('active');
+    document.querySelectorAll('#pick-start-btn, #link-predecessor-btn').forEach(btn => btn.classList.remove('active'));
 
     // Remove toast and visual feedback
     hidePickModeToast();
@@ -7582,7 +12227,9 @@ function init() {
     });
 
     app.elements.startTime.addEventListener('change', (e) => {
-        app.diagram.startTime = e.target.value;
+        recordHistoryStep('Change start time', () => {
+            app.diagram.startTime = e.target.value;
+        });
         updatePropertiesPanel();
         renderTimeMarkers(); // Update markers as start time changes
         autoSave();
@@ -7690,6 +12337,11 @@ function init() {
         labelsCheckbox.addEventListener('change', handleSettingsChange);
     }
 
+    const criticalPathCheckbox = document.getElementById('config-show-critical-path');
+    if (criticalPathCheckbox) {
+        criticalPathCheckbox.addEventListener('change', handleSettingsChange);
+    }
+
     const autoOpenCheckbox = document.getElementById('config-auto-open-properties');
     if (autoOpenCheckbox) {
         autoOpenCheckbox.addEventListener('change', handleSettingsChange);
@@ -7700,7 +12352,7 @@ function init() {
         baseUnitSelect.addEventListener('change', handleSettingsChange);
     }
 
-    ['config-show-alignment', 'config-show-labels', 'config-compact-view', 'config-auto-open-properties', 'config-lock-diagram']
+    ['config-show-alignment', 'config-show-labels', 'config-show-critical-path', 'config-compact-view', 'config-auto-open-properties', 'config-lock-diagram']
         .forEach(id => {
             const input = document.getElementById(id);
             if (input) input.addEventListener('change', updateToolbarToggleButtons);
@@ -7762,7 +12414,9 @@ function init() {
 
         const syncTrailing = (msValue) => {
             const nextValue = Math.max(0, parseInt(msValue, 10) || 0);
-            app.settings.trailingSpace = nextValue;
+            recordHistoryStep('Change trailing space', () => {
+                app.settings.trailingSpace = nextValue;
+            }, { coalesceKey: 'trailing-space' });
             trailingSlider.value = String(nextValue);
             trailingInput.value = formatMsForInput(nextValue);
             renderLanesCanvas();
@@ -7784,7 +12438,9 @@ function init() {
     if (compressionSlider && compressionInput) {
         const syncCompression = (msValue) => {
             const nextValue = Math.max(10, parseInt(msValue, 10) || 500);
-            app.settings.compressionThreshold = nextValue;
+            recordHistoryStep('Change compression threshold', () => {
+                app.settings.compressionThreshold = nextValue;
+            }, { coalesceKey: 'compression-threshold' });
             compressionSlider.value = String(nextValue);
             compressionInput.value = formatMsForInput(nextValue);
             if (Compression.enabled) {
@@ -7807,7 +12463,9 @@ function init() {
 
     // Also sync header title input changes to settings
     app.elements.diagramTitle.addEventListener('input', (e) => {
-        app.diagram.title = e.target.value;
+        recordHistoryStep('Rename diagram', () => {
+            app.diagram.title = e.target.value;
+        }, { coalesceKey: 'title' });
     });
 
     // Lane name change handler in properties panel
@@ -7850,6 +12508,30 @@ function init() {
     });
     document.getElementById('export-png').addEventListener('click', exportToPNG);
     document.getElementById('export-svg').addEventListener('click', exportToSVG);
+    const exportTableToggle = document.getElementById('export-table-toggle');
+    if (exportTableToggle) {
+        exportTableToggle.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            setExportTablePanelOpen(!isExportTablePanelOpen());
+        });
+        document.getElementById('export-csv').addEventListener('click', () => exportDiagramData('csv'));
+        document.getElementById('export-markdown').addEventListener('click', () => exportDiagramData('markdown'));
+        document.getElementById('export-mermaid').addEventListener('click', () => exportDiagramData('mermaid'));
+        document.getElementById('export-plantuml').addEventListener('click', () => exportDiagramData('plantuml'));
+        document.addEventListener('mousedown', (e) => {
+            if (!isExportTablePanelOpen()) return;
+            const exportMenu = document.querySelector('.toolbar-export-menu');
+            if (exportMenu && !exportMenu.contains(e.target)) {
+                setExportTablePanelOpen(false);
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && isExportTablePanelOpen()) {
+                setExportTablePanelOpen(false);
+            }
+        });
+    }
 
     // Lane management
     document.getElementById('add-lane').addEventListener('click', () => {
@@ -7859,7 +12541,7 @@ function init() {
             return;
         }
         const name = `Lane ${app.diagram.lanes.length + 1}`;
-        app.diagram.addLane(name);
+        recordHistoryStep('Add lane', () => app.diagram.addLane(name));
         renderLaneList();
         renderLanesCanvas();
     });
@@ -7869,11 +12551,102 @@ function init() {
     app.elements.boxColor.addEventListener('input', handleBoxPropertyChange);
     app.elements.boxStart.addEventListener('change', handleBoxPropertyChange);
 
-    // Pick start button
-    const pickBtn = document.getElementById('pick-start-btn');
-    if (pickBtn) {
-        pickBtn.addEventListener('click', enterPickMode);
+    // Pick start button
+    const pickBtn = document.getElementById('pick-start-btn');
+    if (pickBtn) {
+        pickBtn.addEventListener('click', () => enterPickMode('start'));
+    }
+
+    // Link predecessor button
+    const linkPredecessorBtn = document.getElementById('link-predecessor-btn');
+    if (linkPredecessorBtn) {
+        linkPredecessorBtn.addEventListener('click', () => enterPickMode('link'));
+    }
+
+    // Table (CSV/TSV) import modal
+    const tableImportModal = document.getElementById('table-import-modal');
+    if (tableImportModal) {
+        document.getElementById('import-table').addEventListener('click', () => {
+            openTableImportModal();
+        });
+        document.getElementById('close-table-import-modal').addEventListener('click', closeTableImportModal);
+        document.getElementById('cancel-table-import').addEventListener('click', closeTableImportModal);
+        document.getElementById('confirm-table-import').addEventListener('click', confirmTableImport);
+        tableImportModal.addEventListener('click', (e) => {
+            if (e.target === tableImportModal) closeTableImportModal();
+        });
+        const tableFileInput = document.getElementById('table-import-file');
+        document.getElementById('table-import-file-btn').addEventListener('click', () => tableFileInput.click());
+        tableFileInput.addEventListener('change', (e) => {
+            loadTableImportFile(e.target.files[0]);
+            tableFileInput.value = '';
+        });
+        document.getElementById('table-import-text').addEventListener('input', refreshTableImport);
+        ['table-import-delimiter', 'table-import-header', 'table-import-unit', 'table-import-start-time',
+            ...TABLE_IMPORT_FIELDS.map(field => `table-import-map-${field}`)].forEach(id => {
+            const control = document.getElementById(id);
+            if (control) control.addEventListener('change', refreshTableImport);
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && pendingTableImport) closeTableImportModal();
+        });
+    }
+
+    // Workspace backup and restore
+    const workspaceImportModal = document.getElementById('workspace-import-modal');
+    if (workspaceImportModal) {
+        document.getElementById('export-workspace-btn').addEventListener('click', exportWorkspace);
+        const workspaceFile = document.getElementById('workspace-import-file');
+        document.getElementById('import-workspace-btn').addEventListener('click', () => workspaceFile.click());
+        workspaceFile.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) loadWorkspaceFile(e.target.files[0]);
+        });
+        ['workspace-import-merge', 'workspace-import-replace', 'workspace-import-duplicates'].forEach(id => {
+            document.getElementById(id).addEventListener('change', renderWorkspaceImportPreview);
+        });
+        document.getElementById('close-workspace-import-modal').addEventListener('click', closeWorkspaceImportModal);
+        document.getElementById('cancel-workspace-import').addEventListener('click', closeWorkspaceImportModal);
+        document.getElementById('confirm-workspace-import').addEventListener('click', confirmWorkspaceImport);
+        workspaceImportModal.addEventListener('click', (e) => {
+            if (e.target === workspaceImportModal) closeWorkspaceImportModal();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && pendingWorkspaceImport) closeWorkspaceImportModal();
+        });
+    }
+
+    // Trace import options modal
+    const traceImportModal = document.getElementById('trace-import-modal');
+    if (traceImportModal) {
+        document.getElementById('close-trace-import-modal').addEventListener('click', closeTraceImportModal);
+        document.getElementById('cancel-trace-import').addEventListener('click', closeTraceImportModal);
+        document.getElementById('confirm-trace-import').addEventListener('click', confirmTraceImport);
+        traceImportModal.addEventListener('click', (e) => {
+            if (e.target === traceImportModal) closeTraceImportModal();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && pendingTraceImport) closeTraceImportModal();
+        });
+    }
+
+    // Multi-selection bulk edit
+    const multiBoxColor = document.getElementById('multi-box-color');
+    if (multiBoxColor) multiBoxColor.addEventListener('input', handleMultiBoxColorChange);
+    const multiBoxDuration = document.getElementById('multi-box-duration');
+    if (multiBoxDuration) multiBoxDuration.addEventListener('change', handleMultiBoxDurationChange);
+    const multiBoxPrefixBtn = document.getElementById('multi-box-label-prefix-apply');
+    if (multiBoxPrefixBtn) multiBoxPrefixBtn.addEventListener('click', handleMultiBoxLabelPrefix);
+    const multiBoxPrefixInput = document.getElementById('multi-box-label-prefix');
+    if (multiBoxPrefixInput) {
+        multiBoxPrefixInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                handleMultiBoxLabelPrefix();
+            }
+        });
     }
+    const multiBoxDelete = document.getElementById('delete-multi-boxes');
+    if (multiBoxDelete) multiBoxDelete.addEventListener('click', handleDeleteBox);
 
     // Generate Palette Swatches
     const paletteContainer = document.getElementById('color-palette');
@@ -7919,12 +12692,32 @@ function init() {
 
     const undoBtn = document.getElementById('undo-btn');
     if (undoBtn) {
-        undoBtn.addEventListener('click', () => undoLaneDeletion());
+        undoBtn.addEventListener('click', () => undoDiagramChange());
     }
     const redoBtn = document.getElementById('redo-btn');
     if (redoBtn) {
-        redoBtn.addEventListener('click', () => redoLaneDeletion());
+        redoBtn.addEventListener('click', () => redoDiagramChange());
+    }
+    const historyToggleBtn = document.getElementById('history-toggle-btn');
+    if (historyToggleBtn) {
+        historyToggleBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            setHistoryPanelOpen(!isHistoryPanelOpen());
+        });
     }
+    document.addEventListener('mousedown', (e) => {
+        if (!isHistoryPanelOpen()) return;
+        const historyMenu = document.querySelector('.toolbar-history-menu');
+        if (historyMenu && !historyMenu.contains(e.target)) {
+            setHistoryPanelOpen(false);
+        }
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && isHistoryPanelOpen()) {
+            setHistoryPanelOpen(false);
+        }
+    });
     updateUndoRedoButtons();
 
     // Global mouse events for dragging
@@ -7976,6 +12769,21 @@ function init() {
         }
     });
 
+    // Clipboard: copy/paste go through the native events so the JSON payload
+    // reaches the system clipboard and can be pasted into another diagram
+    document.addEventListener('copy', (e) => {
+        if (!isClipboardShortcutContext()) return;
+        copySelectionToClipboard(e);
+    });
+    document.addEventListener('paste', (e) => {
+        if (!isClipboardShortcutContext()) return;
+        pasteFromClipboard(e);
+    });
+    app.elements.lanesCanvas.addEventListener('mousemove', trackPastePointer);
+    app.elements.lanesCanvas.addEventListener('mouseleave', () => {
+        app.pointerPosition = null;
+    });
+
     // Click outside to deselect
     app.elements.lanesCanvas.addEventListener('click', (e) => {
         if (e.target === app.elements.lanesCanvas || e.target.classList.contains('lane-row')) {
@@ -8014,6 +12822,12 @@ function init() {
         );
         const lowerKey = typeof e.key === 'string' ? e.key.toLowerCase() : '';
 
+        // The read-only embedded viewer has no edit, history or helper shortcuts
+        if (app.embedView && !app.embedEditable) {
+            if (e.key === 'Escape') deselectBox();
+            return;
+        }
+
         if (!isTextInputActive && !e.ctrlKey && !e.metaKey && !e.altKey && lowerKey === 'h') {
             e.preventDefault();
             toggleDesignerHints();
@@ -8084,15 +12898,21 @@ function init() {
             if (lowerKey === 'z') {
                 e.preventDefault();
                 if (e.shiftKey) {
-                    redoLaneDeletion();
+                    redoDiagramChange();
                 } else {
-                    undoLaneDeletion();
+                    undoDiagramChange();
                 }
                 return;
             }
             if (lowerKey === 'y') {
                 e.preventDefault();
-                redoLaneDeletion();
+                redoDiagramChange();
+                return;
+            }
+            if (lowerKey === 'd' && !e.shiftKey) {
+                // Always swallow Cmd/Ctrl+D so the browser bookmark dialog never opens over the canvas
+                e.preventDefault();
+                duplicateSelection();
                 return;
             }
         }
@@ -8100,7 +12920,7 @@ function init() {
         if (e.key === 'Delete' || e.key === 'Backspace') {
             if (isTextInputActive) return;
 
-            if (app.selectedBoxId) {
+            if (app.selectedBoxId || isMultiSelectionActive()) {
                 e.preventDefault();
                 handleDeleteBox();
                 return;
@@ -8148,11 +12968,69 @@ function init() {
     // New diagram button
     document.getElementById('new-diagram-btn').addEventListener('click', createNewDiagram);
 
+    // Search, folders, tags and bulk actions in the diagrams modal
+    initDiagramLibraryControls();
+
+    // Keep lists and the open diagram in step with other tabs
+    DiagramStore.subscribe(handleRemoteDiagramChanges);
+
+    // Compare mode (visual diff)
+    const compareModal = document.getElementById('compare-modal');
+    if (compareModal) {
+        document.getElementById('compare-btn').addEventListener('click', () => openCompareModal());
+        document.getElementById('close-compare-modal').addEventListener('click', closeCompareModal);
+        compareModal.addEventListener('click', (e) => {
+            if (e.target === compareModal) closeCompareModal();
+        });
+        document.getElementById('compare-base').addEventListener('change', renderComparison);
+        document.getElementById('compare-target').addEventListener('change', renderComparison);
+        document.getElementById('compare-swap').addEventListener('click', () => {
+            const baseSelect = document.getElementById('compare-base');
+            const targetSelect = document.getElementById('compare-target');
+            [baseSelect.value, targetSelect.value] = [targetSelect.value, baseSelect.value];
+            renderComparison();
+        });
+        document.getElementById('compare-export-svg').addEventListener('click', exportComparisonSVG);
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !compareModal.classList.contains('hidden')) closeCompareModal();
+        });
+    }
+
+    // Version snapshots: history browser and preview bar
+    const versionsModal = document.getElementById('versions-modal');
+    if (versionsModal) {
+        document.getElementById('versions-btn').addEventListener('click', openVersionsModal);
+        document.getElementById('close-versions-modal').addEventListener('click', closeVersionsModal);
+        versionsModal.addEventListener('click', (e) => {
+            if (e.target === versionsModal) closeVersionsModal();
+        });
+        const checkpointName = document.getElementById('version-checkpoint-name');
+        document.getElementById('version-checkpoint-save').addEventListener('click', () => saveVersionCheckpoint(checkpointName.value));
+        checkpointName.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') saveVersionCheckpoint(checkpointName.value);
+        });
+        document.getElementById('version-preview-restore').addEventListener('click', () => {
+            if (app.versionPreview) restoreDiagramVersion(app.versionPreview.snapshot);
+        });
+        document.getElementById('version-preview-fork').addEventListener('click', () => {
+            if (app.versionPreview) forkDiagramVersion(app.versionPreview.snapshot);
+        });
+        document.getElementById('version-preview-exit').addEventListener('click', exitVersionPreview);
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !versionsModal.classList.contains('hidden')) closeVersionsModal();
+        });
+    }
+
     // Try to load from URL first
     const loadedFromURL = loadFromURL();
+    window.addEventListener('hashchange', openShareLinkFromHash);
     const sessionState = loadSessionState();
 
-    if (loadedFromURL) {
+    if (isEmbedViewRequested()) {
+        // Embedded viewers show only the linked diagram and never touch storage
+        initEmbedView(loadedFromURL);
+        initEmbedApi();
+    } else if (loadedFromURL) {
         // URL loaded - create new diagram ID for this shared diagram
         setCurrentDiagramId(generateDiagramId());
         app.elements.diagramTitle.value = app.diagram.title;
@@ -8163,7 +13041,7 @@ function init() {
         enterNoDiagramState();
     }
 
-    if (!loadedFromURL && sessionState && !currentDiagramId) {
+    if (!loadedFromURL && !app.embedView && sessionState && !currentDiagramId) {
         applySessionState(sessionState);
     }
 
@@ -8176,20 +13054,29 @@ function init() {
     saveSessionState();
 
     // Open diagrams panel by default if there are saved diagrams (V1 only)
-    const diagrams = getAllDiagrams();
+    const diagrams = app.embedView ? [] : getAllDiagrams();
     const diagramsPanel = document.getElementById('diagrams-panel');
     if (diagrams.length > 0 && diagramsPanel) {
         diagramsPanel.classList.add('open');
     }
 
+    // Fragment share links decode asynchronously and open on top of the restored workspace
+    if (!loadedFromURL) {
+        openShareLinkFromHash();
+    }
+
+    if (app.embedView) return;
+
     // One-time per-tab onboarding hint for helper mode shortcuts.
     window.setTimeout(() => {
         showHelpShortcutHintIfNeeded();
     }, 900);
 }
 
-// Start the app when DOM is ready
-document.addEventListener('DOMContentLoaded', init);
+// Start the app when DOM is ready and saved diagrams have loaded from IndexedDB
+document.addEventListener('DOMContentLoaded', () => {
+    DiagramStore.ready.then(init);
+});
 
 
 // =====================================================
@@ -8207,7 +13094,7 @@ const V2 = {
     isV2: false,
     rightSidebar: null,
     rightSidebarTitle: null,
-    currentMode: null, // 'settings', 'box', 'lane'
+    currentMode: null, // 'settings', 'box', 'lane', 'multi'
 
     /**
      * Detect v2 and initialize
@@ -8300,11 +13187,13 @@ const V2 = {
         const settingsProps = document.getElementById('settings-props');
         const boxProps = document.getElementById('box-props');
         const laneProps = document.getElementById('lane-props');
+        const multiBoxProps = document.getElementById('multi-box-props');
 
         // Hide all sections
         if (settingsProps) settingsProps.classList.add('hidden');
         if (boxProps) boxProps.classList.add('hidden');
         if (laneProps) laneProps.classList.add('hidden');
+        if (multiBoxProps) multiBoxProps.classList.add('hidden');
 
         // Show requested section
         switch (mode) {
@@ -8320,6 +13209,10 @@ const V2 = {
                 if (laneProps) laneProps.classList.remove('hidden');
                 if (title) title.textContent = 'Lane Properties';
                 break;
+            case 'multi':
+                if (multiBoxProps) multiBoxProps.classList.remove('hidden');
+                if (title) title.textContent = 'Multiple Boxes';
+                break;
         }
 
         this.currentMode = mode;
@@ -8409,8 +13302,11 @@ const V2 = {
         const btn = document.getElementById('theme-toggle-btn');
         if (!btn) return;
 
-        // Load saved theme
-        const savedTheme = localStorage.getItem('tld-theme') || 'dark';
+        // Load saved theme (embeds may pick one to match the host page)
+        const themeParam = app.embedView ? new URLSearchParams(window.location.search).get('theme') : null;
+        const savedTheme = (themeParam === 'light' || themeParam === 'dark')
+            ? themeParam
+            : (localStorage.getItem('tld-theme') || 'dark');
         this.applyTheme(savedTheme);
 
         btn.addEventListener('click', () => {
@@ -8473,7 +13369,9 @@ const V2 = {
                     });
                 }
 
-                app.settings.timelineDuration = newValue;
+                recordHistoryStep('Change timeline duration', () => {
+                    app.settings.timelineDuration = newValue;
+                });
                 durationInput.value = formatMsForInput(newValue);
                 renderTimelineRuler();
                 renderLanesCanvas();
@@ -8491,6 +13389,11 @@ const V2 = {
         const lockCheckbox = document.getElementById('config-lock-diagram');
         if (lockCheckbox) {
             lockCheckbox.addEventListener('change', () => {
+                // A version preview stays read-only
+                if (app.versionPreview) {
+                    lockCheckbox.checked = true;
+                    return;
+                }
                 app.diagram.locked = lockCheckbox.checked;
                 updateLockState();
                 autoSave();
@@ -8519,6 +13422,7 @@ const V2 = {
 
             // Deselect any box
             app.selectedBoxId = null;
+            app.selectedBoxIds = [];
             app.selectedLaneId = null;
             document.querySelectorAll('.timeline-box.selected').forEach(el => el.classList.remove('selected'));
             syncSelectedLaneUI();
@@ -8535,6 +13439,9 @@ const V2 = {
             const labelsCb = document.getElementById('config-show-labels');
             if (labelsCb) labelsCb.checked = app.settings.showBoxLabels;
 
+            const criticalPathCb = document.getElementById('config-show-critical-path');
+            if (criticalPathCb) criticalPathCb.checked = app.settings.showCriticalPath;
+
             const autoOpenCb = document.getElementById('config-auto-open-properties');
             if (autoOpenCb) autoOpenCb.checked = app.settings.autoOpenBoxProperties;
 
@@ -8597,6 +13504,9 @@ const V2 = {
             const baseTime = parseTime(app.diagram.startTime);
             app.elements.boxTimeStart.textContent = formatTime(baseTime + box.startOffset);
             app.elements.boxTimeEnd.textContent = formatTime(baseTime + box.startOffset + box.duration);
+            renderBoxDependencyList(box);
+            renderBoxMetadataList(box);
+            updateBoxSlackDisplay(box);
         };
 
         // Override deselectBox
@@ -8605,10 +13515,12 @@ const V2 = {
             if (!V2.isV2) { _origDeselect(); return; }
 
             app.selectedBoxId = null;
+            app.selectedBoxIds = [];
             document.querySelectorAll('.timeline-box.selected').forEach(el => el.classList.remove('selected'));
+            renderDependencyOverlay();
 
             // Only hide sidebar if showing box props
-            if (self.currentMode === 'box') {
+            if (self.currentMode === 'box' || self.currentMode === 'multi') {
                 self.hideRightSidebar();
             }
 
@@ -8627,6 +13539,7 @@ const V2 = {
 
             // Deselect any box
             app.selectedBoxId = null;
+            app.selectedBoxIds = [];
             app.selectedLaneId = laneId;
             document.querySelectorAll('.timeline-box.selected').forEach(el => el.classList.remove('selected'));
             syncSelectedLaneUI();
@@ -8708,9 +13621,9 @@ function updateDiagramsBadge() {
     }
 }
 
-// Initialize V2 after the main init
+// Initialize V2 after the main init (both wait for the diagram store, in registration order)
 document.addEventListener('DOMContentLoaded', () => {
-    V2.init();
+    DiagramStore.ready.then(() => V2.init());
 }, { once: true });
 
 // =====================================================
@@ -8795,7 +13708,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
                 const saveEdit = () => {
                     const newName = textarea.value.trim() || 'Unnamed Lane';
-                    app.diagram.renameLane(lane.id, newName);
+                    recordHistoryStep('Rename lane', () => app.diagram.renameLane(lane.id, newName));
                     renderLaneList();
                     renderLanesCanvas();
                     autoSave();
@@ -8841,9 +13754,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
         const canvas = app.elements.lanesCanvas;
 
-        // Remove lane-row children but preserve the SVG overlay element
+        // Remove lane-row children but preserve the SVG overlay elements
         Array.from(canvas.children).forEach(child => {
-            if (child.id !== 'alignment-canvas-overlay') {
+            if (child.id !== 'alignment-canvas-overlay' && child.id !== 'dependency-canvas-overlay') {
                 canvas.removeChild(child);
             }
         });
@@ -8937,7 +13850,9 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         checkbox.addEventListener('change', () => {
-            app.settings.compactView = checkbox.checked;
+            recordHistoryStep('Toggle compact view', () => {
+                app.settings.compactView = checkbox.checked;
+            });
             if (app.settings.compactView) {
                 document.body.classList.add('hide-lane-labels');
             } else {
@@ -9020,7 +13935,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 showToast({ type: 'info', title: 'Duration Adjusted', message: `Minimum duration is ${formatDuration(totalDur)} based on existing boxes.` });
             }
 
-            app.settings.timelineDuration = val;
+            recordHistoryStep('Change timeline duration', () => {
+                app.settings.timelineDuration = val;
+            });
             durationInput.value = formatMsForInput(val);
             renderLanesCanvas();
             renderTimelineRuler();
@@ -9305,12 +14222,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
             // 2. Update state
             app.selectedBoxId = boxId;
+            app.selectedBoxIds = [];
 
             // 3. Select new visually
             const boxEl = document.querySelector(`.timeline-box[data-box-id="${boxId}"]`);
             if (boxEl) {
                 boxEl.classList.add('selected');
             }
+            renderDependencyOverlay();
 
             // 4. Update Properties Panel ONLY if it is already open AND not actively dragging/resizing
             const sidebar = document.getElementById('right-sidebar');
@@ -9534,6 +14453,7 @@ document.addEventListener('DOMContentLoaded', () => {
             const boxDuration = document.getElementById('props-box-duration');
             const boxLabel = document.getElementById('props-box-label');
             const boxColor = document.getElementById('props-box-color');
+            const historyBefore = captureHistoryState();
 
             if (property === 'label') {
                 box.label = boxLabel.value;
@@ -9548,6 +14468,11 @@ document.addEventListener('DOMContentLoaded', () => {
             } else if (property === 'color') {
                 box.color = boxColor.value;
             }
+            if (property === 'start' || property === 'duration') {
+                app.diagram.anchorIncomingDependencies(box.id);
+                app.diagram.rescheduleDependents(box.id);
+            }
+            commitHistoryStep('Edit box', historyBefore);
 
             // Update display
             const baseTime = parseTime(app.diagram.startTime);
@@ -9570,12 +14495,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
             const laneName = document.getElementById('props-lane-name');
             const laneColor = document.getElementById('props-lane-color');
+            const historyBefore = captureHistoryState();
 
             if (property === 'name') {
                 lane.name = laneName.value;
             } else if (property === 'color') {
                 lane.baseColor = laneColor.value;
             }
+            commitHistoryStep(property === 'name' ? 'Rename lane' : 'Change lane color', historyBefore);
 
             // Refresh UI
             renderLaneList();
@@ -9604,6 +14531,8 @@ document.addEventListener('DOMContentLoaded', () => {
         const overlay = document.getElementById('alignment-canvas-overlay');
         const lanesCanvas = document.getElementById('lanes-canvas');
         
+        renderDependencyOverlay();
+
         if (!overlay || !lanesCanvas) return;
 
         // Clear existing lines
@@ -9663,3 +14592,609 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
 })();
+
+// =====================================================
+// Box Dependencies - Connectors and properties list
+// =====================================================
+
+/**
+ * Route a dependency connector as an elbow polyline between two boxes.
+ * Shared by the live overlay and the SVG/PNG exports so all three match.
+ * @param {Object} dependency - Dependency link
+ * @param {Object} layout - Origin offsets and lane height of the target surface
+ * @returns {{points: number[][], arrow: number[][]}|null} - Polyline and arrow head, or null if unroutable
+ */
+function getDependencyConnectorGeometry(dependency, { offsetX = 0, offsetY = 0, laneHeight = getLaneHeightPx() } = {}) {
+    const lanes = app.diagram.lanes;
+    const from = app.diagram.boxes.find(b => b.id === dependency.fromBoxId);
+    const to = app.diagram.boxes.find(b => b.id === dependency.toBoxId);
+    if (!from || !to) return null;
+
+    const fromLaneIndex = lanes.findIndex(l => l.id === from.laneId);
+    const toLaneIndex = lanes.findIndex(l => l.id === to.laneId);
+    if (fromLaneIndex < 0 || toLaneIndex < 0) return null;
+
+    const fromEdges = getRenderedBoxEdges(from);
+    const toEdges = getRenderedBoxEdges(to);
+    const exitsRight = dependency.type !== 'SS';
+    const entersLeft = dependency.type !== 'FF';
+    const stub = 8;
+
+    const x1 = offsetX + (exitsRight ? fromEdges.rightPx : fromEdges.leftPx);
+    const x2 = offsetX + (entersLeft ? toEdges.leftPx : toEdges.rightPx);
+    const y1 = offsetY + (fromLaneIndex * laneHeight) + (laneHeight / 2);
+    const y2 = offsetY + (toLaneIndex * laneHeight) + (laneHeight / 2);
+    const exitX = x1 + (exitsRight ? stub : -stub);
+    const entryX = x2 + (entersLeft ? -stub : stub);
+
+    let points;
+    if (exitsRight && entersLeft && exitX > entryX) {
+        // Successor starts before the predecessor ends: detour along the lane boundary
+        let channelY;
+        if (toLaneIndex > fromLaneIndex) {
+            channelY = offsetY + (toLaneIndex * laneHeight);
+        } else if (toLaneIndex < fromLaneIndex) {
+            channelY = offsetY + ((toLaneIndex + 1) * laneHeight);
+        } else {
+            channelY = offsetY + ((toLaneIndex + 1) * laneHeight) - 3;
+        }
+        points = [[x1, y1], [exitX, y1], [exitX, channelY], [entryX, channelY], [entryX, y2], [x2, y2]];
+    } else {
+        let midX = exitX;
+        if (!exitsRight) midX = Math.min(exitX, entryX);
+        else if (!entersLeft) midX = Math.max(exitX, entryX);
+        points = [[x1, y1], [midX, y1], [midX, y2], [x2, y2]];
+    }
+
+    const direction = entersLeft ? 1 : -1;
+    const arrow = [[x2, y2], [x2 - direction * 6, y2 - 4], [x2 - direction * 6, y2 + 4]];
+    return { points, arrow };
+}
+
+function renderDependencyOverlay() {
+    const overlay = document.getElementById('dependency-canvas-overlay');
+    const lanesCanvas = document.getElementById('lanes-canvas');
+    if (!overlay || !lanesCanvas) return;
+
+    while (overlay.firstChild) overlay.removeChild(overlay.firstChild);
+
+    const criticalPath = app.settings.showCriticalPath ? app.diagram.getCriticalPathAnalysis() : null;
+    syncCriticalBoxHighlight(criticalPath);
+
+    const dependencies = app.diagram.dependencies || [];
+    if (dependencies.length === 0) {
+        overlay.style.display = 'none';
+        return;
+    }
+
+    overlay.style.display = 'block';
+    overlay.setAttribute('width', 0);
+    overlay.setAttribute('height', 0);
+    overlay.setAttribute('width', Math.max(0, lanesCanvas.scrollWidth - getLaneLabelWidthPx()));
+    overlay.setAttribute('height', lanesCanvas.scrollHeight);
+
+    const laneHeight = getLaneHeightPx();
+    dependencies.forEach(dep => {
+        const geometry = getDependencyConnectorGeometry(dep, { laneHeight });
+        if (!geometry) return;
+
+        // Links touching the selected box are highlighted via CSS
+        const isActive = isBoxSelected(dep.fromBoxId) || isBoxSelected(dep.toBoxId);
+        const isCritical = isCriticalDependency(dep, criticalPath);
+        const stateClasses = (isActive ? ' is-active' : '') + (isCritical ? ' is-critical' : '');
+
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+        line.setAttribute('points', geometry.points.map(p => p.join(',')).join(' '));
+        line.setAttribute('stroke', DEPENDENCY_ARROW_COLOR);
+        line.setAttribute('class', 'dependency-arrow' + stateClasses);
+        overlay.appendChild(line);
+
+        const head = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+        head.setAttribute('points', geometry.arrow.map(p => p.join(',')).join(' '));
+        head.setAttribute('fill', DEPENDENCY_ARROW_COLOR);
+        head.setAttribute('class', 'dependency-arrow-head' + stateClasses);
+        overlay.appendChild(head);
+    });
+}
+
+function syncCriticalBoxHighlight(criticalPath) {
+    document.querySelectorAll('#lanes-canvas .timeline-box[data-box-id]').forEach(el => {
+        const entry = criticalPath ? criticalPath.get(parseInt(el.dataset.boxId, 10)) : null;
+        el.classList.toggle('is-critical', !!(entry && entry.critical));
+    });
+}
+
+function isCriticalDependency(dependency, criticalPath) {
+    if (!criticalPath) return false;
+    const from = criticalPath.get(dependency.fromBoxId);
+    const to = criticalPath.get(dependency.toBoxId);
+    return !!(from && from.critical && to && to.critical);
+}
+
+function updateBoxSlackDisplay(box) {
+    const slackEl = document.getElementById('box-slack');
+    if (!slackEl || !box) return;
+
+    const entry = app.diagram.getCriticalPathAnalysis().get(box.id);
+    if (!entry) {
+        slackEl.textContent = '—';
+        slackEl.classList.remove('is-critical');
+        return;
+    }
+    slackEl.textContent = entry.critical ? `${formatDuration(0)} · critical` : formatDuration(entry.slack);
+    slackEl.classList.toggle('is-critical', entry.critical);
+}
+
+function refreshAfterDependencyChange() {
+    if (Compression.enabled) Compression.invalidate();
+    renderLanesCanvas();
+    updateTotalDuration();
+    updatePropertiesPanel();
+    autoSave();
+}
+
+function linkPredecessorBox(fromBoxId, toBoxId) {
+    if (!app.diagram.canAddDependency(fromBoxId, toBoxId)) {
+        showToast({
+            type: 'warning',
+            title: 'Cannot Link Boxes',
+            message: fromBoxId === toBoxId
+                ? 'A box cannot depend on itself'
+                : 'These boxes are already linked, or the link would create a cycle'
+        });
+        return false;
+    }
+
+    recordHistoryStep('Link boxes', () => {
+        app.diagram.addDependency(fromBoxId, toBoxId, 'FS', 0);
+        app.diagram.rescheduleDependents(fromBoxId);
+    });
+    refreshAfterDependencyChange();
+    return true;
+}
+
+function getBoxDisplayName(box) {
+    return box && box.label ? box.label : `Box #${box ? box.id : '?'}`;
+}
+
+/**
+ * Render the selected box's predecessors (←) and successors (→) into the box properties.
+ * Type and lag are editable in place; every edit re-flows the successor chain.
+ * @param {Object} box - Selected box
+ */
+function renderBoxDependencyList(box) {
+    const list = document.getElementById('box-dependency-list');
+    if (!list || !box) return;
+
+    list.innerHTML = '';
+    const dependencies = app.diagram.getDependenciesForBox(box.id);
+    if (dependencies.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'dependency-empty';
+        empty.textContent = 'No links. Use 🔗 to follow another box.';
+        list.appendChild(empty);
+        return;
+    }
+
+    const unitLabel = getBaseUnitLabel();
+    dependencies.forEach(dep => {
+        const isIncoming = dep.toBoxId === box.id;
+        const otherBox = app.diagram.boxes.find(b => b.id === (isIncoming ? dep.fromBoxId : dep.toBoxId));
+
+        const row = document.createElement('div');
+        row.className = 'dependency-row';
+        row.dataset.dependencyId = dep.id;
+
+        const name = document.createElement('span');
+        name.className = 'dependency-box-name';
+        name.textContent = `${isIncoming ? '←' : '→'} ${getBoxDisplayName(otherBox)}`;
+        name.title = isIncoming ? 'Predecessor' : 'Successor';
+
+        const typeSelect = document.createElement('select');
+        typeSelect.className = 'form-input dependency-type';
+        Object.entries(DEPENDENCY_TYPES).forEach(([type, label]) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = type;
+            option.title = label;
+            typeSelect.appendChild(option);
+        });
+        typeSelect.value = dep.type;
+        typeSelect.title = DEPENDENCY_TYPES[dep.type];
+
+        const lagInput = document.createElement('input');
+        lagInput.type = 'number';
+        lagInput.step = 'any';
+        lagInput.className = 'form-input dependency-lag';
+        lagInput.value = formatMsForInput(dep.lag);
+        lagInput.title = `Lag (${unitLabel})`;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'icon-btn tiny dependency-remove';
+        removeBtn.textContent = '×';
+        removeBtn.title = 'Remove link';
+
+        typeSelect.addEventListener('change', () => {
+            if (!isEditingAllowed()) return;
+            recordHistoryStep('Change link type', () => {
+                app.diagram.updateDependency(dep.id, { type: typeSelect.value });
+                app.diagram.rescheduleDependents(dep.fromBoxId);
+            });
+            refreshAfterDependencyChange();
+        });
+
+        lagInput.addEventListener('change', () => {
+            if (!isEditingAllowed()) return;
+            const lag = parseInputToMs(lagInput.value, {
+                fallbackMs: dep.lag,
+                minMs: Number.NEGATIVE_INFINITY
+            });
+            recordHistoryStep('Change link lag', () => {
+                app.diagram.updateDependency(dep.id, { lag: lag });
+                app.diagram.rescheduleDependents(dep.fromBoxId);
+            });
+            refreshAfterDependencyChange();
+        });
+
+        removeBtn.addEventListener('click', () => {
+            if (!isEditingAllowed()) return;
+            recordHistoryStep('Remove link', () => app.diagram.removeDependency(dep.id));
+            refreshAfterDependencyChange();
+        });
+
+        row.appendChild(name);
+        row.appendChild(typeSelect);
+        row.appendChild(lagInput);
+        row.appendChild(removeBtn);
+        list.appendChild(row);
+    });
+}
+
+// =====================================================
+// Clipboard - Copy, paste and duplicate boxes and lanes
+// =====================================================
+
+/**
+ * Serialize the current selection (boxes, or else the selected lane with its
+ * boxes) into a diagram-independent payload. Box times are stored relative to
+ * the earliest box and lanes relative to the topmost one, so the payload can be
+ * dropped anywhere in any diagram.
+ * @returns {Object|null} Clipboard payload, or null when nothing is selected
+ */
+function buildClipboardPayload() {
+    const orderedLanes = [...app.diagram.lanes].sort((a, b) => a.order - b.order);
+    const laneIndexById = new Map(orderedLanes.map((lane, index) => [lane.id, index]));
+
+    let kind;
+    let lanes = [];
+    let boxes;
+    const selectedBoxIds = getSelectedBoxIds();
+    if (selectedBoxIds.length > 0) {
+        kind = 'boxes';
+        boxes = selectedBoxIds.map(id => app.diagram.boxes.find(b => b.id === id)).filter(Boolean);
+    } else if (app.selectedLaneId !== null && app.selectedLaneId !== undefined) {
+        const lane = app.diagram.lanes.find(l => l.id === parseInt(app.selectedLaneId, 10));
+        if (!lane) return null;
+        kind = 'lanes';
+        lanes = [{ name: lane.name, baseColor: lane.baseColor }];
+        boxes = app.diagram.boxes.filter(b => b.laneId === lane.id);
+    } else {
+        return null;
+    }
+
+    const originMs = boxes.length > 0 ? Math.min(...boxes.map(b => b.startOffset)) : 0;
+    const topLaneIndex = kind === 'boxes' ? Math.min(...boxes.map(b => laneIndexById.get(b.laneId))) : 0;
+    const copiedIds = new Set(boxes.map(b => b.id));
+
+    return {
+        type: CLIPBOARD_PAYLOAD_TYPE,
+        version: CLIPBOARD_PAYLOAD_VERSION,
+        kind: kind,
+        originMs: originMs,
+        lanes: lanes,
+        boxes: boxes.map(box => ({
+            key: box.id,
+            laneOffset: kind === 'boxes' ? laneIndexById.get(box.laneId) - topLaneIndex : 0,
+            startOffset: box.startOffset - originMs,
+            duration: box.duration,
+            label: box.label,
+            color: box.color,
+            metadata: box.metadata
+        })),
+        dependencies: app.diagram.dependencies
+            .filter(dep => copiedIds.has(dep.fromBoxId) && copiedIds.has(dep.toBoxId))
+            .map(dep => ({ from: dep.fromBoxId, to: dep.toBoxId, type: dep.type, lag: dep.lag }))
+    };
+}
+
+/**
+ * Validate clipboard text and return the payload it carries.
+ * @param {string} text - Raw clipboard text
+ * @returns {Object|null} Payload, or null when the text is not timeline content
+ */
+function parseClipboardPayload(text) {
+    if (typeof text !== 'string' || !text.trim().startsWith('{')) return null;
+    let payload;
+    try {
+        payload = JSON.parse(text);
+    } catch (err) {
+        return null;
+    }
+    if (!payload || payload.type !== CLIPBOARD_PAYLOAD_TYPE || !Array.isArray(payload.boxes)) return null;
+    if (payload.kind !== 'boxes' && payload.kind !== 'lanes') return null;
+    if (payload.kind === 'lanes' && (!Array.isArray(payload.lanes) || payload.lanes.length === 0)) return null;
+
+    const isValidBox = box => box &&
+        Number.isFinite(box.startOffset) &&
+        Number.isFinite(box.duration) && box.duration > 0 &&
+        Number.isInteger(box.laneOffset) && box.laneOffset >= 0;
+    if (!payload.boxes.every(isValidBox)) return null;
+    if (!Array.isArray(payload.dependencies)) payload.dependencies = [];
+    if (!Number.isFinite(payload.originMs)) payload.originMs = 0;
+    return payload;
+}
+
+function trackPastePointer(e) {
+    const track = e.target.closest('.lane-track');
+    if (!track) {
+        app.pointerPosition = null;
+        return;
+    }
+    const rect = track.getBoundingClientRect();
+    let ms = Math.max(0, pixelsToMs(e.clientX - rect.left));
+    if (Compression.enabled) {
+        ms = Compression.compressedToActual(ms);
+    }
+    app.pointerPosition = {
+        laneId: parseInt(track.dataset.laneId, 10),
+        ms: snapMsToUnitStep(ms, { subUnitPrecision: isSubUnitPrecisionActive(e) })
+    };
+}
+
+/**
+ * Where a paste lands: the lane and time under the cursor when it is over a
+ * track, otherwise the selected lane (or first lane) at the copied time.
+ * @param {Object} payload - Clipboard payload
+ * @returns {{laneId: number|null, ms: number}}
+ */
+function getPasteTarget(payload) {
+    const pointer = app.pointerPosition;
+    if (pointer && app.diagram.lanes.some(l => l.id === pointer.laneId)) {
+        return { laneId: pointer.laneId, ms: pointer.ms };
+    }
+
+    const selectedBox = app.selectedBoxId ? app.diagram.boxes.find(b => b.id === app.selectedBoxId) : null;
+    const selectedLaneId = parseInt(app.selectedLaneId, 10);
+    let laneId = null;
+    if (selectedBox) {
+        laneId = selectedBox.laneId;
+    } else if (app.diagram.lanes.some(l => l.id === selectedLaneId)) {
+        laneId = selectedLaneId;
+    } else if (app.diagram.lanes.length > 0) {
+        laneId = [...app.diagram.lanes].sort((a, b) => a.order - b.order)[0].id;
+    }
+    return { laneId: laneId, ms: payload.originMs };
+}
+
+/**
+ * Insert a clipboard payload into the current diagram as one undo step.
+ * Box payloads keep their lane spread starting at the target lane (clamped to
+ * the last lane); lane payloads are inserted below the target lane.
+ * @param {Object} payload - Clipboard payload
+ * @param {{laneId: number|null, ms: number}} target - Anchor lane and start time
+ * @param {Object} options - { label: history label, laneNameSuffix: appended to new lane names }
+ * @returns {{boxIds: number[], laneIds: number[]}|null} Created items, or null when nothing was pasted
+ */
+function pasteClipboardPayload(payload, target, options = {}) {
+    if (!isEditingAllowed()) return null;
+    if (payload.kind === 'boxes' && (target.laneId === null || payload.boxes.length === 0)) {
+        showToast({
+            type: 'warning',
+            title: 'Nothing to Paste Into',
+            message: 'Add a lane first, then paste the boxes.',
+            duration: 3000
+        });
+        return null;
+    }
+
+    const defaultLabel = payload.kind === 'lanes' ? 'Paste lane' : 'Paste boxes';
+    const laneNameSuffix = options.laneNameSuffix || '';
+    const startMs = Math.max(0, target.ms);
+
+    const created = recordHistoryStep(options.label || defaultLabel, () => {
+        const orderedLanes = [...app.diagram.lanes].sort((a, b) => a.order - b.order);
+        const targetIndex = orderedLanes.findIndex(l => l.id === target.laneId);
+        let laneIds;
+        let resolveLane;
+
+        if (payload.kind === 'lanes') {
+            const insertAt = targetIndex === -1 ? orderedLanes.length : targetIndex + 1;
+            laneIds = payload.lanes.map((lane, index) => app.diagram.insertLaneAt(
+                insertAt + index,
+                `${lane.name || `Lane ${insertAt + index + 1}`}${laneNameSuffix}`,
+                lane.baseColor || null
+            ).id);
+            resolveLane = box => laneIds[Math.min(box.laneOffset, laneIds.length - 1)];
+        } else {
+            laneIds = [];
+            resolveLane = box => orderedLanes[Math.min(targetIndex + box.laneOffset, orderedLanes.length - 1)].id;
+        }
+
+        const idByKey = new Map();
+        const boxIds = payload.boxes.map(entry => {
+            const laneId = resolveLane(entry);
+            const box = app.diagram.addBox(
+                laneId,
+                startMs + Math.max(0, entry.startOffset),
+                entry.duration,
+                typeof entry.label === 'string' ? entry.label : '',
+                entry.color || getAutoBoxColor(laneId)
+            );
+            if (entry.metadata && typeof entry.metadata === 'object' && !Array.isArray(entry.metadata)) {
+                box.metadata = { ...entry.metadata };
+            }
+            idByKey.set(entry.key, box.id);
+            return box.id;
+        });
+
+        payload.dependencies.forEach(dep => {
+            const fromId = idByKey.get(dep.from);
+            const toId = idByKey.get(dep.to);
+            if (fromId && toId && app.diagram.canAddDependency(fromId, toId)) {
+                app.diagram.addDependency(fromId, toId, dep.type, Number.isFinite(dep.lag) ? dep.lag : 0);
+            }
+        });
+
+        return { boxIds: boxIds, laneIds: laneIds };
+    });
+
+    if (Compression.enabled) Compression.invalidate();
+    renderLaneList();
+    renderTimelineRuler();
+    renderLanesCanvas();
+    renderTimeMarkers();
+    updateTotalDuration();
+    autoSave();
+
+    if (payload.kind === 'lanes' && created.laneIds.length > 0) {
+        showLanePropertiesPanel(created.laneIds[0]);
+    } else {
+        setBoxSelection(created.boxIds);
+    }
+    return created;
+}
+
+function describeClipboardPayload(payload) {
+    if (payload.kind === 'lanes') {
+        return payload.lanes.length === 1 ? `lane "${payload.lanes[0].name}"` : `${payload.lanes.length} lanes`;
+    }
+    return payload.boxes.length === 1 ? '1 box' : `${payload.boxes.length} boxes`;
+}
+
+/**
+ * Copy the selection. Writes through the copy event's clipboardData when
+ * available (synchronous, no permission prompt) and falls back to the async
+ * Clipboard API so the JSON can be pasted into another diagram or tab.
+ * @param {ClipboardEvent} [e] - Native copy event
+ * @returns {boolean} Whether anything was copied
+ */
+function copySelectionToClipboard(e = null) {
+    const payload = buildClipboardPayload();
+    if (!payload) return false;
+
+    app.clipboard = payload;
+    const text = JSON.stringify(payload);
+    if (e && e.clipboardData) {
+        e.clipboardData.setData('text/plain', text);
+        e.preventDefault();
+    } else if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(text).catch(() => {});
+    }
+
+    showToast({
+        type: 'info',
+        title: 'Copied',
+        message: `Copied ${describeClipboardPayload(payload)}. Paste with Cmd/Ctrl + V in any diagram.`,
+        duration: 2000
+    });
+    return true;
+}
+
+/**
+ * Paste timeline content from the paste event (or the in-page clipboard when
+ * the event carries no text) at the current paste target.
+ * @param {ClipboardEvent} [e] - Native paste event
+ * @returns {boolean} Whether anything was pasted
+ */
+function pasteFromClipboard(e = null) {
+    const text = e && e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+    const payload = text ? parseClipboardPayload(text) : app.clipboard;
+    if (!payload) {
+        // Mermaid gantt / PlantUML timing source opens as a new diagram
+        if (text && detectTextDiagram(text)) {
+            if (e) e.preventDefault();
+            try {
+                const textDiagram = convertTextDiagramToDiagram(text);
+                openImportedDiagram(textDiagram.diagram, textDiagram.note);
+            } catch (err) {
+                showToast({ type: 'error', title: 'Import Failed', message: err.message });
+            }
+            return true;
+        }
+        // Cells copied from a spreadsheet arrive tab-separated: offer the table import
+        if (text && text.includes('\t')) {
+            if (e) e.preventDefault();
+            openTableImportModal(text);
+            return true;
+        }
+        return false;
+    }
+    if (e) e.preventDefault();
+
+    return !!pasteClipboardPayload(payload, getPasteTarget(payload));
+}
+
+/**
+ * Duplicate the selection in place: boxes are repeated right after the copied
+ * span on the same lanes, a lane is inserted below itself with the same times.
+ * Does not touch the clipboard.
+ * @returns {boolean} Whether anything was duplicated
+ */
+function duplicateSelection() {
+    const payload = buildClipboardPayload();
+    if (!payload) return false;
+
+    if (payload.kind === 'lanes') {
+        const sourceLaneId = parseInt(app.selectedLaneId, 10);
+        return !!pasteClipboardPayload(payload, { laneId: sourceLaneId, ms: payload.originMs }, {
+            label: 'Duplicate lane',
+            laneNameSuffix: ' (copy)'
+        });
+    }
+
+    const sourceBoxes = getSelectedBoxIds().map(id => app.diagram.boxes.find(b => b.id === id)).filter(Boolean);
+    const orderedLanes = [...app.diagram.lanes].sort((a, b) => a.order - b.order);
+    const topLane = orderedLanes.find(lane => sourceBoxes.some(b => b.laneId === lane.id));
+    const spanMs = Math.max(...payload.boxes.map(b => b.startOffset + b.duration));
+    return !!pasteClipboardPayload(payload, { laneId: topLane.id, ms: payload.originMs + spanMs }, {
+        label: sourceBoxes.length > 1 ? 'Duplicate boxes' : 'Duplicate box'
+    });
+}
+
+function isClipboardShortcutContext() {
+    const active = document.activeElement;
+    const isTextInputActive = !!active && (
+        active.tagName === 'INPUT' ||
+        active.tagName === 'TEXTAREA' ||
+        active.tagName === 'SELECT' ||
+        active.isContentEditable
+    );
+    if (isTextInputActive || app.embedView) return false;
+    if (document.querySelector('.modal-overlay:not(.hidden)')) return false;
+    // Let the browser copy highlighted page text as usual
+    const selection = window.getSelection ? window.getSelection() : null;
+    return !selection || selection.isCollapsed;
+}
+
+// =====================================================
+// Box Metadata - Read-only key/value details
+// =====================================================
+function renderBoxMetadataList(box) {
+    const group = document.getElementById('box-metadata-group');
+    const list = document.getElementById('box-metadata-list');
+    if (!group || !list) return;
+    list.innerHTML = '';
+
+    const entries = box && box.metadata ? Object.entries(box.metadata) : [];
+    group.classList.toggle('hidden', entries.length === 0);
+    entries.forEach(([key, value]) => {
+        const term = document.createElement('dt');
+        term.textContent = key;
+        term.title = key;
+        const detail = document.createElement('dd');
+        detail.textContent = String(value);
+        detail.title = String(value);
+        list.appendChild(term);
+        list.appendChild(detail);
+    });
+}
@@ -11,11 +11,18 @@
         'diagrams-toggle': 'diagrams',
         'save-json': 'saveJson',
         'load-json': 'loadJson',
+        'import-table': 'importTable',
         'undo-btn': 'undoLane',
         'redo-btn': 'redoLane',
+        'history-toggle-btn': 'editHistory',
+        'versions-btn': 'versions',
+        'compare-btn': 'compare',
+        'export-workspace-btn': 'workspace',
+        'import-workspace-btn': 'workspace',
         'share-url': 'shareLink',
         'export-png': 'exportPng',
         'export-svg': 'exportSvg',
+        'export-table-toggle': 'exportTable',
         'zoom-out': 'zoomOut',
         'zoom-in': 'zoomIn',
         'zoom-fit': 'fitToView',
@@ -25,6 +32,7 @@
         'threshold-toggle-btn': 'threshold',
         'config-show-alignment': 'alignment',
         'config-show-labels': 'persistentLabels',
+        'config-show-critical-path': 'criticalPath',
         'config-compact-view': 'compactView',
         'config-auto-open-properties': 'autoOpenProps',
         'config-lock-diagram': 'lockDiagram',
@@ -44,8 +52,12 @@
             summary: 'Manage all saved diagrams in one place.',
             points: [
                 'Open, lock, rename, delete, or purge diagrams.',
+                'Search titles, lanes and box labels; filter by folder or #tag.',
+                'Tick diagrams to move, tag, export or delete them together.',
                 'Add a fresh diagram without losing the current one.',
-                'The badge shows the number of stored diagrams.'
+                'The badge shows the number of stored diagrams.',
+                'The footer meter shows how much browser storage they use; there is no fixed cap.',
+                'The list stays in sync with other open tabs and pages.'
             ],
             anchor: 'auto-save'
         },
@@ -64,38 +76,92 @@
             summary: 'Import a JSON diagram into the editor.',
             points: [
                 'Supports saved exports and parser-generated files.',
+                'Chrome Trace / Perfetto JSON becomes one lane per pid/tid.',
+                'OTLP, Jaeger and Zipkin JSON become one lane per service.',
+                'HAR files become a per-host network waterfall.',
+                'Workspace archives and diagram bundles open the merge/replace dialog.',
                 'Imported diagrams appear in My Diagrams list.',
                 'Keeps diagram-specific base unit and options.'
             ],
             anchor: 'json-format'
         },
+        importTable: {
+            title: 'Import Table',
+            summary: 'Build a diagram from CSV/TSV or spreadsheet rows.',
+            points: [
+                'Paste cells or choose a file, then map the columns.',
+                'Times accept units like 250ms or 1.5 s, clock times and dates.',
+                'Absolute timestamps become offsets from the start time.'
+            ],
+            anchor: 'sharing-export'
+        },
         undoLane: {
-            title: 'Undo Lane Delete',
-            summary: 'Restore the most recently deleted lane.',
+            title: 'Undo',
+            summary: 'Revert the most recent edit of this diagram.',
             points: [
                 'Works with toolbar click or Ctrl/Cmd+Z.',
-                'Undo stack is lane-deletion specific.',
+                'Covers boxes, lanes, titles, and settings.',
                 'Disabled when no undo step exists.'
             ],
             anchor: 'lanes',
             shortcut: 'Ctrl/Cmd + Z'
         },
         redoLane: {
-            title: 'Redo Lane Delete',
-            summary: 'Re-apply the last undone lane deletion.',
+            title: 'Redo',
+            summary: 'Re-apply the last undone edit.',
             points: [
                 'Works with toolbar click or Ctrl/Cmd+Shift+Z.',
                 'Enabled only after an undo action.',
-                'Helps test lane deletion flows quickly.'
+                'A new edit clears the redo steps.'
             ],
             anchor: 'lanes',
             shortcut: 'Ctrl/Cmd + Shift + Z'
         },
+        editHistory: {
+            title: 'Edit History',
+            summary: 'List every recorded edit of the active diagram.',
+            points: [
+                'Click an entry to jump to that state.',
+                'Undone steps stay listed until a new edit.',
+                'History is kept per diagram for this session.'
+            ],
+            anchor: 'lanes'
+        },
+        workspace: {
+            title: 'Workspace Backup',
+            summary: 'Take every saved diagram, version, preference and SIP saved log with you in one file.',
+            points: [
+                'Export downloads a single JSON archive.',
+                'Import merges into or replaces what is saved in this browser.',
+                'Duplicates by ID and by title are listed before importing.'
+            ],
+            anchor: 'workspace-backup'
+        },
+        versions: {
+            title: 'Versions',
+            summary: 'Browse saved versions of the active diagram.',
+            points: [
+                'Automatic snapshots are kept every 10 minutes while you edit.',
+                'Save named checkpoints; they are never pruned.',
+                'Preview any version read-only, restore it, or fork it into a new diagram.'
+            ],
+            anchor: 'versions'
+        },
+        compare: {
+            title: 'Compare',
+            summary: 'Visual diff between two diagrams or versions.',
+            points: [
+                'Lanes are matched by name, boxes by label.',
+                'Added, removed, moved and resized boxes are highlighted.',
+                'Shows per-box and per-lane duration deltas; export the diff as SVG.'
+            ],
+            anchor: 'compare'
+        },
         shareLink: {
             title: 'Share Link',
             summary: 'Copy a shareable URL of the active diagram.',
             points: [
-                'Encodes diagram data into the URL.',
+                'Compresses diagram data into the URL fragment (#d=).',
                 'Great for quick collaboration without files.',
                 'Visual active indicator confirms copy flow.'
             ],
@@ -121,6 +187,16 @@
             ],
             anchor: 'sharing-export'
         },
+        exportTable: {
+            title: 'Export Data',
+            summary: 'Download boxes as a table, Mermaid gantt or PlantUML timing diagram.',
+            points: [
+                'CSV / Markdown: one row per box, times in ms and in the base unit.',
+                'Optional lane summary adds per-lane totals and the overall span.',
+                'Mermaid and PlantUML files load back with Load or by pasting.'
+            ],
+            anchor: 'sharing-export'
+        },
         sipParser: {
             title: 'SIP Parser',
             summary: 'Open SIP parser and import call-flow diagrams.',
@@ -232,6 +308,16 @@
             ],
             anchor: 'settings'
         },
+        criticalPath: {
+            title: 'Critical Path',
+            summary: 'Highlight the chain of boxes that sets the total duration.',
+            points: [
+                'Follows box dependency links and their lag.',
+                'Slack per box is listed in box properties.',
+                'PNG and SVG exports include the highlight while on.'
+            ],
+            anchor: 'boxes'
+        },
         compactView: {
             title: 'Hide Lane Headers',
             summary: 'Toggle lane header column visibility for more space.',
@@ -411,7 +497,7 @@
         const els = getHelpElements();
         if (!els.sidebar || !els.helpSection) return false;
 
-        ['settings-props', 'box-props', 'lane-props', 'help-props'].forEach((id) => {
+        ['settings-props', 'box-props', 'lane-props', 'multi-box-props', 'help-props'].forEach((id) => {
             const section = document.getElementById(id);
             if (!section) return;
             if (id === 'help-props') {
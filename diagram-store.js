@@ -0,0 +1,475 @@
+// Diagram Store - shared IndexedDB persistence for saved diagrams
+// Used by the timeline editor, the SIP parser and the sector samples pages.
+
+const DiagramStore = (function () {
+    const DB_NAME = 'timeline_diagrams';
+    const DB_VERSION = 2;
+    const RECORDS_STORE = 'diagrams';
+    const META_STORE = 'meta';
+    // Version snapshots per diagram ({ id, diagramId, createdAt, kind, name, title, data })
+    const SNAPSHOTS_STORE = 'snapshots';
+    const ORDER_KEY = 'order';
+    // Pre-IndexedDB storage; migrated on first open, still used when IndexedDB is unavailable
+    const LEGACY_STORAGE_KEY = 'timeline_diagrams';
+    // Cross-tab change notices: BroadcastChannel name, or a localStorage ping key where it is missing
+    const SYNC_CHANNEL = 'timeline_diagrams_sync';
+    const TAB_ID = 'tab_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+
+    let db = null;
+    let backend = 'indexeddb';
+    let loaded = false;
+    // Serialized records in display order; getAll() parses fresh copies like the old localStorage reads did
+    let order = [];
+    let records = new Map();
+    // Last serialization written per id, so saves only touch records that changed
+    const persisted = new Map();
+    // Snapshots live here when IndexedDB is unavailable; localStorage is too small to hold version history
+    const memorySnapshots = [];
+    const listeners = new Set();
+    let channel = null;
+    // Reloads triggered by other tabs run one at a time
+    let syncQueue = Promise.resolve();
+
+    function requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    function openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined' || !indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const upgradeDb = request.result;
+                if (!upgradeDb.objectStoreNames.contains(RECORDS_STORE)) {
+                    upgradeDb.createObjectStore(RECORDS_STORE, { keyPath: 'id' });
+                }
+                if (!upgradeDb.objectStoreNames.contains(META_STORE)) {
+                    upgradeDb.createObjectStore(META_STORE, { keyPath: 'key' });
+                }
+                if (!upgradeDb.objectStoreNames.contains(SNAPSHOTS_STORE)) {
+                    const snapshots = upgradeDb.createObjectStore(SNAPSHOTS_STORE, { keyPath: 'id' });
+                    snapshots.createIndex('diagramId', 'diagramId', { unique: false });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB open was blocked'));
+        });
+    }
+
+    function readLegacyDiagrams() {
+        try {
+            const raw = localStorage.getItem(LEGACY_STORAGE_KEY);
+            const parsed = raw ? JSON.parse(raw) : [];
+            return Array.isArray(parsed) ? parsed.filter(r => r && r.id) : [];
+        } catch (e) {
+            console.warn('Failed to read legacy diagram storage:', e);
+            return [];
+        }
+    }
+
+    function setCache(list) {
+        order = [];
+        records = new Map();
+        list.forEach(record => {
+            if (!record || !record.id || records.has(record.id)) return;
+            order.push(record.id);
+            records.set(record.id, JSON.stringify(record));
+        });
+    }
+
+    /**
+     * Orders loaded records by the saved id list. Records another page added
+     * without updating this order go first, newest first, matching how new
+     * diagrams are unshifted onto the list.
+     */
+    function orderRecords(list, ids) {
+        const byId = new Map(list.map(r => [r.id, r]));
+        const ordered = (Array.isArray(ids) ? ids : []).filter(id => byId.has(id)).map(id => byId.get(id));
+        const known = new Set(ordered.map(r => r.id));
+        const extra = list
+            .filter(r => !known.has(r.id))
+            .sort((a, b) => (Number(b.updatedAt) || 0) - (Number(a.updatedAt) || 0));
+        return extra.concat(ordered);
+    }
+
+    async function loadFromDatabase() {
+        const tx = db.transaction([RECORDS_STORE, META_STORE], 'readonly');
+        const [list, orderEntry] = await Promise.all([
+            requestToPromise(tx.objectStore(RECORDS_STORE).getAll()),
+            requestToPromise(tx.objectStore(META_STORE).get(ORDER_KEY))
+        ]);
+        return orderRecords(list || [], orderEntry && orderEntry.ids);
+    }
+
+    async function migrateLegacyDiagrams(current) {
+        const legacy = readLegacyDiagrams();
+        let hasLegacyKey = false;
+        try {
+            hasLegacyKey = localStorage.getItem(LEGACY_STORAGE_KEY) !== null;
+        } catch (_) {}
+        if (!hasLegacyKey) return current;
+
+        const existingIds = new Set(current.map(r => r.id));
+        const incoming = legacy.filter(r => !existingIds.has(r.id));
+        const merged = current.concat(incoming);
+        if (incoming.length) {
+            const tx = db.transaction([RECORDS_STORE, META_STORE], 'readwrite');
+            incoming.forEach(r => tx.objectStore(RECORDS_STORE).put(r));
+            tx.objectStore(META_STORE).put({ key: ORDER_KEY, ids: merged.map(r => r.id) });
+            await transactionDone(tx);
+        }
+        try {
+            localStorage.removeItem(LEGACY_STORAGE_KEY);
+        } catch (_) {}
+        return merged;
+    }
+
+    async function open() {
+        try {
+            db = await openDatabase();
+            db.onversionchange = () => db.close();
+            let list = await loadFromDatabase();
+            try {
+                list = await migrateLegacyDiagrams(list);
+            } catch (e) {
+                // Keep the legacy key so the migration is retried on the next load
+                console.error('Failed to migrate diagrams to IndexedDB:', e);
+                const ids = new Set(list.map(r => r.id));
+                list = list.concat(readLegacyDiagrams().filter(r => !ids.has(r.id)));
+            }
+            setCache(list);
+            order.forEach(id => persisted.set(id, records.get(id)));
+        } catch (e) {
+            console.warn('IndexedDB unavailable, falling back to localStorage:', e);
+            db = null;
+            backend = 'localStorage';
+            setCache(readLegacyDiagrams());
+        }
+        loaded = true;
+        listenForOtherTabs();
+    }
+
+    const ready = open();
+
+    /**
+     * Tells other tabs and pages that saved diagrams changed. Sent once the
+     * write has reached storage so their reload sees it.
+     */
+    function notifyOtherTabs() {
+        const message = { source: TAB_ID, at: Date.now() };
+        try {
+            if (channel) {
+                channel.postMessage(message);
+            } else if (backend === 'indexeddb') {
+                // localStorage writes already raise storage events in other tabs
+                localStorage.setItem(SYNC_CHANNEL, JSON.stringify(message));
+            }
+        } catch (e) {
+            console.warn('Failed to notify other tabs of diagram changes:', e);
+        }
+    }
+
+    function listenForOtherTabs() {
+        if (typeof BroadcastChannel === 'function') {
+            try {
+                channel = new BroadcastChannel(SYNC_CHANNEL);
+                channel.onmessage = (e) => {
+                    if (e.data && e.data.source !== TAB_ID) scheduleReload();
+                };
+            } catch (e) {
+                channel = null;
+            }
+        }
+        if (typeof window === 'undefined') return;
+        window.addEventListener('storage', (e) => {
+            if (e.key === null || e.key === LEGACY_STORAGE_KEY || (!channel && e.key === SYNC_CHANNEL)) {
+                scheduleReload();
+            }
+        });
+    }
+
+    function scheduleReload() {
+        syncQueue = syncQueue.then(reloadFromStorage).catch(e => {
+            console.error('Failed to reload diagrams changed in another tab:', e);
+        });
+        return syncQueue;
+    }
+
+    /**
+     * Re-reads storage after another tab wrote to it and reports which records
+     * changed compared to this tab's copy.
+     */
+    async function reloadFromStorage() {
+        const previous = records;
+        if (backend === 'indexeddb') {
+            setCache(await loadFromDatabase());
+            persisted.clear();
+            order.forEach(id => persisted.set(id, records.get(id)));
+        } else {
+            setCache(readLegacyDiagrams());
+        }
+
+        const changes = [];
+        records.forEach((json, id) => {
+            if (previous.get(id) === json) return;
+            changes.push({ id, previous: previous.has(id) ? JSON.parse(previous.get(id)) : null, current: JSON.parse(json) });
+        });
+        previous.forEach((json, id) => {
+            if (!records.has(id)) changes.push({ id, previous: JSON.parse(json), current: null });
+        });
+        if (!changes.length) return;
+        listeners.forEach(listener => {
+            try {
+                listener(changes);
+            } catch (e) {
+                console.error('Diagram sync listener failed:', e);
+            }
+        });
+    }
+
+    /**
+     * Registers a callback for diagrams changed by other tabs or pages. Each
+     * change is { id, previous, current }; previous is null for added records
+     * and current is null for removed ones.
+     * @param {Function} listener - Called with an array of changes
+     * @returns {Function} Unsubscribe
+     */
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    /**
+     * @returns {Array<Object>} Fresh copies of all saved diagram records, in display order
+     */
+    function getAll() {
+        return order.map(id => JSON.parse(records.get(id)));
+    }
+
+    function writeLocal() {
+        try {
+            localStorage.setItem(LEGACY_STORAGE_KEY, '[' + order.map(id => records.get(id)).join(',') + ']');
+            notifyOtherTabs();
+            return Promise.resolve(true);
+        } catch (e) {
+            console.error('Failed to save diagrams to storage:', e);
+            return Promise.resolve(false);
+        }
+    }
+
+    /**
+     * Replaces the saved list. The in-memory copy updates immediately so
+     * getAll() stays synchronous; only changed and removed records are written.
+     * @param {Array<Object>} list - Diagram records ({ id, title, updatedAt, data, ... })
+     * @returns {Promise<boolean>} Whether the write reached storage
+     */
+    function saveAll(list) {
+        if (!loaded) return ready.then(() => saveAll(list));
+        const previousIds = order;
+        setCache(Array.isArray(list) ? list : []);
+        if (backend !== 'indexeddb') {
+            removeMemorySnapshots(s => !records.has(s.diagramId));
+            return writeLocal();
+        }
+
+        const changed = order.filter(id => persisted.get(id) !== records.get(id));
+        const removed = previousIds.filter(id => !records.has(id));
+        changed.forEach(id => persisted.set(id, records.get(id)));
+        removed.forEach(id => persisted.delete(id));
+
+        const forgetChanged = (e) => {
+            console.error('Failed to save diagrams to storage:', e);
+            // Forget what we assumed was written so the next save retries these records
+            changed.forEach(id => persisted.delete(id));
+            return false;
+        };
+        try {
+            const tx = db.transaction([RECORDS_STORE, META_STORE, SNAPSHOTS_STORE], 'readwrite');
+            const store = tx.objectStore(RECORDS_STORE);
+            changed.forEach(id => store.put(JSON.parse(records.get(id))));
+            removed.forEach(id => {
+                store.delete(id);
+                deleteSnapshotsInTransaction(tx, id);
+            });
+            tx.objectStore(META_STORE).put({ key: ORDER_KEY, ids: order });
+            return transactionDone(tx).then(() => {
+                notifyOtherTabs();
+                return true;
+            }, forgetChanged);
+        } catch (e) {
+            return Promise.resolve(forgetChanged(e));
+        }
+    }
+
+    /**
+     * Adds a record at the top of the list once the store has loaded.
+     * @param {Object} record - Diagram record
+     * @returns {Promise<boolean>} Whether the write reached storage
+     */
+    function add(record) {
+        return ready.then(() => {
+            const list = getAll().filter(r => r.id !== record.id);
+            list.unshift(record);
+            return saveAll(list);
+        });
+    }
+
+    /**
+     * Removes every saved diagram.
+     * @returns {Promise<boolean>} Whether storage was cleared
+     */
+    function clear() {
+        if (!loaded) return ready.then(clear);
+        setCache([]);
+        persisted.clear();
+        return ready.then(() => {
+            try {
+                localStorage.removeItem(LEGACY_STORAGE_KEY);
+            } catch (_) {}
+            memorySnapshots.length = 0;
+            if (!db) {
+                notifyOtherTabs();
+                return true;
+            }
+            const tx = db.transaction([RECORDS_STORE, META_STORE, SNAPSHOTS_STORE], 'readwrite');
+            tx.objectStore(RECORDS_STORE).clear();
+            tx.objectStore(META_STORE).clear();
+            tx.objectStore(SNAPSHOTS_STORE).clear();
+            return transactionDone(tx).then(() => {
+                notifyOtherTabs();
+                return true;
+            });
+        }).catch(e => {
+            console.error('Failed to clear diagram storage:', e);
+            return false;
+        });
+    }
+
+    function removeMemorySnapshots(predicate) {
+        for (let i = memorySnapshots.length - 1; i >= 0; i--) {
+            if (predicate(memorySnapshots[i])) memorySnapshots.splice(i, 1);
+        }
+    }
+
+    function deleteSnapshotsInTransaction(tx, diagramId) {
+        const request = tx.objectStore(SNAPSHOTS_STORE).index('diagramId').openKeyCursor(IDBKeyRange.only(diagramId));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            tx.objectStore(SNAPSHOTS_STORE).delete(cursor.primaryKey);
+            cursor.continue();
+        };
+    }
+
+    /**
+     * @param {string} diagramId
+     * @returns {Promise<Array<Object>>} The diagram's snapshots, newest first
+     */
+    function listSnapshots(diagramId) {
+        return ready.then(() => {
+            if (!db) return memorySnapshots.filter(s => s.diagramId === diagramId).map(s => JSON.parse(JSON.stringify(s)));
+            const tx = db.transaction(SNAPSHOTS_STORE, 'readonly');
+            return requestToPromise(tx.objectStore(SNAPSHOTS_STORE).index('diagramId').getAll(IDBKeyRange.only(diagramId)));
+        }).then(list => list.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0)));
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} Every stored snapshot, for workspace backups
+     */
+    function getAllSnapshots() {
+        return ready.then(() => {
+            if (!db) return JSON.parse(JSON.stringify(memorySnapshots));
+            const tx = db.transaction(SNAPSHOTS_STORE, 'readonly');
+            return requestToPromise(tx.objectStore(SNAPSHOTS_STORE).getAll());
+        });
+    }
+
+    /**
+     * @param {Object} snapshot - Snapshot record with id and diagramId
+     * @returns {Promise<boolean>} Whether the snapshot was stored
+     */
+    function addSnapshot(snapshot) {
+        return ready.then(() => {
+            if (!db) {
+                memorySnapshots.push(JSON.parse(JSON.stringify(snapshot)));
+                return true;
+            }
+            const tx = db.transaction(SNAPSHOTS_STORE, 'readwrite');
+            tx.objectStore(SNAPSHOTS_STORE).put(snapshot);
+            return transactionDone(tx).then(() => true);
+        }).catch(e => {
+            console.error('Failed to save diagram snapshot:', e);
+            return false;
+        });
+    }
+
+    /**
+     * @param {Array<string>} ids - Snapshot ids
+     * @returns {Promise<boolean>}
+     */
+    function deleteSnapshots(ids) {
+        const idSet = new Set(ids);
+        return ready.then(() => {
+            if (!db) {
+                removeMemorySnapshots(s => idSet.has(s.id));
+                return true;
+            }
+            const tx = db.transaction(SNAPSHOTS_STORE, 'readwrite');
+            idSet.forEach(id => tx.objectStore(SNAPSHOTS_STORE).delete(id));
+            return transactionDone(tx).then(() => true);
+        }).catch(e => {
+            console.error('Failed to delete diagram snapshots:', e);
+            return false;
+        });
+    }
+
+    /**
+     * Size of the saved diagrams plus the browser's origin-wide estimate when available.
+     * @returns {Promise<{count: number, bytes: number, usage: ?number, quota: ?number, backend: string}>}
+     */
+    async function getUsage() {
+        let bytes = 0;
+        records.forEach(json => { bytes += json.length; });
+        const result = { count: order.length, bytes, usage: null, quota: null, backend };
+        if (backend === 'indexeddb' && typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+            try {
+                const estimate = await navigator.storage.estimate();
+                if (Number.isFinite(estimate.usage)) result.usage = estimate.usage;
+                if (Number.isFinite(estimate.quota)) result.quota = estimate.quota;
+            } catch (_) {}
+        }
+        return result;
+    }
+
+    return {
+        ready,
+        getAll,
+        saveAll,
+        add,
+        clear,
+        listSnapshots,
+        getAllSnapshots,
+        addSnapshot,
+        deleteSnapshots,
+        getUsage,
+        subscribe,
+        get backend() {
+            return backend;
+        }
+    };
+})();
@@ -1,7 +1,5 @@
-const STORAGE_KEY = 'timeline_diagrams';
 const ACTIVE_DIAGRAM_KEY = 'timeline_active_diagram';
 const SESSION_STATE_KEY = 'timeline_session_state';
-const MAX_DIAGRAMS = 10;
 
 const LANE_COLORS = [
     '#60a5fa', '#a78bfa', '#22d3ee', '#4ade80', '#f59e0b', '#f472b6', '#818cf8', '#2dd4bf'
@@ -425,24 +423,6 @@ function generateDiagramId() {
     return 'diag_' + Date.now() + '_' + Math.random().toString(36).slice(2, 11);
 }
 
-function getAllDiagrams() {
-    try {
-        const raw = localStorage.getItem(STORAGE_KEY);
-        return raw ? JSON.parse(raw) : [];
-    } catch (_) {
-        return [];
-    }
-}
-
-function saveDiagrams(diagrams) {
-    try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(diagrams));
-        return true;
-    } catch (_) {
-        return false;
-    }
-}
-
 function getDefaultThresholdForUnit(unit) {
     return UNIT_FACTORS_MS[unit] || 1000;
 }
@@ -617,22 +597,22 @@ function renderPreview() {
     document.getElementById('meta-duration').textContent = formatDuration(totalDuration, profile);
 }
 
-function importToTimeline(openEditor = false) {
+async function importToTimeline(openEditor = false) {
     const sample = getSelectedSample();
     if (!sample) return null;
 
-    const diagrams = getAllDiagrams();
     const diagramId = generateDiagramId();
     const diagramData = sampleToDiagram(sample);
 
-    diagrams.unshift({
+    // Wait for the IndexedDB write so the editor finds the sample when it opens
+    const saved = await DiagramStore.add({
         id: diagramId,
         title: diagramData.title,
         updatedAt: Date.now(),
         data: diagramData
     });
 
-    if (!saveDiagrams(diagrams.slice(0, MAX_DIAGRAMS))) {
+    if (!saved) {
         showToast('Failed to save sample to browser storage.', 'warn');
         return null;
     }
@@ -6,11 +6,9 @@ const SIP_PARSER_VERSION = '2.1.0';
 // =====================================================
 // Constants
 // =====================================================
-const STORAGE_KEY = 'timeline_diagrams';
 const ACTIVE_DIAGRAM_KEY = 'timeline_active_diagram';
 const SESSION_STATE_KEY = 'timeline_session_state';
 const SIP_LOGS_KEY = 'sip_saved_logs';
-const MAX_DIAGRAMS = 10;
 const MAX_SAVED_LOGS = 20;
 
 const CID_COLORS = [
@@ -78,7 +76,7 @@ let eventsGridData = {
     connids: []
 };
 
-let currentView = 'messages'; // 'messages' | 'dn-grid'
+let currentView = 'messages'; // 'messages' | 'dn-grid' | 'ladder' | 'media' | 'kpi'
 let isParsed = false;
 let isInputExpanded = false;
 let showElapsed = true;
@@ -90,6 +88,7 @@ let sipSpanBookmarks = [];   // Array of { timestamp, timeStr, element }
 let kazimirBookmarks = [];   // Array of { timestamp, timeStr, element }
 let pendingSipBookmarks = []; // Message IDs to restore after render
 let pendingKazimirBookmarks = [];
+let selectedMessageId = null; // _id picked in the Ladder, Media or KPIs view, highlighted in SIP Span
 
 // =====================================================
 // Parsing Functions (from sip-parser.js - unchanged)
@@ -205,6 +204,427 @@ function parseEventParams(params) {
     return result;
 }
 
+// =====================================================
+// Full SIP Message Parsing (multi-line RFC 3261 text)
+// =====================================================
+
+// Full SIP logs print each message as a record line (time, direction, peer)
+// followed by the start line, headers, a blank line and the body.
+const SIP_RECORD_TIME_RE = /(\d{2}:\d{2}:\d{2})[.,](\d{3})/;
+const SIP_LOG_LINE_RE = /^\s*\[?(?:\d{4}[-/]\d{2}[-/]\d{2}[T ]|[A-Z][a-z]{2}\s+\d{1,2}\s+)?\d{2}:\d{2}:\d{2}/;
+const SIP_FRAMING_LINE_RE = /^\s*(<?-{5,}>?|={5,}|~{5,}|\|{5,})?\s*$/;
+const SIP_REQUEST_LINE_RE = /(?:^|\s)([A-Z][A-Z-]*)\s+([a-zA-Z][\w+.-]*:\S+)\s+SIP\/2\.0$/;
+const SIP_STATUS_LINE_RE = /(?:^|\s)SIP\/2\.0\s+(\d{3})(?:\s+(.*))?$/;
+const SIP_HEADER_RE = /^([\w.!%*+`'~-]+)\s*:\s*(.*)$/;
+const SIP_COMPACT_HEADERS = {
+    i: 'call-id', f: 'from', t: 'to', v: 'via', m: 'contact', c: 'content-type', l: 'content-length'
+};
+
+function matchSipStartLine(text) {
+    const request = text.match(SIP_REQUEST_LINE_RE);
+    if (request) return { isResponse: false, method: request[1], requestUri: request[2], reason: '' };
+    const status = text.match(SIP_STATUS_LINE_RE);
+    if (status) return { isResponse: true, method: status[1], requestUri: '', reason: (status[2] || '').trim() };
+    return null;
+}
+
+// `12:00:00` + `123456` -> `12:00:00.123`
+function toSipTimeStr(hms, fraction) {
+    return hms + '.' + ((fraction || '') + '000').slice(0, 3);
+}
+
+// `"Alice" <sip:1001@10.0.0.1:5060;transport=udp>;tag=a1` -> `1001@10.0.0.1`
+function getSipAddress(value) {
+    if (!value) return '';
+    const bracketed = value.match(/<([^>]*)>/);
+    const uri = (bracketed ? bracketed[1] : value.split(';')[0]).trim();
+    const addr = uri.replace(/^[a-zA-Z][\w+.-]*:/, '').split(/[;?]/)[0];
+    const at = addr.lastIndexOf('@');
+    const host = addr.slice(at + 1).replace(/:\d+$/, '');
+    return at === -1 ? host : addr.slice(0, at) + '@' + host;
+}
+
+// Header parameter outside the <uri>, e.g. the From/To `tag`
+function getSipHeaderParam(value, name) {
+    if (!value) return '';
+    const close = value.lastIndexOf('>');
+    const params = close === -1 ? value : value.slice(close + 1);
+    const match = params.match(new RegExp(';\\s*' + name + '=([^;,\\s]+)', 'i'));
+    return match ? match[1] : '';
+}
+
+/**
+ * Reads one SIP message (start line, headers, blank line, body) beginning at
+ * `lines[start]`, after up to two blank or separator lines. `record` holds what
+ * the log framing knows: `timeStr`, `direction`, optional `src`/`dst` addresses
+ * and `line`, the index of the record line. Lines are dedented to the start
+ * line. Returns `{ msg, next }` with the index after the message, or null.
+ */
+function readSipMessage(lines, start, record) {
+    let i = start;
+    while (i < lines.length && i - start < 2 && SIP_FRAMING_LINE_RE.test(lines[i])) i++;
+    if (i >= lines.length) return null;
+    const startLine = matchSipStartLine(lines[i].trim());
+    if (!startLine) return null;
+
+    const indent = lines[i].match(/^\s*/)[0].length;
+    function textAt(index) {
+        const line = lines[index].replace(/\r$/, '');
+        return line.slice(Math.min(line.match(/^\s*/)[0].length, indent));
+    }
+
+    const headers = {};
+    let lastName = null;
+    for (i++; i < lines.length; i++) {
+        const line = textAt(i);
+        if (!line.trim()) { i++; break; }
+        if (/^[ \t]/.test(line) && lastName) {
+            // Folded header continuation
+            const values = headers[lastName];
+            values[values.length - 1] += ' ' + line.trim();
+            continue;
+        }
+        const header = line.match(SIP_HEADER_RE);
+        if (!header || SIP_LOG_LINE_RE.test(line)) break;
+        const lower = header[1].toLowerCase();
+        lastName = SIP_COMPACT_HEADERS[lower] || lower;
+        (headers[lastName] = headers[lastName] || []).push(header[2].trim());
+    }
+
+    function first(name) { return headers[name] ? headers[name][0] : ''; }
+
+    // Body: Content-Length bytes when given, otherwise up to the next blank line
+    const contentLength = parseInt(first('content-length'), 10);
+    const hasBody = isNaN(contentLength) ? !!first('content-type') : contentLength > 0;
+    const bodyLines = [];
+    if (hasBody) {
+        let size = 0;
+        for (; i < lines.length; i++) {
+            const line = textAt(i);
+            if (SIP_LOG_LINE_RE.test(line) || matchSipStartLine(line.trim())) break;
+            if (line.trim() && SIP_FRAMING_LINE_RE.test(line)) break;
+            if (!line.trim() && (isNaN(contentLength) || bodyLines.length === 0)) break;
+            bodyLines.push(line);
+            size += line.length + 2;
+            if (!isNaN(contentLength) && size >= contentLength) { i++; break; }
+        }
+    }
+
+    const cseqMatch = first('cseq').match(/^(\d+)\s+(\S+)/);
+    const viaBranch = first('via').match(/;\s*branch=([^;,\s]+)/i);
+
+    return {
+        next: i,
+        msg: {
+            type: 'sip',
+            format: 'full',
+            timestamp: parseSipTimestamp(record.timeStr),
+            timeStr: record.timeStr,
+            direction: record.direction || '->',
+            method: startLine.method,
+            isResponse: startLine.isResponse,
+            reason: startLine.reason,
+            requestUri: startLine.requestUri,
+            from: getSipAddress(first('from')),
+            to: getSipAddress(first('to')),
+            fromTag: getSipHeaderParam(first('from'), 'tag'),
+            toTag: getSipHeaderParam(first('to'), 'tag'),
+            cseq: cseqMatch ? parseInt(cseqMatch[1], 10) : null,
+            cseqMethod: cseqMatch ? cseqMatch[2] : '',
+            cid: first('call-id'),
+            callId: first('call-id'),
+            viaBranch: viaBranch ? viaBranch[1] : '',
+            contact: getSipAddress(first('contact')),
+            content: first('content-type').split(';')[0].trim(),
+            body: bodyLines.join('\n').trim(),
+            src: record.src || '',
+            dst: record.dst || '',
+            raw: lines.slice(record.line !== undefined ? record.line : start, i).join('\n').trim()
+        }
+    };
+}
+
+/** Multi-line tooltip with the header fields only full SIP messages carry. */
+function describeSipMessage(msg) {
+    const lines = [msg.isResponse ? 'SIP/2.0 ' + msg.method + ' ' + msg.reason : msg.method + ' ' + msg.requestUri];
+    lines.push('Call-ID: ' + (msg.callId || '—'));
+    if (msg.src && msg.dst) lines.push('Packet: ' + msg.src + ' → ' + msg.dst);
+    if (msg.viaBranch) lines.push('Via branch: ' + msg.viaBranch);
+    if (msg.fromTag) lines.push('From tag: ' + msg.fromTag);
+    if (msg.toTag) lines.push('To tag: ' + msg.toTag);
+    if (msg.contact) lines.push('Contact: ' + msg.contact);
+    if (msg.body) lines.push('', msg.body);
+    return lines.join('\n');
+}
+
+// =====================================================
+// Log Format Adapters
+// =====================================================
+
+/**
+ * Registered log formats, tried in order. Each adapter is
+ *   { id, name, detect(lines) -> signature line count, parse(lines) -> messages }
+ * where parse returns message objects in log order (type, timestamp, timeStr,
+ * direction, method, cid, ...). parseSipLog adds IDs, CID colors and deltas.
+ * The first adapter is the fallback when no adapter recognizes the log.
+ */
+const LOG_FORMAT_ADAPTERS = [];
+const LOG_DETECT_SAMPLE_LINES = 2000;
+
+let activeLogAdapter = null; // Adapter picked for the current log, shown in the info bar
+
+function registerLogFormatAdapter(adapter) {
+    LOG_FORMAT_ADAPTERS.push(adapter);
+}
+
+function detectLogFormatAdapter(lines) {
+    const sample = lines.length > LOG_DETECT_SAMPLE_LINES ? lines.slice(0, LOG_DETECT_SAMPLE_LINES) : lines;
+    let best = LOG_FORMAT_ADAPTERS[0];
+    let bestScore = 0;
+    LOG_FORMAT_ADAPTERS.forEach(function(adapter) {
+        const score = adapter.detect(sample);
+        if (score > bestScore) {
+            best = adapter;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+function countMatchingLines(lines, regex) {
+    let count = 0;
+    for (const line of lines) {
+        if (regex.test(line)) count++;
+    }
+    return count;
+}
+
+// Packet captures have no logging node: the first sender is treated as the near side
+function assignCaptureDirections(messages) {
+    function host(addr) { return addr.replace(/:\d+$/, ''); }
+    const near = messages.length > 0 ? host(messages[0].src) : '';
+    messages.forEach(function(msg) { msg.direction = host(msg.src) === near ? '->' : '<-'; });
+    return messages;
+}
+
+// Genesys: SIP Span Quick Flow lines, Events/Requests and full SIP Server records
+const GENESYS_LINE_RE = /\d{2}:\d{2}:\d{2}\.\d{3}\s+((<-|->)(\d{3}|\w+)\s+\[|Event\w+\(|Request\w+\()/;
+
+function readGenesysSipRecord(lines, start) {
+    const recordLine = lines[start].trim();
+    const timeMatch = recordLine.match(SIP_RECORD_TIME_RE);
+    if (!timeMatch) return null;
+    let direction = '->'; // outgoing when the record line names no direction
+    if (/\b(received|receiving|recv|incoming)\b|<<</i.test(recordLine)) direction = '<-';
+    else if (/\b(sending|sent|send|outgoing)\b|>>>/i.test(recordLine)) direction = '->';
+    const record = { timeStr: timeMatch[1] + '.' + timeMatch[2], direction: direction, line: start };
+    // Start line on the record line itself or just below it
+    return readSipMessage(lines, matchSipStartLine(recordLine) ? start : start + 1, record);
+}
+
+registerLogFormatAdapter({
+    id: 'genesys',
+    name: 'Genesys',
+    detect: function(lines) { return countMatchingLines(lines, GENESYS_LINE_RE); },
+    parse: function(lines) {
+        const messages = [];
+        for (let i = 0; i < lines.length; i++) {
+            const block = readGenesysSipRecord(lines, i);
+            const msg = block ? block.msg : parseSipLine(lines[i]);
+            if (block) i = block.next - 1;
+            if (msg) messages.push(msg);
+        }
+        return messages;
+    }
+});
+
+// Asterisk: `sip set debug on` (chan_sip) and `pjsip set logger on` output
+const ASTERISK_RECORD_RE = /<---\s*(SIP read from|Received SIP (?:request|response)|(?:Reliably )?Transmitting)\b.*--->/i;
+const ASTERISK_TIME_RE = /\[(?:\d{4}-\d{2}-\d{2}\s+|[A-Z][a-z]{2}\s+\d{1,2}\s+)(\d{2}:\d{2}:\d{2})(?:\.(\d+))?\]/;
+
+registerLogFormatAdapter({
+    id: 'asterisk',
+    name: 'Asterisk',
+    detect: function(lines) { return countMatchingLines(lines, ASTERISK_RECORD_RE); },
+    parse: function(lines) {
+        const messages = [];
+        let lastTime = '00:00:00.000'; // console output has no timestamps
+        for (let i = 0; i < lines.length; i++) {
+            const time = lines[i].match(ASTERISK_TIME_RE);
+            if (time) lastTime = toSipTimeStr(time[1], time[2]);
+            const record = lines[i].match(ASTERISK_RECORD_RE);
+            if (!record) continue;
+            const direction = /transmitting/i.test(record[1]) ? '->' : '<-';
+            const block = readSipMessage(lines, i + 1, { timeStr: lastTime, direction: direction, line: i });
+            if (block) {
+                messages.push(block.msg);
+                i = block.next - 1;
+            }
+        }
+        return messages;
+    }
+});
+
+// FreeSWITCH: `sofia global siptrace on`, `recv 812 bytes from udp/[10.0.0.5]:5060 at 12:00:00.123456:`
+const FREESWITCH_RECORD_RE = /^\s*(recv|send)\s+\d+\s+bytes\s+(?:from|to)\s+\S+\s+at\s+(\d{2}:\d{2}:\d{2})\.(\d+)/;
+
+registerLogFormatAdapter({
+    id: 'freeswitch',
+    name: 'FreeSWITCH',
+    detect: function(lines) { return countMatchingLines(lines, FREESWITCH_RECORD_RE); },
+    parse: function(lines) {
+        const messages = [];
+        for (let i = 0; i < lines.length; i++) {
+            const record = lines[i].match(FREESWITCH_RECORD_RE);
+            if (!record) continue;
+            const block = readSipMessage(lines, i + 1, {
+                timeStr: toSipTimeStr(record[2], record[3]),
+                direction: record[1] === 'recv' ? '<-' : '->',
+                line: i
+            });
+            if (block) {
+                messages.push(block.msg);
+                i = block.next - 1;
+            }
+        }
+        return messages;
+    }
+});
+
+// Kamailio: sipdump module text files, a `tag:`/`time:`/... header, `~~~~`, then the message
+const KAMAILIO_TAG_RE = /^\s*tag:\s*(rcv|snd)\s*$/;
+
+function formatEpochTimeStr(seconds) {
+    const date = new Date(seconds * 1000);
+    function pad(n, width) { return String(n).padStart(width || 2, '0'); }
+    return pad(date.getHours()) + ':' + pad(date.getMinutes()) + ':' + pad(date.getSeconds()) +
+        '.' + pad(date.getMilliseconds(), 3);
+}
+
+registerLogFormatAdapter({
+    id: 'kamailio',
+    name: 'Kamailio sipdump',
+    detect: function(lines) { return countMatchingLines(lines, KAMAILIO_TAG_RE); },
+    parse: function(lines) {
+        const messages = [];
+        for (let i = 0; i < lines.length; i++) {
+            const tag = lines[i].match(KAMAILIO_TAG_RE);
+            if (!tag) continue;
+            let j = i + 1;
+            let timeStr = '00:00:00.000';
+            for (; j < lines.length && !/^\s*~{5,}/.test(lines[j]); j++) {
+                const time = lines[j].match(/^\s*time:\s*(\d+(?:\.\d+)?)/);
+                if (time) timeStr = formatEpochTimeStr(parseFloat(time[1]));
+            }
+            const block = readSipMessage(lines, j + 1, {
+                timeStr: timeStr, direction: tag[1] === 'rcv' ? '<-' : '->', line: i
+            });
+            if (block) {
+                messages.push(block.msg);
+                i = block.next - 1;
+            }
+        }
+        return messages;
+    }
+});
+
+// sngrep: "Save as .txt", `2024/01/10 12:00:00.123456 10.0.0.5:5060 -> 10.0.0.2:5060` per message
+const SNGREP_RECORD_RE = /^\s*\d{4}\/\d{2}\/\d{2}\s+(\d{2}:\d{2}:\d{2})\.(\d+)\s+(\S+)\s+->\s+(\S+)\s*$/;
+
+registerLogFormatAdapter({
+    id: 'sngrep',
+    name: 'sngrep',
+    detect: function(lines) { return countMatchingLines(lines, SNGREP_RECORD_RE); },
+    parse: function(lines) {
+        const messages = [];
+        for (let i = 0; i < lines.length; i++) {
+            const record = lines[i].match(SNGREP_RECORD_RE);
+            if (!record) continue;
+            const block = readSipMessage(lines, i + 1, {
+                timeStr: toSipTimeStr(record[1], record[2]), src: record[3], dst: record[4], line: i
+            });
+            if (block) {
+                messages.push(block.msg);
+                i = block.next - 1;
+            }
+        }
+        return assignCaptureDirections(messages);
+    }
+});
+
+// tshark: verbose packet details (`tshark -V -Y sip`). The SIP tree is turned back
+// into message text: start line, the headers under "Message Header" and SDP
+// lines rebuilt from the `Name (x): value` fields under "Message Body".
+const TSHARK_SIP_RE = /^Session Initiation Protocol\b/;
+
+function readTsharkSipSection(lines, start) {
+    let startLine = '';
+    let part = null;
+    let headerIndent = -1;
+    let sdpIndent = -1;
+    const headers = [];
+    const sdp = [];
+    let i = start;
+    for (; i < lines.length; i++) {
+        const line = lines[i].replace(/\r$/, '');
+        if (!/^\s/.test(line)) break;
+        const indent = line.match(/^\s*/)[0].length;
+        const text = line.trim();
+        const startMatch = text.match(/^(?:Request|Status)-Line:\s*(.*)$/);
+        if (startMatch) { startLine = startMatch[1]; part = null; continue; }
+        if (text === 'Message Header') { part = 'header'; continue; }
+        if (text === 'Message Body') { part = 'body'; continue; }
+        if (part === 'header') {
+            if (headerIndent === -1) headerIndent = indent;
+            if (indent === headerIndent && text.charAt(0) !== '[') headers.push(text);
+        } else if (part === 'body') {
+            const field = text.match(/\(([a-z])\):\s?(.*)$/);
+            if (field && (sdpIndent === -1 || indent === sdpIndent)) {
+                sdpIndent = indent;
+                sdp.push(field[1] + '=' + field[2]);
+            }
+        }
+    }
+    return { lines: startLine ? [startLine].concat(headers, [''], sdp) : [], next: i };
+}
+
+registerLogFormatAdapter({
+    id: 'tshark',
+    name: 'tshark',
+    detect: function(lines) { return countMatchingLines(lines, TSHARK_SIP_RE); },
+    parse: function(lines) {
+        const messages = [];
+        let frame = null;
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            let match;
+            if (/^Frame \d+:/.test(line)) {
+                frame = { timeStr: '00:00:00.000', src: '', dst: '', line: i };
+            } else if (!frame) {
+                continue;
+            } else if ((match = line.match(/^\s+Arrival Time:.*?(\d{2}:\d{2}:\d{2})\.(\d+)/))) {
+                frame.timeStr = toSipTimeStr(match[1], match[2]);
+            } else if ((match = line.match(/^Internet Protocol Version [46], Src: (\S+), Dst: ([^\s,]+)/))) {
+                frame.src = match[1];
+                frame.dst = match[2];
+            } else if ((match = line.match(/^(?:User Datagram|Transmission Control) Protocol, Src Port: (\d+), Dst Port: (\d+)/))) {
+                frame.src += ':' + match[1];
+                frame.dst += ':' + match[2];
+            } else if (TSHARK_SIP_RE.test(line)) {
+                const section = readTsharkSipSection(lines, i + 1);
+                const block = readSipMessage(section.lines, 0, frame);
+                if (block) {
+                    block.msg.raw = lines.slice(frame.line, section.next).join('\n').trim();
+                    messages.push(block.msg);
+                }
+                i = section.next - 1;
+                frame = null;
+            }
+        }
+        return assignCaptureDirections(messages);
+    }
+});
+
 function parseSipLog(log) {
     const lines = log.split('\n');
     const messages = [];
@@ -214,25 +634,23 @@ function parseSipLog(log) {
     let cidIndex = 0;
     let connidIndex = 0;
 
-    for (const line of lines) {
-        const msg = parseSipLine(line);
-        if (msg) {
-            if (msg.type === 'sip' && msg.cid && !cidMap.has(msg.cid)) {
-                cidMap.set(msg.cid, cidIndex % 10);
-                cidIndex++;
-            }
-            if ((msg.type === 'event' || msg.type === 'request') && msg.connid && !connidMap.has(msg.connid)) {
-                connidMap.set(msg.connid, connidIndex % 10);
-                connidIndex++;
-            }
-            if (msg.refid && msg.refid !== '' && msg.refid !== '4294967295') {
-                if (!refidMap.has(msg.refid)) {
-                    refidMap.set(msg.refid, []);
-                }
-                refidMap.get(msg.refid).push(msg);
+    activeLogAdapter = detectLogFormatAdapter(lines);
+    for (const msg of activeLogAdapter.parse(lines)) {
+        if (msg.type === 'sip' && msg.cid && !cidMap.has(msg.cid)) {
+            cidMap.set(msg.cid, cidIndex % 10);
+            cidIndex++;
+        }
+        if ((msg.type === 'event' || msg.type === 'request') && msg.connid && !connidMap.has(msg.connid)) {
+            connidMap.set(msg.connid, connidIndex % 10);
+            connidIndex++;
+        }
+        if (msg.refid && msg.refid !== '' && msg.refid !== '4294967295') {
+            if (!refidMap.has(msg.refid)) {
+                refidMap.set(msg.refid, []);
             }
-            messages.push(msg);
+            refidMap.get(msg.refid).push(msg);
         }
+        messages.push(msg);
     }
 
     // Assign unique IDs to each message for bookmark matching
@@ -240,6 +658,12 @@ function parseSipLog(log) {
         messages[i]._id = i;
     }
 
+    // SDP bodies for the Media view
+    for (const msg of messages) {
+        const sdpText = msg.type === 'sip' ? getSdpText(msg) : '';
+        if (sdpText) msg.sdp = parseSdp(sdpText);
+    }
+
     const lastTimeByCid = new Map();
     const lastTimeByRefid = new Map();
 
@@ -399,6 +823,10 @@ function formatDuration(ms) {
     return (ms / 60000).toFixed(1) + 'm';
 }
 
+function truncateLabel(text, max) {
+    return text.length > max ? text.slice(0, max - 1) + '…' : text;
+}
+
 function getDeltaClass(delta) {
     if (delta === null) return 'first';
     if (delta < 100) return 'fast';
@@ -813,6 +1241,11 @@ function renderInfoBar() {
         addDivider();
     }
 
+    if (activeLogAdapter) {
+        addItem('Format:', activeLogAdapter.name);
+        addDivider();
+    }
+
     addItem('Total:', String(parsedMessages.length));
 
     if (sipMessages.length > 0) {
@@ -847,14 +1280,25 @@ function renderInfoBar() {
 // View Switching
 // =====================================================
 
-function switchToMessagesView() {
-    currentView = 'messages';
+// View name -> [tab id, panel id]
+const VIEW_PANELS = {
+    'messages': ['tab-messages', 'messages-view'],
+    'dn-grid': ['tab-dn-grid', 'dn-grid-view'],
+    'ladder': ['tab-ladder', 'ladder-view'],
+    'media': ['tab-media', 'media-view'],
+    'kpi': ['tab-kpi', 'kpi-view']
+};
 
-    document.getElementById('tab-messages').classList.add('active');
-    document.getElementById('tab-dn-grid').classList.remove('active');
+function showViewPanel(view) {
+    currentView = view;
+    Object.keys(VIEW_PANELS).forEach(function(name) {
+        document.getElementById(VIEW_PANELS[name][0]).classList.toggle('active', name === view);
+        document.getElementById(VIEW_PANELS[name][1]).classList.toggle('hidden', name !== view);
+    });
+}
 
-    document.getElementById('messages-view').classList.remove('hidden');
-    document.getElementById('dn-grid-view').classList.add('hidden');
+function switchToMessagesView() {
+    showViewPanel('messages');
 
     if (isParsed) {
         document.getElementById('filter-bar').classList.remove('hidden');
@@ -872,13 +1316,7 @@ function switchToMessagesView() {
 }
 
 function switchToDnGridView() {
-    currentView = 'dn-grid';
-
-    document.getElementById('tab-dn-grid').classList.add('active');
-    document.getElementById('tab-messages').classList.remove('active');
-
-    document.getElementById('dn-grid-view').classList.remove('hidden');
-    document.getElementById('messages-view').classList.add('hidden');
+    showViewPanel('dn-grid');
 
     // Show placeholder instead of real filter bar
     document.getElementById('filter-bar').classList.add('hidden');
@@ -895,6 +1333,47 @@ function switchToDnGridView() {
     renderEventsRequestsGrid();
 }
 
+// Ladder, Media and KPIs share the SIP Span filter bar and render from renderFilteredGrid
+function switchToSipDetailView(view) {
+    // Keep SIP Span bookmarks across the switch
+    if (currentView === 'messages' && sipSpanBookmarks.length > 0) {
+        pendingSipBookmarks = sipSpanBookmarks.map(function(b) { return b.msgId; });
+        sipSpanBookmarks = [];
+    }
+    showViewPanel(view);
+
+    if (isParsed) {
+        document.getElementById('filter-bar').classList.remove('hidden');
+        document.getElementById('filter-bar-placeholder').classList.add('hidden');
+    }
+
+    renderFilteredGrid();
+}
+
+function switchToLadderView() {
+    switchToSipDetailView('ladder');
+}
+
+function switchToMediaView() {
+    switchToSipDetailView('media');
+}
+
+function switchToKpiView() {
+    switchToSipDetailView('kpi');
+}
+
+/** Selects a message from the Ladder, Media or KPIs view and jumps to its row in SIP Span. */
+function showMessageInGrid(msgId) {
+    selectedMessageId = msgId;
+    switchToMessagesView();
+    var row = document.querySelector('#message-body tr[data-msg-id="' + msgId + '"]');
+    if (!row) return;
+    row.scrollIntoView({ block: 'center' });
+    row.classList.remove('message-flash');
+    void row.offsetWidth; // restart the flash animation
+    row.classList.add('message-flash');
+}
+
 // =====================================================
 // Bookmarking / Row Selection
 // =====================================================
@@ -1077,6 +1556,9 @@ function renderSipRow(msg, firstTimestamp) {
     var tr = document.createElement('tr');
     tr.setAttribute('data-cid', String(cidIdx));
     tr.setAttribute('data-type', 'sip');
+    tr.setAttribute('data-msg-id', String(msg._id));
+    if (msg._id === selectedMessageId) tr.classList.add('message-selected');
+    if (msg.format === 'full') tr.title = describeSipMessage(msg);
     tr.style.cursor = 'pointer';
     tr.addEventListener('click', function() {
         toggleBookmark(msg._id, msg.timestamp, msg.timeStr, tr);
@@ -1164,7 +1646,8 @@ function renderSipRow(msg, firstTimestamp) {
         var cidBadge = document.createElement('span');
         cidBadge.className = 'cid-badge';
         cidBadge.setAttribute('data-cid', String(cidIdx));
-        cidBadge.textContent = msg.cid;
+        cidBadge.title = msg.cid;
+        cidBadge.textContent = truncateLabel(msg.cid, 24);
         tdCid.appendChild(cidBadge);
     } else {
         tdCid.textContent = '\u2014';
@@ -1385,8 +1868,9 @@ function renderCidLegend() {
         dot.className = 'cid-dot';
         dot.style.background = CID_COLORS[idx];
 
+        tag.title = cid;
         tag.appendChild(dot);
-        tag.appendChild(document.createTextNode(cid));
+        tag.appendChild(document.createTextNode(truncateLabel(cid, 24)));
         legend.appendChild(tag);
     });
 
@@ -1483,6 +1967,18 @@ function getFilteredMessages() {
 
 function renderFilteredGrid() {
     var filtered = getFilteredMessages();
+    if (currentView === 'ladder') {
+        renderLadderView(filtered);
+        return;
+    }
+    if (currentView === 'media') {
+        renderMediaView(filtered);
+        return;
+    }
+    if (currentView === 'kpi') {
+        renderKpiView(filtered);
+        return;
+    }
     renderMessageGrid(filtered);
 }
 
@@ -1667,31 +2163,738 @@ function renderEventsRequestsGrid() {
 }
 
 // =====================================================
-// Timeline Diagram Export
+// Ladder View (SIP call flow)
 // =====================================================
 
-function generateDiagramId() {
-    return 'diag_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const LADDER_LOCAL_ENDPOINT = 'SIP Server';
+const LADDER_LAYOUT = { gutter: 130, column: 180, header: 46, row: 34, padding: 20 };
+
+/**
+ * The remote party of a SIP line as seen by the logging node. Requests travel
+ * From -> To and responses travel back, so an incoming request came from `from`,
+ * an outgoing one goes to `to`, and the other way round for responses.
+ */
+function getLadderRemote(msg) {
+    var incoming = msg.direction === '<-';
+    var remote = incoming === !msg.isResponse ? msg.from : msg.to;
+    return (remote || '').trim() || 'Unknown';
+}
+
+function getLadderLabel(msg) {
+    var label = msg.isResponse ? (msg.method + ' ' + msg.cseqMethod).trim() : msg.method;
+    if (msg.content) label += ' (' + msg.content.replace(/^(application|text)\//, '') + ')';
+    return label;
+}
+
+/**
+ * Endpoints (lifelines, in order of first appearance) and arrows for the SIP
+ * messages among `messages`. Messages without a known CID are left out, as in the grid.
+ * Packet captures carry their own `src`/`dst` addresses, used as-is.
+ */
+function buildLadderModel(messages) {
+    var endpoints = [];
+    var indexOf = new Map();
+    function endpointIndex(name) {
+        if (!indexOf.has(name)) {
+            indexOf.set(name, endpoints.length);
+            endpoints.push(name);
+        }
+        return indexOf.get(name);
+    }
+
+    var arrows = [];
+    messages.forEach(function(msg) {
+        if (msg.type !== 'sip' || !cidMap.has(msg.cid)) return;
+        var from, to;
+        if (msg.src && msg.dst) {
+            from = endpointIndex(msg.src);
+            to = endpointIndex(msg.dst);
+        } else {
+            var remote = endpointIndex(getLadderRemote(msg));
+            var local = endpointIndex(LADDER_LOCAL_ENDPOINT);
+            var incoming = msg.direction === '<-';
+            from = incoming ? remote : local;
+            to = incoming ? local : remote;
+        }
+        arrows.push({
+            msg: msg,
+            from: from,
+            to: to,
+            label: getLadderLabel(msg),
+            color: CID_COLORS[cidMap.get(msg.cid)]
+        });
+    });
+
+    return { endpoints: endpoints, arrows: arrows };
 }
 
-function getAllDiagrams() {
-    try {
-        var data = localStorage.getItem(STORAGE_KEY);
-        return data ? JSON.parse(data) : [];
-    } catch (e) {
-        return [];
+function svgEl(tag, attrs, text) {
+    var el = document.createElementNS(SVG_NS, tag);
+    Object.keys(attrs).forEach(function(name) { el.setAttribute(name, String(attrs[name])); });
+    if (text !== undefined) el.textContent = text;
+    return el;
+}
+
+/** Current theme colors, written into the SVG so exports look the same outside the page. */
+function getLadderPalette() {
+    var styles = getComputedStyle(document.documentElement);
+    function read(name, fallback) { return styles.getPropertyValue(name).trim() || fallback; }
+    return {
+        background: read('--bg-secondary', '#16213e'),
+        header: read('--bg-tertiary', '#1f2b47'),
+        border: read('--border-color', '#2d3a5a'),
+        text: read('--text-primary', '#e8e8e8'),
+        muted: read('--text-muted', '#6b7280'),
+        secondary: read('--text-secondary', '#a0a0a0'),
+        accent: read('--accent-primary', '#6366f1')
+    };
+}
+
+/**
+ * Draws the ladder as a standalone SVG. Each arrow is a `g.ladder-arrow` carrying
+ * `data-msg-id`; the selected one gets a highlight band behind it.
+ */
+function buildLadderSvg(model, selectedId) {
+    var L = LADDER_LAYOUT;
+    var palette = getLadderPalette();
+    var width = L.gutter + model.endpoints.length * L.column + L.padding;
+    var height = L.header + model.arrows.length * L.row + L.padding;
+    var font = 'ui-monospace, SFMono-Regular, Menlo, Consolas, monospace';
+
+    var svg = svgEl('svg', {
+        xmlns: SVG_NS, width: width, height: height, viewBox: '0 0 ' + width + ' ' + height,
+        'font-family': font, 'font-size': 11, class: 'ladder-svg'
+    });
+    svg.appendChild(svgEl('rect', { x: 0, y: 0, width: width, height: height, fill: palette.background }));
+
+    function lifelineX(i) { return L.gutter + i * L.column + L.column / 2; }
+
+    model.endpoints.forEach(function(name, i) {
+        var x = lifelineX(i);
+        svg.appendChild(svgEl('line', {
+            x1: x, y1: L.header - 8, x2: x, y2: height - L.padding / 2,
+            stroke: palette.muted, 'stroke-dasharray': '4 4'
+        }));
+        svg.appendChild(svgEl('rect', {
+            x: x - L.column / 2 + 8, y: 8, width: L.column - 16, height: 24, rx: 4,
+            fill: palette.header, stroke: palette.border
+        }));
+        var title = svgEl('text', {
+            x: x, y: 24, 'text-anchor': 'middle', fill: palette.text, 'font-weight': 600
+        }, truncateLabel(name, 24));
+        title.appendChild(svgEl('title', {}, name));
+        svg.appendChild(title);
+    });
+
+    model.arrows.forEach(function(arrow, row) {
+        var msg = arrow.msg;
+        var top = L.header + row * L.row;
+        var y = top + L.row / 2 + 6;
+        var g = svgEl('g', { class: 'ladder-arrow', 'data-msg-id': msg._id });
+
+        if (msg._id === selectedId) {
+            g.appendChild(svgEl('rect', {
+                x: 0, y: top, width: width, height: L.row, fill: palette.accent, 'fill-opacity': 0.18
+            }));
+        }
+
+        g.appendChild(svgEl('text', { x: 10, y: y - 2, fill: palette.secondary }, msg.timeStr));
+        if (msg.delta !== null && msg.delta !== undefined) {
+            g.appendChild(svgEl('text', {
+                x: 10, y: y + 11, fill: arrow.color, 'font-size': 10
+            }, '+' + formatDuration(msg.delta)));
+        }
+
+        var x1 = lifelineX(arrow.from);
+        var x2 = lifelineX(arrow.to);
+        if (x1 === x2) {
+            // Same endpoint on both ends: draw a small loop to the right
+            g.appendChild(svgEl('path', {
+                d: 'M' + x1 + ' ' + (y - 6) + ' h30 v12 h-26', fill: 'none', stroke: arrow.color, 'stroke-width': 1.5
+            }));
+            g.appendChild(svgEl('polygon', {
+                points: x1 + ',' + (y + 6) + ' ' + (x1 + 7) + ',' + (y + 2) + ' ' + (x1 + 7) + ',' + (y + 10),
+                fill: arrow.color
+            }));
+            g.appendChild(svgEl('text', { x: x1 + 36, y: y + 3, fill: arrow.color }, arrow.label));
+        } else {
+            var dir = x2 > x1 ? 1 : -1;
+            g.appendChild(svgEl('line', {
+                x1: x1, y1: y, x2: x2 - dir * 7, y2: y, stroke: arrow.color, 'stroke-width': 1.5
+            }));
+            g.appendChild(svgEl('polygon', {
+                points: x2 + ',' + y + ' ' + (x2 - dir * 8) + ',' + (y - 4) + ' ' + (x2 - dir * 8) + ',' + (y + 4),
+                fill: arrow.color
+            }));
+            g.appendChild(svgEl('text', {
+                x: (x1 + x2) / 2, y: y - 5, 'text-anchor': 'middle', fill: arrow.color, 'font-weight': 600
+            }, arrow.label));
+        }
+
+        // Full-width transparent band so the whole row is clickable
+        g.appendChild(svgEl('rect', { x: 0, y: top, width: width, height: L.row, fill: 'transparent' }));
+        var tip = svgEl('title', {}, msg.timeStr + '  ' + arrow.label + '  CID ' + msg.cid);
+        g.appendChild(tip);
+        svg.appendChild(g);
+    });
+
+    return svg;
+}
+
+function renderLadderView(messages) {
+    var container = document.getElementById('ladder-container');
+    var model = buildLadderModel(messages);
+    document.getElementById('ladder-count').textContent = model.arrows.length;
+    document.getElementById('ladder-export-svg').disabled = model.arrows.length === 0;
+    document.getElementById('ladder-export-png').disabled = model.arrows.length === 0;
+
+    container.innerHTML = '';
+    if (model.arrows.length === 0) {
+        var empty = document.createElement('div');
+        empty.className = 'view-empty';
+        empty.textContent = filters.showSip ? 'No SIP messages for the selected CIDs.' : 'SIP messages are hidden by the filter.';
+        container.appendChild(empty);
+        return;
     }
+
+    var svg = buildLadderSvg(model, selectedMessageId);
+    svg.addEventListener('click', function(e) {
+        var arrow = e.target.closest('.ladder-arrow');
+        if (arrow) showMessageInGrid(Number(arrow.getAttribute('data-msg-id')));
+    });
+    container.appendChild(svg);
 }
 
-function saveDiagramsList(diagrams) {
-    try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(diagrams));
-        return true;
-    } catch (e) {
-        return false;
+function getLadderFileName(ext) {
+    var cids = Array.from(filters.enabledCids);
+    var suffix = cids.length === 1 ? cids[0] : new Date().toISOString().slice(0, 10);
+    return 'sip-ladder-' + suffix + '.' + ext;
+}
+
+function getLadderExportMarkup() {
+    var model = buildLadderModel(getFilteredMessages());
+    if (model.arrows.length === 0) return null;
+    var svg = buildLadderSvg(model, null);
+    return {
+        markup: new XMLSerializer().serializeToString(svg),
+        width: Number(svg.getAttribute('width')),
+        height: Number(svg.getAttribute('height'))
+    };
+}
+
+function downloadBlob(blob, filename) {
+    var url = URL.createObjectURL(blob);
+    var a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(function() { URL.revokeObjectURL(url); }, 1000);
+}
+
+function exportLadderSvg() {
+    var exported = getLadderExportMarkup();
+    if (!exported) return;
+    downloadBlob(new Blob([exported.markup], { type: 'image/svg+xml' }), getLadderFileName('svg'));
+    showToast('Ladder exported as SVG', 'success');
+}
+
+function exportLadderPng() {
+    var exported = getLadderExportMarkup();
+    if (!exported) return;
+    var scale = 2;
+    var img = new Image();
+    img.onload = function() {
+        var canvas = document.createElement('canvas');
+        canvas.width = exported.width * scale;
+        canvas.height = exported.height * scale;
+        var ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        ctx.drawImage(img, 0, 0);
+        canvas.toBlob(function(blob) {
+            if (!blob) {
+                showToast('PNG export failed', 'error');
+                return;
+            }
+            downloadBlob(blob, getLadderFileName('png'));
+            showToast('Ladder exported as PNG', 'success');
+        }, 'image/png');
+    };
+    img.onerror = function() { showToast('PNG export failed', 'error'); };
+    img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(exported.markup);
+}
+
+// =====================================================
+// SDP / Media Negotiation
+// =====================================================
+
+// RFC 3551 static payload types; dynamic ones come from a=rtpmap
+const STATIC_PAYLOAD_TYPES = {
+    0: 'PCMU/8000', 3: 'GSM/8000', 4: 'G723/8000', 8: 'PCMA/8000', 9: 'G722/8000',
+    13: 'CN/8000', 18: 'G729/8000', 26: 'JPEG/90000', 31: 'H261/90000', 34: 'H263/90000'
+};
+const SDP_DIRECTIONS = ['sendrecv', 'sendonly', 'recvonly', 'inactive'];
+// Answer directions RFC 3264 allows for each offered direction
+const SDP_ANSWER_DIRECTIONS = {
+    sendrecv: ['sendrecv', 'sendonly', 'recvonly', 'inactive'],
+    sendonly: ['recvonly', 'inactive'],
+    recvonly: ['sendonly', 'inactive'],
+    inactive: ['inactive']
+};
+// Payloads that carry no media of their own
+const SDP_AUX_CODECS = ['TELEPHONE-EVENT', 'CN', 'RED', 'ULPFEC', 'RTX'];
+
+/** SDP part of a message body: plain application/sdp or the SDP part of a multipart body. */
+function getSdpText(msg) {
+    if (!msg.body) return '';
+    const start = msg.body.search(/^v=0/m);
+    if (start === -1) return '';
+    const rest = msg.body.slice(start);
+    const boundary = rest.search(/^--/m);
+    return boundary === -1 ? rest : rest.slice(0, boundary);
+}
+
+/**
+ * Parses SDP text into { origin, connection, media[] }. Each media entry has
+ * type, port, proto, codecs (`NAME/rate`, by format order), ptime, direction
+ * and connection, with session-level c=/a= values filled in.
+ */
+function parseSdp(text) {
+    const sdp = { origin: '', connection: '', direction: null, ptime: null, media: [] };
+    let media = null;
+
+    text.split(/\r?\n/).forEach(function(raw) {
+        const line = raw.match(/^([a-z])=(.*)$/);
+        if (!line) return;
+        const value = line[2].trim();
+        const target = media || sdp;
+        if (line[1] === 'm') {
+            const parts = value.split(/\s+/);
+            media = {
+                type: parts[0], port: parseInt(parts[1], 10) || 0, proto: parts[2] || '',
+                formats: parts.slice(3), rtpmap: {}, connection: '', direction: null, ptime: null
+            };
+            sdp.media.push(media);
+        } else if (line[1] === 'o') {
+            sdp.origin = value;
+        } else if (line[1] === 'c') {
+            target.connection = (value.split(/\s+/)[2] || '').split('/')[0];
+        } else if (line[1] === 'a') {
+            const colon = value.indexOf(':');
+            const name = colon === -1 ? value : value.slice(0, colon);
+            const attr = colon === -1 ? '' : value.slice(colon + 1).trim();
+            if (SDP_DIRECTIONS.indexOf(name) !== -1) {
+                target.direction = name;
+            } else if (name === 'ptime') {
+                target.ptime = parseInt(attr, 10) || null;
+            } else if (name === 'rtpmap' && media) {
+                const map = attr.match(/^(\d+)\s+([^/\s]+)\/(\d+)/);
+                if (map) media.rtpmap[map[1]] = map[2].toUpperCase() + '/' + map[3];
+            }
+        }
+    });
+
+    sdp.media.forEach(function(m) {
+        m.connection = m.connection || sdp.connection;
+        m.direction = m.direction || sdp.direction || 'sendrecv';
+        m.ptime = m.ptime || sdp.ptime;
+        m.codecs = m.formats.map(function(pt) { return m.rtpmap[pt] || STATIC_PAYLOAD_TYPES[pt] || 'PT ' + pt; });
+    });
+    return sdp;
+}
+
+// Legacy (RFC 2543) hold sets c=0.0.0.0 instead of a direction attribute
+function isSdpMediaOnHold(media) {
+    return media.direction === 'sendonly' || media.direction === 'inactive' || media.connection === '0.0.0.0';
+}
+
+function isMainCodec(codec) {
+    return SDP_AUX_CODECS.indexOf(codec.split('/')[0]) === -1;
+}
+
+/**
+ * Pairs the SDP bodies of one dialog into offer/answer exchanges (RFC 3264):
+ * an SDP sent the other way answers the open offer, a repeat in a later
+ * response to the same CSeq (183 then 200) replaces that answer, anything
+ * else opens a new offer.
+ */
+function pairSdpExchanges(messages) {
+    const exchanges = [];
+    messages.forEach(function(msg) {
+        const last = exchanges[exchanges.length - 1];
+        if (last && !last.answer && msg.direction !== last.offer.direction) {
+            last.answer = msg;
+        } else if (last && last.answer && msg.isResponse && last.answer.isResponse &&
+            msg.cseq === last.answer.cseq && msg.direction === last.answer.direction) {
+            last.answer = msg;
+        } else {
+            exchanges.push({ offer: msg, answer: null });
+        }
+    });
+    return exchanges;
+}
+
+/** Per-stream negotiation result and flags ({ level: 'error'|'warning'|'info', text }) for an exchange. */
+function analyzeSdpExchange(exchange) {
+    const offer = exchange.offer.sdp;
+    const answer = exchange.answer ? exchange.answer.sdp : null;
+    const flags = [];
+
+    const streams = offer.media.map(function(offered, i) {
+        const answered = answer ? answer.media[i] || null : null;
+        const stream = { type: offered.type, offer: offered, answer: answered, common: [], rejected: false };
+        if (!answered) return stream;
+
+        stream.rejected = answered.port === 0;
+        if (stream.rejected) {
+            flags.push({ level: 'info', text: offered.type + ' stream rejected' });
+            return stream;
+        }
+
+        stream.common = answered.codecs.filter(function(codec) { return offered.codecs.indexOf(codec) !== -1; });
+        if (!stream.common.some(isMainCodec)) {
+            flags.push({ level: 'error', text: 'No common ' + offered.type + ' codec' });
+        }
+
+        const allowed = SDP_ANSWER_DIRECTIONS[offered.direction] || SDP_DIRECTIONS;
+        if (allowed.indexOf(answered.direction) === -1) {
+            flags.push({ level: 'error', text: offered.type + ' direction mismatch: ' + offered.direction + ' answered ' + answered.direction });
+        } else if (offered.direction === 'sendrecv' && !isSdpMediaOnHold(offered) &&
+            (answered.direction === 'sendonly' || answered.direction === 'recvonly' || answered.connection === '0.0.0.0')) {
+            flags.push({ level: 'warning', text: 'One-way ' + offered.type + ': answer is ' +
+                (answered.connection === '0.0.0.0' ? 'c=0.0.0.0' : answered.direction) });
+        }
+
+        if (offered.ptime && answered.ptime && offered.ptime !== answered.ptime) {
+            flags.push({ level: 'info', text: offered.type + ' ptime ' + offered.ptime + ' / ' + answered.ptime + ' ms' });
+        }
+        return stream;
+    });
+
+    if (!answer) flags.push({ level: 'warning', text: 'No answer' });
+    if (answer && answer.media.length !== offer.media.length) {
+        flags.push({ level: 'error', text: 'Answer has ' + answer.media.length + ' m-lines, offer ' + offer.media.length });
+    }
+    return { streams: streams, flags: flags };
+}
+
+/**
+ * Offer/answer exchanges per dialog (CID) for the SIP messages with SDP bodies,
+ * with hold/resume changes marked on the exchange where they happen.
+ */
+function buildMediaDialogs(messages) {
+    const byCid = new Map();
+    messages.forEach(function(msg) {
+        if (msg.type !== 'sip' || !msg.sdp || !cidMap.has(msg.cid)) return;
+        if (!byCid.has(msg.cid)) byCid.set(msg.cid, []);
+        byCid.get(msg.cid).push(msg);
+    });
+
+    const dialogs = [];
+    byCid.forEach(function(sdpMessages, cid) {
+        let onHold = false;
+        const exchanges = pairSdpExchanges(sdpMessages).map(function(exchange) {
+            const result = analyzeSdpExchange(exchange);
+            const audio = exchange.offer.sdp.media.filter(function(m) { return m.type === 'audio'; })[0];
+            const holding = !!audio && isSdpMediaOnHold(audio);
+            exchange.holdChange = holding !== onHold ? (holding ? 'Hold' : 'Resume') : '';
+            onHold = holding;
+            exchange.streams = result.streams;
+            exchange.flags = result.flags;
+            return exchange;
+        });
+        dialogs.push({ cid: cid, exchanges: exchanges });
+    });
+    return dialogs;
+}
+
+function createEl(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+}
+
+function buildMediaFlag(flag) {
+    return createEl('span', 'media-flag media-flag-' + flag.level, flag.text);
+}
+
+function buildMediaSideCell(msg, media) {
+    const td = createEl('td', 'media-side');
+    if (!msg) {
+        td.appendChild(createEl('span', 'view-muted', 'No answer'));
+        return td;
+    }
+    const link = createEl('button', 'msg-link', msg.timeStr + ' ' + msg.direction + ' ' +
+        (msg.isResponse ? msg.method + ' ' + msg.cseqMethod : msg.method));
+    link.title = 'Show in SIP Span';
+    link.addEventListener('click', function() { showMessageInGrid(msg._id); });
+    td.appendChild(link);
+    if (!media) {
+        td.appendChild(createEl('div', 'view-muted', 'No matching m-line'));
+        return td;
+    }
+    td.appendChild(createEl('div', 'media-addr', (media.connection || '?') + ':' + media.port + '  ' + media.proto));
+    td.appendChild(createEl('div', 'media-codecs', media.codecs.join(', ') || '—'));
+    const meta = createEl('div', 'media-meta');
+    const dir = createEl('span', 'media-dir' + (isSdpMediaOnHold(media) ? ' hold' : ''), media.direction);
+    meta.appendChild(dir);
+    if (media.ptime) meta.appendChild(createEl('span', '', 'ptime ' + media.ptime + 'ms'));
+    td.appendChild(meta);
+    return td;
+}
+
+function buildMediaDialog(dialog) {
+    const section = createEl('section', 'media-dialog');
+    const header = createEl('div', 'media-dialog-header');
+    const dot = createEl('span', 'cid-dot');
+    dot.style.background = CID_COLORS[cidMap.get(dialog.cid)];
+    header.appendChild(dot);
+    const title = createEl('span', 'media-dialog-cid', truncateLabel(dialog.cid, 40));
+    title.title = dialog.cid;
+    header.appendChild(title);
+    header.appendChild(createEl('span', 'view-muted', dialog.exchanges.length + ' offer/answer'));
+    const seen = new Set();
+    dialog.exchanges.forEach(function(exchange) {
+        exchange.flags.forEach(function(flag) {
+            if (flag.level === 'info' || seen.has(flag.text)) return;
+            seen.add(flag.text);
+            header.appendChild(buildMediaFlag(flag));
+        });
+    });
+    section.appendChild(header);
+
+    const table = createEl('table', 'media-table');
+    const head = createEl('tr');
+    ['#', 'Offer', 'Answer', 'Negotiated'].forEach(function(label) { head.appendChild(createEl('th', '', label)); });
+    table.appendChild(head);
+
+    dialog.exchanges.forEach(function(exchange, index) {
+        const streams = exchange.streams.length > 0 ? exchange.streams : [{ type: '', offer: null, answer: null, common: [] }];
+        streams.forEach(function(stream, streamIndex) {
+            const tr = createEl('tr');
+            if (streamIndex === 0) {
+                const tdIndex = createEl('td', 'media-index', String(index + 1));
+                tdIndex.rowSpan = streams.length;
+                if (exchange.holdChange) {
+                    tdIndex.appendChild(createEl('span', 'media-hold-badge ' + exchange.holdChange.toLowerCase(), exchange.holdChange));
+                }
+                tr.appendChild(tdIndex);
+            }
+            tr.appendChild(buildMediaSideCell(exchange.offer, stream.offer));
+            tr.appendChild(buildMediaSideCell(exchange.answer, exchange.answer ? stream.answer : null));
+
+            const tdResult = createEl('td', 'media-result');
+            if (stream.rejected) {
+                tdResult.appendChild(createEl('span', 'view-muted', 'Rejected (port 0)'));
+            } else if (stream.common.length > 0) {
+                tdResult.appendChild(createEl('div', 'media-codecs', stream.common.join(', ')));
+            }
+            if (streamIndex === streams.length - 1) {
+                exchange.flags.forEach(function(flag) { tdResult.appendChild(buildMediaFlag(flag)); });
+            }
+            tr.appendChild(tdResult);
+            table.appendChild(tr);
+        });
+    });
+
+    section.appendChild(table);
+    return section;
+}
+
+function renderMediaView(messages) {
+    const container = document.getElementById('media-container');
+    const dialogs = buildMediaDialogs(messages);
+    const issues = dialogs.reduce(function(count, dialog) {
+        return count + dialog.exchanges.filter(function(exchange) {
+            return exchange.flags.some(function(flag) { return flag.level !== 'info'; });
+        }).length;
+    }, 0);
+    document.getElementById('media-count').textContent = dialogs.length;
+    const issueBadge = document.getElementById('media-issue-count');
+    issueBadge.textContent = issues + (issues === 1 ? ' issue' : ' issues');
+    issueBadge.classList.toggle('hidden', issues === 0);
+
+    container.textContent = '';
+    if (dialogs.length === 0) {
+        const quickFlowSdp = messages.some(function(m) { return m.type === 'sip' && !m.body && m.content === 'application/sdp'; });
+        container.appendChild(createEl('div', 'view-empty', quickFlowSdp
+            ? 'Quick Flow lines only name the content type. Paste full SIP messages to see their SDP.'
+            : 'No SDP bodies for the selected CIDs.'));
+        return;
+    }
+    dialogs.forEach(function(dialog) { container.appendChild(buildMediaDialog(dialog)); });
+}
+
+// =====================================================
+// Call Quality KPIs
+// =====================================================
+
+// Timing metrics per call, measured from the first INVITE of the CID
+const CALL_KPI_METRICS = [
+    { key: 'trying', label: 'INVITE → 100', title: 'INVITE to the first 100 Trying' },
+    { key: 'pdd', label: 'PDD (180/183)', title: 'Post-dial delay: INVITE to the first 180 Ringing or 183 Session Progress' },
+    { key: 'answer', label: 'Answer (200)', title: 'Answer delay: INVITE to the 200 OK' },
+    { key: 'duration', label: 'Duration', title: 'Call duration: 200 OK to the first BYE' }
+];
+
+/**
+ * KPIs for one CID. Only responses to the first INVITE's CSeq that travel
+ * against it count, so a proxy logging both legs measures what the caller saw.
+ */
+function computeCallKpis(cid, messages) {
+    const kpis = { cid: cid, invite: null, final: null, trying: null, pdd: null, answer: null, duration: null };
+    const invite = messages.find(function(m) { return !m.isResponse && m.method === 'INVITE'; });
+    if (!invite) return kpis;
+    kpis.invite = invite;
+
+    const responses = messages.filter(function(m) {
+        return m.isResponse && m.cseqMethod === 'INVITE' && m.cseq === invite.cseq &&
+            m.direction !== invite.direction && m.timestamp >= invite.timestamp;
+    });
+    function since(test) {
+        const response = responses.find(function(m) { return test(parseInt(m.method, 10)); });
+        return response ? response.timestamp - invite.timestamp : null;
+    }
+
+    kpis.trying = since(function(code) { return code === 100; });
+    kpis.pdd = since(function(code) { return code === 180 || code === 183; });
+    kpis.final = responses.find(function(m) { return parseInt(m.method, 10) >= 200; }) || null;
+
+    if (kpis.final && kpis.final.method.charAt(0) === '2') {
+        const answered = kpis.final;
+        kpis.answer = answered.timestamp - invite.timestamp;
+        const bye = messages.find(function(m) { return !m.isResponse && m.method === 'BYE' && m.timestamp >= answered.timestamp; });
+        if (bye) kpis.duration = bye.timestamp - answered.timestamp;
+    }
+    return kpis;
+}
+
+function buildCallKpis(messages) {
+    const byCid = new Map();
+    messages.forEach(function(msg) {
+        if (msg.type !== 'sip' || !cidMap.has(msg.cid)) return;
+        if (!byCid.has(msg.cid)) byCid.set(msg.cid, []);
+        byCid.get(msg.cid).push(msg);
+    });
+    const calls = [];
+    byCid.forEach(function(cidMessages, cid) { calls.push(computeCallKpis(cid, cidMessages)); });
+    return calls;
+}
+
+/** min / avg / p95 (nearest rank) of the non-null values, or null when there are none. */
+function summarizeKpi(values) {
+    const sorted = values.filter(function(v) { return v !== null; }).sort(function(a, b) { return a - b; });
+    if (sorted.length === 0) return null;
+    const sum = sorted.reduce(function(total, v) { return total + v; }, 0);
+    return {
+        min: sorted[0],
+        avg: Math.round(sum / sorted.length),
+        p95: sorted[Math.ceil(sorted.length * 0.95) - 1],
+        count: sorted.length
+    };
+}
+
+function getFinalResponseClass(final) {
+    return final ? final.method.charAt(0) + 'xx' : 'none';
+}
+
+function buildKpiValueCell(value) {
+    return createEl('td', 'kpi-value', value === null ? '—' : formatDuration(value));
+}
+
+function renderKpiView(messages) {
+    const container = document.getElementById('kpi-container');
+    const calls = buildCallKpis(messages).filter(function(call) { return call.invite; });
+    document.getElementById('kpi-count').textContent = calls.length;
+
+    container.textContent = '';
+    if (calls.length === 0) {
+        container.appendChild(createEl('div', 'view-empty', 'No INVITE dialogs for the selected CIDs.'));
+        return;
     }
+
+    const table = createEl('table', 'kpi-table');
+    const head = createEl('tr');
+    head.appendChild(createEl('th', '', 'CID'));
+    head.appendChild(createEl('th', '', 'INVITE'));
+    CALL_KPI_METRICS.forEach(function(metric) {
+        const th = createEl('th', 'kpi-value', metric.label);
+        th.title = metric.title;
+        head.appendChild(th);
+    });
+    head.appendChild(createEl('th', '', 'Final'));
+    table.appendChild(head);
+
+    calls.forEach(function(call) {
+        const tr = createEl('tr');
+        const tdCid = createEl('td', 'kpi-cid');
+        const dot = createEl('span', 'cid-dot');
+        dot.style.background = CID_COLORS[cidMap.get(call.cid)];
+        tdCid.appendChild(dot);
+        tdCid.appendChild(document.createTextNode(truncateLabel(call.cid, 32)));
+        tdCid.title = call.cid;
+        tr.appendChild(tdCid);
+
+        const tdInvite = createEl('td');
+        const link = createEl('button', 'msg-link', call.invite.timeStr + ' ' + call.invite.direction);
+        link.title = 'Show in SIP Span';
+        link.addEventListener('click', function() { showMessageInGrid(call.invite._id); });
+        tdInvite.appendChild(link);
+        tr.appendChild(tdInvite);
+
+        CALL_KPI_METRICS.forEach(function(metric) { tr.appendChild(buildKpiValueCell(call[metric.key])); });
+
+        const finalClass = getFinalResponseClass(call.final);
+        const tdFinal = createEl('td', 'kpi-final kpi-final-' + finalClass,
+            call.final ? (call.final.method + ' ' + (call.final.reason || '')).trim() : 'No final response');
+        tr.appendChild(tdFinal);
+        table.appendChild(tr);
+    });
+
+    [['Min', 'min'], ['Avg', 'avg'], ['P95', 'p95']].forEach(function(row, index) {
+        const tr = createEl('tr', 'kpi-summary' + (index === 0 ? ' first' : ''));
+        tr.appendChild(createEl('td', '', row[0]));
+        tr.appendChild(createEl('td', 'view-muted', index === 0 ? calls.length + (calls.length === 1 ? ' call' : ' calls') : ''));
+        CALL_KPI_METRICS.forEach(function(metric) {
+            const summary = summarizeKpi(calls.map(function(call) { return call[metric.key]; }));
+            const td = buildKpiValueCell(summary ? summary[row[1]] : null);
+            if (summary) td.title = summary.count + ' of ' + calls.length + ' calls';
+            tr.appendChild(td);
+        });
+        tr.appendChild(createEl('td'));
+        table.appendChild(tr);
+    });
+    container.appendChild(table);
+
+    // Setup success and final response classes
+    const classes = new Map();
+    calls.forEach(function(call) {
+        const finalClass = getFinalResponseClass(call.final);
+        classes.set(finalClass, (classes.get(finalClass) || 0) + 1);
+    });
+    const answered = classes.get('2xx') || 0;
+    const footer = createEl('div', 'kpi-footer');
+    footer.appendChild(createEl('span', 'kpi-success',
+        'Setup success: ' + answered + ' / ' + calls.length + ' (' + Math.round(answered / calls.length * 100) + '%)'));
+    Array.from(classes.keys()).sort().forEach(function(finalClass) {
+        const label = finalClass === 'none' ? 'no final' : finalClass;
+        footer.appendChild(createEl('span', 'kpi-final kpi-final-' + finalClass, label + ': ' + classes.get(finalClass)));
+    });
+    container.appendChild(footer);
+}
+
+// =====================================================
+// Timeline Diagram Export
+// =====================================================
+
+function generateDiagramId() {
+    return 'diag_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
+
 function generateSipDiagram() {
     var enabledCids = filters.enabledCids;
     var pendingInvites = new Map();
@@ -1812,15 +3015,18 @@ function handleImport() {
     }
 
     var diagramId = generateDiagramId();
-    var diagrams = getAllDiagrams();
-    diagrams.unshift({
+
+    // Shared IndexedDB store (diagram-store.js) used by the Timeline Editor
+    DiagramStore.add({
         id: diagramId,
         title: diagramData.title,
         updatedAt: Date.now(),
         data: diagramData
-    });
-
-    if (saveDiagramsList(diagrams.slice(0, MAX_DIAGRAMS))) {
+    }).then(function (saved) {
+        if (!saved) {
+            showToast('Failed to save diagram', 'error');
+            return;
+        }
         try {
             localStorage.setItem(ACTIVE_DIAGRAM_KEY, diagramId);
             var rawSession = localStorage.getItem(SESSION_STATE_KEY);
@@ -1830,9 +3036,7 @@ function handleImport() {
             localStorage.setItem(SESSION_STATE_KEY, JSON.stringify(sessionState));
         } catch (_) {}
         showToast('Diagram created! <a href="index.html">Open Timeline Editor \u2192</a>', 'success', 5000);
-    } else {
-        showToast('Failed to save diagram', 'error');
-    }
+    });
 }
 
 // =====================================================
@@ -1857,6 +3061,7 @@ function handleParseAction() {
     }
 
     isParsed = true;
+    selectedMessageId = null;
 
     // Initialize filter state
     var cids = [...cidMap.keys()];
@@ -1897,6 +3102,9 @@ function handleClear() {
     document.getElementById('filter-bar-placeholder').classList.add('hidden');
     document.getElementById('messages-view').classList.add('hidden');
     document.getElementById('dn-grid-view').classList.add('hidden');
+    document.getElementById('ladder-view').classList.add('hidden');
+    document.getElementById('media-view').classList.add('hidden');
+    document.getElementById('kpi-view').classList.add('hidden');
 
     document.getElementById('save-log-btn').disabled = true;
     document.getElementById('import-btn').disabled = true;
@@ -1912,6 +3120,8 @@ function handleClear() {
     eventsGridData = { messages: [], dnColumns: [], switchColumn: null, hasNoDnColumn: false, connids: [] };
     isParsed = false;
     currentView = 'messages';
+    activeLogAdapter = null;
+    selectedMessageId = null;
     showElapsed = true;
     showPerCid = true;
     showCrossCid = false;
@@ -1947,6 +3157,13 @@ document.addEventListener('DOMContentLoaded', function() {
     // View tabs
     document.getElementById('tab-messages').addEventListener('click', switchToMessagesView);
     document.getElementById('tab-dn-grid').addEventListener('click', switchToDnGridView);
+    document.getElementById('tab-ladder').addEventListener('click', switchToLadderView);
+    document.getElementById('tab-media').addEventListener('click', switchToMediaView);
+    document.getElementById('tab-kpi').addEventListener('click', switchToKpiView);
+
+    // Ladder export
+    document.getElementById('ladder-export-svg').addEventListener('click', exportLadderSvg);
+    document.getElementById('ladder-export-png').addEventListener('click', exportLadderPng);
 
     // Filters
     document.getElementById('filter-sip').addEventListener('click', function() { toggleTypeFilter('sip'); });